@@ -0,0 +1,303 @@
+// src/api/cassette.js
+
+/**
+ * HTTP Cassette
+ *
+ * Records Snyk API responses to a JSON file and replays them later, so a
+ * production report ("the bot said X for this query") can be reproduced
+ * offline and analyzer regressions can be run against real-shaped data.
+ * It plugs into SnykApiClient as an axios adapter.
+ *
+ * Secrets are never written: request headers are dropped, only a small set
+ * of response headers is kept, and values under secret-looking keys (or
+ * containing the API key) are replaced with "[REDACTED]".
+ *
+ * Requests are matched on method, path and query parameters, ignoring the
+ * time window and API version, since those change on every run.
+ */
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const { defaultLogger } = require('../utils');
+
+// Create a logger for this module
+const logger = defaultLogger.child('HttpCassette');
+
+const CASSETTE_MODES = ['record', 'replay', 'off'];
+
+// Query parameters that vary between runs and are ignored when matching
+const VOLATILE_PARAMS = ['from', 'to', 'version'];
+
+// Response headers worth keeping (rate limiting affects client behavior)
+const KEPT_HEADERS = ['content-type', 'retry-after', 'x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset'];
+
+// Keys whose values are always redacted
+const SECRET_KEY_PATTERN = /token|secret|password|passphrase|api[_-]?key|authorization|credential|private[_-]?key/i;
+
+const REDACTED = '[REDACTED]';
+
+class HttpCassette {
+  /**
+   * Create a new cassette
+   * @param {Object} config - Cassette configuration
+   * @param {string} config.mode - 'record', 'replay' or 'off'
+   * @param {string} config.path - Cassette file path
+   * @param {Array<string>} config.secrets - Literal values to redact wherever they appear (e.g. the API key)
+   */
+  constructor(config = {}) {
+    this.mode = config.mode || 'off';
+    this.path = config.path || './data/cassettes/snyk-api.json';
+    this.secrets = (config.secrets || []).filter(Boolean);
+
+    if (!CASSETTE_MODES.includes(this.mode)) {
+      throw new Error(`Invalid cassette mode "${this.mode}". Use one of: ${CASSETTE_MODES.join(', ')}`);
+    }
+
+    this.interactions = [];
+
+    // Replay position per request key, so repeated requests play back in order
+    this.playCounts = new Map();
+
+    this.saveQueue = Promise.resolve();
+
+    if (this.mode === 'replay') {
+      this._load();
+    }
+  }
+
+  /**
+   * Check whether the cassette intercepts requests
+   * @returns {boolean} - Whether recording or replaying
+   */
+  isActive() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Wrap an axios adapter so requests are recorded or replayed
+   * @param {Function} adapter - Adapter that performs real requests
+   * @returns {Function} - Axios adapter
+   */
+  createAdapter(adapter) {
+    return async config => {
+      if (this.mode === 'replay') {
+        return this._replay(config);
+      }
+
+      if (this.mode !== 'record') {
+        return adapter(config);
+      }
+
+      try {
+        const response = await adapter(config);
+        this._record(config, response);
+        return response;
+      } catch (error) {
+        // Error responses are part of the story too (429s, 404s for users)
+        if (error.response) {
+          this._record(config, error.response);
+        }
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Wait for pending writes to reach disk
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.saveQueue;
+  }
+
+  /**
+   * Store a response and schedule a save
+   * @param {Object} config - Axios request config
+   * @param {Object} response - Axios response
+   * @private
+   */
+  _record(config, response) {
+    this.interactions.push({
+      request: {
+        method: (config.method || 'get').toLowerCase(),
+        key: this._requestKey(config),
+        url: this._redactString(this._requestPath(config))
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: this._keepHeaders(response.headers),
+        data: this._redact(this._parseData(response.data))
+      },
+      recordedAt: new Date().toISOString()
+    });
+
+    this._save();
+  }
+
+  /**
+   * Play back the recorded response for a request
+   * @param {Object} config - Axios request config
+   * @returns {Promise<Object>} - Axios response
+   * @private
+   */
+  async _replay(config) {
+    const key = this._requestKey(config);
+    const matches = this.interactions.filter(interaction => interaction.request.key === key);
+
+    if (matches.length === 0) {
+      const error = new Error(`No recorded response in cassette ${this.path} for ${key}`);
+      error.code = 'CASSETTE_MISS';
+      throw error;
+    }
+
+    // Play matches in recorded order, then keep repeating the last one
+    const played = this.playCounts.get(key) || 0;
+    this.playCounts.set(key, played + 1);
+    const recorded = matches[Math.min(played, matches.length - 1)].response;
+
+    const response = {
+      data: JSON.parse(JSON.stringify(recorded.data)),
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: new axios.AxiosHeaders(recorded.headers),
+      config,
+      request: { replayed: true }
+    };
+
+    const validateStatus = config.validateStatus || (status => status >= 200 && status < 300);
+    if (validateStatus(response.status)) {
+      return response;
+    }
+
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  }
+
+  /**
+   * Build the key a request is matched on
+   * @param {Object} config - Axios request config
+   * @returns {string} - Request key ("GET /path?a=1&b=2")
+   * @private
+   */
+  _requestKey(config) {
+    const url = new URL(config.url, config.baseURL || 'http://cassette.local');
+    const params = {};
+
+    url.searchParams.forEach((value, name) => {
+      params[name] = value;
+    });
+    Object.keys(config.params || {}).forEach(name => {
+      if (config.params[name] !== undefined && config.params[name] !== null) {
+        params[name] = String(config.params[name]);
+      }
+    });
+
+    const query = Object.keys(params)
+      .filter(name => !VOLATILE_PARAMS.includes(name))
+      .sort()
+      .map(name => `${name}=${params[name]}`)
+      .join('&');
+
+    return `${(config.method || 'get').toUpperCase()} ${url.pathname}${query ? `?${query}` : ''}`;
+  }
+
+  _requestPath(config) {
+    return new URL(config.url, config.baseURL || 'http://cassette.local').pathname;
+  }
+
+  _keepHeaders(headers = {}) {
+    const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+    const kept = {};
+
+    Object.keys(plain).forEach(name => {
+      if (KEPT_HEADERS.includes(name.toLowerCase())) {
+        kept[name.toLowerCase()] = plain[name];
+      }
+    });
+
+    return kept;
+  }
+
+  _parseData(data) {
+    if (typeof data !== 'string') {
+      return data;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      return data;
+    }
+  }
+
+  /**
+   * Redact secrets from a response body
+   * @param {*} value - Value to redact
+   * @returns {*} - Redacted copy
+   * @private
+   */
+  _redact(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this._redact(item));
+    }
+
+    if (value && typeof value === 'object') {
+      const redacted = {};
+      Object.keys(value).forEach(key => {
+        redacted[key] = SECRET_KEY_PATTERN.test(key) && value[key] !== null ? REDACTED : this._redact(value[key]);
+      });
+      return redacted;
+    }
+
+    return typeof value === 'string' ? this._redactString(value) : value;
+  }
+
+  _redactString(value) {
+    return this.secrets.reduce((result, secret) => result.split(secret).join(REDACTED), value);
+  }
+
+  /**
+   * Load a cassette for replay
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.path)) {
+      throw new Error(`Cassette file not found: ${this.path}`);
+    }
+
+    const cassette = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    this.interactions = cassette.interactions || [];
+    logger.info(`Replaying ${this.interactions.length} recorded responses from ${this.path}`);
+  }
+
+  /**
+   * Write the cassette to disk after any pending write
+   * @private
+   */
+  _save() {
+    const cassette = {
+      version: 1,
+      recordedAt: this.interactions[0] ? this.interactions[0].recordedAt : new Date().toISOString(),
+      interactions: this.interactions
+    };
+
+    this.saveQueue = this.saveQueue
+      .then(async () => {
+        await fsp.mkdir(path.dirname(this.path), { recursive: true });
+        await fsp.writeFile(this.path, JSON.stringify(cassette, null, 2), 'utf8');
+      })
+      .catch(error => {
+        logger.error(`Failed to save cassette ${this.path}: ${error.message}`);
+      });
+  }
+}
+
+module.exports = HttpCassette;
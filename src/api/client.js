@@ -6,7 +6,10 @@
  * including authentication, request formatting, and error handling.
  */
 
-const { requestWithRetry, parseHttpError, defaultLogger } = require('../utils');
+const { requestWithRetry, parseHttpError, parseRetryAfter, defaultLogger } = require('../utils');
+const { getSchedulerForKey } = require('./requestScheduler');
+const HttpCassette = require('./cassette');
+const { getEventTaxonomy } = require('../config/eventTaxonomy');
 const axios = require('axios');
 
 // Create a logger for this module
@@ -24,7 +27,8 @@ class SnykApiClient {
     }
     
     this.apiKey = apiKey;
-    this.baseUrl = config.baseUrl || 'https://api.snyk.io';
+    this.orgId = config.orgId || process.env.SNYK_ORG_ID;
+    this.baseUrl = config.baseUrl || process.env.SNYK_API_URL || 'https://api.snyk.io';
     this.apiVersion = config.apiVersion || '2024-10-15'; // Using the version from the documentation
     this.timeout = config.timeout || 15000;
     this.retryConfig = {
@@ -33,6 +37,15 @@ class SnykApiClient {
       retryStatusCodes: [408, 429, 500, 502, 503, 504]
     };
     
+    // All clients using the same API key share one request scheduler, so
+    // concurrent chat users draw from a single rate budget
+    this.scheduler = config.scheduler || getSchedulerForKey(apiKey, {
+      requestsPerMinute: config.requestsPerMinute,
+      burst: config.requestBurst,
+      maxConcurrent: config.maxConcurrentRequests,
+      maxQueueSize: config.maxQueuedRequests
+    });
+    
     // Create axios instance with default configuration
     this.client = axios.create({
       baseURL: this.baseUrl,
@@ -43,6 +56,21 @@ class SnykApiClient {
       }
     });
     
+    // Optionally record responses to, or replay them from, a cassette file
+    this.cassette = new HttpCassette({
+      mode: config.cassetteMode || process.env.SNYK_CASSETTE_MODE || 'off',
+      path: config.cassettePath || process.env.SNYK_CASSETTE_PATH,
+      secrets: [this.apiKey]
+    });
+    
+    if (this.cassette.isActive()) {
+      this.client.defaults.adapter = this.cassette.createAdapter(axios.getAdapter(axios.defaults.adapter));
+      logger.info(`Snyk API cassette mode: ${this.cassette.mode} (${this.cassette.path})`);
+    }
+    
+    // Event categories and severities
+    this.taxonomy = config.taxonomy || getEventTaxonomy(config.taxonomyPath);
+    
     // Add request interceptor for logging
     this.client.interceptors.request.use(config => {
       // For REST API endpoints, add version as query parameter
@@ -86,6 +114,19 @@ class SnykApiClient {
    * @private
    */
   async _request(config) {
+    const response = await this._scheduledRequest(config);
+    return response.data;
+  }
+
+  /**
+   * Send a request through the shared scheduler, retrying failures.
+   * Rate-limited (429) responses pause the whole scheduler for the
+   * Retry-After period instead of each caller backing off on its own.
+   * @param {Object} config - Request configuration
+   * @returns {Promise<Object>} - Full axios response
+   * @private
+   */
+  async _scheduledRequest(config) {
     // Use the class retry config
     let lastError = null;
 
@@ -93,13 +134,20 @@ class SnykApiClient {
       try {
         // The client already has the proper headers set in the constructor
         // and the interceptors will handle adding version parameters
-        const response = await this.client(config);
-        return response.data;
+        const response = await this.scheduler.schedule(() => this.client(config));
+        this.scheduler.updateFromHeaders(response.headers);
+        return response;
       } catch (error) {
         lastError = error;
         const status = error.response?.status;
 
-        if (attempt < this.retryConfig.retries && this.retryConfig.retryStatusCodes.includes(status)) {
+        if (attempt < this.retryConfig.retries && status === 429) {
+          const retryAfter = parseRetryAfter(error.response.headers);
+          const delay = retryAfter !== null ? retryAfter : this.retryConfig.retryDelay * Math.pow(2, attempt);
+          logger.warn(`API request was rate limited. Retrying in ${delay}ms...`);
+          // The retry is queued behind the pause like every other request
+          this.scheduler.recordRateLimit(delay);
+        } else if (attempt < this.retryConfig.retries && this.retryConfig.retryStatusCodes.includes(status)) {
           const delay = this.retryConfig.retryDelay * Math.pow(2, attempt);
           logger.warn(`API request failed with status ${status}. Retrying in ${delay}ms...`);
           await new Promise(resolve => setTimeout(resolve, delay));
@@ -121,6 +169,14 @@ class SnykApiClient {
     }
   }
 
+  /**
+   * Get statistics from the shared request scheduler
+   * @returns {Object} - Queue and rate-limit statistics
+   */
+  getSchedulerStats() {
+    return this.scheduler.getStats();
+  }
+
   /**
    * Search organization audit logs using the REST API.
    * @param {string} orgId - Organization ID
@@ -216,90 +272,168 @@ class SnykApiClient {
   }
 
   /**
-   * Fetch all pages of audit logs from the REST API.
+   * Iterate over pages of audit logs from the REST API.
+   * Pages are requested one at a time as the caller consumes them, so only the
+   * current page is held in memory.
+   *
+   * A failed page ends the walk without throwing. The outcome is recorded in
+   * the pagination state (`complete`, `error`, `lastCursor`), so callers can
+   * tell a truncated walk apart from a complete one and resume it later by
+   * passing the last cursor back in as `startCursor`.
    * @param {Function} searchFunction - The search function to use (searchOrgAuditLogs or searchGroupAuditLogs)
    * @param {string} id - Organization or Group ID
    * @param {Object} params - Search parameters
-   * @returns {Promise<Array>} - Complete list of audit log items
+   * @param {Object} options - Iteration options
+   * @param {Function} options.onProgress - Called after each page with { stage, page, pageItems, itemsFetched }
+   * @param {Object} options.pagination - Object that receives the pagination state
+   * @param {string} options.startCursor - Cursor to resume a previous walk from
+   * @returns {AsyncGenerator<Array>} - One array of audit log items per page
    */
-  async fetchAllPages(searchFunction, id, params = {}) {
-    let allItems = [];
-    let nextCursor = null;
+  async *iterateAuditLogPages(searchFunction, id, params = {}, options = {}) {
+    const pagination = Object.assign(options.pagination || {}, {
+      pagesFetched: 0,
+      itemsFetched: 0,
+      lastCursor: options.startCursor || null,
+      complete: false,
+      error: null
+    });
+    
+    let nextCursor = options.startCursor || null;
     let hasMorePages = true;
     let page = 1;
     
-    logger.debug(`Starting paginated fetch for ${searchFunction.name} with ID ${id}`);
+    logger.debug(`Starting paginated fetch for ${searchFunction.name} with ID ${id}`, { startCursor: nextCursor });
     
     while (hasMorePages) {
       const searchParams = nextCursor 
         ? { ...params, starting_after: nextCursor } 
         : params;
       
+      let response;
+      
       try {
-        const response = await searchFunction.call(this, id, searchParams);
-        
-        logger.debug(`Fetched page ${page} with ${response.data?.length || 0} items`);
-        
-        // Check for response.data structure - it could be either an array directly or have an items array inside
-        if (response.data) {
-          if (Array.isArray(response.data)) {
-            allItems = [...allItems, ...response.data];
-          } else if (response.data.items && Array.isArray(response.data.items)) {
-            allItems = [...allItems, ...response.data.items];
-          }
-        }
-        
-        if (response.links && response.links.next) {
-          try {
-            // The 'next' link is a relative path, extract the cursor from it.
-            const nextUrl = new URL(response.links.next, this.baseUrl);
-            nextCursor = nextUrl.searchParams.get('starting_after');
-            hasMorePages = !!nextCursor;
-            page++;
-          } catch (error) {
-            logger.error('Failed to parse next link URL', error);
-            hasMorePages = false;
-          }
-        } else {
-          hasMorePages = false;
-        }
+        response = await searchFunction.call(this, id, searchParams);
       } catch (error) {
         logger.error(`Error fetching page ${page}:`, error);
-        hasMorePages = false;
+        pagination.error = `Failed to fetch page ${page}: ${parseHttpError(error).message}`;
+        break;
+      }
+      
+      logger.debug(`Fetched page ${page} with ${response.data?.length || 0} items`);
+      
+      // Check for response.data structure - it could be either an array directly or have an items array inside
+      let items = [];
+      if (response.data) {
+        if (Array.isArray(response.data)) {
+          items = response.data;
+        } else if (response.data.items && Array.isArray(response.data.items)) {
+          items = response.data.items;
+        }
+      }
+      
+      nextCursor = null;
+      if (response.links && response.links.next) {
+        try {
+          // The 'next' link is a relative path, extract the cursor from it.
+          const nextUrl = new URL(response.links.next, this.baseUrl);
+          nextCursor = nextUrl.searchParams.get('starting_after');
+        } catch (error) {
+          logger.error('Failed to parse next link URL', error);
+          pagination.error = `Failed to parse the next page link after page ${page}`;
+        }
       }
       
-      if (page > 100) {
+      pagination.pagesFetched++;
+      pagination.itemsFetched += items.length;
+      
+      if (options.onProgress) {
+        options.onProgress({ stage: 'fetch', page, pageItems: items.length, itemsFetched: pagination.itemsFetched });
+      }
+      
+      if (items.length > 0) {
+        yield items.map(item => this._mapAuditItem(item));
+      }
+      
+      // Only move the cursor once the page has been handed to the caller,
+      // so a resumed walk never skips items
+      if (nextCursor) {
+        pagination.lastCursor = nextCursor;
+      }
+      
+      hasMorePages = !!nextCursor;
+      page++;
+      
+      if (hasMorePages && page > 100) {
         logger.warn('Reached maximum page limit (100), stopping pagination');
+        pagination.error = 'Reached the maximum of 100 pages';
         hasMorePages = false;
       }
     }
     
-    logger.info(`Completed fetching all pages. Total items: ${allItems.length}`);
-    // The v1 API returned {logs: [...]}, the REST API returns {data: [...]}, so we need to transform the shape
-    // to match what the rest of the application expects.
-    return allItems.map(item => {
-      // Handle both direct item structure and items with attributes
-      if (item.attributes) {
-        return {
-          created: item.attributes.created,
-          event: item.attributes.event,
-          content: item.attributes.content,
-          user_id: item.attributes.user_id,
-          org_id: item.attributes.org_id
-        };
-      } else {
-        // Direct structure
-        return {
-          created: item.created,
-          event: item.event,
-          content: item.content,
-          user_id: item.user_id,
-          org_id: item.org_id
-        };
-      }
+    pagination.complete = !pagination.error;
+    
+    logger.info(`Completed fetching all pages. Total items: ${pagination.itemsFetched}`, {
+      pages: pagination.pagesFetched,
+      complete: pagination.complete
     });
   }
 
+  /**
+   * Iterate over individual audit log items from the REST API, page by page.
+   * @param {Function} searchFunction - The search function to use (searchOrgAuditLogs or searchGroupAuditLogs)
+   * @param {string} id - Organization or Group ID
+   * @param {Object} params - Search parameters
+   * @param {Object} options - Iteration options (see iterateAuditLogPages)
+   * @returns {AsyncGenerator<Object>} - Audit log items
+   */
+  async *iterateAuditLogs(searchFunction, id, params = {}, options = {}) {
+    for await (const items of this.iterateAuditLogPages(searchFunction, id, params, options)) {
+      yield* items;
+    }
+  }
+
+  /**
+   * Fetch all pages of audit logs from the REST API.
+   * @param {Function} searchFunction - The search function to use (searchOrgAuditLogs or searchGroupAuditLogs)
+   * @param {string} id - Organization or Group ID
+   * @param {Object} params - Search parameters
+   * @param {Object} options - Iteration options (see iterateAuditLogPages)
+   * @returns {Promise<Array>} - Complete list of audit log items
+   */
+  async fetchAllPages(searchFunction, id, params = {}, options = {}) {
+    const allItems = [];
+    
+    for await (const items of this.iterateAuditLogPages(searchFunction, id, params, options)) {
+      for (const item of items) {
+        allItems.push(item);
+      }
+    }
+    
+    return allItems;
+  }
+
+  /**
+   * Map a REST audit log item to the event shape the rest of the application expects.
+   * The v1 API returned {logs: [...]}, the REST API returns {data: [...]} with
+   * the fields nested under attributes.
+   * @param {Object} item - Raw audit log item
+   * @returns {Object} - Audit log event
+   * @private
+   */
+  _mapAuditItem(item) {
+    // Handle both direct item structure and items with attributes
+    const source = item.attributes || item;
+    
+    return {
+      created: source.created,
+      event: source.event,
+      content: source.content,
+      user_id: source.user_id,
+      org_id: source.org_id,
+      project_id: source.project_id
+    };
+  }
+
   /**
    * Get all organization audit logs for a specific time period
    * @param {string} orgId - Organization ID
@@ -318,12 +452,117 @@ class SnykApiClient {
     return this.fetchAllPages(this.searchOrgAuditLogs, orgId, params);
   }
 
+  /**
+   * Get all group audit logs for a specific time period
+   * @param {string} groupId - Group ID
+   * @param {Date|string} fromDate - Start date
+   * @param {Date|string} toDate - End date
+   * @param {Object} options - Additional options
+   * @returns {Promise<Array>} - Complete list of audit log items across the group's orgs
+   */
+  async getAllGroupAuditLogs(groupId, fromDate, toDate, options = {}) {
+    const params = {
+      from_date: fromDate,
+      to_date: toDate,
+      ...options
+    };
+    
+    return this.fetchAllPages(this.searchGroupAuditLogs, groupId, params);
+  }
+
+  /**
+   * Iterate over organization audit logs for a specific time period without
+   * buffering every page.
+   * @param {string} orgId - Organization ID
+   * @param {Date|string} fromDate - Start date
+   * @param {Date|string} toDate - End date
+   * @param {Object} options - Additional search parameters, plus iteration options (onProgress, pagination, startCursor)
+   * @returns {AsyncGenerator<Object>} - Audit log items, newest first
+   */
+  iterateOrgAuditLogs(orgId, fromDate, toDate, options = {}) {
+    const { onProgress, pagination, startCursor, ...searchOptions } = options;
+    const params = {
+      from_date: fromDate,
+      to_date: toDate,
+      ...searchOptions
+    };
+    
+    return this.iterateAuditLogs(this.searchOrgAuditLogs, orgId, params, { onProgress, pagination, startCursor });
+  }
+
+  /**
+   * Iterate over group audit logs for a specific time period without
+   * buffering every page.
+   * @param {string} groupId - Group ID
+   * @param {Date|string} fromDate - Start date
+   * @param {Date|string} toDate - End date
+   * @param {Object} options - Additional search parameters, plus iteration options (onProgress, pagination, startCursor)
+   * @returns {AsyncGenerator<Object>} - Audit log items, newest first
+   */
+  iterateGroupAuditLogs(groupId, fromDate, toDate, options = {}) {
+    const { onProgress, pagination, startCursor, ...searchOptions } = options;
+    const params = {
+      from_date: fromDate,
+      to_date: toDate,
+      ...searchOptions
+    };
+    
+    return this.iterateAuditLogs(this.searchGroupAuditLogs, groupId, params, { onProgress, pagination, startCursor });
+  }
+
+  /**
+   * Get all organizations in a group
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Array>} - List of organizations ({ id, name, slug })
+   */
+  async getGroupOrgs(groupId) {
+    if (!groupId) {
+      throw new Error('Group ID is required');
+    }
+    
+    const orgs = [];
+    let nextCursor = null;
+    let page = 1;
+    
+    do {
+      const params = { limit: 100 };
+      if (nextCursor) {
+        params.starting_after = nextCursor;
+      }
+      
+      const response = await this._request({
+        url: `/rest/groups/${groupId}/orgs`,
+        method: 'get',
+        params
+      });
+      
+      (response.data || []).forEach(org => {
+        orgs.push({
+          id: org.id,
+          name: org.attributes?.name || null,
+          slug: org.attributes?.slug || null
+        });
+      });
+      
+      nextCursor = null;
+      if (response.links && response.links.next) {
+        const nextUrl = new URL(response.links.next, this.baseUrl);
+        nextCursor = nextUrl.searchParams.get('starting_after');
+      }
+      page++;
+    } while (nextCursor && page <= 100);
+    
+    logger.info(`Retrieved ${orgs.length} organizations in group ${groupId}`);
+    return orgs;
+  }
+
   /**
    * Get user information by user ID
    * @param {string} userId - User ID
+   * @param {string} orgId - Organization the user belongs to (optional, uses default if not provided)
    * @returns {Promise<Object>} - User information
    */
-  async getUserById(userId) {
+  async getUserById(userId, orgId = this.orgId) {
     if (!userId) {
       throw new Error('User ID is required');
     }
@@ -337,7 +576,6 @@ class SnykApiClient {
       // Construct the correct endpoint URL
       // According to Snyk API docs: https://docs.snyk.io/snyk-api/reference/users
       // The endpoint requires organization ID: /rest/orgs/{org_id}/users/{id}
-      const orgId = process.env.SNYK_ORG_ID;
       const endpoint = `/rest/orgs/${orgId}/users/${userId}`;
       
       // Log the API request
@@ -345,7 +583,7 @@ class SnykApiClient {
       console.log('Request params:', params);
       
       // Make the API request
-      const response = await this.client.get(endpoint, { params });
+      const response = await this._scheduledRequest({ url: endpoint, method: 'get', params });
       
       // Log the API response status
       console.log(`API Response: ${response.status} ${response.statusText}`);
@@ -422,16 +660,9 @@ class SnykApiClient {
    * @returns {Promise<Array>} - Security audit log items
    */
   async getSecurityAuditLogs(orgId, fromDate, options = {}) {
-    const securityEvents = [
-      'org.policy.create', 'org.policy.edit', 'org.policy.delete',
-      'org.ignore_policy.edit',
-      'org.integration.create', 'org.integration.delete', 'org.integration.edit',
-      'org.service_account.create', 'org.service_account.delete', 'org.service_account.edit',
-      'org.settings.feature_flag.edit',
-      'org.project.ignore.create', 'org.project.ignore.delete', 'org.project.ignore.edit',
-      'org.sast_settings.edit',
-      'org.webhook.add', 'org.webhook.delete'
-    ];
+    // The org endpoint only knows org-level events
+    const securityEvents = this.taxonomy.getSecurityEvents()
+      .filter(eventType => eventType.startsWith('org.'));
     
     const params = {
       from_date: fromDate,
@@ -460,7 +691,7 @@ class SnykApiClient {
       console.log(`API Request: GET ${endpoint}`);
       
       // Make the API request
-      const response = await this.client.get(endpoint);
+      const response = await this._scheduledRequest({ url: endpoint, method: 'get' });
       
       // Log the API response status
       console.log(`API Response: ${response.status} ${response.statusText}`);
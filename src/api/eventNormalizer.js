@@ -0,0 +1,164 @@
+// src/api/eventNormalizer.js
+
+/**
+ * Audit Event Normalizer
+ *
+ * Turns raw Snyk audit log items into the canonical event shape that the
+ * core analyzers consume. The API returns the acting user, project and the
+ * changed values in different places depending on the event type; this is
+ * the only place that knows about those variations.
+ *
+ * Normalized event:
+ * {
+ *   created: '2024-05-01T10:00:00Z',
+ *   event: 'org.policy.edit',
+ *   actor: '<user or service account ID>' | null,
+ *   actorType: 'user' | 'service_account' | 'system',
+ *   orgId, projectId,
+ *   target: { type: 'policy', id, name },
+ *   action: 'edit',
+ *   category: 'policy',            // from the event taxonomy
+ *   severity: 'medium',            // from the event taxonomy
+ *   before: { ... } | null,
+ *   after: { ... } | null,
+ *   raw: { created, event, content, user_id, org_id, project_id }
+ * }
+ */
+
+const { getEventTaxonomy } = require('../config/eventTaxonomy');
+
+// Actor IDs or names that point at automation rather than a person
+const SERVICE_ACCOUNT_PATTERN = /service|bot|auto|jenkins/i;
+
+/**
+ * Get the user or service account that performed an event
+ * @param {Object} event - Raw or normalized audit log event
+ * @returns {string|null} - Actor ID
+ */
+function getEventActor(event) {
+  if (isNormalizedEvent(event)) {
+    return event.actor;
+  }
+
+  return event.user_id || event.content?.user_id || event.content?.performed_by || null;
+}
+
+/**
+ * Get the project an event relates to
+ * @param {Object} event - Raw or normalized audit log event
+ * @returns {string|null} - Project ID
+ */
+function getEventProject(event) {
+  if (isNormalizedEvent(event)) {
+    return event.projectId;
+  }
+
+  return event.project_id || event.content?.project_id || event.content?.projectId || null;
+}
+
+/**
+ * Check whether an event is already in the canonical shape
+ * @param {Object} event - Audit log event
+ * @returns {boolean} - Whether the event is normalized
+ */
+function isNormalizedEvent(event) {
+  return !!event && event.raw !== undefined && event.actorType !== undefined;
+}
+
+/**
+ * Normalize a raw audit log event
+ * Already normalized events are returned unchanged.
+ * @param {Object} event - Raw audit log event (as mapped by SnykApiClient)
+ * @param {EventTaxonomy} taxonomy - Taxonomy for category and severity (optional, defaults to the shared taxonomy)
+ * @returns {Object} - Normalized event
+ */
+function normalizeEvent(event, taxonomy = getEventTaxonomy()) {
+  if (isNormalizedEvent(event)) {
+    return event;
+  }
+
+  const content = event.content || {};
+  const eventType = event.event || 'unknown';
+  const entry = taxonomy.get(eventType);
+  const actor = getEventActor(event);
+  const projectId = getEventProject(event);
+
+  return {
+    created: event.created,
+    event: eventType,
+    actor,
+    actorType: getActorType(actor, content),
+    orgId: event.org_id || content.org_id || content.orgId || null,
+    projectId,
+    target: getTarget(eventType, content, projectId),
+    action: getAction(eventType),
+    category: entry.category,
+    severity: entry.severity,
+    before: content.before !== undefined ? content.before : null,
+    after: content.after !== undefined ? content.after : null,
+    raw: event
+  };
+}
+
+/**
+ * Classify who performed an event
+ * @param {string|null} actor - Actor ID
+ * @param {Object} content - Event content
+ * @returns {string} - 'user', 'service_account' or 'system'
+ * @private
+ */
+function getActorType(actor, content) {
+  if (!actor) {
+    return 'system';
+  }
+
+  if (content.service_account_id === actor || SERVICE_ACCOUNT_PATTERN.test(actor)) {
+    return 'service_account';
+  }
+
+  return 'user';
+}
+
+/**
+ * Get the verb of an event type ("org.project.ignore.create" -> "create")
+ * @param {string} eventType - Event type
+ * @returns {string} - Action verb
+ * @private
+ */
+function getAction(eventType) {
+  const parts = eventType.split('.');
+  return parts[parts.length - 1];
+}
+
+/**
+ * Get the resource an event acted on
+ * @param {string} eventType - Event type
+ * @param {Object} content - Event content
+ * @param {string|null} projectId - Project ID
+ * @returns {Object} - Target ({ type, id, name })
+ * @private
+ */
+function getTarget(eventType, content, projectId) {
+  // "org.project.ignore.create" -> "project.ignore", "org.create" -> "org"
+  const parts = eventType.split('.');
+  const scoped = parts[0] === 'org' || parts[0] === 'group';
+  const entity = parts.slice(scoped && parts.length > 2 ? 1 : 0, -1).join('.') || parts[0];
+  const resource = entity.split('.')[0];
+
+  const id = resource === 'project'
+    ? projectId
+    : content[`${resource}_id`] || content[`${resource}Id`] || content.public_id || content.id || null;
+
+  return {
+    type: entity,
+    id: id || null,
+    name: content[`${resource}_name`] || content.name || content.email || null
+  };
+}
+
+module.exports = {
+  normalizeEvent,
+  isNormalizedEvent,
+  getEventActor,
+  getEventProject
+};
@@ -0,0 +1,257 @@
+// src/api/eventStore.js
+
+/**
+ * Audit Event Store
+ *
+ * This store keeps a persistent local copy of Snyk audit log events as
+ * append-only JSONL files (one file per organization or group), together with
+ * a small state file that records which time window has already been synced.
+ * The audit service fills it incrementally and answers queries from it.
+ */
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const { defaultLogger } = require('../utils');
+const { getEventActor, getEventProject } = require('./eventNormalizer');
+const { eventTypeMatcher } = require('../config/eventTaxonomy');
+
+// Create a logger for this module
+const logger = defaultLogger.child('AuditEventStore');
+
+class AuditEventStore {
+  /**
+   * Create a new audit event store
+   * @param {Object} config - Store configuration
+   * @param {string} config.directory - Directory that holds the store files
+   */
+  constructor(config = {}) {
+    this.directory = config.directory || './data/audit-events';
+
+    // Deduplication keys per scope, loaded lazily from disk
+    this.knownKeys = new Map();
+
+    // Serialize writes per scope so concurrent syncs don't interleave lines
+    this.writeQueues = new Map();
+  }
+
+  /**
+   * Get the sync state for a scope
+   * @param {string} scopeKey - Scope key (e.g. "org-<id>")
+   * @returns {Promise<Object>} - Sync state
+   */
+  async getState(scopeKey) {
+    const defaultState = {
+      scopeKey,
+      coverageFrom: null,
+      latestCreated: null,
+      syncedUntil: null,
+      lastSyncAt: null,
+      eventCount: 0,
+      resume: null,
+      lastSync: null
+    };
+
+    try {
+      const data = await fsp.readFile(this._stateFile(scopeKey), 'utf8');
+      return { ...defaultState, ...JSON.parse(data) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to read store state for ${scopeKey}: ${error.message}`);
+      }
+      return defaultState;
+    }
+  }
+
+  /**
+   * Save the sync state for a scope
+   * @param {string} scopeKey - Scope key
+   * @param {Object} state - Sync state
+   * @returns {Promise<void>}
+   */
+  async saveState(scopeKey, state) {
+    await this._ensureDirectory();
+    await fsp.writeFile(this._stateFile(scopeKey), JSON.stringify(state, null, 2), 'utf8');
+  }
+
+  /**
+   * Append events to the store, skipping events that are already stored
+   * @param {string} scopeKey - Scope key
+   * @param {Array} events - Audit log events
+   * @returns {Promise<number>} - Number of newly stored events
+   */
+  async append(scopeKey, events) {
+    return this._enqueueWrite(scopeKey, async () => {
+      const keys = await this._getKnownKeys(scopeKey);
+      const lines = [];
+
+      for (const event of events) {
+        const key = this._eventKey(event);
+        if (keys.has(key)) {
+          continue;
+        }
+        keys.add(key);
+        lines.push(JSON.stringify(event));
+      }
+
+      if (lines.length > 0) {
+        await this._ensureDirectory();
+        await fsp.appendFile(this._eventsFile(scopeKey), lines.join('\n') + '\n', 'utf8');
+      }
+
+      logger.debug(`Stored ${lines.length} new events for ${scopeKey} (${events.length - lines.length} duplicates skipped)`);
+      return lines.length;
+    });
+  }
+
+  /**
+   * Query stored events
+   * @param {string} scopeKey - Scope key
+   * @param {Object} filters - Query filters (see iterate)
+   * @returns {Promise<Array>} - Matching events, newest first
+   */
+  async query(scopeKey, filters = {}) {
+    const results = [];
+
+    for await (const event of this.iterate(scopeKey, filters)) {
+      results.push(event);
+    }
+
+    // Match the API's descending order so consumers can rely on it
+    return results.sort((a, b) => new Date(b.created) - new Date(a.created));
+  }
+
+  /**
+   * Iterate over stored events without loading them all into memory
+   * @param {string} scopeKey - Scope key
+   * @param {Object} filters - Query filters
+   * @param {Date|string} filters.from - Earliest creation time (inclusive)
+   * @param {Date|string} filters.to - Latest creation time (inclusive)
+   * @param {Array<string>} filters.events - Event types to include ("org.policy.*" wildcards allowed)
+   * @param {string} filters.userId - Only events performed by this user
+   * @param {string} filters.projectId - Only events for this project
+   * @param {string} filters.orgId - Only events from this organization (group stores)
+   * @returns {AsyncGenerator<Object>} - Matching events in storage order
+   */
+  async *iterate(scopeKey, filters = {}) {
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+    const matchesEventType = filters.events ? eventTypeMatcher(filters.events) : null;
+
+    for await (const event of this._readEvents(scopeKey)) {
+      const created = new Date(event.created).getTime();
+
+      if (from !== null && created < from) continue;
+      if (to !== null && created > to) continue;
+      if (matchesEventType && !matchesEventType(event.event)) continue;
+      if (filters.userId && getEventActor(event) !== filters.userId) continue;
+      if (filters.projectId && getEventProject(event) !== filters.projectId) continue;
+      if (filters.orgId && event.org_id !== filters.orgId) continue;
+
+      yield event;
+    }
+  }
+
+  /**
+   * Read all stored events for a scope line by line
+   * @param {string} scopeKey - Scope key
+   * @returns {AsyncGenerator<Object>} - Stored events in insertion order
+   * @private
+   */
+  async *_readEvents(scopeKey) {
+    const filePath = this._eventsFile(scopeKey);
+
+    try {
+      await fsp.access(filePath);
+    } catch (error) {
+      return;
+    }
+
+    const lineReader = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lineReader) {
+      if (!line.trim()) continue;
+
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        logger.warn(`Skipping corrupt line in ${filePath}`);
+      }
+    }
+  }
+
+  /**
+   * Load the deduplication keys for a scope
+   * @param {string} scopeKey - Scope key
+   * @returns {Promise<Set<string>>} - Known event keys
+   * @private
+   */
+  async _getKnownKeys(scopeKey) {
+    if (this.knownKeys.has(scopeKey)) {
+      return this.knownKeys.get(scopeKey);
+    }
+
+    const keys = new Set();
+    for await (const event of this._readEvents(scopeKey)) {
+      keys.add(this._eventKey(event));
+    }
+
+    this.knownKeys.set(scopeKey, keys);
+    return keys;
+  }
+
+  /**
+   * Run a write operation after any pending write for the same scope
+   * @param {string} scopeKey - Scope key
+   * @param {Function} operation - Async write operation
+   * @returns {Promise<*>} - Result of the operation
+   * @private
+   */
+  _enqueueWrite(scopeKey, operation) {
+    const previous = this.writeQueues.get(scopeKey) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+    this.writeQueues.set(scopeKey, next);
+    return next;
+  }
+
+  /**
+   * Build a stable identity key for an event
+   * @param {Object} event - Audit log event
+   * @returns {string} - Event key
+   * @private
+   */
+  _eventKey(event) {
+    return crypto
+      .createHash('sha1')
+      .update(JSON.stringify([event.created, event.event, event.user_id, event.org_id, event.project_id, event.content]))
+      .digest('hex');
+  }
+
+  /**
+   * Ensure the store directory exists
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _ensureDirectory() {
+    await fsp.mkdir(this.directory, { recursive: true });
+  }
+
+  _eventsFile(scopeKey) {
+    return path.join(this.directory, `${this._safeName(scopeKey)}.jsonl`);
+  }
+
+  _stateFile(scopeKey) {
+    return path.join(this.directory, `${this._safeName(scopeKey)}.state.json`);
+  }
+
+  _safeName(scopeKey) {
+    return String(scopeKey).replace(/[^a-zA-Z0-9_.-]/g, '_');
+  }
+}
+
+module.exports = AuditEventStore;
@@ -8,8 +8,17 @@
 
 const SnykApiClient = require('./client');
 const SnykAuditService = require('./service');
+const AuditEventStore = require('./eventStore');
+const HttpCassette = require('./cassette');
+const { RequestScheduler, getSchedulerForKey } = require('./requestScheduler');
+const { normalizeEvent } = require('./eventNormalizer');
 
 module.exports = {
   SnykApiClient,
-  SnykAuditService
+  SnykAuditService,
+  AuditEventStore,
+  HttpCassette,
+  RequestScheduler,
+  getSchedulerForKey,
+  normalizeEvent
 };
\ No newline at end of file
@@ -0,0 +1,241 @@
+// src/api/requestScheduler.js
+
+/**
+ * Snyk API Request Scheduler
+ *
+ * This scheduler queues outgoing Snyk API requests so that every client using
+ * the same API key shares one rate budget. It combines a token bucket (steady
+ * request rate with a small burst), a concurrency cap, a bounded queue, and a
+ * pause that is triggered by 429 responses (Retry-After) or exhausted
+ * rate-limit headers.
+ */
+
+const crypto = require('crypto');
+const { defaultLogger } = require('../utils');
+
+// Create a logger for this module
+const logger = defaultLogger.child('RequestScheduler');
+
+// Default limits, kept below Snyk's documented per-key REST API limit
+const DEFAULT_SCHEDULER_CONFIG = {
+  requestsPerMinute: 1500,
+  burst: 20,
+  maxConcurrent: 5,
+  maxQueueSize: 1000
+};
+
+// Shared schedulers, one per API key
+const schedulers = new Map();
+
+class RequestScheduler {
+  /**
+   * Create a new request scheduler
+   * @param {Object} config - Scheduler configuration
+   * @param {number} config.requestsPerMinute - Sustained request rate
+   * @param {number} config.burst - Token bucket capacity
+   * @param {number} config.maxConcurrent - Maximum requests in flight
+   * @param {number} config.maxQueueSize - Maximum queued requests before rejecting
+   */
+  constructor(config = {}) {
+    const settings = { ...DEFAULT_SCHEDULER_CONFIG };
+    Object.keys(config).forEach(key => {
+      if (config[key] !== undefined) {
+        settings[key] = config[key];
+      }
+    });
+
+    this.capacity = settings.burst;
+    this.refillPerMs = settings.requestsPerMinute / 60000;
+    this.maxConcurrent = settings.maxConcurrent;
+    this.maxQueueSize = settings.maxQueueSize;
+
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.active = 0;
+    this.queue = [];
+    this.timer = null;
+
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      rejected: 0,
+      rateLimited: 0
+    };
+  }
+
+  /**
+   * Schedule a request
+   * @param {Function} task - Function returning a promise (the actual request)
+   * @returns {Promise<*>} - Result of the task
+   */
+  schedule(task) {
+    if (this.queue.length >= this.maxQueueSize) {
+      this.stats.rejected++;
+      const error = new Error('Snyk API request queue is full, please try again shortly');
+      error.code = 'QUEUE_FULL';
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this._drain();
+    });
+  }
+
+  /**
+   * Pause all requests for a period (e.g. after a 429 response)
+   * @param {number} ms - Pause duration in milliseconds
+   */
+  pause(ms) {
+    const until = Date.now() + ms;
+
+    if (until > this.pausedUntil) {
+      this.pausedUntil = until;
+      logger.warn(`Pausing Snyk API requests for ${ms}ms`);
+    }
+
+    // Nothing is left in the bucket once the API has told us to back off,
+    // and it only starts refilling when the pause ends
+    this.tokens = 0;
+    this.lastRefill = this.pausedUntil;
+    this._drain();
+  }
+
+  /**
+   * Record a rate-limited response and pause accordingly
+   * @param {number} retryAfterMs - Delay requested by the API
+   */
+  recordRateLimit(retryAfterMs) {
+    this.stats.rateLimited++;
+    this.pause(retryAfterMs);
+  }
+
+  /**
+   * Adjust the schedule from rate-limit response headers
+   * @param {Object} headers - Response headers
+   */
+  updateFromHeaders(headers = {}) {
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    const reset = parseInt(headers['x-ratelimit-reset'], 10);
+
+    if (isNaN(remaining) || remaining > 0 || isNaN(reset)) {
+      return;
+    }
+
+    // The reset header is either seconds until reset or a Unix timestamp
+    const resetMs = reset > 1000000000 ? reset * 1000 - Date.now() : reset * 1000;
+    if (resetMs > 0) {
+      this.pause(resetMs);
+    }
+  }
+
+  /**
+   * Get current scheduler statistics
+   * @returns {Object} - Queue and rate-limit statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      active: this.active,
+      queued: this.queue.length,
+      pausedForMs: Math.max(0, this.pausedUntil - Date.now())
+    };
+  }
+
+  /**
+   * Start as many queued requests as the limits allow
+   * @private
+   */
+  _drain() {
+    while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      const waitMs = this._getWaitTime();
+
+      if (waitMs > 0) {
+        this._scheduleDrain(waitMs);
+        return;
+      }
+
+      this.tokens -= 1;
+      this.active++;
+
+      const { task, resolve, reject } = this.queue.shift();
+
+      Promise.resolve()
+        .then(task)
+        .then(result => {
+          this.stats.completed++;
+          resolve(result);
+        }, error => {
+          this.stats.failed++;
+          reject(error);
+        })
+        .finally(() => {
+          this.active--;
+          this._drain();
+        });
+    }
+  }
+
+  /**
+   * Work out how long to wait before the next request may start
+   * @returns {number} - Wait time in milliseconds (0 if a request can start now)
+   * @private
+   */
+  _getWaitTime() {
+    const now = Date.now();
+
+    if (this.pausedUntil > now) {
+      return this.pausedUntil - now;
+    }
+
+    // Refill the bucket for the time elapsed since the last check
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+
+    if (this.tokens >= 1) {
+      return 0;
+    }
+
+    return Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  /**
+   * Wake the queue up again after a delay
+   * @param {number} ms - Delay in milliseconds
+   * @private
+   */
+  _scheduleDrain(ms) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._drain();
+    }, ms);
+  }
+}
+
+/**
+ * Get the shared scheduler for an API key, creating it on first use
+ * @param {string} apiKey - Snyk API key
+ * @param {Object} config - Scheduler configuration (used when creating it)
+ * @returns {RequestScheduler} - Shared scheduler
+ */
+function getSchedulerForKey(apiKey, config = {}) {
+  // Never keep raw API keys around as map keys
+  const keyId = crypto.createHash('sha256').update(apiKey).digest('hex');
+
+  if (!schedulers.has(keyId)) {
+    schedulers.set(keyId, new RequestScheduler(config));
+  }
+
+  return schedulers.get(keyId);
+}
+
+module.exports = {
+  RequestScheduler,
+  getSchedulerForKey,
+  DEFAULT_SCHEDULER_CONFIG
+};
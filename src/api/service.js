@@ -8,11 +8,18 @@
  */
 
 const SnykApiClient = require('./client');
+const AuditEventStore = require('./eventStore');
+const { normalizeEvent } = require('./eventNormalizer');
+const { getEventTaxonomy } = require('../config/eventTaxonomy');
+const { getDetectionRules } = require('../config/detectionRules');
 const { defaultLogger, daysAgo, isBusinessHours } = require('../utils');
 
 // Create a logger for this module
 const logger = defaultLogger.child('SnykAuditService');
 
+// Number of streamed events written to the store at a time during a sync
+const STORE_BATCH_SIZE = 500;
+
 class SnykAuditService {
   /**
    * Create a new Snyk Audit Service
@@ -27,52 +34,587 @@ class SnykAuditService {
       defaultDays: config.defaultDays || 7,
       businessHoursStart: config.businessHoursStart || 9,
       businessHoursEnd: config.businessHoursEnd || 17,
+      eventStorePath: config.eventStorePath || './data/audit-events',
+      syncIntervalMs: config.syncIntervalMs !== undefined ? config.syncIntervalMs : 60000,
+      groupFanOut: config.groupFanOut || false,
       ...config
     };
     
+    // Group mode answers across every org in the group. It is used when a group
+    // is configured without an org, or when explicitly requested.
+    this.config.groupMode = !!this.config.groupId && (config.groupMode === true || !this.config.orgId);
+    
+    // Local event store that every query reads from
+    this.eventStore = config.eventStore || new AuditEventStore({ directory: this.config.eventStorePath });
+    
+    // In-flight syncs per scope, so concurrent questions share one API walk
+    this.pendingSyncs = new Map();
+    
     // User cache to avoid repeated API calls for the same user
     this.userCache = new Map();
     
-    // Define security-critical events
-    this.securityCriticalEvents = [
-      'org.policy.create', 'org.policy.edit', 'org.policy.delete',
-      'org.ignore_policy.edit',
-      'org.integration.create', 'org.integration.delete', 'org.integration.edit',
-      'org.service_account.create', 'org.service_account.delete', 'org.service_account.edit',
-      'org.settings.feature_flag.edit',
-      'org.project.ignore.create', 'org.project.ignore.delete', 'org.project.ignore.edit',
-      'org.sast_settings.edit',
-      'org.webhook.add', 'org.webhook.delete'
-    ];
-    
-    // Define user activity events
-    this.userActivityEvents = [
-      'org.user.add', 'org.user.remove',
-      'org.user.role.edit', 'org.user.role.create', 'org.user.role.delete',
-      'org.user.invite', 'org.user.invite.accept', 'org.user.invite.revoke',
-      'org.user.leave',
-      'api.access'
-    ];
+    // Organization user lists, keyed by org ID (or group scope key)
+    this.orgUsersCache = new Map();
+    
+    // Organizations in the configured group (loaded lazily in group mode)
+    this.groupOrgsCache = null;
+    
+    // Event categories and severities, shared with the client and analyzers
+    this.taxonomy = config.taxonomy || getEventTaxonomy(config.taxonomyPath);
+    this.securityCriticalEvents = this.taxonomy.getSecurityEvents();
+    this.userActivityEvents = this.taxonomy.getUserActivityEvents();
+    
+    // Built-in and custom detection rules for the anomaly detector
+    this.detectionRules = config.detectionRules || getDetectionRules(config.rulesPath);
     
     logger.info('Snyk Audit Service initialized');
   }
 
+  /**
+   * Sync the local event store with the Snyk API.
+   * Only the part of the requested window that isn't stored yet is fetched:
+   * older history is backfilled once, and newer events are fetched
+   * incrementally from the last stored `created` timestamp.
+   * @param {Date|string} fromDate - Earliest date the caller needs
+   * @param {string} orgId - Organization ID (optional; in group mode the whole group is synced)
+   * @param {Object} options - Sync options
+   * @param {Function} options.onProgress - Called with page progress while the API is walked
+   * @returns {Promise<Object>} - Updated sync state
+   */
+  async syncEvents(fromDate, orgId = null, options = {}) {
+    const scope = this._resolveScope(orgId);
+    const scopeKey = scope.key;
+    
+    // One sync runs per scope at a time. Waiters queue behind it and then run
+    // their own, which re-reads the stored coverage and only fetches what the
+    // syncs before it didn't. Checking and claiming the slot happen without an
+    // await in between, so two waiters woken together can't both start.
+    while (this.pendingSyncs.has(scopeKey)) {
+      try {
+        await this.pendingSyncs.get(scopeKey);
+      } catch (error) {
+        // The failed sync reported its own error; this caller tries again
+      }
+    }
+
+    const sync = this._runSync(scope, new Date(fromDate), options);
+    this.pendingSyncs.set(scopeKey, sync);
+    
+    try {
+      return await sync;
+    } finally {
+      if (this.pendingSyncs.get(scopeKey) === sync) {
+        this.pendingSyncs.delete(scopeKey);
+      }
+    }
+  }
+
+  /**
+   * Perform a store sync for a scope.
+   * A walk that stops part-way (failed page, page limit) doesn't advance the
+   * stored coverage. Its cursor is saved instead and the next sync resumes
+   * from there before doing anything else.
+   * @param {Object} scope - Scope from _resolveScope
+   * @param {Date} fromDate - Earliest date the caller needs
+   * @param {Object} options - Sync options (see syncEvents)
+   * @returns {Promise<Object>} - Updated sync state
+   * @private
+   */
+  async _runSync(scope, fromDate, options = {}) {
+    const scopeKey = scope.key;
+    const state = await this.eventStore.getState(scopeKey);
+    const now = new Date();
+    const walks = [];
+    
+    try {
+      // Finish an interrupted walk first, so no gap is left behind it
+      if (state.resume) {
+        const resume = state.resume;
+        
+        logger.info(`Resuming interrupted ${resume.type} sync for ${scopeKey}`, { from: resume.from, to: resume.to, cursor: resume.cursor });
+        
+        const pagination = await this._syncWindow(scope, state, resume.from, resume.to, { ...options, resume });
+        walks.push(pagination);
+        this._finishWindow(state, resume.type, resume.from, resume.to, pagination, now);
+      }
+      
+      // Backfill history older than anything we have stored
+      if (!state.resume && (!state.coverageFrom || fromDate < new Date(state.coverageFrom))) {
+        const backfillTo = state.coverageFrom ? new Date(state.coverageFrom) : now;
+        
+        logger.info(`Backfilling event store for ${scopeKey}`, { from: fromDate, to: backfillTo });
+        
+        const pagination = await this._syncWindow(scope, state, fromDate, backfillTo, options);
+        walks.push(pagination);
+        this._finishWindow(state, 'backfill', fromDate.toISOString(), backfillTo.toISOString(), pagination, now);
+      }
+      
+      // Fetch anything newer than the last sync, unless we synced very recently
+      const lastSyncAt = state.lastSyncAt ? new Date(state.lastSyncAt).getTime() : 0;
+      if (!state.resume && now.getTime() - lastSyncAt >= this.config.syncIntervalMs) {
+        const incrementalFrom = state.latestCreated || state.syncedUntil;
+        
+        if (incrementalFrom) {
+          logger.info(`Incremental sync for ${scopeKey}`, { from: incrementalFrom });
+          
+          const pagination = await this._syncWindow(scope, state, incrementalFrom, now, options);
+          walks.push(pagination);
+          this._finishWindow(state, 'incremental', incrementalFrom, now.toISOString(), pagination, now);
+        } else {
+          state.syncedUntil = now.toISOString();
+          state.lastSyncAt = now.toISOString();
+        }
+      }
+    } catch (error) {
+      // Keep answering from stored history when the API is unavailable
+      if (!state.coverageFrom && !state.eventCount) {
+        throw error;
+      }
+      
+      logger.warn(`Event store sync failed for ${scopeKey}, serving stored events: ${error.message}`);
+      walks.push({ pagesFetched: 0, itemsFetched: 0, lastCursor: null, complete: false, error: error.message });
+    }
+    
+    if (walks.length > 0) {
+      state.lastSync = this._summarizeWalks(walks, now);
+    }
+    
+    await this.eventStore.saveState(scopeKey, state);
+    return state;
+  }
+
+  /**
+   * Walk one time window of the API and store its events
+   * @param {Object} scope - Scope from _resolveScope
+   * @param {Object} state - Store sync state
+   * @param {Date|string} fromDate - Start date
+   * @param {Date|string} toDate - End date
+   * @param {Object} options - Sync options (onProgress, resume)
+   * @returns {Promise<Object>} - Pagination state of the walk
+   * @private
+   */
+  async _syncWindow(scope, state, fromDate, toDate, options = {}) {
+    const pagination = {};
+    
+    await this._storeEvents(scope.key, state, this._iterateScopeEvents(scope, fromDate, toDate, { ...options, pagination }));
+    
+    if (!pagination.complete) {
+      logger.warn(`Sync of ${scope.key} stopped early: ${pagination.error}`, {
+        pagesFetched: pagination.pagesFetched,
+        lastCursor: pagination.lastCursor
+      });
+    }
+    
+    return pagination;
+  }
+
+  /**
+   * Record the outcome of a window walk in the sync state
+   * @param {Object} state - Store sync state
+   * @param {string} type - Walk type ('backfill' or 'incremental')
+   * @param {string} from - Window start (ISO date)
+   * @param {string} to - Window end (ISO date)
+   * @param {Object} pagination - Pagination state of the walk
+   * @param {Date} now - Time the sync started
+   * @private
+   */
+  _finishWindow(state, type, from, to, pagination, now) {
+    if (!pagination.complete) {
+      state.resume = {
+        type,
+        from,
+        to,
+        cursor: pagination.lastCursor || null,
+        orgId: pagination.orgId || null,
+        error: pagination.error
+      };
+      return;
+    }
+    
+    state.resume = null;
+    
+    if (type === 'backfill') {
+      state.coverageFrom = from;
+      
+      if (!state.syncedUntil) {
+        // A first backfill runs up to now, so it doubles as an incremental sync
+        state.syncedUntil = to;
+        state.lastSyncAt = now.toISOString();
+      }
+    } else {
+      state.syncedUntil = to;
+      state.lastSyncAt = now.toISOString();
+    }
+  }
+
+  /**
+   * Combine the pagination states of the walks in one sync
+   * @param {Array<Object>} walks - Pagination states
+   * @param {Date} now - Time the sync started
+   * @returns {Object} - Sync summary ({ at, complete, pagesFetched, itemsFetched, lastCursor, error })
+   * @private
+   */
+  _summarizeWalks(walks, now) {
+    const failed = walks.find(walk => !walk.complete);
+    
+    return {
+      at: now.toISOString(),
+      complete: !failed,
+      pagesFetched: walks.reduce((total, walk) => total + (walk.pagesFetched || 0), 0),
+      itemsFetched: walks.reduce((total, walk) => total + (walk.itemsFetched || 0), 0),
+      lastCursor: failed ? failed.lastCursor || null : null,
+      error: failed ? failed.error : null
+    };
+  }
+
+  /**
+   * Describe how complete the stored events are for a query
+   * @param {Date|string} fromDate - Start of the window the caller asked about (optional)
+   * @param {string} orgId - Organization ID (optional, uses the default org, or the whole group in group mode)
+   * @returns {Promise<Object>} - Completeness ({ complete, pagesFetched, itemsFetched, lastCursor, error, resumable, coverageFrom, syncedUntil })
+   */
+  async getCompleteness(fromDate = null, orgId = null) {
+    const scope = this._resolveScope(orgId);
+    const state = await this.eventStore.getState(scope.key);
+    const lastSync = state.lastSync || {};
+    
+    const missingHistory = !!fromDate && (!state.coverageFrom || new Date(fromDate) < new Date(state.coverageFrom));
+    let error = null;
+    
+    if (state.resume) {
+      error = state.resume.error || 'the last audit log sync stopped early';
+    } else if (lastSync.complete === false) {
+      error = lastSync.error;
+    } else if (missingHistory) {
+      error = 'older audit history has not been loaded yet';
+    }
+    
+    return {
+      complete: !error,
+      pagesFetched: lastSync.pagesFetched || 0,
+      itemsFetched: lastSync.itemsFetched || 0,
+      lastCursor: state.resume ? state.resume.cursor : (lastSync.lastCursor || null),
+      error,
+      resumable: !!state.resume,
+      coverageFrom: state.coverageFrom,
+      syncedUntil: state.syncedUntil
+    };
+  }
+
+  /**
+   * Work out how many days of audit history a query touches, for quotas.
+   * Syncing reads from the query's start up to now whatever its end, history
+   * the store doesn't cover yet is backfilled from that start, and a store
+   * that hasn't been synced for a while (or has an interrupted walk) is caught
+   * up from its last sync first.
+   * @param {Date|string} fromDate - Earliest date the query reads
+   * @param {string} orgId - Organization ID (optional, uses the default org, or the whole group in group mode)
+   * @returns {Promise<number>} - Days, rounded up
+   */
+  async estimateQueryDays(fromDate, orgId = null) {
+    const now = Date.now();
+    let earliest = new Date(fromDate).getTime();
+
+    try {
+      const state = await this.eventStore.getState(this._resolveScope(orgId).key);
+      const catchUpFrom = state.resume ? state.resume.from : state.syncedUntil;
+
+      if (catchUpFrom) {
+        earliest = Math.min(earliest, new Date(catchUpFrom).getTime());
+      }
+    } catch (error) {
+      // Without a valid scope the query itself fails, so only its own window counts
+    }
+
+    return Math.max(1, Math.ceil((now - earliest) / (24 * 60 * 60 * 1000)));
+  }
+
+  /**
+   * Write streamed events to the store in batches, so a long API walk never
+   * holds more than one batch in memory
+   * @param {string} scopeKey - Scope key
+   * @param {Object} state - Store sync state (event count and latest timestamp are updated)
+   * @param {AsyncIterable<Object>} events - Events to store
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _storeEvents(scopeKey, state, events) {
+    let batch = [];
+    
+    const flush = async () => {
+      state.eventCount += await this.eventStore.append(scopeKey, batch);
+      this._updateLatestCreated(state, batch);
+      batch = [];
+    };
+    
+    for await (const event of events) {
+      batch.push(event);
+      if (batch.length >= STORE_BATCH_SIZE) {
+        await flush();
+      }
+    }
+    
+    if (batch.length > 0) {
+      await flush();
+    }
+  }
+
+  /**
+   * Stream audit events for a scope straight from the Snyk API
+   * @param {Object} scope - Scope from _resolveScope
+   * @param {Date|string} fromDate - Start date
+   * @param {Date|string} toDate - End date
+   * @param {Object} options - Iteration options
+   * @param {Function} options.onProgress - Page progress callback
+   * @param {Object} options.pagination - Object that receives the pagination state
+   * @param {Object} options.resume - Saved resume point ({ cursor, orgId })
+   * @returns {AsyncGenerator<Object>} - Audit log events, each tagged with its org_id
+   * @private
+   */
+  async *_iterateScopeEvents(scope, fromDate, toDate, options = {}) {
+    const resume = options.resume || {};
+    const pagination = options.pagination || {};
+    
+    if (scope.type === 'org' || !this.config.groupFanOut) {
+      const iterate = scope.type === 'org' ? this.client.iterateOrgAuditLogs : this.client.iterateGroupAuditLogs;
+      
+      yield* iterate.call(this.client, scope.id, fromDate, toDate, {
+        onProgress: options.onProgress,
+        pagination,
+        startCursor: resume.cursor || null
+      });
+      return;
+    }
+    
+    // Fan out across member orgs for API keys without group audit log access
+    const orgs = await this.getGroupOrgs();
+    const startIndex = resume.orgId ? Math.max(0, orgs.findIndex(org => org.id === resume.orgId)) : 0;
+    
+    Object.assign(pagination, { pagesFetched: 0, itemsFetched: 0, lastCursor: null, complete: false, error: null, orgId: null });
+    
+    for (const org of orgs.slice(startIndex)) {
+      const orgPagination = {};
+      
+      for await (const event of this.client.iterateOrgAuditLogs(org.id, fromDate, toDate, {
+        onProgress: options.onProgress,
+        pagination: orgPagination,
+        startCursor: org.id === resume.orgId ? resume.cursor : null
+      })) {
+        yield { ...event, org_id: event.org_id || org.id };
+      }
+      
+      pagination.pagesFetched += orgPagination.pagesFetched;
+      pagination.itemsFetched += orgPagination.itemsFetched;
+      
+      // Stop at the first org that fails so the walk can resume there
+      if (!orgPagination.complete) {
+        pagination.error = `${org.name || org.id}: ${orgPagination.error}`;
+        pagination.lastCursor = orgPagination.lastCursor;
+        pagination.orgId = org.id;
+        return;
+      }
+    }
+    
+    pagination.complete = true;
+  }
+
+  /**
+   * Query events from the local store after syncing the requested window
+   * @param {Date|string} fromDate - Start date
+   * @param {Object} filters - Additional store filters (to, events, userId, projectId)
+   * @param {string} orgId - Organization ID (optional; in group mode narrows the group to one org)
+   * @param {Object} options - Sync options (see syncEvents)
+   * @returns {Promise<Array>} - Normalized audit log events, newest first
+   * @private
+   */
+  async _queryEvents(fromDate, filters = {}, orgId = null, options = {}) {
+    const scope = this._resolveScope(orgId);
+    await this.syncEvents(fromDate, orgId, options);
+    
+    const events = await this.eventStore.query(scope.key, this._buildStoreFilters(scope, fromDate, filters));
+    return events.map(event => this.normalizeEvent(event));
+  }
+
+  /**
+   * Stream events from the local store after syncing the requested window.
+   * Events are yielded in storage order rather than newest first, which lets
+   * analyzers work through long windows without loading them into memory.
+   * @param {number|Object} period - Number of days to look back, or a date window ({ from, to })
+   * @param {Object} filters - Additional store filters (to, events, userId, projectId)
+   * @param {string} orgId - Organization ID (optional, uses the default org, or the whole group in group mode)
+   * @param {Object} options - Sync options (see syncEvents)
+   * @returns {AsyncGenerator<Object>} - Normalized audit log events
+   */
+  async *streamEvents(period = this.config.defaultDays, filters = {}, orgId = null, options = {}) {
+    const { fromDate, to, description } = this._resolvePeriod(period);
+    const scope = this._resolveScope(orgId);
+    
+    logger.info(`Streaming events ${description}`, { fromDate, to, orgId });
+    
+    await this.syncEvents(fromDate, orgId, options);
+    
+    for await (const event of this.eventStore.iterate(scope.key, this._buildStoreFilters(scope, fromDate, { ...filters, to: to || filters.to }))) {
+      yield this.normalizeEvent(event);
+    }
+  }
+
+  /**
+   * Turn a look-back period into the start of the window and, for date
+   * windows, its end
+   * @param {number|Object} period - Number of days to look back, or a date window ({ from, to })
+   * @returns {Object} - { fromDate, to (or null), description (for logs) }
+   * @private
+   */
+  _resolvePeriod(period) {
+    if (period && typeof period === 'object') {
+      const fromDate = new Date(period.from);
+      const to = period.to ? new Date(period.to) : null;
+      return { fromDate, to, description: `from ${fromDate.toISOString()} to ${to ? to.toISOString() : 'now'}` };
+    }
+    
+    return { fromDate: daysAgo(period), to: null, description: `from ${period} days ago` };
+  }
+
+  /**
+   * Convert a raw audit log event into the canonical event shape
+   * @param {Object} event - Raw audit log event
+   * @returns {Object} - Normalized event (see eventNormalizer)
+   */
+  normalizeEvent(event) {
+    return normalizeEvent(event, this.taxonomy);
+  }
+
+  /**
+   * Build event store filters for a scope
+   * @param {Object} scope - Scope from _resolveScope
+   * @param {Date|string} fromDate - Start date
+   * @param {Object} filters - Additional store filters
+   * @returns {Object} - Store filters
+   * @private
+   */
+  _buildStoreFilters(scope, fromDate, filters = {}) {
+    return {
+      from: fromDate,
+      orgId: scope.type === 'group' ? scope.orgId : null,
+      ...filters
+    };
+  }
+
+  /**
+   * Check whether the service answers across a whole Snyk group
+   * @returns {boolean} - Whether group mode is enabled
+   */
+  isGroupMode() {
+    return this.config.groupMode;
+  }
+
+  /**
+   * Get all organizations in the configured group
+   * @param {boolean} forceRefresh - Whether to force a refresh of the cached orgs
+   * @returns {Promise<Array>} - List of organizations ({ id, name, slug })
+   */
+  async getGroupOrgs(forceRefresh = false) {
+    if (!this.config.groupId) {
+      return [];
+    }
+    
+    if (this.groupOrgsCache && !forceRefresh) {
+      return this.groupOrgsCache;
+    }
+    
+    try {
+      this.groupOrgsCache = await this.client.getGroupOrgs(this.config.groupId);
+    } catch (error) {
+      logger.error(`Failed to fetch group organizations: ${error.message}`, { groupId: this.config.groupId });
+      return this.groupOrgsCache || [];
+    }
+    
+    return this.groupOrgsCache;
+  }
+
+  /**
+   * Resolve an organization by ID, name or slug
+   * @param {string} nameOrId - Organization ID, name or slug
+   * @returns {Promise<Object|null>} - Matching organization, or null if not found
+   */
+  async resolveOrg(nameOrId) {
+    if (!nameOrId) {
+      return null;
+    }
+    
+    const needle = nameOrId.toLowerCase();
+    const orgs = await this.getGroupOrgs();
+    
+    // Prefer exact matches, then fall back to a partial name match ("payments" -> "Payments Team")
+    return orgs.find(org =>
+      org.id === nameOrId ||
+      (org.slug && org.slug.toLowerCase() === needle) ||
+      (org.name && org.name.toLowerCase() === needle)
+    ) || orgs.find(org =>
+      (org.slug && org.slug.toLowerCase().includes(needle)) ||
+      (org.name && org.name.toLowerCase().includes(needle))
+    ) || null;
+  }
+
+  /**
+   * Apply a caller's org restrictions to the org a query is about
+   * @param {string|null} orgId - Requested organization ID (null for the default scope)
+   * @param {Array<string>|null} allowedOrgs - Org IDs the caller may see (null for every org)
+   * @returns {Object} - { allowed: true, orgId } or { allowed: false, reason: 'forbidden' | 'org_required', message }
+   */
+  checkOrgAccess(orgId = null, allowedOrgs = null) {
+    if (!allowedOrgs) {
+      return { allowed: true, orgId };
+    }
+
+    // The default scope is the configured org, or the whole group in group mode
+    const effectiveOrgId = orgId || (this.isGroupMode() ? null : this.config.orgId);
+
+    if (effectiveOrgId) {
+      return allowedOrgs.includes(effectiveOrgId)
+        ? { allowed: true, orgId: effectiveOrgId }
+        : { allowed: false, reason: 'forbidden', message: 'You don\'t have access to that organization' };
+    }
+
+    // A group-wide query is narrowed to the caller's org when there is only one
+    if (allowedOrgs.length === 1) {
+      return { allowed: true, orgId: allowedOrgs[0] };
+    }
+
+    return {
+      allowed: false,
+      reason: 'org_required',
+      message: 'You have access to several organizations; please name the one you mean'
+    };
+  }
+
+  /**
+   * Format an organization ID into a user-friendly name
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<string>} - Organization display name
+   */
+  async formatOrgDisplay(orgId) {
+    if (!orgId) return 'unknown org';
+    
+    const orgs = await this.getGroupOrgs();
+    const org = orgs.find(candidate => candidate.id === orgId);
+    return org ? (org.name || org.slug || orgId) : orgId.substring(0, 8);
+  }
+
   /**
    * Get all events from the specified number of days ago
    * @param {number} days - Number of days to look back
-   * @param {string} orgId - Organization ID (optional, uses default if not provided)
+   * @param {string} orgId - Organization ID (optional, uses the default org, or the whole group in group mode)
+   * @param {Object} options - Sync options (onProgress)
    * @returns {Promise<Array>} - List of audit log events
    */
-  async getAllEvents(days = this.config.defaultDays, orgId = this.config.orgId) {
-    this._validateOrgId(orgId);
-    
+  async getAllEvents(days = this.config.defaultDays, orgId = null, options = {}) {
     const fromDate = daysAgo(days);
-    const toDate = new Date();
     
     logger.info(`Fetching all events from ${days} days ago`, { fromDate, orgId });
     
     try {
-      const events = await this.client.getAllOrgAuditLogs(orgId, fromDate, toDate);
+      const events = await this._queryEvents(fromDate, {}, orgId, options);
       logger.info(`Retrieved ${events.length} events`);
       return events;
     } catch (error) {
@@ -82,20 +624,19 @@ class SnykAuditService {
   }
 
   /**
-   * Get security events from the specified number of days ago
-   * @param {number} days - Number of days to look back
-   * @param {string} orgId - Organization ID (optional, uses default if not provided)
+   * Get security events from the specified number of days ago, or from a date window
+   * @param {number|Object} period - Number of days to look back, or a date window ({ from, to })
+   * @param {string} orgId - Organization ID (optional, uses the default org, or the whole group in group mode)
+   * @param {Object} options - Sync options (onProgress)
    * @returns {Promise<Array>} - List of security-related audit log events
    */
-  async getSecurityEvents(days = this.config.defaultDays, orgId = this.config.orgId) {
-    this._validateOrgId(orgId);
-    
-    const fromDate = daysAgo(days);
+  async getSecurityEvents(period = this.config.defaultDays, orgId = null, options = {}) {
+    const { fromDate, to, description } = this._resolvePeriod(period);
     
-    logger.info(`Fetching security events from ${days} days ago`, { fromDate, orgId });
+    logger.info(`Fetching security events ${description}`, { fromDate, to, orgId });
     
     try {
-      const events = await this.client.getSecurityAuditLogs(orgId, fromDate);
+      const events = await this._queryEvents(fromDate, { events: this.securityCriticalEvents, to }, orgId, options);
       logger.info(`Retrieved ${events.length} security events`);
       return events;
     } catch (error) {
@@ -105,20 +646,56 @@ class SnykAuditService {
   }
 
   /**
-   * Get user activity from the specified number of days ago
+   * Stream security-critical events from the specified number of days ago, or from a date window
+   * @param {number|Object} period - Number of days to look back, or a date window ({ from, to })
+   * @param {string} orgId - Organization ID (optional, uses the default org, or the whole group in group mode)
+   * @param {Object} options - Sync options (onProgress)
+   * @returns {AsyncGenerator<Object>} - Normalized security audit log events, in storage order
+   */
+  async *streamSecurityEvents(period = this.config.defaultDays, orgId = null, options = {}) {
+    yield* this.streamEvents(period, { events: this.securityCriticalEvents }, orgId, options);
+  }
+
+  /**
+   * Stream user activity from the specified number of days ago, or from a date window
    * @param {string} userId - User ID or name (optional)
-   * @param {number} days - Number of days to look back
-   * @param {string} orgId - Organization ID (optional, uses default if not provided)
-   * @returns {Promise<Array>} - List of user activity audit log events
+   * @param {number|Object} period - Number of days to look back, or a date window ({ from, to })
+   * @param {string} orgId - Organization ID (optional, uses the default org, or the whole group in group mode)
+   * @param {Object} options - Sync options (onProgress)
+   * @returns {AsyncGenerator<Object>} - Normalized user activity events, in storage order (none for an unknown user)
    */
-  async getUserActivity(userId = null, days = this.config.defaultDays, orgId = this.config.orgId) {
-    this._validateOrgId(orgId);
+  async *streamUserActivity(userId = null, period = this.config.defaultDays, orgId = null, options = {}) {
+    if (!userId) {
+      // Activity for all users focuses on user-related events
+      yield* this.streamEvents(period, { events: this.userActivityEvents }, orgId, options);
+      return;
+    }
     
-    const fromDate = daysAgo(days);
+    const resolvedUserId = await this.resolveUserId(userId, orgId);
+    
+    if (!resolvedUserId) {
+      logger.info(`No matching user found for name: ${userId}`);
+      return;
+    }
+    
+    yield* this.streamEvents(period, { userId: resolvedUserId }, orgId, options);
+  }
+
+  /**
+   * Get user activity from the specified number of days ago, or from a date window
+   * @param {string} userId - User ID or name (optional)
+   * @param {number|Object} period - Number of days to look back, or a date window ({ from, to })
+   * @param {string} orgId - Organization ID (optional, uses the default org, or the whole group in group mode)
+   * @param {Object} options - Sync options (onProgress)
+   * @returns {Promise<Array>} - List of user activity audit log events
+   */
+  async getUserActivity(userId = null, period = this.config.defaultDays, orgId = null, options = {}) {
+    const { fromDate, to, description } = this._resolvePeriod(period);
     
-    logger.info(`Fetching user activity from ${days} days ago`, { 
+    logger.info(`Fetching user activity ${description}`, { 
       userId: userId || 'all users', 
       fromDate, 
+      to,
       orgId 
     });
     
@@ -126,44 +703,18 @@ class SnykAuditService {
       let events = [];
       
       if (userId) {
-        // Check if userId is a UUID (Snyk API requires UUIDs for audit log filtering)
-        const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(userId);
+        const resolvedUserId = await this.resolveUserId(userId, orgId);
         
-        if (isUuid) {
-          // If it's a UUID, use it directly
-          events = await this.client.getUserAuditLogs(orgId, userId, fromDate);
-        } else {
-          // If it's not a UUID, it's likely a name - try to find the user in the org
-          logger.info(`Looking up user ID for name: ${userId}`);
-          
-          // Get all organization users
-          const orgUsers = await this.getAllOrgUsers(orgId);
-          
-          // Try to find a matching user
-          const matchingUser = orgUsers.find(user => 
-            (user.name && user.name.toLowerCase() === userId.toLowerCase()) || 
-            (user.username && user.username.toLowerCase() === userId.toLowerCase()) || 
-            (user.email && user.email.toLowerCase() === userId.toLowerCase())
-          );
-          
-          if (matchingUser && matchingUser.id) {
-            logger.info(`Found matching user ID: ${matchingUser.id} for name: ${userId}`);
-            // Use the UUID to fetch audit logs
-            events = await this.client.getUserAuditLogs(orgId, matchingUser.id, fromDate);
-          } else {
-            // No matching user found, return empty array
-            logger.info(`No matching user found for name: ${userId}`);
-            return [];
-          }
+        if (!resolvedUserId) {
+          // No matching user found, return empty array
+          logger.info(`No matching user found for name: ${userId}`);
+          return [];
         }
+        
+        events = await this._queryEvents(fromDate, { userId: resolvedUserId, to }, orgId, options);
       } else {
         // Get activity for all users focusing on user-related events
-        events = await this.client.getAllOrgAuditLogs(
-          orgId, 
-          fromDate, 
-          new Date(),
-          { events: this.userActivityEvents }
-        );
+        events = await this._queryEvents(fromDate, { events: this.userActivityEvents, to }, orgId, options);
       }
       
       logger.info(`Retrieved ${events.length} user activity events`);
@@ -175,20 +726,75 @@ class SnykAuditService {
     }
   }
 
+  /**
+   * Resolve a user name, username or email to a Snyk user ID
+   * The audit log is keyed by user ID, so names have to be looked up first.
+   * @param {string} nameOrId - User ID, name, username or email
+   * @param {string} orgId - Organization to look the user up in (optional)
+   * @returns {Promise<string|null>} - User ID, or null if no user matches
+   */
+  async resolveUserId(nameOrId, orgId = null) {
+    if (!nameOrId) {
+      return null;
+    }
+    
+    // Snyk API requires UUIDs for audit log filtering, so IDs are used as-is
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(nameOrId)) {
+      return nameOrId;
+    }
+    
+    logger.info(`Looking up user ID for name: ${nameOrId}`);
+    
+    const needle = nameOrId.toLowerCase();
+    const orgUsers = await this.getAllOrgUsers(orgId);
+    const matchingUser = orgUsers.find(user => 
+      (user.name && user.name.toLowerCase() === needle) || 
+      (user.username && user.username.toLowerCase() === needle) || 
+      (user.email && user.email.toLowerCase() === needle)
+    );
+    
+    if (matchingUser && matchingUser.id) {
+      logger.info(`Found matching user ID: ${matchingUser.id} for name: ${nameOrId}`);
+      return matchingUser.id;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Query events by arbitrary filters, for structured API access
+   * @param {Object} filters - Query filters
+   * @param {Date|string} filters.from - Start date
+   * @param {Date|string} filters.to - End date (optional)
+   * @param {Array<string>} filters.events - Event types, "org.policy.*" wildcards allowed (optional)
+   * @param {string} filters.userId - Only events performed by this user (optional)
+   * @param {string} filters.projectId - Only events for this project (optional)
+   * @param {string} orgId - Organization ID (optional, uses the default org, or the whole group in group mode)
+   * @param {Object} options - Sync options (onProgress)
+   * @returns {Promise<Array>} - Normalized audit log events, newest first
+   */
+  async queryEvents(filters = {}, orgId = null, options = {}) {
+    const { from, ...storeFilters } = filters;
+    const fromDate = from || daysAgo(this.config.defaultDays);
+    
+    logger.info('Querying events', { fromDate, orgId, ...storeFilters });
+    
+    return this._queryEvents(fromDate, storeFilters, orgId, options);
+  }
+
   /**
    * Get events from a specific time range
    * @param {Date|string} fromDate - Start date
    * @param {Date|string} toDate - End date
-   * @param {string} orgId - Organization ID (optional, uses default if not provided)
+   * @param {string} orgId - Organization ID (optional, uses the default org, or the whole group in group mode)
+   * @param {Object} options - Sync options (onProgress)
    * @returns {Promise<Array>} - List of audit log events
    */
-  async getEventsByTimeRange(fromDate, toDate, orgId = this.config.orgId) {
-    this._validateOrgId(orgId);
-    
+  async getEventsByTimeRange(fromDate, toDate, orgId = null, options = {}) {
     logger.info(`Fetching events from time range`, { fromDate, toDate, orgId });
     
     try {
-      const events = await this.client.getAllOrgAuditLogs(orgId, fromDate, toDate);
+      const events = await this._queryEvents(fromDate, { to: toDate }, orgId, options);
       logger.info(`Retrieved ${events.length} events for time range`);
       return events;
     } catch (error) {
@@ -199,7 +805,7 @@ class SnykAuditService {
 
   /**
    * Summarize events in a time range
-   * @param {Array} events - List of audit log events
+   * @param {Array} events - List of normalized audit log events
    * @param {Date|string} startDate - Start date
    * @param {Date|string} endDate - End date
    * @returns {Object} - Summary of events
@@ -208,8 +814,7 @@ class SnykAuditService {
     // Count unique users
     const uniqueUsers = new Set();
     events.forEach(event => {
-      const user = event.content?.user_id || event.content?.performed_by;
-      if (user) uniqueUsers.add(user);
+      if (event.actor) uniqueUsers.add(event.actor);
     });
     
     // Group events by type
@@ -226,7 +831,7 @@ class SnykAuditService {
     
     // Identify security-critical events
     const securityEvents = events.filter(event => 
-      this.securityCriticalEvents.includes(event.event)
+      this.taxonomy.isSecurityCritical(event.event)
     );
     
     // Identify after-hours events
@@ -255,12 +860,11 @@ class SnykAuditService {
    * Get project-related events
    * @param {string} projectId - Project ID
    * @param {number} days - Number of days to look back
-   * @param {string} orgId - Organization ID (optional, uses default if not provided)
+   * @param {string} orgId - Organization ID (optional, uses the default org, or the whole group in group mode)
+   * @param {Object} options - Sync options (onProgress)
    * @returns {Promise<Array>} - List of project-related audit log events
    */
-  async getProjectEvents(projectId, days = this.config.defaultDays, orgId = this.config.orgId) {
-    this._validateOrgId(orgId);
-    
+  async getProjectEvents(projectId, days = this.config.defaultDays, orgId = null, options = {}) {
     if (!projectId) {
       throw new Error('Project ID is required');
     }
@@ -274,7 +878,7 @@ class SnykAuditService {
     });
     
     try {
-      const events = await this.client.getProjectAuditLogs(orgId, projectId, fromDate);
+      const events = await this._queryEvents(fromDate, { projectId }, orgId, options);
       logger.info(`Retrieved ${events.length} project events`);
       return events;
     } catch (error) {
@@ -283,18 +887,13 @@ class SnykAuditService {
     }
   }
 
-  /**
-   * Get after-hours activity
-   * @param {number} days - Number of days to look back
-   * @param {string} orgId - Organization ID (optional, uses default if not provided)
-   * @returns {Promise<Array>} - List of after-hours audit log events
-   */
   /**
    * Get user information by user ID
    * @param {string} userId - User ID
+   * @param {string} orgId - Organization to look the user up in (optional)
    * @returns {Promise<Object>} - User information
    */
-  async getUserInfo(userId) {
+  async getUserInfo(userId, orgId = null) {
     if (!userId) {
       return { id: null, name: 'unknown user', username: null, email: null, displayName: 'unknown user' };
     }
@@ -322,7 +921,9 @@ class SnykAuditService {
         logger.debug(`Fetching user info for ${userId}`);
         
         try {
-          const userData = await this.client.getUserById(userId);
+          // In group mode without a default org, any member org can resolve the user
+          const lookupOrgId = orgId || this.config.orgId || (await this.getGroupOrgs())[0]?.id;
+          const userData = await this.client.getUserById(userId, lookupOrgId || undefined);
           
           // If we got valid data back, enhance our user info
           if (userData) {
@@ -387,9 +988,14 @@ class SnykAuditService {
     }
   }
   
-  async getAfterHoursActivity(days = this.config.defaultDays, orgId = this.config.orgId) {
-    this._validateOrgId(orgId);
-    
+  /**
+   * Get after-hours activity
+   * @param {number} days - Number of days to look back
+   * @param {string} orgId - Organization ID (optional, uses the default org, or the whole group in group mode)
+   * @param {Object} options - Sync options (onProgress)
+   * @returns {Promise<Array>} - List of after-hours audit log events
+   */
+  async getAfterHoursActivity(days = this.config.defaultDays, orgId = null, options = {}) {
     const fromDate = daysAgo(days);
     
     logger.info(`Fetching after-hours activity from ${days} days ago`, { 
@@ -403,7 +1009,7 @@ class SnykAuditService {
     
     try {
       // Get all events for the time period
-      const allEvents = await this.client.getAllOrgAuditLogs(orgId, fromDate, new Date());
+      const allEvents = await this._queryEvents(fromDate, {}, orgId, options);
       
       // Filter for after-hours events
       const afterHoursEvents = allEvents.filter(event => {
@@ -425,49 +1031,61 @@ class SnykAuditService {
   
   /**
    * Get all users in the organization
-   * @param {string} orgId - Organization ID (optional, uses default if not provided)
+   * In group mode without an org, the members of every org in the group are merged.
+   * @param {string} orgId - Organization ID (optional, uses the default org, or the whole group in group mode)
    * @param {boolean} forceRefresh - Whether to force a refresh of the cached users
    * @returns {Promise<Array>} - List of users in the organization with their details
    */
-  async getAllOrgUsers(orgId = this.config.orgId, forceRefresh = false) {
-    this._validateOrgId(orgId);
+  async getAllOrgUsers(orgId = null, forceRefresh = false) {
+    const scope = this._resolveScope(orgId);
+    const cacheKey = scope.orgId || scope.key;
     
     // Check if we have a cached list of users and it's not a forced refresh
-    if (this._orgUsersCache && !forceRefresh) {
+    if (this.orgUsersCache.has(cacheKey) && !forceRefresh) {
       logger.debug('Using cached organization users');
-      return this._orgUsersCache;
+      return this.orgUsersCache.get(cacheKey);
     }
     
-    logger.info(`Fetching all users in organization ${orgId}`);
+    const orgIds = scope.orgId ? [scope.orgId] : (await this.getGroupOrgs()).map(org => org.id);
+    
+    logger.info(`Fetching all users in ${scope.orgId ? `organization ${scope.orgId}` : `${orgIds.length} group organizations`}`);
     
     try {
-      // Get all users from the API
-      const users = await this.client.getAllOrgUsers(orgId);
+      const usersById = new Map();
       
-      // Process the user data to match our internal format
-      const processedUsers = users.map(user => {
-        const userData = user.attributes || {};
+      for (const id of orgIds) {
+        // Get all users from the API
+        const users = await this.client.getAllOrgUsers(id);
         
-        return {
-          id: user.id,
-          name: userData.name || null,
-          username: userData.username || null,
-          email: userData.email || null,
-          displayName: userData.name ? 
-            (userData.email ? `${userData.name} (${userData.email})` : userData.name) : 
-            (userData.email || `user ${user.id.substring(0, 8)}`)
-        };
-      });
+        users.forEach(user => {
+          if (usersById.has(user.id)) return;
+          
+          // Process the user data to match our internal format
+          const userData = user.attributes || user;
+          
+          usersById.set(user.id, {
+            id: user.id,
+            name: userData.name || null,
+            username: userData.username || null,
+            email: userData.email || null,
+            displayName: userData.name ? 
+              (userData.email ? `${userData.name} (${userData.email})` : userData.name) : 
+              (userData.email || `user ${user.id.substring(0, 8)}`)
+          });
+        });
+      }
+      
+      const processedUsers = Array.from(usersById.values());
       
       // Cache the processed users
-      this._orgUsersCache = processedUsers;
+      this.orgUsersCache.set(cacheKey, processedUsers);
       
       // Also update the individual user cache for each user
       processedUsers.forEach(user => {
         this.userCache.set(user.id, user);
       });
       
-      logger.info(`Retrieved ${processedUsers.length} users from organization ${orgId}`);
+      logger.info(`Retrieved ${processedUsers.length} users from ${cacheKey}`);
       return processedUsers;
     } catch (error) {
       // Get the error type from the client if available
@@ -480,6 +1098,50 @@ class SnykAuditService {
     }
   }
 
+  /**
+   * Track the newest event creation time seen for a scope
+   * @param {Object} state - Store sync state
+   * @param {Array} events - Newly fetched events
+   * @private
+   */
+  _updateLatestCreated(state, events) {
+    for (const event of events) {
+      if (event.created && (!state.latestCreated || new Date(event.created) > new Date(state.latestCreated))) {
+        state.latestCreated = event.created;
+      }
+    }
+  }
+
+  /**
+   * Resolve which Snyk scope a query runs against.
+   * In group mode all events are stored per group and an org ID only narrows
+   * the query; otherwise each org has its own store.
+   * @param {string} orgId - Organization ID (optional)
+   * @returns {Object} - Scope ({ key, type, id, orgId })
+   * @throws {Error} - If neither an organization nor a group is configured
+   * @private
+   */
+  _resolveScope(orgId = null) {
+    if (this.isGroupMode()) {
+      return {
+        key: `group-${this.config.groupId}`,
+        type: 'group',
+        id: this.config.groupId,
+        orgId: orgId || null
+      };
+    }
+    
+    const resolvedOrgId = orgId || this.config.orgId;
+    this._validateOrgId(resolvedOrgId);
+    
+    return {
+      key: `org-${resolvedOrgId}`,
+      type: 'org',
+      id: resolvedOrgId,
+      orgId: resolvedOrgId
+    };
+  }
+
   /**
    * Validate that an organization ID is provided
    * @param {string} orgId - Organization ID to validate
@@ -21,11 +21,35 @@ class ConfigManager {
       apiKey: '',
       orgId: '',
       groupId: '',
+      groupMode: false,
+      groupFanOut: false,
       baseUrl: 'https://api.snyk.io',
       defaultDays: 7,
       businessHoursStart: 8,
       businessHoursEnd: 18,
-      timezone: 'UTC'
+      baselineDays: 30,
+      anomalyThreshold: 3,
+      timezone: 'UTC',
+      eventStorePath: './data/audit-events',
+      syncIntervalMs: 60000,
+      requestsPerMinute: 1500,
+      maxConcurrentRequests: 5,
+      cassetteMode: 'off',
+      cassettePath: './data/cassettes/snyk-api.json',
+      taxonomyPath: '',
+      rulesPath: '',
+      apiTokensPath: './data/api-tokens.json',
+      clientRequestsPerMinute: 60,
+      clientBurst: 10,
+      expensiveQueriesPerHour: 10,
+      expensiveQueryDays: 30,
+      ipRequestsPerMinute: 120,
+      ipBurst: 30,
+      sessionStore: 'memory',
+      sessionPath: './data/sessions',
+      sessionTtlMinutes: 30,
+      sessionMaxHistory: 20,
+      sessionMaxCount: 10000
     };
 
     // Try to load config from the JSON file if it exists
@@ -54,6 +78,30 @@ class ConfigManager {
       apiKey: process.env.SNYK_API_KEY || baseConfig.apiKey,
       orgId: process.env.SNYK_ORG_ID || baseConfig.orgId,
       groupId: process.env.SNYK_GROUP_ID || baseConfig.groupId,
+      baseUrl: process.env.SNYK_API_URL || baseConfig.baseUrl,
+      groupMode: process.env.SNYK_GROUP_MODE ? process.env.SNYK_GROUP_MODE === 'true' : baseConfig.groupMode,
+      groupFanOut: process.env.SNYK_GROUP_FAN_OUT ? process.env.SNYK_GROUP_FAN_OUT === 'true' : baseConfig.groupFanOut,
+      eventStorePath: process.env.EVENT_STORE_PATH || baseConfig.eventStorePath,
+      requestsPerMinute: parseInt(process.env.SNYK_REQUESTS_PER_MINUTE, 10) || baseConfig.requestsPerMinute,
+      maxConcurrentRequests: parseInt(process.env.SNYK_MAX_CONCURRENT_REQUESTS, 10) || baseConfig.maxConcurrentRequests,
+      cassetteMode: process.env.SNYK_CASSETTE_MODE || baseConfig.cassetteMode,
+      cassettePath: process.env.SNYK_CASSETTE_PATH || baseConfig.cassettePath,
+      taxonomyPath: process.env.TAXONOMY_PATH || baseConfig.taxonomyPath,
+      rulesPath: process.env.DETECTION_RULES_PATH || baseConfig.rulesPath,
+      apiTokensPath: process.env.API_TOKENS_PATH || baseConfig.apiTokensPath,
+      clientRequestsPerMinute: parseInt(process.env.CLIENT_REQUESTS_PER_MINUTE, 10) || baseConfig.clientRequestsPerMinute,
+      clientBurst: parseInt(process.env.CLIENT_BURST, 10) || baseConfig.clientBurst,
+      expensiveQueriesPerHour: parseInt(process.env.EXPENSIVE_QUERIES_PER_HOUR, 10) || baseConfig.expensiveQueriesPerHour,
+      expensiveQueryDays: parseInt(process.env.EXPENSIVE_QUERY_DAYS, 10) || baseConfig.expensiveQueryDays,
+      ipRequestsPerMinute: parseInt(process.env.IP_REQUESTS_PER_MINUTE, 10) || baseConfig.ipRequestsPerMinute,
+      ipBurst: parseInt(process.env.IP_BURST, 10) || baseConfig.ipBurst,
+      sessionStore: process.env.SESSION_STORE || baseConfig.sessionStore,
+      sessionPath: process.env.SESSION_PATH || baseConfig.sessionPath,
+      sessionTtlMinutes: parseInt(process.env.SESSION_TTL_MINUTES, 10) || baseConfig.sessionTtlMinutes,
+      sessionMaxHistory: parseInt(process.env.SESSION_MAX_HISTORY, 10) || baseConfig.sessionMaxHistory,
+      sessionMaxCount: parseInt(process.env.SESSION_MAX_COUNT, 10) || baseConfig.sessionMaxCount,
+      baselineDays: process.env.ANOMALY_BASELINE_DAYS ? parseInt(process.env.ANOMALY_BASELINE_DAYS, 10) : baseConfig.baselineDays,
+      anomalyThreshold: parseFloat(process.env.ANOMALY_THRESHOLD) || baseConfig.anomalyThreshold,
     };
     
     return this.config;
@@ -0,0 +1,310 @@
+// src/config/detectionRules.js
+
+/**
+ * Detection Rules
+ *
+ * The checks the anomaly detector runs over audit events, written as data so
+ * security engineers can add their own without touching JavaScript. Custom
+ * rules come from a JSON or YAML file (or a directory of them), set through
+ * DETECTION_RULES_PATH or the `rulesPath` config:
+ *
+ *   rules:
+ *     - id: webhook_burst
+ *       description: Several webhooks added in a short time
+ *       match:
+ *         events: [org.webhook.add]
+ *       threshold: 3          # fires on more than 3 matching events...
+ *       window: 10m           # ...within any 10 minutes
+ *       groupBy: [org]
+ *       severity: high
+ *       message: "{count} webhooks added within {window} by {actors}"
+ *
+ * | Field     | Meaning                                                                                   |
+ * |-----------|-------------------------------------------------------------------------------------------|
+ * | id        | Rule name, reported as the activity type                                                  |
+ * | match     | events / excludeEvents ("*" wildcards), categories, severities, securityCritical, hours   |
+ * |           | (business or outside_business, in UTC), change ({ field, to })                            |
+ * | actor     | types (user, service_account, system), ids, excludeIds                                    |
+ * | threshold | Fires when more than this many matching events fall in the window (default 0)             |
+ * | window    | Sliding window (30m, 12h, 1d); without one, the whole period checked counts               |
+ * | groupBy   | Counted separately per actor, event, org, project or category; occurrence fires per event |
+ * | severity  | high, medium or low                                                                       |
+ * | message   | Template: {actor}, {actors}, {event}, {events}, {count}, {threshold}, {window}, {org},    |
+ * |           | {project}, {category}, {time}                                                             |
+ *
+ * Sequence rules have `steps` instead of a single match, and fire when the
+ * steps happen in order, for the same actor (or org or project), within the
+ * window. A step may need several events (`count`) and may require a field
+ * change (`change: { field, to }`):
+ *
+ *     - id: service_account_then_webhook
+ *       steps:
+ *         - name: service account created
+ *           match: { events: [org.service_account.create] }
+ *         - name: webhook added
+ *           match: { events: [org.webhook.add] }
+ *       window: 30m
+ *       groupBy: [org]
+ *       severity: high
+ *       message: "{steps} within {duration} ({actors})"
+ *
+ * Sequence messages can also use {steps} and {duration}.
+ *
+ * A custom rule with the id of a default rule replaces it, and
+ * `{ id, enabled: false }` turns a rule off. Rules with `onlyWithoutBaseline: true` only run when no
+ * per-account activity baseline is available.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { defaultLogger, validateSchema } = require('../utils');
+
+// Create a logger for this module
+const logger = defaultLogger.child('DetectionRules');
+
+const GROUP_KEYS = ['actor', 'event', 'org', 'project', 'category', 'occurrence'];
+
+// Sequences are followed per actor, org or project
+const SEQUENCE_GROUP_KEYS = ['actor', 'org', 'project'];
+
+const RULE_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const MATCH_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    events: stringList,
+    excludeEvents: stringList,
+    categories: stringList,
+    severities: { type: 'array', items: { type: 'string', enum: ['high', 'medium', 'low', 'info'] } },
+    securityCritical: { type: 'boolean' },
+    hours: { type: 'string', enum: ['business', 'outside_business'] },
+    change: {
+      type: 'object',
+      required: ['field'],
+      additionalProperties: false,
+      properties: {
+        field: { type: 'string', minLength: 1 },
+        to: {}
+      }
+    }
+  }
+};
+
+const ACTOR_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    types: { type: 'array', items: { type: 'string', enum: ['user', 'service_account', 'system'] } },
+    ids: stringList,
+    excludeIds: stringList
+  }
+};
+
+// What a rule may contain; unknown fields are rejected so typos don't silently widen a rule
+const RULE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'severity', 'message'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9_.-]+$' },
+    description: { type: 'string' },
+    enabled: { type: 'boolean' },
+    onlyWithoutBaseline: { type: 'boolean' },
+    match: MATCH_SCHEMA,
+    actor: ACTOR_SCHEMA,
+    threshold: { type: 'integer', minimum: 0 },
+    window: { type: 'string', pattern: '^[1-9]\\d{0,3}(m|h|d)$' },
+    groupBy: { type: 'array', items: { type: 'string', enum: GROUP_KEYS } },
+    severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+    message: { type: 'string', minLength: 1 }
+  }
+};
+
+// Sequence rules need a window, since a chain only counts if it happens quickly
+const SEQUENCE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'steps', 'window', 'severity', 'message'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9_.-]+$' },
+    description: { type: 'string' },
+    enabled: { type: 'boolean' },
+    steps: {
+      type: 'array',
+      minItems: 2,
+      maxItems: 10,
+      items: {
+        type: 'object',
+        required: ['name', 'match'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          match: MATCH_SCHEMA,
+          actor: ACTOR_SCHEMA,
+          count: { type: 'integer', minimum: 1, maximum: 100 }
+        }
+      }
+    },
+    window: { type: 'string', pattern: '^[1-9]\\d{0,3}(m|h|d)$' },
+    groupBy: { type: 'array', maxItems: 1, items: { type: 'string', enum: SEQUENCE_GROUP_KEYS } },
+    severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+    message: { type: 'string', minLength: 1 }
+  }
+};
+
+// The detector's built-in checks
+const DEFAULT_RULES = [
+  {
+    id: 'high_volume_sensitive_actions',
+    description: 'A user performs the same security-critical action many times',
+    onlyWithoutBaseline: true,
+    match: { securityCritical: true },
+    threshold: 5,
+    groupBy: ['actor', 'event'],
+    severity: 'medium',
+    message: 'User {actor} performed {event} {count} times'
+  },
+  {
+    id: 'after_hours_activity',
+    description: 'Security-critical activity outside business hours',
+    match: { securityCritical: true, hours: 'outside_business' },
+    groupBy: ['occurrence'],
+    severity: 'medium',
+    message: 'After-hours security-critical activity: {event} by {actor} at {time}'
+  },
+  {
+    id: 'service_account_unusual_activity',
+    description: 'A service account performs a security-critical action other than CI testing',
+    match: { securityCritical: true, excludeEvents: ['org.project.test*'] },
+    actor: { types: ['service_account'] },
+    groupBy: ['occurrence'],
+    severity: 'high',
+    message: 'Service account {actor} performed security-critical action {event}'
+  },
+  {
+    id: 'service_account_then_webhook',
+    description: 'A service account is created and a webhook added soon after, a common way to exfiltrate data',
+    steps: [
+      { name: 'service account created', match: { events: ['org.service_account.create'] } },
+      { name: 'webhook added', match: { events: ['org.webhook.add'] } }
+    ],
+    window: '30m',
+    groupBy: ['org'],
+    severity: 'high',
+    message: 'A service account was created and a webhook added {duration} later ({actors})'
+  },
+  {
+    id: 'integration_sast_ignores',
+    description: 'An integration is edited, SAST is turned off and issues are ignored, hiding what would be found',
+    steps: [
+      { name: 'integration edited', match: { events: ['org.integration.edit', 'org.integration.settings.edit'] } },
+      { name: 'SAST disabled', match: { events: ['org.sast_settings.edit'], change: { field: 'sastEnabled', to: false } } },
+      { name: 'ignores created', match: { events: ['org.project.ignore.create'] }, count: 3 }
+    ],
+    window: '1h',
+    groupBy: ['actor'],
+    severity: 'high',
+    message: '{actor} edited an integration, disabled SAST and started ignoring issues within {duration}'
+  }
+];
+
+// Rule sets already loaded, keyed by rules path
+const ruleSets = new Map();
+
+/**
+ * Check a detection rule
+ * @param {Object} rule - Rule
+ * @returns {Array<string>} - Problems with the rule (empty if it is valid)
+ */
+function validateRule(rule) {
+  const isSequence = rule !== null && typeof rule === 'object' && rule.steps !== undefined;
+  const validation = validateSchema(rule, isSequence ? SEQUENCE_SCHEMA : RULE_SCHEMA);
+  return Object.values(validation.errors);
+}
+
+/**
+ * Load detection rules from a JSON or YAML file, or from every such file in a directory
+ * @param {string} rulesPath - Rules file or directory
+ * @returns {Array<Object>} - Rules, in file order
+ * @throws {Error} - If a file can't be read or parsed
+ */
+function loadDetectionRules(rulesPath) {
+  const files = fs.statSync(rulesPath).isDirectory()
+    ? fs.readdirSync(rulesPath)
+      .filter(file => RULE_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort()
+      .map(file => path.join(rulesPath, file))
+    : [rulesPath];
+
+  return files.flatMap(file => {
+    const data = fs.readFileSync(file, 'utf8');
+    const extension = path.extname(file).toLowerCase();
+    const parsed = extension === '.yaml' || extension === '.yml' ? yaml.load(data) : JSON.parse(data);
+
+    // Accept both { rules: [...] } and a bare list of rules
+    const rules = Array.isArray(parsed) ? parsed : (parsed && parsed.rules) || [];
+    if (!Array.isArray(rules)) {
+      throw new Error(`${file}: rules must be a list`);
+    }
+    return rules;
+  });
+}
+
+/**
+ * Get the default rules combined with custom rules from a file, if configured.
+ * Invalid custom rules are logged and skipped.
+ * @param {string} rulesPath - Rules file or directory (optional, defaults to DETECTION_RULES_PATH)
+ * @returns {Array<Object>} - Enabled rules
+ */
+function getDetectionRules(rulesPath = process.env.DETECTION_RULES_PATH) {
+  const key = rulesPath || '';
+
+  if (!ruleSets.has(key)) {
+    const rules = new Map(DEFAULT_RULES.map(rule => [rule.id, rule]));
+
+    // A broken rules file falls back to the default rules rather than stopping the bot
+    if (rulesPath) {
+      try {
+        const custom = loadDetectionRules(rulesPath);
+        let loaded = 0;
+
+        custom.forEach((rule, index) => {
+          // Turning a rule off only needs its id
+          if (rule && rule.enabled === false && typeof rule.id === 'string') {
+            rules.delete(rule.id);
+            return;
+          }
+
+          const errors = validateRule(rule);
+          if (errors.length > 0) {
+            logger.error(`Skipping detection rule ${(rule && rule.id) || `#${index + 1}`} from ${rulesPath}: ${errors.join('; ')}`);
+            return;
+          }
+          rules.set(rule.id, rule);
+          loaded++;
+        });
+
+        logger.info(`Loaded ${loaded} detection rules from ${rulesPath}`);
+      } catch (error) {
+        logger.error(`Failed to load detection rules from ${rulesPath}: ${error.message}`);
+      }
+    }
+
+    ruleSets.set(key, [...rules.values()]);
+  }
+
+  return ruleSets.get(key);
+}
+
+module.exports = {
+  getDetectionRules,
+  loadDetectionRules,
+  validateRule,
+  DEFAULT_RULES,
+  GROUP_KEYS,
+  SEQUENCE_GROUP_KEYS
+};
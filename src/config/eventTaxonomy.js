@@ -0,0 +1,370 @@
+// src/config/eventTaxonomy.js
+
+/**
+ * Snyk Audit Event Taxonomy
+ *
+ * The single registry of known Snyk audit log events. Every event maps to a
+ * category, a default severity (high, medium, low or info), a human
+ * description and whether it is security-critical. The API client, audit
+ * service and core analyzers all read from here instead of keeping their own
+ * event lists.
+ *
+ * Organizations can override entries (or add their own events) with a JSON
+ * or YAML file, set through TAXONOMY_PATH or the `taxonomyPath` config:
+ *
+ *   events:
+ *     org.project.ignore.create:
+ *       severity: high
+ *     org.custom.thing.edit:
+ *       category: custom
+ *       severity: medium
+ *       security: true
+ *       description: Custom thing edited
+ *
+ * Lists of event types elsewhere (the event store's `events` filter,
+ * detection rules) may use "*" wildcards; eventTypeMatcher matches them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { defaultLogger } = require('../utils');
+
+// Create a logger for this module
+const logger = defaultLogger.child('EventTaxonomy');
+
+const SEVERITIES = ['high', 'medium', 'low', 'info'];
+
+// Categories whose events describe what users do to memberships and access
+const USER_ACTIVITY_CATEGORIES = ['user', 'access'];
+
+const DEFAULT_EVENTS = {
+  // Policies
+  'org.policy.create': { category: 'policy', severity: 'high', security: true, description: 'Security policy created' },
+  'org.policy.edit': { category: 'policy', severity: 'medium', security: true, description: 'Security policy modified' },
+  'org.policy.delete': { category: 'policy', severity: 'high', security: true, description: 'Security policy deleted' },
+  'org.ignore_policy.edit': { category: 'ignore', severity: 'low', security: true, description: 'Ignore policy modified' },
+
+  // Ignores
+  'org.project.ignore.create': { category: 'ignore', severity: 'medium', security: true, description: 'Issue ignored in a project' },
+  'org.project.ignore.edit': { category: 'ignore', severity: 'low', security: true, description: 'Project ignore modified' },
+  'org.project.ignore.delete': { category: 'ignore', severity: 'low', security: true, description: 'Project ignore removed' },
+
+  // Integrations
+  'org.integration.create': { category: 'integration', severity: 'medium', security: true, description: 'Integration added' },
+  'org.integration.edit': { category: 'integration', severity: 'medium', security: true, description: 'Integration modified' },
+  'org.integration.delete': { category: 'integration', severity: 'low', security: true, description: 'Integration removed' },
+  'org.integration.settings.edit': { category: 'integration', severity: 'low', security: false, description: 'Integration settings modified' },
+
+  // Service accounts
+  'org.service_account.create': { category: 'service_account', severity: 'high', security: true, description: 'Service account created' },
+  'org.service_account.edit': { category: 'service_account', severity: 'low', security: true, description: 'Service account modified' },
+  'org.service_account.delete': { category: 'service_account', severity: 'low', security: true, description: 'Service account deleted' },
+
+  // Settings
+  'org.settings.feature_flag.edit': { category: 'feature_flag', severity: 'medium', security: true, description: 'Feature flag changed' },
+  'org.sast_settings.edit': { category: 'sast', severity: 'low', security: true, description: 'Snyk Code (SAST) settings modified' },
+  'org.language_settings.edit': { category: 'settings', severity: 'info', security: false, description: 'Language settings modified' },
+  'org.notification_settings.edit': { category: 'settings', severity: 'info', security: false, description: 'Notification settings modified' },
+  'org.request_access_settings.edit': { category: 'settings', severity: 'low', security: false, description: 'Access request settings modified' },
+  'org.cloud_config.settings.edit': { category: 'settings', severity: 'low', security: false, description: 'Cloud configuration settings modified' },
+
+  // Webhooks
+  'org.webhook.add': { category: 'webhook', severity: 'high', security: true, description: 'Webhook added' },
+  'org.webhook.delete': { category: 'webhook', severity: 'low', security: true, description: 'Webhook deleted' },
+
+  // Organization
+  'org.create': { category: 'org', severity: 'info', security: false, description: 'Organization created' },
+  'org.edit': { category: 'org', severity: 'info', security: false, description: 'Organization modified' },
+  'org.delete': { category: 'org', severity: 'low', security: false, description: 'Organization deleted' },
+
+  // Users and roles
+  'org.user.add': { category: 'user', severity: 'info', security: false, description: 'User added to the organization' },
+  'org.user.remove': { category: 'user', severity: 'info', security: false, description: 'User removed from the organization' },
+  'org.user.leave': { category: 'user', severity: 'info', security: false, description: 'User left the organization' },
+  'org.user.invite': { category: 'user', severity: 'info', security: false, description: 'User invited' },
+  'org.user.invite.accept': { category: 'user', severity: 'info', security: false, description: 'Invitation accepted' },
+  'org.user.invite.revoke': { category: 'user', severity: 'info', security: false, description: 'Invitation revoked' },
+  'org.user.invite_link.create': { category: 'user', severity: 'info', security: false, description: 'Invite link created' },
+  'org.user.invite_link.accept': { category: 'user', severity: 'info', security: false, description: 'Invite link accepted' },
+  'org.user.invite_link.revoke': { category: 'user', severity: 'info', security: false, description: 'Invite link revoked' },
+  'org.user.provision.create': { category: 'user', severity: 'info', security: false, description: 'User provisioned' },
+  'org.user.provision.accept': { category: 'user', severity: 'info', security: false, description: 'User provisioning accepted' },
+  'org.user.provision.delete': { category: 'user', severity: 'info', security: false, description: 'User provisioning removed' },
+  'org.user.role.create': { category: 'user', severity: 'info', security: false, description: 'Role created' },
+  'org.user.role.edit': { category: 'user', severity: 'info', security: false, description: 'User role changed' },
+  'org.user.role.delete': { category: 'user', severity: 'info', security: false, description: 'Role deleted' },
+  'org.user.role.details.edit': { category: 'user', severity: 'info', security: false, description: 'Role details modified' },
+  'org.user.role.permissions.edit': { category: 'user', severity: 'info', security: false, description: 'Role permissions modified' },
+  'api.access': { category: 'access', severity: 'info', security: false, description: 'API accessed' },
+
+  // Projects
+  'org.project.add': { category: 'project', severity: 'info', security: false, description: 'Project added' },
+  'org.project.edit': { category: 'project', severity: 'info', security: false, description: 'Project modified' },
+  'org.project.delete': { category: 'project', severity: 'info', security: false, description: 'Project deleted' },
+  'org.project.remove': { category: 'project', severity: 'info', security: false, description: 'Project removed' },
+  'org.project.monitor': { category: 'project', severity: 'info', security: false, description: 'Project monitored' },
+  'org.project.stop_monitor': { category: 'project', severity: 'low', security: false, description: 'Project monitoring stopped' },
+  'org.project.test': { category: 'project', severity: 'info', security: false, description: 'Project tested' },
+  'org.project.settings.edit': { category: 'project', severity: 'info', security: false, description: 'Project settings modified' },
+  'org.project.settings.delete': { category: 'project', severity: 'info', security: false, description: 'Project settings removed' },
+  'org.project.attributes.edit': { category: 'project', severity: 'info', security: false, description: 'Project attributes modified' },
+  'org.project.tag.add': { category: 'project', severity: 'info', security: false, description: 'Project tag added' },
+  'org.project.tag.remove': { category: 'project', severity: 'info', security: false, description: 'Project tag removed' },
+  'org.project.pr_check.edit': { category: 'project', severity: 'low', security: false, description: 'Pull request check settings modified' },
+  'org.project.fix_pr.auto_open': { category: 'project', severity: 'info', security: false, description: 'Fix PR opened automatically' },
+  'org.project.fix_pr.manual_open': { category: 'project', severity: 'info', security: false, description: 'Fix PR opened manually' },
+
+  // Targets, apps and collections
+  'org.target.create': { category: 'target', severity: 'info', security: false, description: 'Target created' },
+  'org.target.delete': { category: 'target', severity: 'info', security: false, description: 'Target deleted' },
+  'org.app.create': { category: 'app', severity: 'low', security: false, description: 'Snyk App created' },
+  'org.app.edit': { category: 'app', severity: 'low', security: false, description: 'Snyk App modified' },
+  'org.app.delete': { category: 'app', severity: 'low', security: false, description: 'Snyk App deleted' },
+  'org.app_bot.create': { category: 'app', severity: 'low', security: false, description: 'Snyk App bot created' },
+  'org.collection.create': { category: 'collection', severity: 'info', security: false, description: 'Collection created' },
+  'org.collection.edit': { category: 'collection', severity: 'info', security: false, description: 'Collection modified' },
+  'org.collection.delete': { category: 'collection', severity: 'info', security: false, description: 'Collection deleted' },
+
+  // Group-level events
+  'group.create': { category: 'group', severity: 'info', security: false, description: 'Group created' },
+  'group.edit': { category: 'group', severity: 'info', security: false, description: 'Group modified' },
+  'group.delete': { category: 'group', severity: 'low', security: false, description: 'Group deleted' },
+  'group.org.add': { category: 'group', severity: 'info', security: false, description: 'Organization added to the group' },
+  'group.org.remove': { category: 'group', severity: 'low', security: false, description: 'Organization removed from the group' },
+  'group.policy.create': { category: 'policy', severity: 'high', security: true, description: 'Group policy created' },
+  'group.policy.edit': { category: 'policy', severity: 'medium', security: true, description: 'Group policy modified' },
+  'group.policy.delete': { category: 'policy', severity: 'high', security: true, description: 'Group policy deleted' },
+  'group.service_account.create': { category: 'service_account', severity: 'high', security: true, description: 'Group service account created' },
+  'group.service_account.edit': { category: 'service_account', severity: 'low', security: true, description: 'Group service account modified' },
+  'group.service_account.delete': { category: 'service_account', severity: 'low', security: true, description: 'Group service account deleted' },
+  'group.settings.edit': { category: 'settings', severity: 'low', security: false, description: 'Group settings modified' },
+  'group.settings.feature_flag.edit': { category: 'feature_flag', severity: 'medium', security: true, description: 'Group feature flag changed' },
+  'group.sso.add': { category: 'sso', severity: 'high', security: true, description: 'SSO connection added' },
+  'group.sso.edit': { category: 'sso', severity: 'high', security: true, description: 'SSO connection modified' },
+  'group.sso.delete': { category: 'sso', severity: 'high', security: true, description: 'SSO connection deleted' },
+  'group.user.add': { category: 'user', severity: 'info', security: false, description: 'User added to the group' },
+  'group.user.remove': { category: 'user', severity: 'info', security: false, description: 'User removed from the group' },
+  'group.user.role.edit': { category: 'user', severity: 'info', security: false, description: 'Group user role changed' },
+  'group.role.create': { category: 'user', severity: 'info', security: false, description: 'Group role created' },
+  'group.role.edit': { category: 'user', severity: 'info', security: false, description: 'Group role modified' },
+  'group.role.delete': { category: 'user', severity: 'info', security: false, description: 'Group role deleted' },
+  'group.notification_settings.edit': { category: 'settings', severity: 'info', security: false, description: 'Group notification settings modified' },
+  'group.request_access_settings.edit': { category: 'settings', severity: 'low', security: false, description: 'Group access request settings modified' },
+  'group.tag.create': { category: 'group', severity: 'info', security: false, description: 'Group tag created' },
+  'group.tag.delete': { category: 'group', severity: 'info', security: false, description: 'Group tag deleted' }
+};
+
+// Shared taxonomies, one per override file
+const taxonomies = new Map();
+
+class EventTaxonomy {
+  /**
+   * Create a new event taxonomy
+   * @param {Object} overrides - Event overrides keyed by event type ({ category, severity, security, description })
+   */
+  constructor(overrides = {}) {
+    this.events = {};
+
+    Object.keys(DEFAULT_EVENTS).forEach(eventType => {
+      this.events[eventType] = { ...DEFAULT_EVENTS[eventType] };
+    });
+
+    Object.keys(overrides).forEach(eventType => {
+      const override = overrides[eventType] || {};
+
+      if (override.severity && !SEVERITIES.includes(override.severity)) {
+        throw new Error(`Invalid severity "${override.severity}" for ${eventType}. Use one of: ${SEVERITIES.join(', ')}`);
+      }
+
+      this.events[eventType] = {
+        ...this._inferEntry(eventType),
+        ...this.events[eventType],
+        ...override
+      };
+    });
+  }
+
+  /**
+   * Get the taxonomy entry for an event type
+   * Unknown events get an inferred entry with severity "info".
+   * @param {string} eventType - Event type (e.g. "org.policy.edit")
+   * @returns {Object} - Entry ({ event, category, severity, security, description, known })
+   */
+  get(eventType) {
+    const entry = this.events[eventType];
+
+    if (!entry) {
+      return { event: eventType, ...this._inferEntry(eventType), known: false };
+    }
+
+    return { event: eventType, ...entry, known: true };
+  }
+
+  /**
+   * Get the severity of an event type
+   * @param {string} eventType - Event type
+   * @returns {string} - Severity (high, medium, low or info)
+   */
+  getSeverity(eventType) {
+    return this.get(eventType).severity;
+  }
+
+  /**
+   * Get the category of an event type
+   * @param {string} eventType - Event type
+   * @returns {string} - Category (e.g. "policy", "integration")
+   */
+  getCategory(eventType) {
+    return this.get(eventType).category;
+  }
+
+  /**
+   * Get the human description of an event type
+   * @param {string} eventType - Event type
+   * @returns {string} - Description
+   */
+  describe(eventType) {
+    return this.get(eventType).description;
+  }
+
+  /**
+   * Check whether an event type is security-critical
+   * @param {string} eventType - Event type
+   * @returns {boolean} - Whether the event is security-critical
+   */
+  isSecurityCritical(eventType) {
+    return this.get(eventType).security === true;
+  }
+
+  /**
+   * Check whether an event type describes user or access activity
+   * @param {string} eventType - Event type
+   * @returns {boolean} - Whether the event is user activity
+   */
+  isUserActivity(eventType) {
+    return USER_ACTIVITY_CATEGORIES.includes(this.get(eventType).category);
+  }
+
+  /**
+   * Get all security-critical event types
+   * @returns {Array<string>} - Event types
+   */
+  getSecurityEvents() {
+    return this._filterEvents(entry => entry.security === true);
+  }
+
+  /**
+   * Get all user activity event types
+   * @returns {Array<string>} - Event types
+   */
+  getUserActivityEvents() {
+    return this._filterEvents(entry => USER_ACTIVITY_CATEGORIES.includes(entry.category));
+  }
+
+  /**
+   * Get all event types with a severity
+   * @param {string} severity - Severity (high, medium, low or info)
+   * @returns {Array<string>} - Event types
+   */
+  getEventsBySeverity(severity) {
+    return this._filterEvents(entry => entry.severity === severity);
+  }
+
+  /**
+   * Get all event types in a category
+   * @param {string} category - Category
+   * @returns {Array<string>} - Event types
+   */
+  getEventsByCategory(category) {
+    return this._filterEvents(entry => entry.category === category);
+  }
+
+  _filterEvents(predicate) {
+    return Object.keys(this.events).filter(eventType => predicate(this.events[eventType]));
+  }
+
+  /**
+   * Build an entry for an event the taxonomy doesn't know
+   * @param {string} eventType - Event type
+   * @returns {Object} - Inferred entry
+   * @private
+   */
+  _inferEntry(eventType) {
+    const parts = String(eventType).split('.');
+    const category = parts.length > 2 ? parts[parts.length - 2] : parts[0];
+
+    return {
+      category,
+      severity: 'info',
+      security: false,
+      description: String(eventType).replace(/^(org|group)\./, '').replace(/[._]/g, ' ')
+    };
+  }
+}
+
+/**
+ * Build a matcher for a list of event types, some of which may be wildcards
+ * @param {Array<string>} eventTypes - Event types ("org.webhook.add", "org.policy.*")
+ * @returns {Function} - Predicate taking an event type
+ */
+function eventTypeMatcher(eventTypes) {
+  const exact = new Set(eventTypes.filter(type => !type.includes('*')));
+  const patterns = eventTypes
+    .filter(type => type.includes('*'))
+    .map(type => new RegExp(`^${type.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`));
+
+  return eventType => exact.has(eventType) || patterns.some(pattern => pattern.test(eventType));
+}
+
+/**
+ * Load taxonomy overrides from a JSON or YAML file
+ * @param {string} filePath - Path to the overrides file
+ * @returns {Object} - Event overrides keyed by event type
+ * @throws {Error} - If the file can't be read or parsed
+ */
+function loadTaxonomyOverrides(filePath) {
+  const data = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  const parsed = extension === '.yaml' || extension === '.yml' ? yaml.load(data) : JSON.parse(data);
+
+  // Accept both { events: {...} } and a bare map of events
+  return (parsed && parsed.events) || parsed || {};
+}
+
+/**
+ * Get the shared taxonomy, applying overrides from a file if configured
+ * @param {string} overridesPath - Overrides file (optional, defaults to TAXONOMY_PATH)
+ * @returns {EventTaxonomy} - Shared taxonomy
+ */
+function getEventTaxonomy(overridesPath = process.env.TAXONOMY_PATH) {
+  const key = overridesPath || '';
+
+  if (!taxonomies.has(key)) {
+    let taxonomy = new EventTaxonomy();
+
+    // A broken overrides file falls back to the defaults rather than stopping the bot
+    if (overridesPath) {
+      try {
+        const overrides = loadTaxonomyOverrides(overridesPath);
+        taxonomy = new EventTaxonomy(overrides);
+        logger.info(`Loaded ${Object.keys(overrides).length} event taxonomy overrides from ${overridesPath}`);
+      } catch (error) {
+        logger.error(`Failed to load event taxonomy overrides from ${overridesPath}: ${error.message}`);
+      }
+    }
+
+    taxonomies.set(key, taxonomy);
+  }
+
+  return taxonomies.get(key);
+}
+
+module.exports = {
+  EventTaxonomy,
+  getEventTaxonomy,
+  loadTaxonomyOverrides,
+  eventTypeMatcher,
+  DEFAULT_EVENTS,
+  SEVERITIES
+};
@@ -7,7 +7,13 @@
  */
 
 const ConfigManager = require('./configManager');
+const { EventTaxonomy, getEventTaxonomy } = require('./eventTaxonomy');
+const { getDetectionRules, validateRule } = require('./detectionRules');
 
 module.exports = {
-  ConfigManager
+  ConfigManager,
+  EventTaxonomy,
+  getEventTaxonomy,
+  getDetectionRules,
+  validateRule
 };
\ No newline at end of file
@@ -0,0 +1,338 @@
+// src/core/activityBaseline.js
+
+/**
+ * Activity Baseline
+ *
+ * Learns what is normal for each user and service account from their audit
+ * history (daily volume, daily count of each event type and the hours they
+ * are active) and scores recent activity against it. Each deviation gets a
+ * z-score and the numbers behind it, so it can be explained:
+ *
+ *   "Mallory normally performs 1 ignore created actions a day; 9 yesterday (score 8.1)"
+ *
+ * Days without any activity count as zero, so occasional actions keep a low
+ * normal range. A deviation that lasts several days is reported once, for
+ * its worst day. Hours are UTC, like the after-hours check.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deviations at or above this many standard deviations are flagged
+const DEFAULT_THRESHOLD = 3;
+
+// Fewer actions than this in a day are never a volume spike, whatever the score
+const DEFAULT_MIN_COUNT = 3;
+
+// Active hours are only learned from at least this many events
+const DEFAULT_MIN_HOUR_EVENTS = 20;
+
+// Floor for standard deviations, so a perfectly regular history doesn't make every change infinitely unusual
+const MIN_STDDEV = 1;
+
+class ActivityBaseline {
+  /**
+   * Create an activity baseline scorer
+   * @param {Object} options - Scoring options
+   * @param {number} options.threshold - z-score at which activity is flagged (default 3)
+   * @param {number} options.minCount - Fewest actions a day that can be a spike (default 3)
+   * @param {number} options.minHourEvents - Fewest history events to learn active hours from (default 20)
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold || DEFAULT_THRESHOLD;
+    this.minCount = options.minCount || DEFAULT_MIN_COUNT;
+    this.minHourEvents = options.minHourEvents || DEFAULT_MIN_HOUR_EVENTS;
+  }
+
+  /**
+   * Create an empty activity profile for a period
+   * @param {Date|string} from - Start of the period
+   * @param {Date|string} to - End of the period
+   * @returns {Object} - Profile ({ from, to, days, total, actors })
+   */
+  createProfile(from, to) {
+    const start = new Date(from);
+    const end = new Date(to);
+
+    return {
+      from: start.toISOString(),
+      to: end.toISOString(),
+      days: Math.max(1, Math.round((end.getTime() - start.getTime()) / DAY_MS)),
+      total: 0,
+      actors: {}
+    };
+  }
+
+  /**
+   * Count one event into a profile
+   * @param {Object} profile - Profile from createProfile
+   * @param {Object} event - Normalized audit log event
+   */
+  addEvent(profile, event) {
+    const actor = event.actor;
+
+    if (!actor) {
+      return;
+    }
+
+    if (!profile.actors[actor]) {
+      profile.actors[actor] = { actorType: event.actorType || 'user', total: 0, daily: {}, eventTypes: {}, hours: new Array(24).fill(0), dailyHours: {} };
+    }
+
+    const activity = profile.actors[actor];
+    const created = new Date(event.created);
+    const day = created.toISOString().substring(0, 10);
+    const hour = created.getUTCHours();
+
+    activity.total++;
+    activity.daily[day] = (activity.daily[day] || 0) + 1;
+    activity.hours[hour]++;
+
+    if (!activity.eventTypes[event.event]) {
+      activity.eventTypes[event.event] = {};
+    }
+    activity.eventTypes[event.event][day] = (activity.eventTypes[event.event][day] || 0) + 1;
+
+    if (!activity.dailyHours[day]) {
+      activity.dailyHours[day] = new Array(24).fill(0);
+    }
+    activity.dailyHours[day][hour]++;
+
+    profile.total++;
+  }
+
+  /**
+   * Learn a profile from a period of history
+   * @param {AsyncIterable|Array} events - Normalized audit log events from the period
+   * @param {Date|string} from - Start of the period
+   * @param {Date|string} to - End of the period
+   * @returns {Promise<Object>} - Profile
+   */
+  async learn(events, from, to) {
+    const profile = this.createProfile(from, to);
+
+    for await (const event of events) {
+      this.addEvent(profile, event);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Score recent activity against a baseline and list what deviates from it
+   * @param {Object} baseline - Profile of the history
+   * @param {Object} recent - Profile of the recent activity
+   * @param {Date} now - Current time, for "today" and "yesterday" (default: now)
+   * @returns {Array<Object>} - Deviations ({ type: 'baseline_deviation', metric, user, actorType, day, days, count,
+   *   expected: { mean, stddev, low, high }, score, severity, description }), one per account and kind of
+   *   deviation for its worst day (days counts the unusual days), highest score first
+   */
+  compare(baseline, recent, now = new Date()) {
+    const deviations = {};
+    const add = (deviation, actor, activity, day) => {
+      const key = `${actor}|${deviation.metric}|${deviation.eventType || ''}`;
+      const previous = deviations[key];
+      
+      if (!previous || deviation.score > previous.score) {
+        deviations[key] = { ...deviation, user: actor, actorType: activity.actorType, day, days: previous ? previous.days + 1 : 1 };
+      } else {
+        previous.days++;
+      }
+    };
+
+    Object.entries(recent.actors).forEach(([actor, activity]) => {
+      const history = baseline.actors[actor] || null;
+      const days = Object.keys(activity.daily).sort();
+
+      days.forEach(day => {
+        const typeDeviations = Object.keys(activity.eventTypes)
+          .filter(eventType => activity.eventTypes[eventType][day])
+          .map(eventType => this._scoreCount(
+            activity.eventTypes[eventType][day],
+            history ? history.eventTypes[eventType] : null,
+            baseline.days,
+            { metric: 'event_type', eventType }
+          ))
+          .filter(Boolean);
+
+        // A spike in one kind of action explains a spike in the total, so the total is only reported on its own
+        if (typeDeviations.length > 0) {
+          typeDeviations.forEach(deviation => add(deviation, actor, activity, day));
+        } else {
+          const volume = this._scoreCount(activity.daily[day], history ? history.daily : null, baseline.days, { metric: 'volume' });
+          if (volume) {
+            add(volume, actor, activity, day);
+          }
+        }
+
+        const hours = history ? this._scoreHours(activity.dailyHours[day], history.hours) : null;
+        if (hours) {
+          add(hours, actor, activity, day);
+        }
+      });
+    });
+
+    return Object.values(deviations)
+      .map(deviation => ({
+        type: 'baseline_deviation',
+        ...deviation,
+        severity: deviation.score >= this.threshold * 2 ? 'high' : 'medium',
+        description: this.explain(deviation, deviation.user, now)
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Explain a deviation in words
+   * @param {Object} deviation - Deviation from compare()
+   * @param {string} userDisplay - How to name the user
+   * @param {Date} now - Current time, for "today" and "yesterday" (default: now)
+   * @param {Function} formatEventType - Turns event types into words (default: the raw type)
+   * @returns {string} - Explanation, e.g. "alice normally performs 0–1 policy modified actions a day; 14 today (score 13.0)"
+   */
+  explain(deviation, userDisplay, now = new Date(), formatEventType = eventType => eventType) {
+    const when = this._describeDay(deviation.day, now);
+    const others = deviation.days > 1 ? `, unusual on ${deviation.days} days` : '';
+    const score = `score ${deviation.score.toFixed(1)}${others}`;
+    const { low, high } = deviation.expected;
+    const range = low === high ? `${low}` : `${low}–${high}`;
+
+    switch (deviation.metric) {
+      case 'event_type':
+        return `${userDisplay} normally performs ${range} ${formatEventType(deviation.eventType)} actions a day; ${deviation.count} ${when} (${score})`;
+
+      case 'volume':
+        return `${userDisplay} normally performs ${range} actions a day; ${deviation.count} ${when} (${score})`;
+
+      case 'hours':
+        return `${userDisplay} is normally active around ${this._formatHour(deviation.expected.mean)} UTC ` +
+          `(±${Math.max(Math.round(deviation.expected.stddev), MIN_STDDEV)}h); active at ` +
+          `${this._formatHour(deviation.hour)}–${this._formatHour(deviation.hour + 1)} UTC ${when} (${score})`;
+
+      default:
+        return `${userDisplay}: unusual ${deviation.metric} ${when} (${score})`;
+    }
+  }
+
+  /**
+   * Score a day's count against the daily counts of a history
+   * @param {number} count - Count on the day
+   * @param {Object|null} history - Count per day in the history (days without activity are missing)
+   * @param {number} days - Days in the history
+   * @param {Object} details - Fields to add to a deviation (metric, eventType)
+   * @returns {Object|null} - Deviation ({ metric, count, expected, score }), or null if the count is normal
+   * @private
+   */
+  _scoreCount(count, history, days, details) {
+    if (count < this.minCount) {
+      return null;
+    }
+
+    const counts = Object.values(history || {});
+    const mean = counts.reduce((sum, value) => sum + value, 0) / days;
+    const variance = Math.max(0, counts.reduce((sum, value) => sum + value * value, 0) / days - mean * mean);
+    const stddev = Math.sqrt(variance);
+    const score = (count - mean) / Math.max(stddev, MIN_STDDEV);
+
+    if (score < this.threshold) {
+      return null;
+    }
+
+    return {
+      ...details,
+      count,
+      expected: {
+        mean: Math.round(mean * 100) / 100,
+        stddev: Math.round(stddev * 100) / 100,
+        low: Math.max(0, Math.round(mean - stddev)),
+        high: Math.round(mean + stddev)
+      },
+      score: Math.round(score * 10) / 10
+    };
+  }
+
+  /**
+   * Score the hours of a day's activity against the hours a user is usually active.
+   * Hours are on a 24-hour circle, so 23:00 and 01:00 are two hours apart.
+   * @param {Array<number>} dayHours - Events per UTC hour on the day
+   * @param {Array<number>} historyHours - Events per UTC hour in the history
+   * @returns {Object|null} - Deviation ({ metric, hour, count, expected, score }) for the most unusual hour, or null
+   * @private
+   */
+  _scoreHours(dayHours, historyHours) {
+    const total = historyHours.reduce((sum, value) => sum + value, 0);
+
+    if (total < this.minHourEvents) {
+      return null;
+    }
+
+    // Circular mean and spread of the history's hours (hour h is taken as h:30)
+    let x = 0;
+    let y = 0;
+    historyHours.forEach((count, hour) => {
+      const angle = ((hour + 0.5) / 24) * 2 * Math.PI;
+      x += count * Math.cos(angle);
+      y += count * Math.sin(angle);
+    });
+
+    const resultant = Math.sqrt(x * x + y * y) / total;
+    const mean = ((Math.atan2(y, x) / (2 * Math.PI)) * 24 + 24) % 24;
+    // Rounding can put the resultant of hours that all fall in one hour just above 1
+    const stddev = resultant > 0 ? (Math.sqrt(Math.max(0, -2 * Math.log(resultant))) / (2 * Math.PI)) * 24 : Infinity;
+
+    let worst = null;
+    dayHours.forEach((count, hour) => {
+      if (count === 0) {
+        return;
+      }
+
+      const distance = Math.abs(hour + 0.5 - mean);
+      const score = Math.min(distance, 24 - distance) / Math.max(stddev, MIN_STDDEV);
+
+      if (!worst || score > worst.score) {
+        worst = { hour, count, score };
+      }
+    });
+
+    if (!worst || worst.score < this.threshold) {
+      return null;
+    }
+
+    return {
+      metric: 'hours',
+      hour: worst.hour,
+      count: worst.count,
+      expected: { mean: Math.round(mean * 10) / 10, stddev: Math.round(stddev * 10) / 10 },
+      score: Math.round(worst.score * 10) / 10
+    };
+  }
+
+  /**
+   * Describe a day relative to now ("today", "yesterday", "on Oct 17")
+   * @param {string} day - UTC day (YYYY-MM-DD)
+   * @param {Date} now - Current time
+   * @returns {string} - Description
+   * @private
+   */
+  _describeDay(day, now) {
+    const today = now.toISOString().substring(0, 10);
+    const yesterday = new Date(now.getTime() - DAY_MS).toISOString().substring(0, 10);
+
+    if (day === today) return 'today';
+    if (day === yesterday) return 'yesterday';
+
+    return `on ${new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })}`;
+  }
+
+  /**
+   * Format an hour of the day as HH:MM
+   * @param {number} hour - Hour (0-24, may have a fraction)
+   * @returns {string} - Formatted hour
+   * @private
+   */
+  _formatHour(hour) {
+    const minutes = Math.round(hour * 60) % (24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+}
+
+module.exports = ActivityBaseline;
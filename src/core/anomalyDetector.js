@@ -1,34 +1,46 @@
 // src/core/anomalyDetector.js
 
+const { getEventTaxonomy } = require('../config/eventTaxonomy');
+const { getDetectionRules } = require('../config/detectionRules');
+const { describePeriod } = require('../utils');
+const ActivityBaseline = require('./activityBaseline');
+const RuleEngine = require('./ruleEngine');
+const SequenceDetector = require('./sequenceDetector');
+
+// Report streaming progress every this many analyzed events
+const PROGRESS_INTERVAL = 500;
+
+// Days of history each user's normal activity is learned from
+const DEFAULT_BASELINE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 class AnomalyDetector {
   constructor(auditService = null) {
     // Store the audit service for user info lookup
     this.auditService = auditService;
     
-    // Define security-critical events
-    this.securityCriticalEvents = [
-      'org.policy.create', 'org.policy.edit', 'org.policy.delete',
-      'org.ignore_policy.edit',
-      'org.integration.create', 'org.integration.delete', 'org.integration.edit',
-      'org.service_account.create', 'org.service_account.delete', 'org.service_account.edit',
-      'org.settings.feature_flag.edit',
-      'org.project.ignore.create', 'org.project.ignore.delete', 'org.project.ignore.edit',
-      'org.sast_settings.edit',
-      'org.webhook.add', 'org.webhook.delete'
-    ];
-    
-    // Define user activity events
-    this.userActivityEvents = [
-      'org.user.add', 'org.user.remove',
-      'org.user.role.edit', 'org.user.role.create', 'org.user.role.delete',
-      'org.user.invite', 'org.user.invite.accept', 'org.user.invite.revoke',
-      'org.user.leave',
-      'api.access'
-    ];
+    // Event categories and severities come from the shared taxonomy
+    this.taxonomy = (auditService && auditService.taxonomy) || getEventTaxonomy();
     
     // Define business hours (8 AM to 6 PM by default)
     this.businessHoursStart = 8;
     this.businessHoursEnd = 18;
+    
+    // The checks themselves are detection rules, so custom rules run alongside the built-in ones.
+    // Rules with steps describe multi-step chains and go to the sequence detector.
+    const rules = (auditService && auditService.detectionRules) || getDetectionRules();
+    const ruleOptions = {
+      taxonomy: this.taxonomy,
+      businessHoursStart: this.businessHoursStart,
+      businessHoursEnd: this.businessHoursEnd
+    };
+    this.ruleEngine = new RuleEngine(rules.filter(rule => !rule.steps), ruleOptions);
+    this.sequenceDetector = new SequenceDetector(rules.filter(rule => rule.steps), ruleOptions);
+    
+    // Per-user baselines replace the fixed "more than 5 of the same action" rule when history is available
+    this.baselineDays = DEFAULT_BASELINE_DAYS;
+    this.activityBaseline = new ActivityBaseline();
   }
 
   /**
@@ -39,97 +51,160 @@ class AnomalyDetector {
   setBusinessHours(start, end) {
     this.businessHoursStart = start;
     this.businessHoursEnd = end;
+    this.ruleEngine.setBusinessHours(start, end);
+    this.sequenceDetector.setBusinessHours(start, end);
+  }
+
+  /**
+   * Set how users' normal activity is learned and how far activity may stray from it
+   * @param {number} days - Days of history to learn from (0 turns baselines off)
+   * @param {number} threshold - z-score at which activity is flagged (optional)
+   */
+  setBaseline(days, threshold = null) {
+    this.baselineDays = days;
+    
+    if (threshold) {
+      this.activityBaseline = new ActivityBaseline({ threshold });
+    }
+  }
+
+  /**
+   * Learn each user's and service account's normal activity from the history
+   * before a window, to detect anomalies in the window against
+   * @param {Date|string} windowStart - Start of the window that will be checked
+   * @param {string} orgId - Organization ID (optional)
+   * @param {Object} options - Sync options (onProgress)
+   * @returns {Promise<Object|null>} - Baseline profile, or null without an audit service or history
+   */
+  async learnBaseline(windowStart, orgId = null, options = {}) {
+    if (!this.auditService || !this.baselineDays) {
+      return null;
+    }
+    
+    const to = new Date(windowStart);
+    const from = new Date(to.getTime() - this.baselineDays * DAY_MS);
+    
+    try {
+      const events = this.auditService.streamEvents({ from, to: new Date(to.getTime() - 1) }, {}, orgId, options);
+      const baseline = await this.activityBaseline.learn(events, from, to);
+      return baseline.total > 0 ? baseline : null;
+    } catch (error) {
+      // Fall back to the fixed rules rather than failing the whole check
+      console.error('Error learning activity baseline:', error);
+      return null;
+    }
   }
 
   /**
    * Detect anomalous or suspicious activities
    * @param {Array} events - List of audit log events
+   * @param {Object} options - Detection options
+   * @param {Object} options.baseline - Baseline from learnBaseline (optional)
    * @returns {Array} - List of suspicious activities
    */
-  detectAnomalies(events) {
-    const suspiciousActivities = [];
+  detectAnomalies(events, options = {}) {
+    const scan = this._createScan(options.baseline);
     
-    // 1. Check for unusual volume of similar actions by the same user
-    const userEventCounts = this._countUserEventTypes(events);
+    events.forEach(event => this._scanEvent(scan, event));
     
-    // Look for users with high counts of security-sensitive events
-    Object.keys(userEventCounts).forEach(user => {
-      Object.keys(userEventCounts[user]).forEach(eventType => {
-        const count = userEventCounts[user][eventType];
-        
-        // If a user performs the same security-critical action many times
-        if (count > 5 && this.securityCriticalEvents.includes(eventType)) {
-          suspiciousActivities.push({
-            type: 'high_volume_sensitive_actions',
-            user,
-            eventType,
-            count,
-            severity: 'medium',
-            description: `User ${user} performed ${eventType} ${count} times`
-          });
-        }
-      });
-    });
+    return this._finishScan(scan);
+  }
+
+  /**
+   * Detect anomalous or suspicious activities in a stream of events.
+   * Events are analyzed as they arrive, so only the rules' counters, the
+   * baseline profile, events that may be part of a sequence and the flagged
+   * events are kept in memory.
+   * @param {AsyncIterable|Array} events - Audit log events
+   * @param {Object} options - Detection options
+   * @param {Function} options.onProgress - Called periodically with { stage, eventsAnalyzed }
+   * @param {Object} options.baseline - Baseline from learnBaseline (optional)
+   * @returns {Promise<Array>} - List of suspicious activities
+   */
+  async detectAnomaliesStream(events, options = {}) {
+    const scan = this._createScan(options.baseline);
     
-    // 2. Check for after-hours activity
-    events.forEach(event => {
-      const eventTime = new Date(event.created);
-      const hour = eventTime.getUTCHours();
+    for await (const event of events) {
+      this._scanEvent(scan, event);
       
-      // Check if event occurred outside business hours
-      if ((hour < this.businessHoursStart || hour > this.businessHoursEnd) && 
-          this.securityCriticalEvents.includes(event.event)) {
-        const user = event.user_id || event.content?.user_id || event.content?.performed_by || 'unknown';
-        
-        suspiciousActivities.push({
-          type: 'after_hours_activity',
-          user,
-          eventType: event.event,
-          time: event.created,
-          severity: 'medium',
-          description: `After-hours security-critical activity: ${event.event} by ${user} at ${eventTime.toISOString()}`
-        });
+      if (options.onProgress && scan.eventsAnalyzed % PROGRESS_INTERVAL === 0) {
+        options.onProgress({ stage: 'analyze', eventsAnalyzed: scan.eventsAnalyzed });
       }
-    });
+    }
     
-    // 3. Check for service account unusual activity
-    events.forEach(event => {
-      const user = event.user_id || event.content?.user_id || event.content?.performed_by || 'unknown';
-      
-      // If user name contains service, bot, or automation
-      if (
-        (user.toLowerCase().includes('service') ||
-         user.toLowerCase().includes('bot') ||
-         user.toLowerCase().includes('auto') ||
-         user.toLowerCase().includes('jenkins')) &&
-        !event.event.startsWith('org.project.test') &&  // Filter out normal CI activities
-        this.securityCriticalEvents.includes(event.event)
-      ) {
-        suspiciousActivities.push({
-          type: 'service_account_unusual_activity',
-          user,
-          eventType: event.event,
-          time: event.created,
-          severity: 'high',
-          description: `Service account ${user} performed security-critical action ${event.event}`
-        });
-      }
-    });
+    if (options.onProgress) {
+      options.onProgress({ stage: 'analyze', eventsAnalyzed: scan.eventsAnalyzed });
+    }
+    
+    return this._finishScan(scan);
+  }
+
+  /**
+   * Create the running state for an anomaly scan
+   * @param {Object} baseline - Baseline from learnBaseline (optional)
+   * @returns {Object} - Scan state
+   * @private
+   */
+  _createScan(baseline = null) {
+    return {
+      eventsAnalyzed: 0,
+      rules: this.ruleEngine.createState({ hasBaseline: !!baseline }),
+      sequences: this.sequenceDetector.createState(),
+      baseline: baseline || null,
+      recent: baseline ? this.activityBaseline.createProfile(baseline.to, new Date()) : null
+    };
+  }
+
+  /**
+   * Feed a single event into an anomaly scan
+   * @param {Object} scan - Scan state
+   * @param {Object} event - Audit log event
+   * @private
+   */
+  _scanEvent(scan, event) {
+    scan.eventsAnalyzed++;
+    
+    this.ruleEngine.addEvent(scan.rules, event);
+    this.sequenceDetector.addEvent(scan.sequences, event);
+    
+    if (scan.recent) {
+      this.activityBaseline.addEvent(scan.recent, event);
+    }
+  }
+
+  /**
+   * Turn a finished scan into the list of suspicious activities
+   * @param {Object} scan - Scan state
+   * @returns {Array} - List of suspicious activities
+   * @private
+   */
+  _finishScan(scan) {
+    // Rules that only stand in for a baseline were left out of the scan when there is one.
+    // Multi-step chains come first, as they are the strongest signal.
+    const alerts = this.sequenceDetector.finish(scan.sequences).concat(this.ruleEngine.finish(scan.rules));
+    
+    if (!scan.baseline) {
+      return alerts;
+    }
+    
+    // Compare each user's volume, mix of actions and hours with their own history
+    const deviations = this.activityBaseline.compare(scan.baseline, scan.recent)
+      .map(deviation => ({ ...deviation, baselineDays: scan.baseline.days }));
     
-    return suspiciousActivities;
+    return deviations.concat(alerts);
   }
 
   /**
    * Generate a summary message for suspicious activities
    * @param {Array} suspiciousActivities - List of suspicious activities
-   * @param {number} days - Number of days analyzed
+   * @param {number|Object} period - Number of days analyzed, or the date range ({ start, end })
    * @returns {string} - Summary message
    */
-  async generateSuspiciousActivitySummary(suspiciousActivities, days = 2) {
+  async generateSuspiciousActivitySummary(suspiciousActivities, period = 2) {
     let message = '';
     
     if (suspiciousActivities.length > 0) {
-      message = `I've detected these potentially suspicious activities in the last ${days} days:\n\n`;
+      message = `I've detected these potentially suspicious activities ${describePeriod(period)}:\n\n`;
       
       // Group by type
       const groupedActivities = {};
@@ -160,6 +235,15 @@ class AnomalyDetector {
             }
             break;
             
+          case 'baseline_deviation':
+            for (const activity of activities) {
+              const userDisplay = await this._formatUser(activity.user);
+              const name = activity.actorType === 'service_account' ? `Service account ${userDisplay}` : userDisplay;
+              message += `📈 ${this.activityBaseline.explain(activity, name, new Date(), eventType => this._formatEventType(eventType))}\n`;
+            }
+            message += `(Compared with each account's activity in the ${activities[0].baselineDays} days before; scores are standard deviations from normal.)\n`;
+            break;
+            
           case 'service_account_unusual_activity':
             for (const activity of activities) {
               const userDisplay = await this._formatUser(activity.user);
@@ -168,43 +252,36 @@ class AnomalyDetector {
             break;
             
           default:
+            // Custom detection rules and sequences, worded by their message template
             for (const activity of activities) {
-              message += `⚠️ ${activity.description}\n`;
+              const users = activity.users || [activity.user];
+              const displays = await Promise.all(users.map(user => this._formatUser(user)));
+              
+              if (activity.chain) {
+                message += `🔗 ${this.sequenceDetector.render(activity, displays)}\n`;
+                
+                // The chain itself is the evidence
+                for (const [index, link] of activity.chain.entries()) {
+                  const linkUser = await this._formatUser(link.actor);
+                  message += `   ${index + 1}. ${this._formatEventType(link.event)} by ${linkUser} at ${new Date(link.time).toLocaleTimeString()}\n`;
+                }
+                continue;
+              }
+              
+              const description = activity.rule ? this.ruleEngine.render(activity, displays) : activity.description;
+              message += `${activity.severity === 'high' ? '🚨' : '⚠️'} ${description}\n`;
             }
         }
         
         message += '\n';
       }
     } else {
-      message = `Good news! I didn't detect any suspicious activities in the last ${days} days.`;
+      message = `Good news! I didn't detect any suspicious activities ${describePeriod(period)}.`;
     }
     
     return message;
   }
 
-  /**
-   * Count event types per user
-   * @param {Array} events - List of audit log events
-   * @returns {Object} - Counts of event types by user
-   * @private
-   */
-  _countUserEventTypes(events) {
-    const userEventCounts = {};
-    
-    events.forEach(event => {
-      const user = event.user_id || event.content?.user_id || event.content?.performed_by || 'unknown';
-      const eventType = event.event;
-      
-      if (!userEventCounts[user]) {
-        userEventCounts[user] = {};
-      }
-      
-      userEventCounts[user][eventType] = (userEventCounts[user][eventType] || 0) + 1;
-    });
-    
-    return userEventCounts;
-  }
-
   /**
    * Format event type for display
    * @param {string} eventType - Raw event type
@@ -0,0 +1,306 @@
+// src/core/auditQueryParser.js
+
+/**
+ * Audit Query Parser
+ *
+ * A compact filter syntax for precise, repeatable audit log searches, used
+ * by the chatbot (web UI, Slack) and by GET /api/events?q=…:
+ *
+ *   event:org.policy.* user:alice@corp.com project:abc since:14d until:2026-10-01 severity:high limit:20
+ *
+ * | Filter    | Value                                                        |
+ * |-----------|--------------------------------------------------------------|
+ * | event     | Event types, comma-separated, "*" wildcards (org.policy.*)   |
+ * | user      | User ID, name or email (quote names: user:"Alice Admin")     |
+ * | project   | Project ID                                                   |
+ * | org       | Org ID or name (group mode)                                  |
+ * | since     | Relative (30m, 12h, 14d, 2w) or a date (2026-10-01)          |
+ * | until     | Same as since; a date includes that whole day (UTC)          |
+ * | severity  | high, medium, low or info, comma-separated                   |
+ * | limit     | Most events returned (1-500)                                 |
+ *
+ * event and severity may be repeated; the other filters may appear once.
+ * Queries compile to Snyk audit log search params (events, user_id,
+ * project_id, from, to), which the event store applies, plus client-side
+ * filters (severity, limit) applied to the events it returns.
+ */
+
+// Filters that may be given several times, adding to each other
+const LIST_FILTERS = ['event', 'severity'];
+
+const QUERY_FILTERS = ['event', 'user', 'project', 'org', 'since', 'until', 'severity', 'limit'];
+
+const SEVERITIES = ['high', 'medium', 'low', 'info'];
+
+const DEFAULT_DAYS = 7;
+const MAX_LIMIT = 500;
+
+// Relative times: 30m, 12h, 14d, 2w
+const DURATION_PATTERN = /^(\d{1,4})(m|h|d|w)$/;
+const DURATION_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+const EVENT_PATTERN = /^[a-z0-9_.*]+$/;
+
+// One `filter:value` term (values may be quoted), or a bare word
+const TERM_PATTERN = /([a-z_]+):(?:"([^"]*)"|(\S+))|(\S+)/gi;
+
+class AuditQueryParser {
+  /**
+   * Check whether a message is written in the query syntax, i.e. it is made
+   * of filters only and uses at least one known filter. Questions with a
+   * filter or two in them ("security events org:payments") are not queries;
+   * see extractFilters.
+   * @param {string} text - Message text
+   * @returns {boolean} - Whether the message is a query
+   */
+  isQuery(text) {
+    if (typeof text !== 'string') {
+      return false;
+    }
+
+    const terms = this._tokenize(text);
+
+    return terms.length > 0 && terms.every(term => term.filter) &&
+      terms.some(term => QUERY_FILTERS.includes(term.filter));
+  }
+
+  /**
+   * Parse a query into filters
+   * @param {string} text - Query text
+   * @returns {Object} - { filters, errors }; filters hold only what the query sets,
+   *   with event and severity as arrays and limit as a number
+   */
+  parse(text) {
+    return this._parseTerms(this._tokenize(text || ''));
+  }
+
+  /**
+   * Parse the known filters in a question that mixes words and filters
+   * ("show events for user:alice"), ignoring the words around them
+   * @param {string} text - Message text
+   * @returns {Object} - { filters, errors }, as from parse()
+   */
+  extractFilters(text) {
+    const terms = this._tokenize(typeof text === 'string' ? text : '')
+      .filter(term => term.filter && QUERY_FILTERS.includes(term.filter));
+
+    return this._parseTerms(terms);
+  }
+
+  /**
+   * Parse tokenized terms into filters
+   * @param {Array<Object>} terms - Terms from _tokenize
+   * @returns {Object} - { filters, errors }
+   * @private
+   */
+  _parseTerms(terms) {
+    const filters = {};
+    const errors = [];
+
+    terms.forEach(term => {
+      if (!term.filter) {
+        errors.push(`"${term.text}" isn't a filter. Write filters as name:value, e.g. since:14d`);
+        return;
+      }
+
+      if (!QUERY_FILTERS.includes(term.filter)) {
+        errors.push(`Unknown filter "${term.filter}". Filters: ${QUERY_FILTERS.join(', ')}`);
+        return;
+      }
+
+      const error = this._addFilter(filters, term.filter, term.value);
+      if (error) {
+        errors.push(error);
+      }
+    });
+
+    if (errors.length === 0 && filters.since && filters.until &&
+        this._resolveTime(filters.since, 'since', new Date()) > this._resolveTime(filters.until, 'until', new Date())) {
+      errors.push(`since:${filters.since} is after until:${filters.until}`);
+    }
+
+    return { filters, errors };
+  }
+
+  /**
+   * Compile parsed filters into Snyk audit log search params and client-side filters
+   * @param {Object} filters - Filters from parse()
+   * @param {Object} options - Options
+   * @param {Date} options.now - Time relative filters count back from (default: now)
+   * @param {number} options.defaultDays - Days searched without a since filter (default 7)
+   * @returns {Object} - { params: { from, to, events, user_id, project_id }, clientFilters: { severity, limit }, org }
+   */
+  compile(filters, options = {}) {
+    const now = options.now || new Date();
+    const defaultDays = options.defaultDays || DEFAULT_DAYS;
+    const from = filters.since
+      ? this._resolveTime(filters.since, 'since', now)
+      : new Date(now.getTime() - defaultDays * DURATION_MS.d);
+
+    const params = { from: from.toISOString() };
+
+    if (filters.until) params.to = this._resolveTime(filters.until, 'until', now).toISOString();
+    if (filters.event) params.events = filters.event;
+    if (filters.user) params.user_id = filters.user;
+    if (filters.project) params.project_id = filters.project;
+
+    return {
+      params,
+      clientFilters: {
+        severity: filters.severity || null,
+        limit: filters.limit || null
+      },
+      org: filters.org || null
+    };
+  }
+
+  /**
+   * Apply the client-side filters of a compiled query to events
+   * @param {Array<Object>} events - Normalized audit log events
+   * @param {Object} clientFilters - clientFilters from compile()
+   * @returns {Array<Object>} - Matching events (severity only; limit is left to the caller)
+   */
+  applyClientFilters(events, clientFilters = {}) {
+    if (!clientFilters.severity) {
+      return events;
+    }
+
+    return events.filter(event => clientFilters.severity.includes(event.severity));
+  }
+
+  /**
+   * Write filters back out as query text, e.g. to echo what was searched
+   * @param {Object} filters - Filters from parse()
+   * @returns {string} - Query text
+   */
+  format(filters) {
+    return QUERY_FILTERS
+      .filter(filter => filters[filter] !== undefined)
+      .map(filter => {
+        const value = Array.isArray(filters[filter]) ? filters[filter].join(',') : String(filters[filter]);
+        return `${filter}:${/\s/.test(value) ? `"${value}"` : value}`;
+      })
+      .join(' ');
+  }
+
+  /**
+   * Split a query into filter terms and bare words
+   * @param {string} text - Query text
+   * @returns {Array<Object>} - Terms ({ filter, value } or { text })
+   * @private
+   */
+  _tokenize(text) {
+    const terms = [];
+    let match;
+
+    TERM_PATTERN.lastIndex = 0;
+    while ((match = TERM_PATTERN.exec(text)) !== null) {
+      if (match[1]) {
+        terms.push({ filter: match[1].toLowerCase(), value: match[2] !== undefined ? match[2] : match[3] });
+      } else {
+        terms.push({ text: match[4] });
+      }
+    }
+
+    return terms;
+  }
+
+  /**
+   * Validate one filter value and add it to the filters
+   * @param {Object} filters - Filters parsed so far
+   * @param {string} filter - Filter name
+   * @param {string} value - Filter value
+   * @returns {string|null} - Error message, or null
+   * @private
+   */
+  _addFilter(filters, filter, value) {
+    if (!value) {
+      return `${filter}: needs a value`;
+    }
+
+    if (filters[filter] !== undefined && !LIST_FILTERS.includes(filter)) {
+      return `${filter}: can only be given once`;
+    }
+
+    switch (filter) {
+      case 'event': {
+        const events = value.toLowerCase().split(',').filter(Boolean);
+        const invalid = events.find(event => !EVENT_PATTERN.test(event));
+        if (invalid) {
+          return `"${invalid}" isn't an event type. Use names like org.policy.edit or org.policy.*`;
+        }
+        filters.event = [...new Set([...(filters.event || []), ...events])];
+        return null;
+      }
+
+      case 'severity': {
+        const severities = value.toLowerCase().split(',').filter(Boolean);
+        const invalid = severities.find(severity => !SEVERITIES.includes(severity));
+        if (invalid) {
+          return `Unknown severity "${invalid}". Severities: ${SEVERITIES.join(', ')}`;
+        }
+        filters.severity = [...new Set([...(filters.severity || []), ...severities])];
+        return null;
+      }
+
+      case 'since':
+      case 'until':
+        if (!DURATION_PATTERN.test(value) && !this._isDate(value)) {
+          return `${filter}:${value} isn't a time. Use a relative time (30m, 12h, 14d, 2w) or a date (2026-10-01)`;
+        }
+        filters[filter] = value;
+        return null;
+
+      case 'limit': {
+        const limit = Number(value);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+          return `limit: must be a whole number from 1 to ${MAX_LIMIT}`;
+        }
+        filters.limit = limit;
+        return null;
+      }
+
+      default:
+        filters[filter] = value;
+        return null;
+    }
+  }
+
+  /**
+   * Check whether a value is a valid date or date-time
+   * @param {string} value - Value
+   * @returns {boolean} - Whether it is a date
+   * @private
+   */
+  _isDate(value) {
+    return (DATE_PATTERN.test(value) || DATE_TIME_PATTERN.test(value)) &&
+      !isNaN(new Date(value).getTime());
+  }
+
+  /**
+   * Turn a since/until value into a point in time
+   * @param {string} value - Relative time or date
+   * @param {string} filter - since or until (an until date means the end of that day)
+   * @param {Date} now - Time relative values count back from
+   * @returns {Date} - Point in time
+   * @private
+   */
+  _resolveTime(value, filter, now) {
+    const duration = value.match(DURATION_PATTERN);
+
+    if (duration) {
+      return new Date(now.getTime() - parseInt(duration[1], 10) * DURATION_MS[duration[2]]);
+    }
+
+    if (DATE_PATTERN.test(value)) {
+      return new Date(`${value}T${filter === 'until' ? '23:59:59.999' : '00:00:00.000'}Z`);
+    }
+
+    return new Date(value);
+  }
+}
+
+module.exports = AuditQueryParser;
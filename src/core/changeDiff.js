@@ -0,0 +1,163 @@
+// src/core/changeDiff.js
+
+/**
+ * Change Diff
+ *
+ * Works out what an edit event actually changed. Snyk reports changes either
+ * as `content.changes` ({ field: { from, to } }) or as full `before`/`after`
+ * snapshots; both are turned into the same list of field-level changes, which
+ * the analyzers render as short "field: old → new" lines and return in API
+ * payloads.
+ */
+
+class ChangeDiff {
+  /**
+   * Create a new ChangeDiff
+   * @param {Object} options - Rendering options
+   * @param {number} options.maxChanges - Most change lines rendered per event (default 5)
+   * @param {number} options.maxValueLength - Longest value rendered before truncating (default 60)
+   */
+  constructor(options = {}) {
+    this.maxChanges = options.maxChanges || 5;
+    this.maxValueLength = options.maxValueLength || 60;
+  }
+
+  /**
+   * Get the field-level changes made by an event
+   * @param {Object} event - Normalized audit log event
+   * @returns {Array<Object>} - Changes ({ field, from, to, type: 'added' | 'removed' | 'changed' })
+   */
+  diff(event) {
+    const changes = [];
+    const reported = event.raw && event.raw.content && event.raw.content.changes;
+
+    // Explicit change lists are more precise than diffing snapshots
+    if (this._isObject(reported) && Object.keys(reported).length > 0) {
+      this._collectReportedChanges(reported, '', changes);
+      return changes;
+    }
+
+    this._diffValues(event.before, event.after, '', changes);
+    return changes;
+  }
+
+  /**
+   * Attach the changes to an event, for API payloads
+   * @param {Object} event - Normalized audit log event
+   * @returns {Object} - Event with a `changes` array
+   */
+  annotate(event) {
+    return { ...event, changes: this.diff(event) };
+  }
+
+  /**
+   * Render a single change as a short line
+   * @param {Object} change - Change from diff()
+   * @returns {string} - e.g. "severityThreshold: medium → high"
+   */
+  formatChange(change) {
+    switch (change.type) {
+      case 'added':
+        return `${change.field} set to ${this._formatValue(change.to)}`;
+      case 'removed':
+        return `${change.field} removed (was ${this._formatValue(change.from)})`;
+      default:
+        return `${change.field}: ${this._formatValue(change.from)} → ${this._formatValue(change.to)}`;
+    }
+  }
+
+  /**
+   * Render the changes made by an event, one line per change
+   * @param {Object} event - Normalized audit log event
+   * @returns {Array<string>} - Change lines (empty if nothing is known about the change)
+   */
+  formatChanges(event) {
+    const changes = event.changes || this.diff(event);
+    const lines = changes.slice(0, this.maxChanges).map(change => this.formatChange(change));
+
+    if (changes.length > this.maxChanges) {
+      lines.push(`…and ${changes.length - this.maxChanges} more changes`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Flatten a reported change list, which may be nested by settings group
+   * @param {Object} reported - content.changes
+   * @param {string} prefix - Field path so far
+   * @param {Array} changes - Output list
+   * @private
+   */
+  _collectReportedChanges(reported, prefix, changes) {
+    Object.keys(reported).forEach(key => {
+      const value = reported[key];
+      const field = prefix ? `${prefix}.${key}` : key;
+
+      if (this._isObject(value) && ('from' in value || 'to' in value)) {
+        this._diffValues(value.from, value.to, field, changes);
+      } else if (this._isObject(value)) {
+        this._collectReportedChanges(value, field, changes);
+      }
+    });
+  }
+
+  /**
+   * Compare two values and record the differences
+   * @param {*} before - Previous value
+   * @param {*} after - New value
+   * @param {string} field - Field path
+   * @param {Array} changes - Output list
+   * @private
+   */
+  _diffValues(before, after, field, changes) {
+    if (this._isEqual(before, after)) {
+      return;
+    }
+
+    const missing = value => value === undefined || value === null;
+
+    // Compare objects field by field, treating a missing snapshot as empty
+    if ((this._isObject(before) || missing(before)) && (this._isObject(after) || missing(after))) {
+      before = before || {};
+      after = after || {};
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      keys.forEach(key => {
+        this._diffValues(before[key], after[key], field ? `${field}.${key}` : key, changes);
+      });
+      return;
+    }
+
+    let type = 'changed';
+    if (missing(before)) type = 'added';
+    if (missing(after)) type = 'removed';
+
+    changes.push({ field: field || 'value', from: missing(before) ? null : before, to: missing(after) ? null : after, type });
+  }
+
+  _formatValue(value) {
+    if (value === null || value === undefined) {
+      return 'none';
+    }
+
+    if (Array.isArray(value) && value.every(item => !this._isObject(item))) {
+      return this._truncate(`[${value.join(', ')}]`);
+    }
+
+    return this._truncate(typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+
+  _truncate(text) {
+    return text.length > this.maxValueLength ? `${text.substring(0, this.maxValueLength - 1)}…` : text;
+  }
+
+  _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  _isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+module.exports = ChangeDiff;
@@ -0,0 +1,147 @@
+// src/core/eventMatcher.js
+
+/**
+ * Event Matcher
+ *
+ * Shared pieces of the detection rule engine and the sequence detector:
+ * turning a rule's `match` and `actor` criteria into an event predicate,
+ * parsing window lengths and filling in message templates.
+ */
+
+const ChangeDiff = require('./changeDiff');
+const { eventTypeMatcher } = require('../config/eventTaxonomy');
+
+const WINDOW_UNITS = {
+  m: { ms: 60 * 1000, name: 'minute' },
+  h: { ms: 60 * 60 * 1000, name: 'hour' },
+  d: { ms: 24 * 60 * 60 * 1000, name: 'day' }
+};
+
+// Values listed by name in a message before the rest are counted
+const MAX_LISTED = 5;
+
+const changeDiff = new ChangeDiff();
+
+/**
+ * Build a predicate for a rule's (or sequence step's) criteria
+ * @param {Object} criteria - { match, actor } from a detection rule
+ * @param {Object} context - Evaluation context
+ * @param {EventTaxonomy} context.taxonomy - Taxonomy for security-critical events, categories and severities
+ * @param {Function} context.isBusinessHours - Takes an event timestamp, true during business hours
+ * @returns {Function} - Predicate taking a normalized event
+ */
+function createEventMatcher(criteria, context) {
+  const match = criteria.match || {};
+  const actor = criteria.actor || {};
+  const { taxonomy } = context;
+
+  const includeEvents = match.events ? eventTypeMatcher(match.events) : null;
+  const excludeEvents = match.excludeEvents ? eventTypeMatcher(match.excludeEvents) : null;
+
+  return event => {
+    if (includeEvents && !includeEvents(event.event)) return false;
+    if (excludeEvents && excludeEvents(event.event)) return false;
+    if (match.securityCritical !== undefined && taxonomy.isSecurityCritical(event.event) !== match.securityCritical) return false;
+    if (match.categories && !match.categories.includes(event.category || taxonomy.getCategory(event.event))) return false;
+    if (match.severities && !match.severities.includes(event.severity || taxonomy.getSeverity(event.event))) return false;
+    if (match.hours && context.isBusinessHours(event.created) !== (match.hours === 'business')) return false;
+    if (match.change && !hasChange(event, match.change)) return false;
+    if (actor.types && !actor.types.includes(event.actorType || 'user')) return false;
+    if (actor.ids && !actor.ids.includes(event.actor)) return false;
+    if (actor.excludeIds && actor.excludeIds.includes(event.actor)) return false;
+    return true;
+  };
+}
+
+/**
+ * Check whether an event changed a field (optionally to a given value)
+ * @param {Object} event - Normalized audit log event
+ * @param {Object} change - { field, to }; the field may be a full path or its last part ("sastEnabled")
+ * @returns {boolean} - True if the event made the change
+ */
+function hasChange(event, change) {
+  return changeDiff.diff(event).some(candidate =>
+    (candidate.field === change.field || candidate.field.endsWith(`.${change.field}`)) &&
+    (change.to === undefined || candidate.to === change.to)
+  );
+}
+
+/**
+ * Check whether an event happened during business hours (UTC, both hours inclusive)
+ * @param {string} created - Event timestamp
+ * @param {number} start - First business hour
+ * @param {number} end - Last business hour
+ * @returns {boolean} - True during business hours
+ */
+function inBusinessHours(created, start, end) {
+  const hour = new Date(created).getUTCHours();
+  return hour >= start && hour <= end;
+}
+
+/**
+ * Parse a window length ("10m", "12h", "1d")
+ * @param {string} window - Window length
+ * @returns {Object|null} - { ms, label }, or null without a window
+ */
+function parseWindow(window) {
+  const match = window && String(window).match(/^(\d+)(m|h|d)$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const amount = parseInt(match[1], 10);
+  const unit = WINDOW_UNITS[match[2]];
+
+  return { ms: amount * unit.ms, label: `${amount} ${unit.name}${amount === 1 ? '' : 's'}` };
+}
+
+/**
+ * Describe a duration in the largest whole unit that fits ("45 minutes", "2 hours")
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Description
+ */
+function describeDuration(ms) {
+  const unit = ['d', 'h', 'm'].map(key => WINDOW_UNITS[key]).find(candidate => ms >= candidate.ms) || WINDOW_UNITS.m;
+  const amount = Math.max(1, Math.round(ms / unit.ms));
+  return `${amount} ${unit.name}${amount === 1 ? '' : 's'}`;
+}
+
+/**
+ * List values in a sentence, naming the first few
+ * @param {Array<string>} values - Values
+ * @returns {string} - e.g. "alice, bob and 3 others"
+ */
+function listValues(values) {
+  if (values.length <= 1) {
+    return values.join('');
+  }
+
+  if (values.length > MAX_LISTED) {
+    return `${values.slice(0, MAX_LISTED - 1).join(', ')} and ${values.length - MAX_LISTED + 1} others`;
+  }
+
+  return `${values.slice(0, -1).join(', ')} and ${values[values.length - 1]}`;
+}
+
+/**
+ * Fill in a message template; unknown placeholders are left as they are
+ * @param {string} template - Template ("{count} webhooks added by {actors}")
+ * @param {Object} replacements - Values by placeholder name
+ * @returns {string} - Message
+ */
+function renderTemplate(template, replacements) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    replacements[name] !== undefined && replacements[name] !== null ? String(replacements[name]) : placeholder
+  );
+}
+
+module.exports = {
+  createEventMatcher,
+  hasChange,
+  inBusinessHours,
+  parseWindow,
+  describeDuration,
+  listValues,
+  renderTemplate
+};
@@ -0,0 +1,450 @@
+// src/core/ignoreAnalyzer.js
+
+/**
+ * Ignore Analyzer
+ *
+ * Rebuilds the issue ignores made in a period from the audit log: who
+ * ignored which issue on which project, with what reason and expiry, and
+ * whether the ignore was later edited or removed. Ignores that weaken the
+ * security posture are flagged:
+ *
+ * - no reason given
+ * - no expiry, or an expiry further out than `longExpiryDays`
+ * - many ignores by one user in a short time (a detection rule)
+ * - ignores created on a project shortly after one of its tests failed
+ *
+ * Snyk only includes test results in some `org.project.test` events; a test
+ * counts as failing when its content says so (`success: false`, a failed
+ * `status`/`result`, or a positive issue count).
+ */
+
+const { getEventTaxonomy } = require('../config/eventTaxonomy');
+const ChangeDiff = require('./changeDiff');
+const RuleEngine = require('./ruleEngine');
+const { listValues } = require('./eventMatcher');
+const { describePeriod } = require('../utils');
+
+// Events the analyzer reads
+const IGNORE_EVENTS = ['org.project.ignore.create', 'org.project.ignore.edit', 'org.project.ignore.delete', 'org.ignore_policy.edit', 'org.project.test'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Ignores listed in a chat answer
+const MAX_LISTED_IGNORES = 10;
+
+class IgnoreAnalyzer {
+  /**
+   * Create a new IgnoreAnalyzer
+   * @param {SnykAuditService} auditService - The audit service to use for user information
+   * @param {Object} options - Risk thresholds
+   * @param {number} options.longExpiryDays - Expiries further out than this are flagged (default 90)
+   * @param {number} options.massIgnoreCount - More ignores than this by one user... (default 5)
+   * @param {number} options.massIgnoreMinutes - ...within this many minutes are flagged (default 60)
+   * @param {number} options.testWindowMinutes - Ignores this soon after a failing test are flagged (default 30)
+   */
+  constructor(auditService = null, options = {}) {
+    this.auditService = auditService;
+    this.taxonomy = (auditService && auditService.taxonomy) || getEventTaxonomy();
+    this.changeDiff = new ChangeDiff();
+
+    this.longExpiryDays = options.longExpiryDays || 90;
+    this.testWindowMinutes = options.testWindowMinutes || 30;
+
+    // Mass ignores are an ordinary detection rule, evaluated over the ignores only
+    this.ruleEngine = new RuleEngine([{
+      id: 'mass_ignore',
+      match: { events: ['org.project.ignore.create'] },
+      threshold: options.massIgnoreCount || 5,
+      window: `${options.massIgnoreMinutes || 60}m`,
+      groupBy: ['actor'],
+      severity: 'high',
+      message: '{actor} ignored {count} issues within {window}'
+    }], { taxonomy: this.taxonomy });
+  }
+
+  /**
+   * Event types to read for an ignore analysis
+   * @returns {Array<string>} - Event types
+   */
+  getEventTypes() {
+    return IGNORE_EVENTS.slice();
+  }
+
+  /**
+   * Rebuild the ignores made in a period and flag the risky ones
+   * @param {Array|AsyncIterable} events - Audit log events (an array or a stream); other event types are skipped
+   * @param {Date} now - Current time, for expired ignores (default: now)
+   * @returns {Promise<Object>} - { ignores, findings, policyChanges, unmatched, totals }
+   */
+  async analyzeIgnores(events, now = new Date()) {
+    const ignoreEvents = [];
+    const failingTests = {};
+    const policyChanges = [];
+    const rules = this.ruleEngine.createState();
+
+    for await (const event of events) {
+      if (event.event === 'org.project.test') {
+        if (this._isFailingTest(event)) {
+          const project = event.projectId || '';
+          failingTests[project] = failingTests[project] || [];
+          failingTests[project].push(new Date(event.created).getTime());
+        }
+      } else if (event.event === 'org.ignore_policy.edit') {
+        policyChanges.push({ actor: event.actor, created: event.created, orgId: event.orgId, changes: this.changeDiff.diff(event) });
+      } else if (event.event.startsWith('org.project.ignore.')) {
+        ignoreEvents.push(event);
+        this.ruleEngine.addEvent(rules, event);
+      }
+    }
+
+    // Edits and removals apply to the ignore as it stood, so replay in time order
+    ignoreEvents.sort((a, b) => new Date(a.created) - new Date(b.created));
+
+    const ignores = [];
+    const latest = new Map();
+    let unmatched = 0;
+
+    ignoreEvents.forEach(event => {
+      const fields = this._getIgnoreFields(event);
+      const key = fields.issueId ? `${event.projectId || ''}|${fields.issueId}` : null;
+      let ignore = key ? latest.get(key) : null;
+
+      if (event.event === 'org.project.ignore.create') {
+        ignore = {
+          issueId: fields.issueId,
+          projectId: event.projectId || null,
+          orgId: event.orgId || null,
+          createdBy: event.actor || null,
+          created: event.created,
+          reason: fields.reason || null,
+          reasonType: fields.reasonType || null,
+          expires: fields.expires || null,
+          status: 'active',
+          edits: 0,
+          updated: null,
+          updatedBy: null,
+          removed: null,
+          removedBy: null,
+          risks: []
+        };
+        ignores.push(ignore);
+        if (key) latest.set(key, ignore);
+        return;
+      }
+
+      // Edits and removals without an issue can't be tied to an ignore
+      if (!key) {
+        unmatched++;
+        return;
+      }
+
+      // Ignores made before the period only show up through later changes
+      if (!ignore) {
+        ignore = {
+          issueId: fields.issueId,
+          projectId: event.projectId || null,
+          orgId: event.orgId || null,
+          createdBy: null,
+          created: null,
+          reason: null,
+          reasonType: null,
+          expires: null,
+          status: 'active',
+          edits: 0,
+          updated: null,
+          updatedBy: null,
+          removed: null,
+          removedBy: null,
+          risks: []
+        };
+        ignores.push(ignore);
+        latest.set(key, ignore);
+      }
+
+      if (event.event === 'org.project.ignore.delete') {
+        ignore.status = 'removed';
+        ignore.removed = event.created;
+        ignore.removedBy = event.actor || null;
+        latest.delete(key);
+        return;
+      }
+
+      ignore.edits++;
+      ignore.updated = event.created;
+      ignore.updatedBy = event.actor || null;
+      if (fields.reason !== undefined) ignore.reason = fields.reason || null;
+      if (fields.reasonType !== undefined) ignore.reasonType = fields.reasonType || null;
+      if (fields.expires !== undefined) ignore.expires = fields.expires || null;
+    });
+
+    ignores.forEach(ignore => {
+      if (ignore.status === 'active' && ignore.expires && new Date(ignore.expires) <= now) {
+        ignore.status = 'expired';
+      }
+      ignore.risks = this._getRisks(ignore, failingTests);
+    });
+
+    const findings = this._getFindings(ignores, this.ruleEngine.finish(rules));
+
+    return {
+      ignores: ignores.reverse(),
+      findings,
+      policyChanges: policyChanges.sort((a, b) => new Date(b.created) - new Date(a.created)),
+      unmatched,
+      totals: {
+        created: ignores.filter(ignore => ignore.created).length,
+        edited: ignores.filter(ignore => ignore.edits > 0).length,
+        removed: ignores.filter(ignore => ignore.status === 'removed').length,
+        active: ignores.filter(ignore => ignore.status === 'active').length,
+        risky: ignores.filter(ignore => ignore.risks.length > 0).length
+      }
+    };
+  }
+
+  /**
+   * Summarize an ignore analysis
+   * @param {Object} inventory - Result of analyzeIgnores
+   * @param {number|Object} period - Number of days analyzed, or the date range ({ start, end })
+   * @returns {Promise<string>} - Summary message
+   */
+  async generateIgnoreSummary(inventory, period = 30) {
+    const created = inventory.ignores.filter(ignore => ignore.created);
+    const changed = inventory.ignores.filter(ignore => !ignore.created);
+
+    if (inventory.ignores.length === 0 && inventory.policyChanges.length === 0) {
+      return `Good news! I didn't find any ignores added ${describePeriod(period)}.`;
+    }
+
+    let message;
+
+    if (created.length === 0) {
+      message = `I didn't find any ignores added ${describePeriod(period)}.\n`;
+    } else {
+      const active = created.filter(ignore => ignore.status === 'active').length;
+      const removed = created.filter(ignore => ignore.status === 'removed').length;
+      message = `I found ${created.length} ignore${created.length === 1 ? '' : 's'} added ${describePeriod(period)} ` +
+        `(${active} still active${removed ? `, ${removed} removed` : ''}):\n\n`;
+
+      for (const ignore of created.slice(0, MAX_LISTED_IGNORES)) {
+        message += await this._formatIgnoreLine(ignore);
+      }
+
+      if (created.length > MAX_LISTED_IGNORES) {
+        message += `…and ${created.length - MAX_LISTED_IGNORES} more\n`;
+      }
+    }
+
+    if (changed.length > 0) {
+      message += `\n✏️ Older ignores changed:\n`;
+      for (const ignore of changed.slice(0, MAX_LISTED_IGNORES)) {
+        const by = await this._formatUser(ignore.status === 'removed' ? ignore.removedBy : ignore.updatedBy);
+        message += `- ${ignore.issueId} in ${ignore.projectId || 'an unknown project'} ${ignore.status === 'removed' ? 'removed' : 'edited'} by ${by}\n`;
+      }
+    }
+
+    if (inventory.findings.length > 0) {
+      message += '\n⚠️ Risky ignores:\n';
+      for (const finding of inventory.findings) {
+        message += `${finding.severity === 'high' ? '🚨' : finding.severity === 'medium' ? '⚠️' : 'ℹ️'} ${await this._describeFinding(finding)}\n`;
+      }
+    }
+
+    if (inventory.policyChanges.length > 0) {
+      message += '\n📝 Ignore policy changes:\n';
+      for (const change of inventory.policyChanges.slice(0, 5)) {
+        message += `- Ignore policy changed by ${await this._formatUser(change.actor)} on ${new Date(change.created).toLocaleString()}\n`;
+        change.changes.slice(0, 5).forEach(fieldChange => {
+          message += `    ↳ ${this.changeDiff.formatChange(fieldChange)}\n`;
+        });
+      }
+    }
+
+    if (inventory.unmatched > 0) {
+      message += `\n(${inventory.unmatched} ignore change${inventory.unmatched === 1 ? '' : 's'} didn't say which issue ${inventory.unmatched === 1 ? 'it' : 'they'} applied to.)\n`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Work out the risks of one ignore
+   * @param {Object} ignore - Reconstructed ignore
+   * @param {Object} failingTests - Failing test times per project
+   * @returns {Array<string>} - Risks (no_reason, no_expiry, long_expiry, after_failing_test)
+   * @private
+   */
+  _getRisks(ignore, failingTests) {
+    // Only ignores made in the period are judged; older ones were made under whatever rules applied then
+    if (!ignore.created) {
+      return [];
+    }
+
+    const risks = [];
+    const created = new Date(ignore.created).getTime();
+
+    if (!ignore.reason || !String(ignore.reason).trim()) {
+      risks.push('no_reason');
+    }
+
+    if (!ignore.expires) {
+      risks.push('no_expiry');
+    } else if (new Date(ignore.expires).getTime() - created > this.longExpiryDays * DAY_MS) {
+      risks.push('long_expiry');
+    }
+
+    const tests = failingTests[ignore.projectId || ''] || [];
+    if (tests.some(time => time <= created && created - time <= this.testWindowMinutes * MINUTE_MS)) {
+      risks.push('after_failing_test');
+    }
+
+    return risks;
+  }
+
+  /**
+   * Group risky ignores into findings, one per kind of risk, plus mass ignore alerts
+   * @param {Array<Object>} ignores - Reconstructed ignores
+   * @param {Array<Object>} massIgnores - Alerts from the mass ignore rule
+   * @returns {Array<Object>} - Findings ({ type, severity, count, users, projects, description }), most severe first
+   * @private
+   */
+  _getFindings(ignores, massIgnores) {
+    const kinds = [
+      { risk: 'after_failing_test', type: 'ignore_after_failing_test', severity: 'high', text: count => `${count} ignore${count === 1 ? ' was' : 's were'} created within ${this.testWindowMinutes} minutes of a failing test on the same project` },
+      { risk: 'no_reason', type: 'ignore_without_reason', severity: 'medium', text: count => `${count} ignore${count === 1 ? ' has' : 's have'} no reason` },
+      { risk: 'long_expiry', type: 'ignore_long_expiry', severity: 'medium', text: count => `${count} ignore${count === 1 ? ' expires' : 's expire'} more than ${this.longExpiryDays} days after ${count === 1 ? 'it was' : 'they were'} created` },
+      { risk: 'no_expiry', type: 'ignore_without_expiry', severity: 'low', text: count => `${count} ignore${count === 1 ? ' never expires' : 's never expire'}` }
+    ];
+
+    const findings = massIgnores.map(alert => ({
+      type: 'mass_ignore',
+      severity: alert.severity,
+      count: alert.count,
+      users: alert.users,
+      projects: alert.project ? [alert.project] : [],
+      time: alert.time,
+      windowStart: alert.windowStart,
+      window: alert.window,
+      alert,
+      description: alert.description
+    }));
+
+    kinds.forEach(kind => {
+      const risky = ignores.filter(ignore => ignore.risks.includes(kind.risk));
+
+      if (risky.length > 0) {
+        findings.push({
+          type: kind.type,
+          severity: kind.severity,
+          count: risky.length,
+          users: [...new Set(risky.map(ignore => ignore.createdBy).filter(Boolean))],
+          projects: [...new Set(risky.map(ignore => ignore.projectId).filter(Boolean))],
+          description: kind.text(risky.length)
+        });
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * Describe a finding with user names
+   * @param {Object} finding - Finding from _getFindings
+   * @returns {Promise<string>} - Description
+   * @private
+   */
+  async _describeFinding(finding) {
+    const users = await Promise.all(finding.users.map(user => this._formatUser(user)));
+
+    if (finding.alert) {
+      return this.ruleEngine.render(finding.alert, users);
+    }
+
+    const details = [
+      finding.projects.length > 0 ? `on ${listValues(finding.projects)}` : null,
+      users.length > 0 ? `by ${listValues(users)}` : null
+    ].filter(Boolean);
+
+    return details.length > 0 ? `${finding.description} (${details.join('; ')})` : finding.description;
+  }
+
+  /**
+   * Format an ignore as a summary line
+   * @param {Object} ignore - Reconstructed ignore
+   * @returns {Promise<string>} - Message line
+   * @private
+   */
+  async _formatIgnoreLine(ignore) {
+    const user = await this._formatUser(ignore.createdBy);
+    const issue = ignore.issueId || 'An issue';
+    const reason = ignore.reason ? `"${ignore.reason}"` : 'no reason';
+    const expiry = ignore.expires ? `expires ${new Date(ignore.expires).toLocaleDateString()}` : 'no expiry';
+    const status = ignore.status === 'removed'
+      ? ` [removed by ${await this._formatUser(ignore.removedBy)}]`
+      : ignore.status === 'expired' ? ' [expired]' : '';
+
+    return `- ${issue} in ${ignore.projectId || 'an unknown project'} by ${user} on ${new Date(ignore.created).toLocaleString()}: ${reason}, ${expiry}${status}\n`;
+  }
+
+  /**
+   * Read the issue, reason and expiry of an ignore event. Fields an edit
+   * doesn't mention are undefined, so they keep their previous value.
+   * @param {Object} event - Normalized ignore event
+   * @returns {Object} - { issueId, reason, reasonType, expires }
+   * @private
+   */
+  _getIgnoreFields(event) {
+    const content = (event.raw && event.raw.content) || {};
+    const after = event.after && typeof event.after === 'object' ? event.after : {};
+    const reported = content.changes && typeof content.changes === 'object' ? content.changes : {};
+    const pick = field => {
+      if (after[field] !== undefined) return after[field];
+      if (reported[field] && reported[field].to !== undefined) return reported[field].to;
+      return content[field];
+    };
+
+    return {
+      issueId: content.issueId || content.issue_id || content.vulnId || after.issueId || null,
+      reason: pick('reason'),
+      reasonType: pick('reasonType'),
+      expires: pick('expires')
+    };
+  }
+
+  /**
+   * Check whether a project test event reports a failing test
+   * @param {Object} event - Normalized project test event
+   * @returns {boolean} - True if the test failed
+   * @private
+   */
+  _isFailingTest(event) {
+    const content = (event.raw && event.raw.content) || {};
+    const issues = Number(content.issueCount !== undefined ? content.issueCount : content.issuesCount);
+
+    return content.success === false ||
+      /fail/i.test(String(content.status || content.result || '')) ||
+      issues > 0;
+  }
+
+  /**
+   * Format user ID into a more readable format
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} - Formatted user display
+   * @private
+   */
+  async _formatUser(userId) {
+    if (!userId) return 'an unknown user';
+
+    if (this.auditService) {
+      try {
+        return await this.auditService.formatUserDisplay(userId);
+      } catch (error) {
+        console.error(`Error formatting user: ${error.message}`);
+      }
+    }
+
+    return `user ${userId.substring(0, 8)}`;
+  }
+}
+
+module.exports = IgnoreAnalyzer;
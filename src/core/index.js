@@ -3,12 +3,26 @@ const SnykChatbotWrapper = require('./snykChatbotWrapper');
 const SecurityEventAnalyzer = require('./securityEventAnalyzer');
 const UserActivityAnalyzer = require('./userActivityAnalyzer');
 const AnomalyDetector = require('./anomalyDetector');
+const ActivityBaseline = require('./activityBaseline');
+const RuleEngine = require('./ruleEngine');
+const SequenceDetector = require('./sequenceDetector');
+const IgnoreAnalyzer = require('./ignoreAnalyzer');
 const ResponseFormatter = require('./responseFormatter');
+const ChangeDiff = require('./changeDiff');
+const RecentEvents = require('./recentEvents');
+const AuditQueryParser = require('./auditQueryParser');
 
 module.exports = {
   SnykChatbotWrapper,
   SecurityEventAnalyzer,
   UserActivityAnalyzer,
   AnomalyDetector,
-  ResponseFormatter
+  ActivityBaseline,
+  RuleEngine,
+  SequenceDetector,
+  IgnoreAnalyzer,
+  ResponseFormatter,
+  ChangeDiff,
+  RecentEvents,
+  AuditQueryParser
 };
\ No newline at end of file
@@ -0,0 +1,57 @@
+// src/core/recentEvents.js
+
+/**
+ * Recent Events
+ *
+ * Keeps the newest events of a stream, up to a limit, so analyzers can list
+ * the latest events of a long window without holding all of it in memory.
+ * Streams arrive in storage order rather than newest first; the list is
+ * trimmed whenever it grows to twice the limit, and sorted once at the end.
+ */
+
+class RecentEvents {
+  /**
+   * Create a recent events list
+   * @param {number} limit - Number of events to keep
+   */
+  constructor(limit) {
+    this.limit = limit;
+    this.events = [];
+  }
+
+  /**
+   * Offer an event to the list
+   * @param {Object} event - Normalized audit log event
+   */
+  add(event) {
+    if (this.limit <= 0) {
+      return;
+    }
+
+    this.events.push(event);
+
+    if (this.events.length >= this.limit * 2) {
+      this._trim();
+    }
+  }
+
+  /**
+   * Get the kept events
+   * @returns {Array<Object>} - Newest events, newest first
+   */
+  toArray() {
+    this._trim();
+    return this.events.slice();
+  }
+
+  /**
+   * Sort newest first and drop everything beyond the limit
+   * @private
+   */
+  _trim() {
+    this.events.sort((a, b) => new Date(b.created) - new Date(a.created));
+    this.events.length = Math.min(this.events.length, this.limit);
+  }
+}
+
+module.exports = RecentEvents;
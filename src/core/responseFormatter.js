@@ -113,6 +113,8 @@ class ResponseFormatter {
     return {
       message: responseData.message,
       data: responseData.data || null,
+      completeness: responseData.completeness || null,
+      window: responseData.window || null,
       success: responseData.success !== false,
       timestamp: new Date().toISOString()
     };
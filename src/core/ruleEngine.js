@@ -0,0 +1,295 @@
+// src/core/ruleEngine.js
+
+/**
+ * Rule Engine
+ *
+ * Evaluates declarative detection rules (see config/detectionRules.js) over a
+ * stream of normalized audit events. Matching events are counted per group
+ * (actor, event type, org, ...) and a rule fires when a group's count goes
+ * over the rule's threshold, either across the whole period checked or
+ * within any sliding window of the rule's length:
+ *
+ *   "more than 3 org.webhook.add per org in 10 minutes"
+ *
+ * Rules grouped by `occurrence` fire once for every matching event. Only the
+ * counters and, for windowed rules, the matching events' times are kept in
+ * memory, so long periods can be streamed through.
+ */
+
+const { getEventTaxonomy } = require('../config/eventTaxonomy');
+const { createEventMatcher, inBusinessHours, parseWindow, listValues, renderTemplate } = require('./eventMatcher');
+
+class RuleEngine {
+  /**
+   * Create a rule engine
+   * @param {Array<Object>} rules - Detection rules
+   * @param {Object} options - Engine options
+   * @param {EventTaxonomy} options.taxonomy - Taxonomy for security-critical events (default: the shared taxonomy)
+   * @param {number} options.businessHoursStart - Start of business hours, UTC (default 8)
+   * @param {number} options.businessHoursEnd - End of business hours, UTC (default 18)
+   */
+  constructor(rules, options = {}) {
+    this.taxonomy = options.taxonomy || getEventTaxonomy();
+    this.businessHoursStart = options.businessHoursStart !== undefined ? options.businessHoursStart : 8;
+    this.businessHoursEnd = options.businessHoursEnd !== undefined ? options.businessHoursEnd : 18;
+    this.rules = rules.map(rule => this._compileRule(rule));
+  }
+
+  /**
+   * Set business hours, for rules matching on hours
+   * @param {number} start - Start hour (0-23)
+   * @param {number} end - End hour (0-23)
+   */
+  setBusinessHours(start, end) {
+    this.businessHoursStart = start;
+    this.businessHoursEnd = end;
+  }
+
+  /**
+   * Create the running state for one evaluation
+   * @param {Object} options - Evaluation options
+   * @param {boolean} options.hasBaseline - Whether an activity baseline is used (skips onlyWithoutBaseline rules)
+   * @returns {Object} - Evaluation state
+   */
+  createState(options = {}) {
+    return {
+      rules: this.rules
+        .filter(compiled => !(options.hasBaseline && compiled.rule.onlyWithoutBaseline))
+        .map(compiled => ({ compiled, groups: new Map(), alerts: [] }))
+    };
+  }
+
+  /**
+   * Feed one event to every rule
+   * @param {Object} state - State from createState
+   * @param {Object} event - Normalized audit log event
+   */
+  addEvent(state, event) {
+    state.rules.forEach(entry => {
+      const { compiled } = entry;
+
+      if (!compiled.matches(event)) {
+        return;
+      }
+
+      if (compiled.perOccurrence) {
+        entry.alerts.push(this._createAlert(compiled, [event.actor || 'unknown'], [event.event], {
+          count: 1,
+          time: event.created,
+          windowStart: event.created,
+          org: event.orgId || null,
+          project: event.projectId || null,
+          category: event.category || null
+        }));
+        return;
+      }
+
+      const key = compiled.groupBy.map(field => this._groupValue(event, field)).join('|');
+      let group = entry.groups.get(key);
+
+      if (!group) {
+        group = { count: 0, actors: new Set(), events: new Set(), org: event.orgId || null, project: event.projectId || null, category: event.category || null, last: null, hits: [] };
+        entry.groups.set(key, group);
+      }
+
+      group.count++;
+      group.last = event.created;
+
+      if (compiled.windowMs) {
+        group.hits.push({ time: new Date(event.created).getTime(), actor: event.actor || 'unknown', event: event.event });
+      } else {
+        group.actors.add(event.actor || 'unknown');
+        group.events.add(event.event);
+      }
+
+      // Fields that differ within a group aren't reported for it
+      if (group.org !== (event.orgId || null)) group.org = null;
+      if (group.project !== (event.projectId || null)) group.project = null;
+      if (group.category !== (event.category || null)) group.category = null;
+    });
+  }
+
+  /**
+   * Finish an evaluation and list the alerts
+   * @param {Object} state - State from createState
+   * @returns {Array<Object>} - Alerts ({ type, rule, user, users, eventType, eventTypes, count, threshold, window,
+   *   time, windowStart, org, project, category, severity, description }), in rule order
+   */
+  finish(state) {
+    return state.rules.flatMap(entry => {
+      const { compiled } = entry;
+      const alerts = entry.alerts.slice();
+
+      entry.groups.forEach(group => {
+        if (!compiled.windowMs) {
+          if (group.count > compiled.threshold) {
+            alerts.push(this._createAlert(compiled, [...group.actors], [...group.events], {
+              count: group.count,
+              time: group.last,
+              windowStart: null,
+              org: group.org,
+              project: group.project,
+              category: group.category
+            }));
+          }
+          return;
+        }
+
+        const busiest = this._busiestWindow(group.hits, compiled.windowMs);
+        if (busiest.length > compiled.threshold) {
+          alerts.push(this._createAlert(compiled, [...new Set(busiest.map(hit => hit.actor))], [...new Set(busiest.map(hit => hit.event))], {
+            count: busiest.length,
+            time: new Date(busiest[busiest.length - 1].time).toISOString(),
+            windowStart: new Date(busiest[0].time).toISOString(),
+            org: group.org,
+            project: group.project,
+            category: group.category
+          }));
+        }
+      });
+
+      return alerts;
+    });
+  }
+
+  /**
+   * Evaluate the rules over a list of events
+   * @param {Array<Object>} events - Normalized audit log events
+   * @param {Object} options - Evaluation options (hasBaseline)
+   * @returns {Array<Object>} - Alerts
+   */
+  evaluate(events, options = {}) {
+    const state = this.createState(options);
+    events.forEach(event => this.addEvent(state, event));
+    return this.finish(state);
+  }
+
+  /**
+   * Fill in a rule's message template for an alert
+   * @param {Object} alert - Alert from finish()
+   * @param {Array<string>} userDisplays - Names to show for the alert's users, in order (default: their IDs)
+   * @returns {string} - Message
+   */
+  render(alert, userDisplays = null) {
+    const compiled = this.rules.find(candidate => candidate.rule.id === alert.rule);
+    const template = compiled ? compiled.rule.message : alert.description;
+    const users = userDisplays || alert.users || [alert.user];
+    const eventTypes = alert.eventTypes || [alert.eventType];
+
+    return renderTemplate(template, {
+      actor: users[0],
+      actors: listValues(users),
+      event: eventTypes[0],
+      events: listValues(eventTypes),
+      count: alert.count,
+      threshold: alert.threshold,
+      window: alert.window || 'the period checked',
+      org: alert.org || 'unknown org',
+      project: alert.project || 'unknown project',
+      category: alert.category || 'unknown category',
+      time: alert.time ? new Date(alert.time).toISOString() : null
+    });
+  }
+
+  /**
+   * Prepare a rule for evaluation
+   * @param {Object} rule - Detection rule
+   * @returns {Object} - Compiled rule ({ rule, matches, groupBy, perOccurrence, threshold, windowMs, windowLabel })
+   * @private
+   */
+  _compileRule(rule) {
+    const groupBy = rule.groupBy || [];
+    const window = parseWindow(rule.window);
+    const matches = createEventMatcher(rule, {
+      taxonomy: this.taxonomy,
+      isBusinessHours: created => inBusinessHours(created, this.businessHoursStart, this.businessHoursEnd)
+    });
+
+    return {
+      rule,
+      matches,
+      groupBy,
+      perOccurrence: groupBy.includes('occurrence'),
+      threshold: rule.threshold || 0,
+      windowMs: window ? window.ms : null,
+      windowLabel: window ? window.label : null
+    };
+  }
+
+  /**
+   * Build an alert for a rule
+   * @param {Object} compiled - Compiled rule
+   * @param {Array<string>} users - Actors involved
+   * @param {Array<string>} eventTypes - Event types involved
+   * @param {Object} details - count, time, windowStart, org, project, category
+   * @returns {Object} - Alert
+   * @private
+   */
+  _createAlert(compiled, users, eventTypes, details) {
+    const alert = {
+      type: compiled.rule.id,
+      rule: compiled.rule.id,
+      user: users[0],
+      users,
+      eventType: eventTypes[0],
+      eventTypes,
+      ...details,
+      threshold: compiled.threshold,
+      window: compiled.windowLabel,
+      severity: compiled.rule.severity
+    };
+
+    alert.description = this.render(alert);
+    return alert;
+  }
+
+  /**
+   * Find the busiest sliding window in a group's events
+   * @param {Array<Object>} hits - Matching events ({ time, actor, event })
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Array<Object>} - Events in the busiest window, oldest first
+   * @private
+   */
+  _busiestWindow(hits, windowMs) {
+    const sorted = hits.slice().sort((a, b) => a.time - b.time);
+    let best = { start: 0, end: 0 };
+    let start = 0;
+
+    sorted.forEach((hit, end) => {
+      while (hit.time - sorted[start].time >= windowMs) {
+        start++;
+      }
+      if (end - start > best.end - best.start) {
+        best = { start, end };
+      }
+    });
+
+    return sorted.slice(best.start, best.end + 1);
+  }
+
+  /**
+   * Get the value an event is grouped by for a field
+   * @param {Object} event - Normalized audit log event
+   * @param {string} field - actor, event, org, project or category
+   * @returns {string} - Group value
+   * @private
+   */
+  _groupValue(event, field) {
+    switch (field) {
+      case 'actor':
+        return event.actor || 'unknown';
+      case 'event':
+        return event.event;
+      case 'org':
+        return event.orgId || '';
+      case 'project':
+        return event.projectId || '';
+      case 'category':
+        return event.category || this.taxonomy.getCategory(event.event);
+      default:
+        return '';
+    }
+  }
+}
+
+module.exports = RuleEngine;
@@ -1,5 +1,16 @@
 // src/core/securityEventAnalyzer.js
 
+const { getEventTaxonomy } = require('../config/eventTaxonomy');
+const ChangeDiff = require('./changeDiff');
+const RecentEvents = require('./recentEvents');
+const { describePeriod } = require('../utils');
+
+// Report analysis progress every this many events
+const PROGRESS_INTERVAL = 500;
+
+// Events kept per priority unless the caller asks for more
+const DEFAULT_KEEP = 20;
+
 class SecurityEventAnalyzer {
   /**
    * Create a new SecurityEventAnalyzer
@@ -7,157 +18,143 @@ class SecurityEventAnalyzer {
    */
   constructor(auditService = null) {
     this.auditService = auditService;
-    // Define security-critical events
-    // Define security-critical events
-    this.securityCriticalEvents = [
-      'org.policy.create', 'org.policy.edit', 'org.policy.delete',
-      'org.ignore_policy.edit',
-      'org.integration.create', 'org.integration.delete', 'org.integration.edit',
-      'org.service_account.create', 'org.service_account.delete', 'org.service_account.edit',
-      'org.settings.feature_flag.edit',
-      'org.project.ignore.create', 'org.project.ignore.delete', 'org.project.ignore.edit',
-      'org.sast_settings.edit',
-      'org.webhook.add', 'org.webhook.delete'
-    ];
-    
-    // Define high priority events
-    this.highPriorityEvents = [
-      'org.policy.create', 'org.policy.delete',
-      'org.service_account.create',
-      'org.webhook.add'
-    ];
-    
-    // Define medium priority events
-    this.mediumPriorityEvents = [
-      'org.policy.edit',
-      'org.integration.create', 'org.integration.edit',
-      'org.settings.feature_flag.edit',
-      'org.project.ignore.create'
-    ];
+
+    // Event severities come from the shared taxonomy (configurable per organization)
+    this.taxonomy = (auditService && auditService.taxonomy) || getEventTaxonomy();
+    
+    // Field-level changes for edit events
+    this.changeDiff = new ChangeDiff();
   }
 
   /**
-   * Categorize security events by severity
-   * @param {Array} events - List of audit log events
-   * @returns {Object} - Events categorized by severity
+   * Categorize security events by severity. Every event is counted, but
+   * only the newest `keep` events of each priority are kept, so long
+   * windows can be streamed through.
+   * @param {Array|AsyncIterable} events - Audit log events (an array or a stream)
+   * @param {Object} options - Analysis options
+   * @param {number} options.keep - Events kept per priority (default 20)
+   * @param {Function} options.onProgress - Called with { stage, eventsAnalyzed } while events are read
+   * @returns {Promise<Object>} - { highPriority, mediumPriority, lowPriority, configurationChanges (newest first),
+   *   counts: { total, high, medium, low }, byCategory }
    */
-  async categorizeSecurityEvents(events) {
-    const result = {
-      highPriority: [],
-      mediumPriority: [],
-      lowPriority: [],
-      all: events
+  async categorizeSecurityEvents(events, options = {}) {
+    const keep = options.keep || DEFAULT_KEEP;
+    const priorities = {
+      high: new RecentEvents(keep),
+      medium: new RecentEvents(keep),
+      low: new RecentEvents(keep)
     };
+    // Low priority events are only detailed when they changed a setting
+    const configurationChanges = new RecentEvents(keep);
+    const counts = { total: 0, high: 0, medium: 0, low: 0 };
+    const byCategory = {};
     
-    // Categorize each event
-    events.forEach(event => {
-      if (this.highPriorityEvents.includes(event.event)) {
-        result.highPriority.push(event);
-      } else if (this.mediumPriorityEvents.includes(event.event)) {
-        result.mediumPriority.push(event);
-      } else {
-        result.lowPriority.push(event);
+    // Categorize each event as it arrives
+    for await (const rawEvent of events) {
+      // Attach what changed, so API payloads carry the same details as chat
+      const event = this.changeDiff.annotate(rawEvent);
+      const taxonomySeverity = this.taxonomy.getSeverity(event.event);
+      const severity = taxonomySeverity === 'high' || taxonomySeverity === 'medium' ? taxonomySeverity : 'low';
+      const category = event.category || this.taxonomy.getCategory(event.event);
+      
+      counts.total++;
+      counts[severity]++;
+      byCategory[category] = (byCategory[category] || 0) + 1;
+      priorities[severity].add(event);
+      
+      if (severity === 'low' && event.changes.length > 0) {
+        configurationChanges.add(event);
       }
-    });
+      
+      if (options.onProgress && counts.total % PROGRESS_INTERVAL === 0) {
+        options.onProgress({ stage: 'analyze', eventsAnalyzed: counts.total });
+      }
+    }
     
-    return result;
+    if (options.onProgress) {
+      options.onProgress({ stage: 'analyze', eventsAnalyzed: counts.total });
+    }
+    
+    return {
+      highPriority: priorities.high.toArray(),
+      mediumPriority: priorities.medium.toArray(),
+      lowPriority: priorities.low.toArray(),
+      configurationChanges: configurationChanges.toArray(),
+      counts,
+      byCategory
+    };
   }
 
   /**
    * Summarize security events
    * @param {Object} categorizedEvents - Events categorized by severity
+   * @param {number|Object} period - Number of days analyzed, or the date range ({ start, end })
    * @returns {string} - Summary message
    */
-  async generateSecuritySummary(categorizedEvents, days = 7) {
-    let message = `I've checked the last ${days} days of audit logs for security events.\n\n`;
+  async generateSecuritySummary(categorizedEvents, period = 7) {
+    let message = `I've checked the audit logs for security events ${describePeriod(period)}.\n\n`;
     
     // Add high priority events
-    if (categorizedEvents.highPriority.length > 0) {
-      message += `🔴 High Priority (${categorizedEvents.highPriority.length} events):\n`;
+    const { counts } = categorizedEvents;
+    
+    if (counts.high > 0) {
+      message += `🔴 High Priority (${counts.high} events):\n`;
       for (const event of categorizedEvents.highPriority.slice(0, 5)) {
-        const userDisplay = await this._formatUser(event.user_id || event.content?.user_id || event.content?.performed_by);
-        const time = this._formatTimeAgo(event.created);
-        message += `- ${this._formatEventType(event.event)} by ${userDisplay} (${time})\n`;
+        message += await this._formatEventLine(event);
       }
       message += '\n';
     }
     
     // Add medium priority events
-    if (categorizedEvents.mediumPriority.length > 0) {
-      message += `🟠 Medium Priority (${categorizedEvents.mediumPriority.length} events):\n`;
+    if (counts.medium > 0) {
+      message += `🟠 Medium Priority (${counts.medium} events):\n`;
       for (const event of categorizedEvents.mediumPriority.slice(0, 5)) {
-        const userDisplay = await this._formatUser(event.user_id || event.content?.user_id || event.content?.performed_by);
-        const time = this._formatTimeAgo(event.created);
-        message += `- ${this._formatEventType(event.event)} by ${userDisplay} (${time})\n`;
+        message += await this._formatEventLine(event);
       }
       message += '\n';
     }
     
-    // Add low priority events with special handling for SAST settings
-    if (categorizedEvents.lowPriority.length > 0) {
-      message += `🟢 Low Priority: ${categorizedEvents.lowPriority.length} events\n`;
+    // Add low priority events, detailing the ones that changed settings
+    if (counts.low > 0) {
+      message += `🟢 Low Priority: ${counts.low} events\n`;
       
-      // Check for SAST settings changes specifically
-      const sastEvents = categorizedEvents.lowPriority.filter(event => event.event === 'org.sast_settings.edit');
-      if (sastEvents.length > 0) {
-        message += '\n📊 SAST Settings Changes:\n';
-        for (const event of sastEvents) {
-          const time = this._formatTimeAgo(event.created);
-          const userDisplay = await this._formatUser(event.user_id || event.content?.user_id || event.content?.performed_by);
-          
-          // Extract changes from the event content
-          const changes = event.content?.changes || {};
-          const before = event.content?.before?.sastSettings || {};
-          const after = event.content?.after?.sastSettings || {};
-          
-          // Check if SAST was enabled or disabled
-          let sastAction = 'modified';
-          let detailedChanges = [];
-          
-          // Check for enabled/disabled status change
-          if (after.sastEnabled === true && before.sastEnabled !== true) {
-            sastAction = 'enabled';
-          } else if (before.sastEnabled === true && after.sastEnabled !== true) {
-            sastAction = 'disabled';
-          }
-          
-          // Check for specific setting changes
-          if (changes) {
-            // Check for changes in specific SAST settings
-            if (changes.sastEnabled) {
-              detailedChanges.push(`SAST scanning ${changes.sastEnabled.to ? 'enabled' : 'disabled'}`);
-            }
-            
-            // Check for changes in PR checks
-            if (changes.sastPullRequestEnabled) {
-              detailedChanges.push(`PR checks ${changes.sastPullRequestEnabled.to ? 'enabled' : 'disabled'}`);
-            }
-            
-            // Check for changes in severity threshold
-            if (changes.sastSeverityThreshold) {
-              detailedChanges.push(`severity threshold changed to ${changes.sastSeverityThreshold.to}`);
-            }
-          }
-          
-          // Create the message line
-          if (detailedChanges.length > 0) {
-            message += `- SAST settings modified by ${userDisplay} (${time}): ${detailedChanges.join(', ')}\n`;
-          } else {
-            message += `- SAST was ${sastAction} by ${userDisplay} (${time})\n`;
-          }
+      const changedEvents = categorizedEvents.configurationChanges;
+      if (changedEvents.length > 0) {
+        message += '\n📝 Configuration Changes:\n';
+        for (const event of changedEvents.slice(0, 5)) {
+          message += await this._formatEventLine(event);
         }
         message += '\n';
       }
     }
     
     // If no events found
-    if (categorizedEvents.all.length === 0) {
-      message = `Good news! I didn't find any security events in the last ${days} days.`;
+    if (counts.total === 0) {
+      message = `Good news! I didn't find any security events ${describePeriod(period)}.`;
     }
     
     return message;
   }
 
+  /**
+   * Format an event as a summary line, followed by what it changed
+   * @param {Object} event - Normalized audit log event
+   * @returns {Promise<string>} - Message lines
+   * @private
+   */
+  async _formatEventLine(event) {
+    const userDisplay = await this._formatUser(event.actor);
+    const time = this._formatTimeAgo(event.created);
+    const orgDisplay = await this._formatOrgSuffix(event);
+    
+    let line = `- ${this._formatEventType(event.event)} by ${userDisplay}${orgDisplay} (${time})\n`;
+    this.changeDiff.formatChanges(event).forEach(change => {
+      line += `    ↳ ${change}\n`;
+    });
+    
+    return line;
+  }
+
   /**
    * Format event type for display
    * @param {string} eventType - Raw event type
@@ -211,6 +208,24 @@ class SecurityEventAnalyzer {
     return `user ${shortId}`;
   }
 
+  /**
+   * Format the org an event belongs to, for group-wide answers
+   * @param {Object} event - Audit log event
+   * @returns {Promise<string>} - " in <org>" suffix, or an empty string outside group mode
+   */
+  async _formatOrgSuffix(event) {
+    if (!this.auditService || !this.auditService.isGroupMode() || !event.orgId) {
+      return '';
+    }
+    
+    try {
+      return ` in ${await this.auditService.formatOrgDisplay(event.orgId)}`;
+    } catch (error) {
+      console.error(`Error formatting org: ${error.message}`);
+      return '';
+    }
+  }
+
   /**
    * Format time ago
    * @param {string} timestamp - ISO timestamp
@@ -0,0 +1,321 @@
+// src/core/sequenceDetector.js
+
+/**
+ * Sequence Detector
+ *
+ * Correlates audit events into multi-step chains. Sequence rules (detection
+ * rules with `steps`, see config/detectionRules.js) describe an ordered list
+ * of steps that must all happen, for the same actor, org or project, within
+ * the rule's window:
+ *
+ *   service account created → webhook added, within 30 minutes
+ *   integration edited → SAST disabled → 3 ignores created, within an hour
+ *
+ * Every completed chain is one finding, with the events that made it up as
+ * evidence. Only events matching one of a rule's steps are kept while a
+ * stream is read; chains are matched in time order once it ends.
+ */
+
+const { getEventTaxonomy } = require('../config/eventTaxonomy');
+const { createEventMatcher, inBusinessHours, parseWindow, describeDuration, listValues, renderTemplate } = require('./eventMatcher');
+
+// Unfinished chains followed per group; the oldest are dropped beyond this
+const MAX_PARTIAL_CHAINS = 50;
+
+class SequenceDetector {
+  /**
+   * Create a sequence detector
+   * @param {Array<Object>} rules - Sequence rules (detection rules with steps)
+   * @param {Object} options - Detector options
+   * @param {EventTaxonomy} options.taxonomy - Taxonomy for security-critical events (default: the shared taxonomy)
+   * @param {number} options.businessHoursStart - Start of business hours, UTC (default 8)
+   * @param {number} options.businessHoursEnd - End of business hours, UTC (default 18)
+   */
+  constructor(rules, options = {}) {
+    this.taxonomy = options.taxonomy || getEventTaxonomy();
+    this.businessHoursStart = options.businessHoursStart !== undefined ? options.businessHoursStart : 8;
+    this.businessHoursEnd = options.businessHoursEnd !== undefined ? options.businessHoursEnd : 18;
+    this.rules = rules.map(rule => this._compileRule(rule));
+  }
+
+  /**
+   * Set business hours, for steps matching on hours
+   * @param {number} start - Start hour (0-23)
+   * @param {number} end - End hour (0-23)
+   */
+  setBusinessHours(start, end) {
+    this.businessHoursStart = start;
+    this.businessHoursEnd = end;
+  }
+
+  /**
+   * Create the running state for one evaluation
+   * @returns {Object} - Evaluation state
+   */
+  createState() {
+    return {
+      rules: this.rules.map(compiled => ({ compiled, groups: new Map() }))
+    };
+  }
+
+  /**
+   * Feed one event to every sequence rule
+   * @param {Object} state - State from createState
+   * @param {Object} event - Normalized audit log event
+   */
+  addEvent(state, event) {
+    state.rules.forEach(entry => {
+      const { compiled } = entry;
+      const steps = compiled.steps
+        .map((step, index) => (step.matches(event) ? index : -1))
+        .filter(index => index >= 0);
+
+      if (steps.length === 0) {
+        return;
+      }
+
+      const key = compiled.groupBy ? this._groupValue(event, compiled.groupBy) : '';
+      if (!entry.groups.has(key)) {
+        entry.groups.set(key, []);
+      }
+
+      entry.groups.get(key).push({
+        time: new Date(event.created).getTime(),
+        steps,
+        event: event.event,
+        actor: event.actor || 'unknown',
+        actorType: event.actorType || 'user',
+        orgId: event.orgId || null,
+        projectId: event.projectId || null
+      });
+    });
+  }
+
+  /**
+   * Finish an evaluation and list the completed chains
+   * @param {Object} state - State from createState
+   * @returns {Array<Object>} - Findings ({ type, rule, user, users, eventType, eventTypes, count, time, windowStart,
+   *   window, org, project, severity, description, chain: [{ step, event, actor, actorType, time, orgId, projectId }] }),
+   *   in rule order and, within a rule, in time order
+   */
+  finish(state) {
+    return state.rules.flatMap(entry => {
+      const findings = [];
+
+      entry.groups.forEach(hits => {
+        this._matchChains(entry.compiled, hits.slice().sort((a, b) => a.time - b.time))
+          .forEach(chain => findings.push(this._createFinding(entry.compiled, chain)));
+      });
+
+      return findings.sort((a, b) => new Date(a.time) - new Date(b.time));
+    });
+  }
+
+  /**
+   * Evaluate the sequence rules over a list of events
+   * @param {Array<Object>} events - Normalized audit log events
+   * @returns {Array<Object>} - Findings
+   */
+  evaluate(events) {
+    const state = this.createState();
+    events.forEach(event => this.addEvent(state, event));
+    return this.finish(state);
+  }
+
+  /**
+   * Fill in a sequence rule's message template for a finding
+   * @param {Object} finding - Finding from finish()
+   * @param {Array<string>} userDisplays - Names to show for the finding's users, in order (default: their IDs)
+   * @returns {string} - Message
+   */
+  render(finding, userDisplays = null) {
+    const compiled = this.rules.find(candidate => candidate.rule.id === finding.rule);
+    const template = compiled ? compiled.rule.message : finding.description;
+    const users = userDisplays || finding.users;
+
+    return renderTemplate(template, {
+      actor: users[0],
+      actors: listValues(users),
+      event: finding.eventTypes[0],
+      events: listValues(finding.eventTypes),
+      count: finding.count,
+      window: finding.window,
+      org: finding.org || 'unknown org',
+      project: finding.project || 'unknown project',
+      time: finding.time,
+      steps: compiled ? this._describeSteps(compiled) : null,
+      duration: describeDuration(new Date(finding.time) - new Date(finding.windowStart))
+    });
+  }
+
+  /**
+   * Find the chains completed in a group's events
+   * @param {Object} compiled - Compiled sequence rule
+   * @param {Array<Object>} hits - Events matching a step, oldest first
+   * @returns {Array<Array<Object>>} - Completed chains (events with the step they matched)
+   * @private
+   */
+  _matchChains(compiled, hits) {
+    const chains = [];
+    let partials = [];
+
+    hits.forEach(hit => {
+      // Chains that can no longer finish inside the window are dropped
+      partials = partials.filter(partial => hit.time - partial.start <= compiled.windowMs);
+
+      let completed = null;
+      let extendedFirstStep = false;
+
+      for (const partial of partials) {
+        if (!hit.steps.includes(partial.step)) {
+          continue;
+        }
+
+        extendedFirstStep = extendedFirstStep || partial.step === 0;
+        this._advance(compiled, partial, hit);
+
+        if (partial.step === compiled.steps.length) {
+          completed = partial;
+          break;
+        }
+      }
+
+      // A completed chain is reported once; the unfinished ones overlap it
+      if (completed) {
+        chains.push(completed.chain);
+        partials = [];
+        return;
+      }
+
+      if (hit.steps.includes(0) && !extendedFirstStep) {
+        const partial = { start: hit.time, step: 0, stepCount: 0, chain: [] };
+        this._advance(compiled, partial, hit);
+        partials.push(partial);
+
+        if (partials.length > MAX_PARTIAL_CHAINS) {
+          partials.shift();
+        }
+      }
+    });
+
+    return chains;
+  }
+
+  /**
+   * Add an event to an unfinished chain, moving to the next step once the current one has enough events
+   * @param {Object} compiled - Compiled sequence rule
+   * @param {Object} partial - Unfinished chain ({ start, step, stepCount, chain })
+   * @param {Object} hit - Event matching the chain's current step
+   * @private
+   */
+  _advance(compiled, partial, hit) {
+    partial.chain.push({ ...hit, step: partial.step });
+    partial.stepCount++;
+
+    if (partial.stepCount >= compiled.steps[partial.step].count) {
+      partial.step++;
+      partial.stepCount = 0;
+    }
+  }
+
+  /**
+   * Build a finding for a completed chain
+   * @param {Object} compiled - Compiled sequence rule
+   * @param {Array<Object>} chain - Events in the chain, with the step each matched
+   * @returns {Object} - Finding
+   * @private
+   */
+  _createFinding(compiled, chain) {
+    const users = [...new Set(chain.map(link => link.actor))];
+    const orgs = [...new Set(chain.map(link => link.orgId))];
+    const projects = [...new Set(chain.map(link => link.projectId))];
+
+    const finding = {
+      type: compiled.rule.id,
+      rule: compiled.rule.id,
+      user: users[0],
+      users,
+      eventType: chain[chain.length - 1].event,
+      eventTypes: [...new Set(chain.map(link => link.event))],
+      count: chain.length,
+      time: new Date(chain[chain.length - 1].time).toISOString(),
+      windowStart: new Date(chain[0].time).toISOString(),
+      window: compiled.windowLabel,
+      org: orgs.length === 1 ? orgs[0] : null,
+      project: projects.length === 1 ? projects[0] : null,
+      severity: compiled.rule.severity,
+      chain: chain.map(link => ({
+        step: compiled.steps[link.step].name,
+        event: link.event,
+        actor: link.actor,
+        actorType: link.actorType,
+        time: new Date(link.time).toISOString(),
+        orgId: link.orgId,
+        projectId: link.projectId
+      }))
+    };
+
+    finding.description = this.render(finding);
+    return finding;
+  }
+
+  /**
+   * Prepare a sequence rule for evaluation
+   * @param {Object} rule - Sequence rule
+   * @returns {Object} - Compiled rule ({ rule, steps: [{ name, count, matches }], groupBy, windowMs, windowLabel })
+   * @private
+   */
+  _compileRule(rule) {
+    const window = parseWindow(rule.window);
+    const context = {
+      taxonomy: this.taxonomy,
+      isBusinessHours: created => inBusinessHours(created, this.businessHoursStart, this.businessHoursEnd)
+    };
+
+    return {
+      rule,
+      steps: rule.steps.map(step => ({
+        name: step.name,
+        count: step.count || 1,
+        matches: createEventMatcher(step, context)
+      })),
+      groupBy: (rule.groupBy || [])[0] || null,
+      windowMs: window.ms,
+      windowLabel: window.label
+    };
+  }
+
+  /**
+   * Describe a rule's steps ("service account created → webhook added")
+   * @param {Object} compiled - Compiled sequence rule
+   * @returns {string} - Description
+   * @private
+   */
+  _describeSteps(compiled) {
+    return compiled.steps
+      .map(step => (step.count > 1 ? `${step.name} (${step.count})` : step.name))
+      .join(' → ');
+  }
+
+  /**
+   * Get the value events are correlated by
+   * @param {Object} event - Normalized audit log event
+   * @param {string} field - actor, org or project
+   * @returns {string} - Group value
+   * @private
+   */
+  _groupValue(event, field) {
+    switch (field) {
+      case 'actor':
+        return event.actor || 'unknown';
+      case 'org':
+        return event.orgId || '';
+      case 'project':
+        return event.projectId || '';
+      default:
+        return '';
+    }
+  }
+}
+
+module.exports = SequenceDetector;
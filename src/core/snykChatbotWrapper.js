@@ -3,7 +3,20 @@ const { SnykAuditService } = require('../api'); // Corrected require
 const SecurityEventAnalyzer = require('./securityEventAnalyzer');
 const UserActivityAnalyzer = require('./userActivityAnalyzer');
 const AnomalyDetector = require('./anomalyDetector');
+const IgnoreAnalyzer = require('./ignoreAnalyzer');
 const ResponseFormatter = require('./responseFormatter');
+const ChangeDiff = require('./changeDiff');
+const AuditQueryParser = require('./auditQueryParser');
+const { daysAgo, parseDateRange, formatDateRange, describePeriod } = require('../utils');
+
+// Report streaming progress every this many analyzed events
+const PROGRESS_INTERVAL = 500;
+
+// Events listed for a structured query without a limit filter
+const QUERY_LIST_LIMIT = 20;
+
+// Time-of-day phrases ("after hours") aren't date ranges, so they don't change the window
+const TIME_OF_DAY_PATTERN = /\b(after hours|business hours|morning|afternoon|evening|night)\b/i;
 
 class SnykChatbotWrapper {
   constructor() {
@@ -11,7 +24,10 @@ class SnykChatbotWrapper {
     this.securityEventAnalyzer = new SecurityEventAnalyzer(null); // Will be updated in init
     this.userActivityAnalyzer = new UserActivityAnalyzer();
     this.anomalyDetector = new AnomalyDetector();
+    this.ignoreAnalyzer = new IgnoreAnalyzer();
     this.responseFormatter = new ResponseFormatter();
+    this.changeDiff = new ChangeDiff({ maxChanges: 3 });
+    this.auditQueryParser = new AuditQueryParser();
     this.initialized = false;
   }
 
@@ -23,6 +39,7 @@ class SnykChatbotWrapper {
       this.userActivityAnalyzer = new UserActivityAnalyzer(this.auditService);
       // Update the anomaly detector with the audit service for user lookups
       this.anomalyDetector = new AnomalyDetector(this.auditService);
+      this.ignoreAnalyzer = new IgnoreAnalyzer(this.auditService);
       
       if (config.businessHoursStart && config.businessHoursEnd) {
         this.anomalyDetector.setBusinessHours(
@@ -30,6 +47,10 @@ class SnykChatbotWrapper {
           config.businessHoursEnd
         );
       }
+      
+      if (config.baselineDays !== undefined) {
+        this.anomalyDetector.setBaseline(config.baselineDays, config.anomalyThreshold);
+      }
       this.initialized = true;
       return true;
     } catch (error) {
@@ -43,6 +64,18 @@ class SnykChatbotWrapper {
     return this.initialized;
   }
 
+  /**
+   * List the orgs questions can be narrowed to by name
+   * @returns {Promise<Array<Object>>} - Organizations ({ id, name, slug }); empty outside group mode
+   */
+  async getKnownOrgs() {
+    if (!this.auditService || !this.auditService.isGroupMode()) {
+      return [];
+    }
+    
+    return this.auditService.getGroupOrgs();
+  }
+
   async handleRequest(intent, entities, context) {
     if (!this.initialized) {
       return this.responseFormatter.formatApiResponse({
@@ -52,6 +85,21 @@ class SnykChatbotWrapper {
     }
     
     try {
+      // Questions about an item of the previous answer don't read any new audit logs
+      if (intent === 'result_reference') {
+        return await this._handleResultReference(entities, context);
+      }
+      
+      // Work out which org (or the whole group) the question is about, within the orgs the caller may see
+      const scope = await this._restrictOrgScope(await this._resolveOrgScope(entities), context.allowedOrgs);
+      if (scope.error) {
+        return this.responseFormatter.formatApiResponse({
+          message: scope.error,
+          success: true
+        });
+      }
+      context = { ...context, scope };
+      
       switch (intent) {
         case 'event_by_user_query':
           return await this._handleEventByUserQuery(entities, context);
@@ -68,6 +116,12 @@ class SnykChatbotWrapper {
         case 'time_based_query':
           return await this._handleTimeBasedQuery(entities, context);
           
+        case 'ignore_query':
+          return await this._handleIgnoreQuery(entities, context);
+          
+        case 'audit_query':
+          return await this._handleAuditQuery(entities, context);
+          
         case 'help_request':
           return this._handleHelpRequest();
           
@@ -86,9 +140,72 @@ class SnykChatbotWrapper {
     }
   }
 
+  /**
+   * Describe how much audit history a request would read, so callers can
+   * apply quotas before running it
+   * @param {string} intent - Recognized intent
+   * @param {Object} entities - Extracted entities
+   * @param {Object} context - Request context (allowedOrgs)
+   * @returns {Promise<Object>} - { days, groupScope }
+   * @throws {Error} - With statusCode 400 if the requested window has no valid start date
+   */
+  async describeRequest(intent, entities, context = {}) {
+    let fromDate = null;
+    
+    switch (intent) {
+      case 'event_by_user_query':
+      case 'security_events_query':
+      case 'user_activity_query':
+        fromDate = this._getRequestedWindow(entities, 7).start;
+        break;
+        
+      case 'suspicious_activity_query':
+        // The anomaly baseline is learned from the history before the window
+        fromDate = new Date(this._getRequestedWindow(entities, 2).start.getTime() -
+          (this.anomalyDetector ? this.anomalyDetector.baselineDays || 0 : 0) * 86400000);
+        break;
+        
+      case 'ignore_query':
+        fromDate = this._getRequestedWindow(entities, 30).start;
+        break;
+        
+      case 'audit_query':
+        fromDate = entities.queryErrors ? null : new Date(this._compileQuery(entities.query).params.from);
+        break;
+        
+      case 'time_based_query':
+        fromDate = this._getRequestedWindow(entities, 1).start;
+        break;
+        
+      default:
+        // Help and unknown intents don't read any audit logs
+        fromDate = null;
+    }
+    
+    // e.g. "last 99999999999 days", which starts before the earliest date there is
+    if (fromDate && Number.isNaN(fromDate.getTime())) {
+      const error = new Error('Bad request: That time window is too long to search. Ask about a shorter period, such as the last 90 days.');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const groupMode = !!this.auditService && this.auditService.isGroupMode();
+    const allowedOrgs = context.allowedOrgs;
+    const groupScope = groupMode && !entities.org && !(allowedOrgs && allowedOrgs.length === 1);
+    
+    if (!fromDate || !this.auditService) {
+      return { days: 0, groupScope };
+    }
+    
+    // Outside group mode an org can only be named by ID, and each org has its own store
+    const days = await this.auditService.estimateQueryDays(fromDate, groupMode ? null : entities.org || null);
+    
+    return { days, groupScope };
+  }
+
   // UPDATED: This function is now more robust.
   async _handleEventByUserQuery(entities, context) {
-    const days = entities.time_period ? this._parseDaysFromTimePeriod(entities.time_period) : 7;
+    const window = this._getRequestedWindow(entities, 7);
     let eventType = entities.event_type || null;
     const originalMessage = context.nlp?.originalMessage || '';
 
@@ -105,10 +222,14 @@ class SnykChatbotWrapper {
     }
 
     if (!eventType) {
-        return this.responseFormatter.formatApiResponse({
-            message: "I can search for who performed an action, but I need to know what kind of action to look for. For example, 'who modified integrations' or 'who changed policies'.",
-            success: true
-        });
+        // The chat layer asks which kind of change is meant and completes this question with the answer
+        return {
+            ...this.responseFormatter.formatApiResponse({
+                message: 'I can search for who performed an action, but I need to know what kind of action to look for.',
+                success: true
+            }),
+            missingSlot: 'event_type'
+        };
     }
 
     // UPDATED: Expanded the vocabulary of the chatbot
@@ -128,46 +249,91 @@ class SnykChatbotWrapper {
     const snykEventPattern = Object.keys(eventMap).find(key => eventType.includes(key));
 
     if (!snykEventPattern) {
-        return this.responseFormatter.formatApiResponse({
-            message: `I'm not sure how to search for events related to "${eventType}". Try asking about integrations, policies, or users.`,
-            success: true
-        });
+        return {
+            ...this.responseFormatter.formatApiResponse({
+                message: `I'm not sure how to search for events related to "${eventType}".`,
+                success: true
+            }),
+            missingSlot: 'event_type'
+        };
     }
 
-    // Get all events and filter them here, as the service layer doesn't support filtering this way.
-    const allEvents = await this.auditService.getAllEvents(days);
-    const filteredEvents = allEvents.filter(event => event.event.startsWith(eventMap[snykEventPattern]));
+    // Stream all events and filter them here, as the service layer doesn't support filtering this way.
+    const filteredEvents = [];
+    let eventsAnalyzed = 0;
+    const allEvents = this.auditService.streamEvents(this._getServicePeriod(window), {}, context.scope.orgId, { onProgress: context.onProgress });
+    for await (const event of allEvents) {
+        if (event.event.startsWith(eventMap[snykEventPattern])) {
+            filteredEvents.push(this.changeDiff.annotate(event));
+        }
+        if (++eventsAnalyzed % PROGRESS_INTERVAL === 0) {
+            this._reportProgress(context, { stage: 'analyze', eventsAnalyzed });
+        }
+    }
+    this._reportProgress(context, { stage: 'analyze', eventsAnalyzed });
+    filteredEvents.sort((a, b) => new Date(b.created) - new Date(a.created));
+    const completeness = await this._getCompleteness(context.scope, window.start);
     
     if (filteredEvents.length === 0) {
         return this.responseFormatter.formatApiResponse({
-            message: `I didn't find any users who performed '${eventType}' actions in the last ${days} days.`,
+            message: this._withCompleteness(this._withScope(this._withWindow(`I didn't find any users who performed '${eventType}' actions ${describePeriod(this._getAnalyzerPeriod(window))}.`, window), context.scope), completeness),
+            completeness,
+            window: this._describeWindow(window),
             success: true
         });
     }
 
-    const users = [...new Set(filteredEvents.map(event => event.content?.user_id || event.content?.performed_by).filter(Boolean))];
-
-    let message = `Here are the users who performed '${eventType}' actions in the last ${days} days:\n\n`;
-    users.forEach(user => {
-        message += `• ${user}\n`;
+    const users = [...new Set(filteredEvents.map(event => event.actor).filter(Boolean))];
+    this._reportPartial(context, `Found ${filteredEvents.length} '${eventType}' events by ${users.length} users. Looking up who they are...`, {
+        events: filteredEvents.length,
+        users: users.length
     });
 
+    let message = `Here are the users who performed '${eventType}' actions ${describePeriod(this._getAnalyzerPeriod(window))}:\n\n`;
+    for (const user of users) {
+        message += `• ${await this.auditService.formatUserDisplay(user)}\n`;
+
+        // Show what each user's latest actions changed
+        filteredEvents.filter(event => event.actor === user).slice(0, 3).forEach(event => {
+            message += `  - ${this._formatEventType(event.event)} on ${new Date(event.created).toLocaleString()}\n`;
+            this.changeDiff.formatChanges(event).forEach(change => {
+                message += `      ↳ ${change}\n`;
+            });
+        });
+    }
+
     return this.responseFormatter.formatApiResponse({
-        message,
+        message: this._withCompleteness(this._withScope(this._withWindow(message, window), context.scope), completeness),
         data: { users, events: filteredEvents },
+        completeness,
+        window: this._describeWindow(window),
         success: true
     });
   }
 
   async _handleSecurityEventsQuery(entities, context) {
-    const days = entities.time_period ? this._parseDaysFromTimePeriod(entities.time_period) : 7;
+    const window = this._getRequestedWindow(entities, 7);
     try {
-      const events = await this.auditService.getSecurityEvents(days);
-      const categorizedEvents = await this.securityEventAnalyzer.categorizeSecurityEvents(events);
-      const message = await this.securityEventAnalyzer.generateSecuritySummary(categorizedEvents, days);
+      // Events are categorized as they are read from the store instead of loading the whole window
+      const events = this.auditService.streamSecurityEvents(this._getServicePeriod(window), context.scope.orgId, { onProgress: context.onProgress });
+      const categorizedEvents = this._filterByPriority(
+        await this.securityEventAnalyzer.categorizeSecurityEvents(events, { onProgress: context.onProgress }),
+        entities.severity
+      );
+      const { counts } = categorizedEvents;
+      this._reportPartial(context,
+        `Found ${counts.total} security events (${counts.high} high, ${counts.medium} medium, ${counts.low} low priority). Summarizing...`,
+        counts);
+      let message = await this.securityEventAnalyzer.generateSecuritySummary(categorizedEvents, this._getAnalyzerPeriod(window));
+      if (entities.severity) {
+        message = `Showing ${entities.severity} priority events only.\n\n${message}`;
+      }
+      const completeness = await this._getCompleteness(context.scope, window.start);
       return this.responseFormatter.formatApiResponse({
-        message,
+        message: this._withCompleteness(this._withScope(this._withWindow(message, window), context.scope), completeness),
         data: categorizedEvents,
+        completeness,
+        window: this._describeWindow(window),
         success: true
       });
     } catch (error) {
@@ -186,25 +352,23 @@ class SnykChatbotWrapper {
       userId = null; // Treat as a request for all user activity
     }
   
-    const days = entities.time_period ? this._parseDaysFromTimePeriod(entities.time_period) : 7;
+    const window = this._getRequestedWindow(entities, 7);
     
     try {
       // Add debug logging
-      console.log(`Fetching user activity for ${userId || 'all users'} over ${days} days`);
-      
-      const events = await this.auditService.getUserActivity(userId, days);
-      console.log(`Retrieved ${events.length} events from API`);
-      
-      // Debug: Log the first few events if available
-      if (events.length > 0) {
-        console.log('Sample event:', JSON.stringify(events[0]));
-      } else {
-        console.log('No events returned from API');
-      }
+      console.log(`Fetching user activity for ${userId || 'all users'} for ${window.label}`);
       
-      // Use await for async methods
-      const userActivity = await this.userActivityAnalyzer.analyzeUserActivity(events, userId);
-      console.log('User activity analysis completed');
+      // Activity is tallied as events are read from the store instead of loading the whole window
+      const events = this.auditService.streamUserActivity(userId, this._getServicePeriod(window), context.scope.orgId, { onProgress: context.onProgress });
+      let eventsAnalyzed = 0;
+      const userActivity = await this.userActivityAnalyzer.analyzeUserActivity(events, userId, context.scope.orgId, {
+        onProgress: progress => {
+          eventsAnalyzed = progress.eventsAnalyzed;
+          this._reportProgress(context, progress);
+        }
+      });
+      console.log(`User activity analysis completed (${eventsAnalyzed} events)`);
+      this._reportPartial(context, `Analyzed ${eventsAnalyzed} events. Summarizing...`, { events: eventsAnalyzed });
       
       // Log if we have no users in the organization
       if (userActivity && userActivity.orgUsersAvailable === false) {
@@ -212,12 +376,16 @@ class SnykChatbotWrapper {
       }
       
       // Use await for async methods
-      const message = await this.userActivityAnalyzer.generateUserActivitySummary(userActivity, userId, days);
+      const message = await this.userActivityAnalyzer.generateUserActivitySummary(userActivity, userId, this._getAnalyzerPeriod(window));
       console.log('User activity summary generated');
+      
+      const completeness = await this._getCompleteness(context.scope, window.start);
     
       return this.responseFormatter.formatApiResponse({
-        message,
+        message: this._withCompleteness(this._withScope(this._withWindow(message, window), context.scope), completeness),
         data: userActivity,
+        completeness,
+        window: this._describeWindow(window),
         success: true
       });
     } catch (error) {
@@ -230,41 +398,74 @@ class SnykChatbotWrapper {
   }
 
   async _handleSuspiciousActivityQuery(entities, context) {
-    const days = entities.time_period ? this._parseDaysFromTimePeriod(entities.time_period) : 2;
-    const events = await this.auditService.getAllEvents(days);
-    const suspiciousActivities = this.anomalyDetector.detectAnomalies(events);
-    const message = await this.anomalyDetector.generateSuspiciousActivitySummary(suspiciousActivities, days);
+    const window = this._getRequestedWindow(entities, 2);
+    // Each account's own history before the window is what its activity in the window is compared with
+    const baseline = await this.anomalyDetector.learnBaseline(window.start, context.scope.orgId, { onProgress: context.onProgress });
+    // Analyze events as they are read from the store instead of loading the whole window
+    const events = this.auditService.streamEvents(this._getServicePeriod(window), {}, context.scope.orgId, { onProgress: context.onProgress });
+    const detected = await this.anomalyDetector.detectAnomaliesStream(events, { onProgress: context.onProgress, baseline });
+    const suspiciousActivities = entities.severity ? detected.filter(activity => activity.severity === entities.severity) : detected;
+    this._reportPartial(context, `Found ${suspiciousActivities.length} suspicious activities. Summarizing...`, {
+      suspicious: suspiciousActivities.length
+    });
+    const message = await this.anomalyDetector.generateSuspiciousActivitySummary(suspiciousActivities, this._getAnalyzerPeriod(window));
+    const completeness = await this._getCompleteness(context.scope, window.start);
     
     return this.responseFormatter.formatApiResponse({
-      message,
+      message: this._withCompleteness(this._withScope(this._withWindow(message, window), context.scope), completeness),
       data: suspiciousActivities,
+      completeness,
+      window: this._describeWindow(window),
       success: true
     });
   }
 
-  async _handleTimeBasedQuery(entities, context) {
-    let start, end;
+  /**
+   * List the ignores added in a period and flag the risky ones
+   * @param {Object} entities - Extracted entities
+   * @param {Object} context - Request context (scope, onProgress)
+   * @returns {Promise<Object>} - Formatted response
+   * @private
+   */
+  async _handleIgnoreQuery(entities, context) {
+    const window = this._getRequestedWindow(entities, 30);
+    const events = this.auditService.streamEvents(
+      this._getServicePeriod(window),
+      { events: this.ignoreAnalyzer.getEventTypes() },
+      context.scope.orgId,
+      { onProgress: context.onProgress }
+    );
+    const inventory = await this.ignoreAnalyzer.analyzeIgnores(events);
+    this._reportPartial(context, `Found ${inventory.totals.created} ignores. Summarizing...`, {
+      ignores: inventory.totals.created,
+      risky: inventory.totals.risky
+    });
+    const message = await this.ignoreAnalyzer.generateIgnoreSummary(inventory, this._getAnalyzerPeriod(window));
+    const completeness = await this._getCompleteness(context.scope, window.start);
     
-    if (entities.time_range) {
-      const range = this._parseTimeRange(entities.time_range);
-      start = range.start;
-      end = range.end;
-    } else {
-      end = new Date();
-      start = new Date(end);
-      start.setDate(start.getDate() - 1);
-    }
+    return this.responseFormatter.formatApiResponse({
+      message: this._withCompleteness(this._withScope(this._withWindow(message, window), context.scope), completeness),
+      data: inventory,
+      completeness,
+      window: this._describeWindow(window),
+      success: true
+    });
+  }
+
+  async _handleTimeBasedQuery(entities, context) {
+    const window = this._getRequestedWindow(entities, 1);
+    const { start, end } = window;
     
     const events = await this.auditService.getEventsByTimeRange(
       start.toISOString(),
-      end.toISOString()
+      end.toISOString(),
+      context.scope.orgId,
+      { onProgress: context.onProgress }
     );
     
     const eventSummary = await this.auditService.summarizeTimeRangeEvents(events, start, end);
-    const formattedStart = start.toLocaleString();
-    const formattedEnd = end.toLocaleString();
-    
-    let message = `Audit log summary for ${formattedStart} - ${formattedEnd}:\n\n`;
+    this._reportProgress(context, { stage: 'analyze', eventsAnalyzed: eventSummary.totalEvents });
+    let message = `Audit log summary for ${window.label}:\n\n`;
     message += `Total events: ${eventSummary.totalEvents}\n`;
     message += `Active users: ${eventSummary.uniqueUserCount}\n\n`;
     message += 'Notable activities:\n';
@@ -276,21 +477,258 @@ class SnykChatbotWrapper {
     if (eventSummary.securityEvents.length > 0) {
       message += `\nSecurity-related events: ${eventSummary.securityEvents.length}\n`;
       eventSummary.securityEvents.slice(0, 3).forEach(event => {
-        const user = event.content?.user_id || event.content?.performed_by || 'unknown';
+        const user = event.actor || 'unknown';
         const time = new Date(event.created).toLocaleTimeString();
         message += `• ${this._formatEventType(event.event)} by ${user} at ${time} ⚠️\n`;
       });
     }
     
+    const completeness = await this._getCompleteness(context.scope, start);
+    
     return this.responseFormatter.formatApiResponse({
-      message,
+      message: this._withCompleteness(this._withScope(window.note ? `${message}\n${window.note}` : message, context.scope), completeness),
       data: eventSummary,
+      completeness,
+      window: this._describeWindow(window),
+      success: true
+    });
+  }
+
+  /**
+   * Run a structured query ("event:org.policy.* since:14d severity:high")
+   * @param {Object} entities - Entities ({ query, queryErrors })
+   * @param {Object} context - Request context (scope, onProgress)
+   * @returns {Promise<Object>} - Formatted response
+   * @private
+   */
+  async _handleAuditQuery(entities, context) {
+    if (entities.queryErrors) {
+      return this.responseFormatter.formatApiResponse({
+        message: `I couldn't read that query:\n${entities.queryErrors.map(error => `• ${error}`).join('\n')}\n\n` +
+          'Example: event:org.policy.* user:alice@corp.com since:14d severity:high limit:20',
+        success: true
+      });
+    }
+    
+    const queryText = this.auditQueryParser.format(entities.query);
+    const { params, clientFilters } = this._compileQuery(entities.query);
+    const filters = { from: params.from, to: params.to, events: params.events, projectId: params.project_id };
+    
+    try {
+      if (params.user_id) {
+        filters.userId = await this.auditService.resolveUserId(params.user_id, context.scope.orgId);
+        
+        if (!filters.userId) {
+          return this.responseFormatter.formatApiResponse({
+            message: `I couldn't find a user matching "${params.user_id}".`,
+            success: true
+          });
+        }
+      }
+      
+      const events = this.auditQueryParser.applyClientFilters(
+        await this.auditService.queryEvents(filters, context.scope.orgId, { onProgress: context.onProgress }),
+        clientFilters
+      );
+      this._reportProgress(context, { stage: 'analyze', eventsAnalyzed: events.length });
+      
+      const shown = events.slice(0, clientFilters.limit || QUERY_LIST_LIMIT).map(event => this.changeDiff.annotate(event));
+      let message;
+      
+      if (events.length === 0) {
+        message = `No events match \`${queryText}\`.`;
+      } else {
+        message = `${events.length} event${events.length === 1 ? '' : 's'} match \`${queryText}\`` +
+          `${shown.length < events.length ? ` (showing the newest ${shown.length})` : ''}:\n\n`;
+        
+        for (const event of shown) {
+          const user = event.actor ? await this.auditService.formatUserDisplay(event.actor) : 'an unknown user';
+          message += `• ${new Date(event.created).toLocaleString()}: ${this._formatEventType(event.event)} (${event.event}) by ${user}`;
+          message += event.projectId ? `, project ${event.projectId}\n` : '\n';
+          this.changeDiff.formatChanges(event).forEach(change => {
+            message += `    ↳ ${change}\n`;
+          });
+        }
+      }
+      
+      const completeness = await this._getCompleteness(context.scope, new Date(params.from));
+      const window = {
+        start: new Date(params.from),
+        end: params.to ? new Date(Math.min(new Date(params.to).getTime(), Date.now())) : new Date()
+      };
+      window.label = formatDateRange(window.start, window.end);
+      
+      return this.responseFormatter.formatApiResponse({
+        message: this._withCompleteness(this._withScope(this._withWindow(message, window), context.scope), completeness),
+        data: { query: { params, clientFilters }, total: events.length, events: shown },
+        completeness,
+        window: this._describeWindow(window),
+        success: true
+      });
+    } catch (error) {
+      console.error('Error handling structured query:', error);
+      return this.responseFormatter.formatApiResponse({
+        message: `I encountered an error running that query: ${error.message}`,
+        success: false
+      });
+    }
+  }
+
+  /**
+   * Compile structured query filters, counting relative times back from now
+   * @param {Object} query - Filters from AuditQueryParser.parse
+   * @returns {Object} - Compiled query (see AuditQueryParser.compile)
+   * @private
+   */
+  _compileQuery(query) {
+    return this.auditQueryParser.compile(query, {
+      defaultDays: this.auditService ? this.auditService.config.defaultDays : undefined
+    });
+  }
+
+  /**
+   * Answer a question about one item of the previous answer ("who did the second one?")
+   * @param {Object} entities - Entities ({ reference: { ordinal, question } })
+   * @param {Object} context - Conversation context (lastIntent, lastResponse)
+   * @returns {Promise<Object>} - Formatted response
+   * @private
+   */
+  async _handleResultReference(entities, context) {
+    const { ordinal, question } = entities.reference;
+    const lastResponse = context.lastResponse;
+    const items = lastResponse ? this._getResultItems(context.lastIntent, lastResponse.data) : [];
+    
+    if (items.length === 0) {
+      return this.responseFormatter.formatApiResponse({
+        message: !lastResponse
+          ? 'I don\'t have a list of results to pick from. Ask a question first, e.g. "show me recent security events".'
+          : lastResponse.dataTruncated && !lastResponse.data
+            ? 'That answer was too large for me to remember its details. Please ask the question again.'
+            : 'My last answer didn\'t list anything to pick from.',
+        success: true
+      });
+    }
+    
+    const index = ordinal < 0 ? items.length + ordinal : ordinal - 1;
+    const item = items[index];
+    
+    if (!item) {
+      return this.responseFormatter.formatApiResponse({
+        message: `My last answer only listed ${items.length} item${items.length === 1 ? '' : 's'}.`,
+        success: true
+      });
+    }
+    
+    const label = ordinal < 0 ? 'The last one' : `Number ${ordinal}`;
+    const eventType = item.event || item.eventType;
+    const actor = item.actor || item.user;
+    const created = item.created || item.time;
+    const userDisplay = actor ? await this.auditService.formatUserDisplay(actor) : 'an unknown user';
+    const when = created ? new Date(created).toLocaleString() : 'an unknown time';
+    let message;
+    
+    switch (question) {
+      case 'who':
+        message = `${label} (${this._formatEventType(eventType)}) was done by ${userDisplay}.`;
+        break;
+        
+      case 'when':
+        message = `${label} (${this._formatEventType(eventType)} by ${userDisplay}) happened on ${when}.`;
+        break;
+        
+      default:
+        message = `${label}: ${this._formatEventType(eventType)}\n\n`;
+        message += `• Event: ${eventType}\n`;
+        message += `• By: ${userDisplay}\n`;
+        if (created) message += `• When: ${when}\n`;
+        if (item.orgId && this.auditService.isGroupMode()) message += `• Org: ${await this.auditService.formatOrgDisplay(item.orgId)}\n`;
+        if (item.projectId) message += `• Project: ${item.projectId}\n`;
+        if (item.count) message += `• Count: ${item.count}\n`;
+        (item.event ? this.changeDiff.formatChanges(item) : []).forEach(change => {
+          message += `  ↳ ${change}\n`;
+        });
+    }
+    
+    return this.responseFormatter.formatApiResponse({
+      message,
+      data: item,
       success: true
     });
   }
 
+  /**
+   * List the items of an answer in the order its message shows them, so
+   * follow-ups can refer to them by position
+   * @param {string} intent - Intent of the answer
+   * @param {Object|Array} data - Data of the answer
+   * @returns {Array<Object>} - Events or suspicious activities
+   * @private
+   */
+  _getResultItems(intent, data) {
+    if (!data) {
+      return [];
+    }
+    
+    switch (intent) {
+      case 'security_events_query':
+        return [
+          ...(data.highPriority || []).slice(0, 5),
+          ...(data.mediumPriority || []).slice(0, 5),
+          ...(data.configurationChanges || []).slice(0, 5)
+        ];
+        
+      case 'event_by_user_query':
+        return (data.users || []).flatMap(user => (data.events || []).filter(event => event.actor === user).slice(0, 3));
+        
+      case 'suspicious_activity_query':
+        return Array.isArray(data) ? data : [];
+        
+      case 'time_based_query':
+        return (data.securityEvents || []).slice(0, 3);
+        
+      case 'ignore_query':
+        // Listed ignores are referred to by the event that created them
+        return (data.ignores || []).filter(ignore => ignore.created).slice(0, 10).map(ignore => ({
+          ...ignore,
+          event: 'org.project.ignore.create',
+          actor: ignore.createdBy
+        }));
+        
+      case 'audit_query':
+        return data.events || [];
+        
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Keep only one priority of categorized security events ("only high priority")
+   * @param {Object} categorizedEvents - Events categorized by priority
+   * @param {string} severity - high, medium or low (optional)
+   * @returns {Object} - Categorized events
+   * @private
+   */
+  _filterByPriority(categorizedEvents, severity) {
+    if (!severity) {
+      return categorizedEvents;
+    }
+    
+    const keep = key => (severity === key ? categorizedEvents[`${key}Priority`] : []);
+    const count = key => (severity === key ? categorizedEvents.counts[key] : 0);
+    
+    return {
+      highPriority: keep('high'),
+      mediumPriority: keep('medium'),
+      lowPriority: keep('low'),
+      configurationChanges: severity === 'low' ? categorizedEvents.configurationChanges : [],
+      counts: { total: categorizedEvents.counts[severity] || 0, high: count('high'), medium: count('medium'), low: count('low') },
+      byCategory: categorizedEvents.byCategory
+    };
+  }
+
   _handleHelpRequest() {
-    const message = `I can help you monitor Snyk audit logs for security events and user activities. Try asking me:
+    let message = `I can help you monitor Snyk audit logs for security events and user activities. Try asking me:
 
 • "Show me recent security events"
 • "Any suspicious activity in the last 24 hours?"
@@ -298,8 +736,13 @@ class SnykChatbotWrapper {
 • "Were there any policy changes recently?"
 • "Show me after-hours activity"
 • "Who modified our integrations this week?"
+• "What ignores were added this month?"
 
-I can search by time period, user, event type, or security priority. What would you like to know?`;
+I can search by time period, user, event type, or security priority. For exact searches, use filters like \`event:org.policy.* user:alice@corp.com since:14d severity:high limit:20\`. You can follow up on an answer, e.g. "what about last month?", "only high priority" or "who did the second one?". What would you like to know?`;
+    
+    if (this.auditService && this.auditService.isGroupMode()) {
+      message += `\n\nI'm watching every org in your Snyk group. Name an org to narrow things down, e.g. "policy changes in the payments org this week".`;
+    }
     
     return this.responseFormatter.formatApiResponse({
       message,
@@ -307,6 +750,118 @@ I can search by time period, user, event type, or security priority. What would
     });
   }
 
+  /**
+   * Resolve the org a question is about.
+   * In group mode a named org narrows the query; otherwise the whole group is used.
+   * @param {Object} entities - Extracted entities
+   * @returns {Promise<Object>} - Scope ({ orgId, label }) or ({ error })
+   * @private
+   */
+  async _resolveOrgScope(entities) {
+    const groupMode = this.auditService.isGroupMode();
+    
+    if (!entities.org) {
+      return { orgId: null, label: groupMode ? 'all orgs in your group' : null };
+    }
+    
+    if (!groupMode) {
+      // Without a group we can't look orgs up by name, but an explicit ID still works
+      const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(entities.org);
+      if (!isUuid) {
+        // Answering for the default org instead would look like an answer about the named one
+        return { error: `I can only look orgs up by name across a Snyk group, so I don't know which org "${entities.org}" is. Ask again with its org ID, or without naming an org to use the default org.` };
+      }
+      return { orgId: entities.org, label: `org ${entities.org.substring(0, 8)}` };
+    }
+    
+    const org = await this.auditService.resolveOrg(entities.org);
+    if (!org) {
+      return { error: `I couldn't find an org called "${entities.org}" in your Snyk group.` };
+    }
+    
+    return { orgId: org.id, label: `the ${org.name || org.slug || org.id} org` };
+  }
+
+  /**
+   * Narrow a scope to the orgs the caller's token is restricted to
+   * @param {Object} scope - Scope from _resolveOrgScope
+   * @param {Array<string>|null} allowedOrgs - Org IDs the caller may see (null for every org)
+   * @returns {Promise<Object>} - Scope ({ orgId, label }) or ({ error })
+   * @private
+   */
+  async _restrictOrgScope(scope, allowedOrgs) {
+    if (scope.error || !allowedOrgs) {
+      return scope;
+    }
+    
+    const access = this.auditService.checkOrgAccess(scope.orgId, allowedOrgs);
+    
+    if (!access.allowed) {
+      return {
+        error: access.reason === 'org_required'
+          ? 'You have access to several orgs. Name the one you mean, e.g. "security events in the payments org".'
+          : `You don't have access to ${scope.label || 'that org'}.`
+      };
+    }
+    
+    if (access.orgId === scope.orgId || !this.auditService.isGroupMode()) {
+      return { ...scope, orgId: access.orgId };
+    }
+    
+    // A group-wide question from a single-org caller covers just their org
+    return { orgId: access.orgId, label: `the ${await this.auditService.formatOrgDisplay(access.orgId)} org` };
+  }
+
+  /**
+   * Prefix a message with the org scope it covers (group mode only)
+   * @param {string} message - Response message
+   * @param {Object} scope - Scope from _resolveOrgScope
+   * @returns {string} - Message with scope line
+   * @private
+   */
+  _withScope(message, scope) {
+    if (!scope || !scope.label) {
+      return message;
+    }
+    return `🏢 Scope: ${scope.label}\n\n${message}`;
+  }
+
+  /**
+   * Get completeness metadata for the events behind an answer
+   * @param {Object} scope - Scope from _resolveOrgScope
+   * @param {Date} fromDate - Start of the window the answer covers
+   * @returns {Promise<Object|null>} - Completeness metadata, or null if unavailable
+   * @private
+   */
+  async _getCompleteness(scope, fromDate) {
+    try {
+      return await this.auditService.getCompleteness(fromDate, scope.orgId);
+    } catch (error) {
+      console.error('Error checking result completeness:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Append a warning to a message when the events behind it are incomplete
+   * @param {string} message - Response message
+   * @param {Object} completeness - Completeness metadata from _getCompleteness
+   * @returns {string} - Message with warning line
+   * @private
+   */
+  _withCompleteness(message, completeness) {
+    if (!completeness || completeness.complete) {
+      return message;
+    }
+    
+    let warning = `⚠️ Results incomplete: ${completeness.error}. Some events may be missing, so a quiet result doesn't mean nothing happened.`;
+    if (completeness.resumable) {
+      warning += ' Ask again to resume loading from where it stopped.';
+    }
+    
+    return `${message}\n\n${warning}`;
+  }
+
   _formatEventType(eventType) {
     const parts = eventType.split('.');
     const action = parts.pop();
@@ -322,6 +877,35 @@ I can search by time period, user, event type, or security priority. What would
     }
   }
 
+  /**
+   * Report progress to a streaming caller (e.g. POST /webhook/stream)
+   * @param {Object} context - Request context (onProgress)
+   * @param {Object} progress - Progress ({ stage, ... })
+   * @private
+   */
+  _reportProgress(context, progress) {
+    if (context.onProgress) {
+      context.onProgress(progress);
+    }
+  }
+
+  /**
+   * Report a partial result to a streaming caller before the full answer is ready
+   * @param {Object} context - Request context (onPartial)
+   * @param {string} message - What has been found so far
+   * @param {Object} data - Counts behind the message
+   * @private
+   */
+  _reportPartial(context, message, data = null) {
+    if (context.onPartial) {
+      context.onPartial({ message, data });
+    }
+  }
+
+  _getRequestedDays(entities, defaultDays) {
+    return entities.time_period ? this._parseDaysFromTimePeriod(entities.time_period) : defaultDays;
+  }
+
   _parseDaysFromTimePeriod(timePeriod) {
     const lowerTimePeriod = timePeriod.toLowerCase();
     
@@ -344,8 +928,102 @@ I can search by time period, user, event type, or security priority. What would
     return 7;
   }
 
-  _parseTimeRange(timeRange) {
+  /**
+   * Work out the window a question covers. Calendar ranges ("between Oct 3
+   * and Oct 10", "in Q3", "since last Tuesday", "yesterday") become exact
+   * dates; periods like "last 30 days" count back from now.
+   * @param {Object} entities - Extracted entities (time_range, time_period)
+   * @param {number} defaultDays - Days to look back when the question gives no time
+   * @returns {Object} - { start, end, days (history read, for quotas), label, rolling, note }
+   * @private
+   */
+  _getRequestedWindow(entities, defaultDays) {
     const now = new Date();
+    let range = null;
+    
+    if (entities.time_range) {
+      range = this._parseTimeRange(entities.time_range, now);
+    }
+    
+    if (!range && entities.time_period) {
+      range = parseDateRange(entities.time_period, now);
+    }
+    
+    if (range) {
+      return {
+        ...range,
+        days: Math.max(1, Math.ceil((now.getTime() - range.start.getTime()) / 86400000)),
+        label: formatDateRange(range.start, range.end),
+        rolling: false,
+        note: null
+      };
+    }
+    
+    const days = this._getRequestedDays(entities, defaultDays);
+    const start = daysAgo(days);
+    const label = formatDateRange(start, now);
+    let note = null;
+    
+    // Say so rather than quietly answering for a different period
+    if (entities.time_range && !TIME_OF_DAY_PATTERN.test(entities.time_range)) {
+      note = `I couldn't work out the dates in "${entities.time_range}", so I used ${describePeriod(days).replace(/^in /, '')} instead.`;
+    }
+    
+    return { start, end: now, days, label, rolling: true, note };
+  }
+
+  /**
+   * The period to pass the audit service for a window. Rolling windows are
+   * passed by their dates too, so the query and its completeness check
+   * (which gets window.start) agree on where the window starts.
+   * @param {Object} window - Window from _getRequestedWindow
+   * @returns {Object} - { from, to }
+   * @private
+   */
+  _getServicePeriod(window) {
+    return { from: window.start, to: window.end };
+  }
+
+  /**
+   * The period analyzers describe in their summaries for a window
+   * @param {Object} window - Window from _getRequestedWindow
+   * @returns {number|Object} - Days looked back, or { start, end }
+   * @private
+   */
+  _getAnalyzerPeriod(window) {
+    return window.rolling ? window.days : { start: window.start, end: window.end };
+  }
+
+  /**
+   * Describe a window for API responses
+   * @param {Object} window - Window from _getRequestedWindow
+   * @returns {Object} - { from, to, label }
+   * @private
+   */
+  _describeWindow(window) {
+    return { from: window.start.toISOString(), to: window.end.toISOString(), label: window.label };
+  }
+
+  /**
+   * Prefix a message with the exact dates it covers
+   * @param {string} message - Response message
+   * @param {Object} window - Window from _getRequestedWindow
+   * @returns {string} - Message with window line
+   * @private
+   */
+  _withWindow(message, window) {
+    const line = `🗓️ Window: ${window.label}`;
+    return window.note ? `${line}\n${window.note}\n\n${message}` : `${line}\n\n${message}`;
+  }
+
+  /**
+   * Parse a time range entity into dates
+   * @param {string} timeRange - Time range ("last night", "weekend", "between Oct 3 and Oct 10", "Q3")
+   * @param {Date} now - Current time (default: now)
+   * @returns {Object|null} - { start, end }, or null if the range isn't understood
+   * @private
+   */
+  _parseTimeRange(timeRange, now = new Date()) {
     let start, end = now;
     const lowerTimeRange = timeRange.toLowerCase();
     
@@ -371,9 +1049,7 @@ I can search by time period, user, event type, or security priority. What would
       start.setDate(start.getDate() - 2 - (dayOfWeek === 0 ? 0 : 1));
       start.setHours(17, 0, 0, 0);
     } else {
-      end = new Date();
-      start = new Date(end);
-      start.setDate(start.getDate() - 1);
+      return parseDateRange(timeRange, now);
     }
     
     return { start, end };
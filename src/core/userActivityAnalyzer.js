@@ -1,5 +1,16 @@
 // src/core/userActivityAnalyzer.js
 
+const { getEventTaxonomy } = require('../config/eventTaxonomy');
+const ChangeDiff = require('./changeDiff');
+const RecentEvents = require('./recentEvents');
+const { describePeriod } = require('../utils');
+
+// Report analysis progress every this many events
+const PROGRESS_INTERVAL = 500;
+
+// Newest events kept per user unless the caller asks for more
+const DEFAULT_KEEP = 20;
+
 class UserActivityAnalyzer {
   /**
    * Constructor for UserActivityAnalyzer
@@ -10,45 +21,59 @@ class UserActivityAnalyzer {
     this.auditService = auditService;
     this.orgId = orgId || (auditService && auditService.config && auditService.config.orgId);
     
-    // Define user activity events
-    this.userActivityEvents = [
-      'org.user.add', 'org.user.remove',
-      'org.user.role.edit', 'org.user.role.create', 'org.user.role.delete',
-      'org.user.invite', 'org.user.invite.accept', 'org.user.invite.revoke',
-      'org.user.leave',
-      'api.access'
-    ];
+    // Event categories come from the shared taxonomy
+    this.taxonomy = (auditService && auditService.taxonomy) || getEventTaxonomy();
+    this.userActivityEvents = this.taxonomy.getUserActivityEvents();
+    
+    // Field-level changes for edit events
+    this.changeDiff = new ChangeDiff({ maxChanges: 3 });
   }
 
   /**
-   * Analyze user activity
-   * @param {Array} events - List of audit log events
+   * Analyze user activity. Events are counted per user as they are read;
+   * only each user's newest events are kept.
+   * @param {Array|AsyncIterable} events - Audit log events (an array or a stream)
    * @param {string} userId - User ID to analyze (optional)
+   * @param {string} orgId - Organization to look users up in (optional, defaults to the analyzer's org)
+   * @param {Object} options - Analysis options (keep, onProgress; see analyzeSpecificUserActivity)
    * @returns {Promise<Object>} - User activity analysis
    */
-  async analyzeUserActivity(events, userId = null) {
+  async analyzeUserActivity(events, userId = null, orgId = null, options = {}) {
+    const lookupOrgId = orgId || this.orgId;
+    const groupMode = !!(this.auditService && this.auditService.isGroupMode && this.auditService.isGroupMode());
+    
     // Initialize API error type and org users available flag
     this.lastApiErrorType = null;
     let orgUsersAvailable = false; // Initialize here to avoid reference errors
     
-    // Group events by user
+    // Tally events by user
     const userEventMap = {};
+    let eventsAnalyzed = 0;
     
-    events.forEach(event => {
-      const user = event.user_id || event.content?.user_id || event.content?.performed_by || 'unknown';
+    for await (const event of events) {
+      const user = event.actor || 'unknown';
       
       if (!userEventMap[user]) {
-        userEventMap[user] = [];
+        userEventMap[user] = this._createTally(options.keep);
       }
       
-      userEventMap[user].push(event);
-    });
+      this._addToTally(userEventMap[user], event);
+      eventsAnalyzed++;
+      
+      if (options.onProgress && eventsAnalyzed % PROGRESS_INTERVAL === 0) {
+        options.onProgress({ stage: 'analyze', eventsAnalyzed });
+      }
+    }
+    
+    if (options.onProgress) {
+      options.onProgress({ stage: 'analyze', eventsAnalyzed });
+    }
     
     // If specific user requested by name or ID, try to find them
     if (userId) {
       // First check if we have direct match by ID
       if (userEventMap[userId]) {
-        return await this.analyzeSpecificUserActivity(userEventMap[userId]);
+        return this._describeTally(userEventMap[userId]);
       }
       
       // If no direct match and we have an audit service, try to find by name
@@ -59,13 +84,13 @@ class UserActivityAnalyzer {
         let orgUsers = [];
         let orgUsersAvailable = true;
         try {
-          // Use the organization ID from the class property
-          console.log(`Using organization ID: ${this.orgId}`);
+          // Use the requested organization, falling back to the class property
+          console.log(`Using organization ID: ${lookupOrgId || 'all group orgs'}`);
           
-          // Pass the organization ID explicitly
-          if (this.orgId) {
+          // Pass the organization ID explicitly (group mode can look across all orgs)
+          if (lookupOrgId || groupMode) {
             try {
-              orgUsers = await this.auditService.getAllOrgUsers(this.orgId);
+              orgUsers = await this.auditService.getAllOrgUsers(lookupOrgId);
             } catch (error) {
               // If there's an error type from the API client, capture it
               if (error.errorType) {
@@ -123,7 +148,7 @@ class UserActivityAnalyzer {
             
             // Check if we have events for this user
             if (userEventMap[matchingUser.id]) {
-              return await this.analyzeSpecificUserActivity(userEventMap[matchingUser.id]);
+              return this._describeTally(userEventMap[matchingUser.id]);
             } else {
               // We found the user in the org but they have no events
               return {
@@ -165,7 +190,7 @@ class UserActivityAnalyzer {
             // Check if the user's name matches (case insensitive)
             if (userInfo.name && userInfo.name.toLowerCase() === userId.toLowerCase()) {
               console.log(`Found matching user: ${id} (${userInfo.name})`);
-              return await this.analyzeSpecificUserActivity(userEventMap[id]);
+              return this._describeTally(userEventMap[id]);
             }
           } catch (error) {
             console.error(`Error checking user ${id}:`, error);
@@ -180,11 +205,10 @@ class UserActivityAnalyzer {
     return {
       userSummaries: Object.keys(userEventMap).map(user => ({
         userId: user,
-        eventCount: userEventMap[user].length,
-        lastActive: userEventMap[user][0]?.created || null,
-        eventTypes: this.summarizeEventTypes(userEventMap[user])
+        eventCount: userEventMap[user].count,
+        lastActive: userEventMap[user].lastActive,
+        eventTypes: this._summarizeTypeCounts(userEventMap[user].typeCounts)
       })),
-      allEvents: events,
       orgUsersAvailable: orgUsersAvailable,
       apiErrorType: this.lastApiErrorType  // Include any API error type that occurred
     };
@@ -192,27 +216,82 @@ class UserActivityAnalyzer {
 
   /**
    * Analyze activity for a specific user
-   * @param {Array} userEvents - Events for the user
-   * @returns {Promise<Object>} - Detailed user activity analysis
+   * @param {Array|AsyncIterable} userEvents - Events for the user (an array or a stream)
+   * @param {Object} options - Analysis options
+   * @param {number} options.keep - Newest events to return in allEvents (default 20)
+   * @param {Function} options.onProgress - Called with { stage, eventsAnalyzed } while events are read
+   * @returns {Promise<Object>} - Detailed user activity analysis (allEvents holds the newest events, newest first)
    */
-  async analyzeSpecificUserActivity(userEvents) {
-    // Sort events by timestamp
-    const sortedEvents = [...userEvents].sort((a, b) => 
-      new Date(b.created) - new Date(a.created)
-    );
+  async analyzeSpecificUserActivity(userEvents, options = {}) {
+    const tally = this._createTally(options.keep);
+    
+    for await (const event of userEvents) {
+      this._addToTally(tally, event);
+      
+      if (options.onProgress && tally.count % PROGRESS_INTERVAL === 0) {
+        options.onProgress({ stage: 'analyze', eventsAnalyzed: tally.count });
+      }
+    }
     
-    // Get event type frequency
-    const eventTypes = this.summarizeEventTypes(userEvents);
+    if (options.onProgress) {
+      options.onProgress({ stage: 'analyze', eventsAnalyzed: tally.count });
+    }
+    
+    return this._describeTally(tally);
+  }
+
+  /**
+   * Create the running tally of one user's events
+   * @param {number} keep - Newest events to keep (default 20)
+   * @returns {Object} - Tally ({ count, typeCounts, lastActive, recent })
+   * @private
+   */
+  _createTally(keep = DEFAULT_KEEP) {
+    return {
+      count: 0,
+      typeCounts: {},
+      lastActive: null,
+      // Recent actions are listed from these, so at least 5 are kept
+      recent: new RecentEvents(Math.max(keep, 5))
+    };
+  }
+
+  /**
+   * Add an event to a user's tally
+   * @param {Object} tally - Tally from _createTally
+   * @param {Object} event - Normalized audit log event
+   * @private
+   */
+  _addToTally(tally, event) {
+    tally.count++;
+    tally.typeCounts[event.event] = (tally.typeCounts[event.event] || 0) + 1;
+    tally.recent.add(event);
+    
+    if (!tally.lastActive || new Date(event.created) > new Date(tally.lastActive)) {
+      tally.lastActive = event.created;
+    }
+  }
+
+  /**
+   * Turn a user's tally into an activity analysis
+   * @param {Object} tally - Tally from _createTally
+   * @returns {Object} - Detailed user activity analysis
+   * @private
+   */
+  _describeTally(tally) {
+    const sortedEvents = tally.recent.toArray();
+    const eventTypes = this._summarizeTypeCounts(tally.typeCounts);
     
     // Get recent actions
     const recentActions = sortedEvents.slice(0, 5).map(event => ({
       event: event.event,
       time: event.created,
-      content: event.content
+      content: event.raw.content,
+      changes: this.changeDiff.diff(event)
     }));
     
     return {
-      totalActions: userEvents.length,
+      totalActions: tally.count,
       mostFrequentActivities: eventTypes.slice(0, 5),
       recentActions,
       allEvents: sortedEvents,
@@ -225,10 +304,10 @@ class UserActivityAnalyzer {
    * Generate a user activity summary message
    * @param {Object} userActivity - User activity analysis
    * @param {string} userId - User ID (optional)
-   * @param {number} days - Number of days analyzed
+   * @param {number|Object} period - Number of days analyzed, or the date range ({ start, end })
    * @returns {Promise<string>} - Summary message
    */
-  async generateUserActivitySummary(userActivity, userId = null, days = 7) {
+  async generateUserActivitySummary(userActivity, userId = null, period = 7) {
     let message = '';
     
     // Handle specific user activity
@@ -287,14 +366,14 @@ class UserActivityAnalyzer {
           (userActivity.userEmail ? `${userActivity.userName} (${userActivity.userEmail})` : userActivity.userName) :
           await this._formatUser(userActivity.userId);
           
-        message = `${userDisplay} is a known user in your organization, but I didn't find any activity for them in the last ${days} days.`;
+        message = `${userDisplay} is a known user in your organization, but I didn't find any activity for them ${describePeriod(period)}.`;
         return message;
       }
       
       const userDisplay = await this._formatUser(userId);
       
       if (userActivity.totalActions && userActivity.totalActions > 0) {
-        message = `Activity summary for ${userDisplay} over the last ${days} days:\n\n`;
+        message = `Activity summary for ${userDisplay} ${describePeriod(period)}:\n\n`;
         message += `Total actions: ${userActivity.totalActions}\n`;
         
         if (userActivity.eventTypeSummary && userActivity.eventTypeSummary.length > 0) {
@@ -323,8 +402,12 @@ class UserActivityAnalyzer {
             
             message += actionMessage + '\n';
             
-            // Add details for specific event types
-            if (action.content) {
+            // Add what the action changed, or details for specific event types
+            if (action.changes && action.changes.length > 0) {
+              this.changeDiff.formatChanges(action).forEach(change => {
+                message += `  ↳ ${change}\n`;
+              });
+            } else if (action.content) {
               if (eventType === 'org.user.role.edit') {
                 message += `  Changed role to: ${action.content.role_name || 'unknown role'}\n`;
               } else if (eventType === 'org.user.invite') {
@@ -335,14 +418,14 @@ class UserActivityAnalyzer {
         }
       } else if (userActivity.knownUser === true) {
         // Known user but no activity
-        message = `${userDisplay} is a known user in the organization but hasn't performed any actions in the last ${days} days.`;
+        message = `${userDisplay} is a known user in the organization but hasn't performed any actions ${describePeriod(period)}.`;
       } else {
         // Generic message for when no activity is found for a user
-        message = `I didn't find any activity for user ${userDisplay} in the last ${days} days.`;
+        message = `I didn't find any activity for user ${userDisplay} ${describePeriod(period)}.`;
       }
     } else {
       if (userActivity && userActivity.userSummaries && userActivity.userSummaries.length > 0) {
-        message = `User activity summary for the last ${days} days:\n\n`;
+        message = `User activity summary ${describePeriod(period)}:\n\n`;
         message += `Active users: ${userActivity.userSummaries.length}\n\n`;
         
         message += 'Most active users:\n';
@@ -372,7 +455,7 @@ class UserActivityAnalyzer {
           message += userDisplays.join(', ');
         }
       } else {
-        message = `I didn't find any user activity in the last ${days} days.`;
+        message = `I didn't find any user activity ${describePeriod(period)}.`;
       }
     }
     
@@ -392,6 +475,16 @@ class UserActivityAnalyzer {
       eventTypeCounts[type] = (eventTypeCounts[type] || 0) + 1;
     });
     
+    return this._summarizeTypeCounts(eventTypeCounts);
+  }
+
+  /**
+   * Sort event type counts by frequency
+   * @param {Object} eventTypeCounts - Counts by event type
+   * @returns {Array} - Summary of event types by frequency
+   * @private
+   */
+  _summarizeTypeCounts(eventTypeCounts) {
     return Object.entries(eventTypeCounts)
       .sort((a, b) => b[1] - a[1])
       .map(([type, count]) => ({ type, count }));
@@ -403,16 +496,7 @@ class UserActivityAnalyzer {
    * @returns {boolean} - Whether the event is security-critical
    */
   _isSecurityCriticalEvent(eventType) {
-    const securityCriticalEvents = [
-      'org.policy.create', 'org.policy.edit', 'org.policy.delete',
-      'org.ignore_policy.edit',
-      'org.integration.create', 'org.integration.delete', 'org.integration.edit',
-      'org.service_account.create', 'org.service_account.delete', 'org.service_account.edit',
-      'org.settings.feature_flag.edit',
-      'org.project.ignore.create', 'org.project.ignore.delete', 'org.project.ignore.edit'
-    ];
-    
-    return securityCriticalEvents.includes(eventType);
+    return this.taxonomy.isSecurityCritical(eventType);
   }
 
   /**
@@ -7,7 +7,19 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors'); // Import cors
 const path = require('path'); // Import path
-const { WebhookHandler, SlackIntegration } = require('./platform');
+const {
+  WebhookHandler,
+  SlackIntegration,
+  QueryApiHandler,
+  TokenAdminHandler,
+  ApiTokenStore,
+  ClientRateLimiter,
+  SessionManager,
+  createSessionStore,
+  buildOpenApiSpec,
+  createOpenApiValidator,
+  sendError
+} = require('./platform');
 const { ConfigManager } = require('./config');
 const { defaultLogger } = require('./utils');
 
@@ -18,6 +30,8 @@ const logger = defaultLogger.child('App');
 const PORT = process.env.PORT || 3000;
 const ENABLE_WEBHOOK = process.env.ENABLE_WEBHOOK !== 'false';
 const ENABLE_SLACK = process.env.ENABLE_SLACK === 'true';
+const ENABLE_QUERY_API = process.env.ENABLE_QUERY_API !== 'false';
+const VERSION = process.env.npm_package_version || '0.1.0';
 
 /**
  * Initialize and start the application
@@ -37,50 +51,158 @@ async function startApp() {
     // This allows the frontend to make requests to the backend
     app.use(cors());
     
-    // Set up basic middleware
-    app.use(express.json());
+    // Set up basic middleware, keeping the raw body for request signature checks
+    app.use(express.json({
+      verify: (req, res, buffer) => {
+        req.rawBody = buffer;
+      }
+    }));
     app.use(express.urlencoded({ extended: true }));
     
     // --- NEW: Serve static files from the 'public' directory ---
     app.use(express.static(path.join(__dirname, '..', 'public')));
 
+    // OpenAPI document, its rendered docs page, and request validation against it
+    const openApiSpec = buildOpenApiSpec({ version: VERSION });
+    
+    app.get('/openapi.json', (req, res) => {
+      res.status(200).json(openApiSpec);
+    });
+    
+    app.get('/docs', (req, res) => {
+      res.sendFile(path.join(__dirname, '..', 'public', 'docs.html'));
+    });
+    
+    app.use(createOpenApiValidator(openApiSpec));
+
     // Health check endpoint
     app.get('/health', (req, res) => {
       res.status(200).json({ 
         status: 'ok', 
-        version: process.env.npm_package_version || '0.1.0'
+        version: VERSION
       });
     });
     
+    // Audit service settings shared by the webhook and the query API
+    const serviceConfig = {
+      baseUrl: config.baseUrl,
+      orgId: config.orgId,
+      groupId: config.groupId,
+      groupMode: config.groupMode,
+      groupFanOut: config.groupFanOut,
+      defaultDays: config.defaultDays,
+      businessHoursStart: config.businessHoursStart,
+      businessHoursEnd: config.businessHoursEnd,
+      baselineDays: config.baselineDays,
+      anomalyThreshold: config.anomalyThreshold,
+      eventStorePath: config.eventStorePath,
+      syncIntervalMs: config.syncIntervalMs,
+      requestsPerMinute: config.requestsPerMinute,
+      maxConcurrentRequests: config.maxConcurrentRequests,
+      cassetteMode: config.cassetteMode,
+      cassettePath: config.cassettePath,
+      taxonomyPath: config.taxonomyPath,
+      rulesPath: config.rulesPath
+    };
+    
+    let auditService = null;
+    
+    // Named, scoped API tokens; WEBHOOK_AUTH_TOKEN keeps working as a token with every scope
+    const tokenStore = new ApiTokenStore({ path: config.apiTokensPath });
+    const authToken = process.env.WEBHOOK_AUTH_TOKEN;
+    
+    // Per-client limits, shared so a token has one budget across the webhook and the query API
+    const rateLimiter = new ClientRateLimiter({
+      requestsPerMinute: config.clientRequestsPerMinute,
+      burst: config.clientBurst,
+      expensivePerHour: config.expensiveQueriesPerHour,
+      expensiveDays: config.expensiveQueryDays
+    });
+    
+    // Per-IP limits in front of authentication, so guessing tokens is throttled too
+    const ipRateLimiter = new ClientRateLimiter({
+      keyBy: 'ip',
+      requestsPerMinute: config.ipRequestsPerMinute,
+      burst: config.ipBurst
+    });
+    
+    // Conversation sessions, so follow-up questions can build on earlier ones
+    const sessionManager = new SessionManager({
+      store: createSessionStore(config.sessionStore, { path: config.sessionPath, maxSessions: config.sessionMaxCount }),
+      ttlSeconds: config.sessionTtlMinutes * 60,
+      maxHistory: config.sessionMaxHistory
+    });
+    
     // Initialize webhook handler if enabled
     if (ENABLE_WEBHOOK) {
       logger.info('Initializing webhook handler...');
       
       const webhookHandler = new WebhookHandler({
         apiKey: config.apiKey,
-        authToken: process.env.WEBHOOK_AUTH_TOKEN
+        authToken,
+        tokenStore,
+        rateLimiter,
+        ipRateLimiter,
+        sessionManager
       });
       
-      const webhookInitialized = await webhookHandler.init(config.apiKey, {
-        orgId: config.orgId,
-        defaultDays: config.defaultDays,
-        businessHoursStart: config.businessHoursStart,
-        businessHoursEnd: config.businessHoursEnd
-      });
+      const webhookInitialized = await webhookHandler.init(config.apiKey, serviceConfig);
       
       if (webhookInitialized) {
         logger.info('Webhook handler initialized successfully');
         app.use('/webhook', webhookHandler.getRouter());
+        auditService = webhookHandler.getAuditService();
       } else {
         logger.error('Failed to initialize webhook handler');
       }
     }
+    
+    // Initialize the structured query API, sharing the chatbot's audit service when possible
+    if (ENABLE_QUERY_API) {
+      logger.info('Initializing query API...');
+      
+      const queryApiHandler = new QueryApiHandler({
+        authToken,
+        tokenStore,
+        rateLimiter,
+        ipRateLimiter,
+        auditService
+      });
+      
+      if (await queryApiHandler.init(config.apiKey, serviceConfig)) {
+        logger.info('Query API initialized successfully');
+        app.use('/api', queryApiHandler.getRouter());
+      } else {
+        logger.error('Failed to initialize query API');
+      }
+    }
+
+    // Token administration
+    const tokenAdminHandler = new TokenAdminHandler({ authToken, tokenStore, ipRateLimiter });
+    app.use('/admin', tokenAdminHandler.getRouter());
 
     // --- NEW: Route to serve the main HTML file ---
     app.get('/', (req, res) => {
         res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
     });
     
+    // Malformed JSON, oversized bodies and anything else thrown by middleware
+    // get the same error body as the handlers
+    app.use((error, req, res, next) => {
+      if (res.headersSent) {
+        return next(error);
+      }
+      
+      const status = error.status || error.statusCode || 500;
+      
+      if (status >= 500) {
+        logger.error(`Unhandled error for ${req.method} ${req.path}`, error);
+        return sendError(res, status, `Internal server error: ${error.message}`);
+      }
+      
+      sendError(res, status, error.type === 'entity.parse.failed' ? 'Bad request: Malformed JSON body' : error.message);
+    });
+    
     // Start Express server
     const server = app.listen(PORT, () => {
       logger.info(`Server is running on port ${PORT}`);
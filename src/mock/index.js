@@ -0,0 +1,9 @@
+// src/mock/index.js
+const MockSnykServer = require('./mockSnykServer');
+const { loadScenario, listScenarios } = require('./scenarios');
+
+module.exports = {
+  MockSnykServer,
+  loadScenario,
+  listScenarios
+};
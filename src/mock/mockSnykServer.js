@@ -0,0 +1,327 @@
+// src/mock/mockSnykServer.js
+
+/**
+ * Mock Snyk API Server
+ *
+ * A local stand-in for the parts of the Snyk API that SnykAudit uses, so the
+ * bot and the scripts in test/ can run without network access or a real
+ * token. It serves audit logs, users and organizations from fixture
+ * scenarios, supports cursor pagination and can inject 429 and 5xx errors.
+ *
+ * Run it directly with `npm run mock:snyk`, then point SnykAudit at it with
+ * SNYK_API_URL=http://localhost:4010.
+ */
+
+const express = require('express');
+const { defaultLogger } = require('../utils');
+const { loadScenario } = require('./scenarios');
+
+// Create a logger for this module
+const logger = defaultLogger.child('MockSnykServer');
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_PAGE_SIZE = 100;
+
+class MockSnykServer {
+  /**
+   * Create a new mock Snyk API server
+   * @param {Object} config - Server configuration
+   * @param {string|Object} config.scenario - Scenario name, or an already loaded scenario
+   * @param {number} config.port - Port to listen on (0 picks a free port)
+   * @param {number} config.pageSize - Default page size when the request has no limit
+   */
+  constructor(config = {}) {
+    this.scenario = typeof config.scenario === 'object'
+      ? config.scenario
+      : loadScenario(config.scenario || 'default');
+    this.port = config.port !== undefined ? config.port : DEFAULT_PORT;
+    this.pageSize = config.pageSize || DEFAULT_PAGE_SIZE;
+    this.server = null;
+
+    // How many times each fault has fired, by index in scenario.faults
+    this.faultCounts = new Map();
+
+    // Every request served, for scripts that want to assert on traffic
+    this.requestLog = [];
+
+    this.app = this._createApp();
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} - Base URL of the running server
+   */
+  async start() {
+    await new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.port, '127.0.0.1', resolve);
+      this.server.on('error', reject);
+    });
+
+    this.port = this.server.address().port;
+    logger.info(`Mock Snyk API serving scenario "${this.scenario.name}" at ${this.getBaseUrl()}`);
+    return this.getBaseUrl();
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Get the base URL to configure SnykApiClient with
+   * @returns {string} - Base URL
+   */
+  getBaseUrl() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  /**
+   * Create the Express application with all mock routes
+   * @returns {express.Application} - Express app
+   * @private
+   */
+  _createApp() {
+    const app = express();
+
+    app.use((req, res, next) => {
+      this.requestLog.push({ method: req.method, path: req.path, query: { ...req.query } });
+      logger.debug(`${req.method} ${req.originalUrl}`);
+      next();
+    });
+
+    // Every Snyk endpoint requires a token; any value is accepted here
+    app.use((req, res, next) => {
+      const authHeader = req.headers.authorization || '';
+      if (!/^token \S+/.test(authHeader)) {
+        return this._sendError(res, 401, 'Unauthorized: missing API token');
+      }
+      next();
+    });
+
+    app.get('/rest/orgs/:orgId/audit_logs/search', (req, res) => {
+      if (!this._findOrg(req.params.orgId)) {
+        return this._sendError(res, 404, `Org ${req.params.orgId} not found`);
+      }
+
+      const events = this.scenario.events.filter(event => event.org_id === req.params.orgId);
+      this._sendAuditLogPage(req, res, 'audit_logs', events);
+    });
+
+    app.get('/rest/groups/:groupId/audit_logs/search', (req, res) => {
+      if (req.params.groupId !== this.scenario.groupId) {
+        return this._sendError(res, 404, `Group ${req.params.groupId} not found`);
+      }
+
+      this._sendAuditLogPage(req, res, 'group_audit_logs', this.scenario.events);
+    });
+
+    app.get('/rest/groups/:groupId/orgs', (req, res) => {
+      if (req.params.groupId !== this.scenario.groupId) {
+        return this._sendError(res, 404, `Group ${req.params.groupId} not found`);
+      }
+      if (this._applyFault(req, res, 'orgs', 1)) return;
+
+      res.json({
+        data: this.scenario.orgs.map(org => ({
+          id: org.id,
+          type: 'org',
+          attributes: { name: org.name, slug: org.slug }
+        })),
+        links: {}
+      });
+    });
+
+    app.get('/rest/orgs/:orgId/users/:userId', (req, res) => {
+      if (this._applyFault(req, res, 'users', 1)) return;
+
+      const user = this.scenario.users.find(candidate => candidate.id === req.params.userId);
+      if (!user || !this._isMember(user, req.params.orgId)) {
+        return this._sendError(res, 404, `User ${req.params.userId} not found`);
+      }
+
+      res.json({
+        data: {
+          id: user.id,
+          type: 'user',
+          attributes: { name: user.name, username: user.username, email: user.email }
+        }
+      });
+    });
+
+    app.get('/api/v1/org/:orgId/members', (req, res) => {
+      if (!this._findOrg(req.params.orgId)) {
+        return this._sendError(res, 404, `Org ${req.params.orgId} not found`);
+      }
+      if (this._applyFault(req, res, 'members', 1)) return;
+
+      res.json(this.scenario.users
+        .filter(user => this._isMember(user, req.params.orgId))
+        .map(user => ({
+          id: user.id,
+          name: user.name,
+          username: user.username,
+          email: user.email,
+          role: user.role || 'collaborator'
+        })));
+    });
+
+    app.use((req, res) => {
+      this._sendError(res, 404, `No mock for ${req.method} ${req.path}`);
+    });
+
+    return app;
+  }
+
+  /**
+   * Filter, paginate and send audit log events like the REST search endpoint
+   * @param {express.Request} req - Request
+   * @param {express.Response} res - Response
+   * @param {string} route - Route name used to match faults
+   * @param {Array} events - Candidate events
+   * @private
+   */
+  _sendAuditLogPage(req, res, route, events) {
+    const { from, to, user_id: userId, project_id: projectId } = req.query;
+    const eventTypes = req.query.events ? String(req.query.events).split(',') : null;
+    const limit = Math.min(parseInt(req.query.limit, 10) || this.pageSize, 1000);
+
+    // The client sends the cursor as next_page; accept starting_after as well
+    const cursor = req.query.next_page || req.query.starting_after || null;
+    const offset = cursor ? this._decodeCursor(cursor) : 0;
+
+    if (offset === null) {
+      return this._sendError(res, 400, 'Invalid pagination cursor');
+    }
+    if (this._applyFault(req, res, route, Math.floor(offset / limit) + 1)) return;
+
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const matching = events
+      .filter(event => {
+        const created = new Date(event.created).getTime();
+        if (fromTime !== null && created < fromTime) return false;
+        if (toTime !== null && created > toTime) return false;
+        if (eventTypes && !eventTypes.includes(event.event)) return false;
+        if (userId && event.user_id !== userId) return false;
+        if (projectId && event.project_id !== projectId) return false;
+        return true;
+      })
+      .sort((a, b) => new Date(b.created) - new Date(a.created));
+
+    const items = matching.slice(offset, offset + limit);
+    const links = {};
+
+    if (offset + limit < matching.length) {
+      const query = new URLSearchParams();
+      Object.keys(req.query).forEach(key => {
+        if (key !== 'next_page' && key !== 'starting_after') {
+          query.set(key, req.query[key]);
+        }
+      });
+      query.set('starting_after', this._encodeCursor(offset + limit));
+      links.next = `${req.path}?${query.toString()}`;
+    }
+
+    res.json({ data: { items }, links });
+  }
+
+  /**
+   * Send an injected error if a scenario fault matches the request
+   * @param {express.Request} req - Request
+   * @param {express.Response} res - Response
+   * @param {string} route - Route name (audit_logs, group_audit_logs, orgs, users, members)
+   * @param {number} page - Page number being requested (1-based)
+   * @returns {boolean} - Whether an error was sent
+   * @private
+   */
+  _applyFault(req, res, route, page) {
+    const faults = this.scenario.faults || [];
+
+    for (let index = 0; index < faults.length; index++) {
+      const fault = faults[index];
+      const fired = this.faultCounts.get(index) || 0;
+      const times = fault.times !== undefined ? fault.times : 1;
+
+      if (fault.route && fault.route !== '*' && fault.route !== route) continue;
+      if (fault.page && fault.page !== page) continue;
+      if (times >= 0 && fired >= times) continue;
+
+      this.faultCounts.set(index, fired + 1);
+      logger.info(`Injecting ${fault.status} for ${route} page ${page} (${fired + 1}/${times < 0 ? '∞' : times})`);
+
+      if (fault.status === 429) {
+        res.set('Retry-After', String(fault.retryAfter !== undefined ? fault.retryAfter : 1));
+        res.set('X-RateLimit-Remaining', '0');
+      }
+
+      this._sendError(res, fault.status, fault.message || `Injected ${fault.status} from mock scenario "${this.scenario.name}"`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Send a JSON:API style error body
+   * @param {express.Response} res - Response
+   * @param {number} status - HTTP status
+   * @param {string} detail - Error detail
+   * @private
+   */
+  _sendError(res, status, detail) {
+    res.status(status).json({
+      jsonapi: { version: '1.0' },
+      errors: [{ status: String(status), detail }],
+      message: detail
+    });
+  }
+
+  _findOrg(orgId) {
+    return this.scenario.orgs.find(org => org.id === orgId) || null;
+  }
+
+  _isMember(user, orgId) {
+    return !user.orgs || user.orgs.includes(orgId);
+  }
+
+  _encodeCursor(offset) {
+    return Buffer.from(`offset:${offset}`).toString('base64');
+  }
+
+  _decodeCursor(cursor) {
+    const match = /^offset:(\d+)$/.exec(Buffer.from(String(cursor), 'base64').toString('utf8'));
+    return match ? parseInt(match[1], 10) : null;
+  }
+}
+
+// Allow running the server directly: node src/mock/mockSnykServer.js [scenario] [port]
+if (require.main === module) {
+  const server = new MockSnykServer({
+    scenario: process.argv[2] || process.env.MOCK_SNYK_SCENARIO || 'default',
+    port: parseInt(process.argv[3] || process.env.MOCK_SNYK_PORT, 10) || DEFAULT_PORT
+  });
+
+  server.start()
+    .then(baseUrl => {
+      console.log(`Mock Snyk API running at ${baseUrl} (scenario: ${server.scenario.name})`);
+      console.log(`Start SnykAudit with SNYK_API_URL=${baseUrl} SNYK_API_KEY=mock-token SNYK_ORG_ID=${server.scenario.orgs[0].id}`);
+    })
+    .catch(error => {
+      console.error('Failed to start mock Snyk API:', error);
+      process.exit(1);
+    });
+
+  process.on('SIGINT', () => server.stop().then(() => process.exit(0)));
+  process.on('SIGTERM', () => server.stop().then(() => process.exit(0)));
+}
+
+module.exports = MockSnykServer;
@@ -0,0 +1,157 @@
+// src/mock/scenarios/index.js
+
+/**
+ * Mock Snyk API Scenarios
+ *
+ * Scenarios are JSON fixture files in this directory. Event times are written
+ * relative to "now" so a fixture always falls inside the bot's default time
+ * windows, and users and orgs are referenced by short keys instead of UUIDs.
+ *
+ * Scenario format:
+ * {
+ *   "name": "default",
+ *   "description": "...",
+ *   "extends": "other-scenario",           // optional, inherits orgs/users/events
+ *   "groupId": "<uuid>",
+ *   "orgs": [{ "id": "<uuid>", "name": "...", "slug": "..." }],
+ *   "users": [{ "key": "alice", "id": "<uuid>", "name": "...", "email": "...", "orgs": ["slug"] }],
+ *   "events": [{
+ *     "event": "org.policy.edit", "user": "alice", "org": "slug", "project_id": "...",
+ *     "at": { "daysAgo": 1, "hoursAgo": 2, "minutesAgo": 5, "utcHour": 2, "utcMinute": 30 },
+ *     "repeat": 8, "everyMinutes": 3,
+ *     "content": { ... }
+ *   }],
+ *   "faults": [{ "route": "audit_logs", "page": 2, "status": 503, "times": 1, "retryAfter": 1 }]
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCENARIO_DIR = __dirname;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * List the available scenario names
+ * @returns {Array<string>} - Scenario names
+ */
+function listScenarios() {
+  return fs.readdirSync(SCENARIO_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+/**
+ * Load a scenario and resolve its relative times and references
+ * @param {string} name - Scenario name (file name without .json)
+ * @param {Date} now - Time that relative offsets are measured from
+ * @returns {Object} - Scenario ({ name, description, groupId, orgs, users, events, faults })
+ * @throws {Error} - If the scenario doesn't exist
+ */
+function loadScenario(name, now = new Date()) {
+  const raw = readScenario(name);
+
+  const orgs = raw.orgs || [];
+  const users = (raw.users || []).map(user => ({
+    ...user,
+    orgs: user.orgs ? user.orgs.map(ref => resolveOrgId(orgs, ref)) : null
+  }));
+
+  const events = [];
+  (raw.events || []).forEach(fixture => {
+    const count = fixture.repeat || 1;
+    const start = resolveTime(fixture.at || {}, now);
+
+    for (let index = 0; index < count; index++) {
+      // Repeats go back in time from the first occurrence
+      const created = new Date(start.getTime() - index * (fixture.everyMinutes || 1) * MINUTE_MS);
+
+      events.push({
+        created: created.toISOString(),
+        event: fixture.event,
+        org_id: resolveOrgId(orgs, fixture.org || (orgs[0] && orgs[0].id)),
+        project_id: fixture.project_id || null,
+        user_id: resolveUserId(users, fixture.user),
+        content: fixture.content || {}
+      });
+    }
+  });
+
+  return {
+    name: raw.name || name,
+    description: raw.description || '',
+    groupId: raw.groupId || null,
+    orgs,
+    users,
+    events: events.sort((a, b) => new Date(b.created) - new Date(a.created)),
+    faults: raw.faults || []
+  };
+}
+
+/**
+ * Read a scenario file, merging in the scenario it extends
+ * @param {string} name - Scenario name
+ * @returns {Object} - Raw scenario fixture
+ * @private
+ */
+function readScenario(name) {
+  const filePath = path.join(SCENARIO_DIR, `${path.basename(name)}.json`);
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Unknown mock scenario "${name}". Available scenarios: ${listScenarios().join(', ')}`);
+  }
+
+  const scenario = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!scenario.extends) {
+    return scenario;
+  }
+
+  const base = readScenario(scenario.extends);
+  return {
+    ...base,
+    ...scenario,
+    orgs: scenario.orgs || base.orgs,
+    users: [...(base.users || []), ...(scenario.users || [])],
+    events: [...(base.events || []), ...(scenario.events || [])],
+    faults: scenario.faults || []
+  };
+}
+
+/**
+ * Turn a relative time fixture into a date
+ * @param {Object} at - Relative time ({ daysAgo, hoursAgo, minutesAgo, utcHour, utcMinute })
+ * @param {Date} now - Reference time
+ * @returns {Date} - Resolved date
+ * @private
+ */
+function resolveTime(at, now) {
+  const offsetMinutes = (at.daysAgo || 0) * 24 * 60 + (at.hoursAgo || 0) * 60 + (at.minutesAgo || 0);
+  const date = new Date(now.getTime() - offsetMinutes * MINUTE_MS);
+
+  // A fixed time of day (UTC) makes after-hours fixtures deterministic
+  if (at.utcHour !== undefined) {
+    date.setUTCHours(at.utcHour, at.utcMinute || 0, 0, 0);
+    if (date > now) {
+      date.setUTCDate(date.getUTCDate() - 1);
+    }
+  }
+
+  return date;
+}
+
+function resolveOrgId(orgs, ref) {
+  const org = orgs.find(candidate => candidate.id === ref || candidate.slug === ref);
+  return org ? org.id : ref;
+}
+
+function resolveUserId(users, ref) {
+  if (!ref) return null;
+  const user = users.find(candidate => candidate.key === ref || candidate.id === ref);
+  return user ? user.id : ref;
+}
+
+module.exports = {
+  loadScenario,
+  listScenarios
+};
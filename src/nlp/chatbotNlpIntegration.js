@@ -2,7 +2,9 @@
 
 const IntentRecognizer = require('./intentRecognizer');
 const EntityExtractor = require('./entityExtractor');
-const { SnykChatbotWrapper } = require('../core');
+const { FollowUpResolver } = require('./followUpResolver');
+const SlotFiller = require('./slotFiller');
+const { SnykChatbotWrapper, AuditQueryParser } = require('../core');
 
 /**
  * NLP Integration for SnykAudit Chatbot
@@ -14,6 +16,9 @@ class ChatbotNlpIntegration {
   constructor(config = {}) {
     this.intentRecognizer = new IntentRecognizer();
     this.entityExtractor = new EntityExtractor();
+    this.followUpResolver = new FollowUpResolver();
+    this.slotFiller = new SlotFiller();
+    this.auditQueryParser = new AuditQueryParser();
     this.chatbotWrapper = new SnykChatbotWrapper();
     this.config = config;
     this.initialized = false;
@@ -21,12 +26,12 @@ class ChatbotNlpIntegration {
     // Confidence threshold for accepting intents
     this.confidenceThreshold = config.confidenceThreshold || 0.3;
     
-    // Define fallback responses for low confidence or failed processing
+    // Openings for low confidence messages, followed by a question about what the user wants
     this.fallbackResponses = [
-      "I'm not sure I understand. Could you rephrase your question about Snyk audit logs?",
-      "I'm having trouble understanding that. Try asking about security events, user activity, or suspicious behavior.",
-      "I didn't quite catch that. You can ask me things like 'Show me recent security events' or 'Any suspicious activity lately?'",
-      "I'm not sure how to help with that. You can ask about security events, user activity, or type 'help' for more options."
+      "I'm not sure I understand.",
+      "I'm having trouble understanding that.",
+      "I didn't quite catch that.",
+      "I'm not sure how to help with that."
     ];
   }
 
@@ -44,6 +49,11 @@ class ChatbotNlpIntegration {
         ...config
       });
       
+      // Org slugs can then be named after a bare "org" ("policy changes org payments")
+      if (success) {
+        this.entityExtractor.setKnownOrgs(await this.chatbotWrapper.getKnownOrgs());
+      }
+      
       this.initialized = success;
       return success;
     } catch (error) {
@@ -73,11 +83,8 @@ class ChatbotNlpIntegration {
     }
     
     try {
-      // Recognize intent from message
-      const intentResult = this.intentRecognizer.recognizeIntent(message);
-      
-      // Extract entities from message
-      const entities = this.entityExtractor.extractEntities(message);
+      // Recognize intent and entities, continuing the previous question for follow-ups
+      const { intentResult, entities, followUp } = this._understand(message, context);
       
       // Enhance context with NLP information
       const enhancedContext = {
@@ -85,7 +92,8 @@ class ChatbotNlpIntegration {
         nlp: {
           originalMessage: message,
           confidence: intentResult.confidence,
-          rawEntities: { ...entities }
+          rawEntities: { ...entities },
+          followUp
         }
       };
       
@@ -101,13 +109,126 @@ class ChatbotNlpIntegration {
         enhancedContext
       );
       
-      return response;
+      // Say how the message was understood, so sessions can carry it into follow-up questions
+      return this._askForMissingSlot({ ...response, intent: intentResult.intent, entities });
     } catch (error) {
       console.error('Error processing message:', error);
       return this._createErrorResponse(`Sorry, I encountered an error: ${error.message}`);
     }
   }
 
+  /**
+   * Work out how much audit history a message would read, without answering it
+   * @param {string} message - User message text
+   * @param {Object} context - Conversation context (optional)
+   * @returns {Promise<Object>} - { days, groupScope }
+   */
+  async describeMessage(message, context = {}) {
+    const { intentResult, entities } = this._understand(message, context);
+    
+    return this.chatbotWrapper.describeRequest(intentResult.intent, entities, context);
+  }
+
+  /**
+   * Recognize a message's intent and entities. Messages in the query syntax
+   * ("event:org.policy.* since:14d") are parsed exactly rather than guessed
+   * at; filters in an ordinary question ("show events for user:alice") are
+   * added to the entities its words give. An answer to a question the
+   * chatbot asked ("Policies") completes the question it was asked about;
+   * follow-up questions ("what about last month?") take the intent and
+   * entities of the previous turn in the conversation context, overriding
+   * only what the message changes.
+   * @param {string} message - User message text
+   * @param {Object} context - Conversation context (pendingSlot, lastIntent, lastEntities)
+   * @returns {Object} - { intentResult, entities, followUp }
+   * @private
+   */
+  _understand(message, context = {}) {
+    if (this.auditQueryParser.isQuery(message)) {
+      const { filters, errors } = this.auditQueryParser.parse(message);
+      const entities = { query: filters };
+      
+      // The org filter scopes the query like an org named in a question
+      if (filters.org) entities.org = filters.org;
+      if (errors.length > 0) entities.queryErrors = errors;
+      
+      return {
+        intentResult: { intent: 'audit_query', confidence: 1, source: 'query' },
+        entities,
+        followUp: false
+      };
+    }
+    
+    const entities = this.entityExtractor.extractEntities(message);
+    const filterEntities = this._filtersToEntities(this.auditQueryParser.extractFilters(message).filters);
+    
+    // Filters say exactly what is meant, so they win over what was guessed from the words
+    if (filterEntities.time_period || filterEntities.time_range) {
+      delete entities.time_period;
+      delete entities.time_range;
+    }
+    Object.assign(entities, filterEntities);
+    
+    const filled = this.slotFiller.fill(message, context.pendingSlot, entities);
+    
+    if (filled) {
+      return {
+        intentResult: { intent: filled.intent, confidence: 1, source: 'slot' },
+        entities: filled.entities,
+        followUp: false
+      };
+    }
+    
+    let intentResult = this.intentRecognizer.recognizeIntent(message);
+    
+    // A user filter on a general question about events asks for that user's events
+    if (filterEntities.user_id && intentResult.intent === 'security_events_query') {
+      intentResult = { ...intentResult, intent: 'user_activity_query' };
+    }
+    
+    const followUp = this.followUpResolver.resolve(message, intentResult, entities, context);
+    
+    if (!followUp) {
+      return { intentResult, entities, followUp: false };
+    }
+    
+    return {
+      intentResult: { ...intentResult, intent: followUp.intent, confidence: followUp.confidence, source: 'follow_up' },
+      entities: followUp.entities,
+      followUp: true
+    };
+  }
+
+  /**
+   * Turn the filters found in a question into the entities the same words would give
+   * @param {Object} filters - Filters from AuditQueryParser.extractFilters
+   * @returns {Object} - Entities (org, user_id, severity, event_type, count_limit, time_period or time_range)
+   * @private
+   */
+  _filtersToEntities(filters) {
+    const entities = {};
+    
+    if (filters.org) entities.org = filters.org;
+    if (filters.user) entities.user_id = filters.user;
+    if (filters.severity && filters.severity.length === 1) entities.severity = filters.severity[0];
+    if (filters.event) entities.event_type = filters.event.join(',');
+    if (filters.limit) entities.count_limit = filters.limit;
+    
+    if (filters.since || filters.until) {
+      const { params } = this.auditQueryParser.compile(filters);
+      
+      if (filters.until) {
+        entities.time_range = `from ${params.from.slice(0, 10)} to ${params.to.slice(0, 10)}`;
+      } else if (/^\d{4}-/.test(filters.since)) {
+        entities.time_range = `since ${params.from.slice(0, 10)}`;
+      } else {
+        entities.time_period = `${Math.max(1, Math.round((Date.now() - new Date(params.from).getTime()) / 86400000))} days`;
+      }
+    }
+    
+    return entities;
+  }
+
   /**
    * Handle low confidence intents
    * @param {string} message - Original user message
@@ -137,15 +258,40 @@ class ChatbotNlpIntegration {
         response.message = `I'm not entirely sure, but here's what I found:\n\n${response.message}`;
         response.clarification = true;
         
-        return response;
+        return this._askForMissingSlot({ ...response, intent: intentResult.intent, entities: context.nlp.rawEntities });
       } catch (error) {
         // Fall back to default handling if this fails
         console.warn('Failed to process low confidence intent:', error);
       }
     }
     
-    // Return a fallback response
-    return this._createFallbackResponse();
+    // Ask what the user wants, keeping what the message did say (like a time period) for the answer
+    return this._askForMissingSlot({ ...this._createFallbackResponse(), entities: context.nlp.rawEntities, missingSlot: 'intent' });
+  }
+
+  /**
+   * Turn a response that is missing something into a question about it, with
+   * quick replies. The session keeps the question open, so the answer
+   * completes the original request.
+   * @param {Object} response - Chatbot response (with missingSlot when something is missing)
+   * @returns {Object} - Response with pendingSlot and quickReplies, or the response unchanged
+   * @private
+   */
+  _askForMissingSlot(response) {
+    const { missingSlot, ...rest } = response;
+    
+    if (!missingSlot) {
+      return response;
+    }
+    
+    const question = this.slotFiller.ask(missingSlot);
+    
+    return {
+      ...rest,
+      message: rest.message ? `${rest.message} ${question.message}` : question.message,
+      pendingSlot: missingSlot,
+      quickReplies: question.quickReplies
+    };
   }
 
   /**
@@ -1,5 +1,16 @@
 // src/nlp/entityExtractor.js
 
+// Words that name-like patterns match but that are never users
+const NON_USER_WORDS = /^(me|my|all|any|the|this|that|those|them|it|in|for|on|at|now|then|again|last|next|recent|recently|today|yesterday|security|suspicious|recent|events?|activity|activities|logs?|users?|roles?|accounts?|settings|policies|policy|integrations?|webhooks?|projects?|ignores?|tests?|sast|orgs?|changes?|anomalies|high|medium|low|only|more|everything|everyone|what|who|when)$/i;
+
+// Org IDs, the only org names accepted after a bare "org" besides known slugs ("org 0f4c8a52-...")
+const ORG_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Calendar phrases, kept whole so the wrapper can turn them into exact dates
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DAY = `(?:${MONTH}\\.? \\d{1,2}(?:st|nd|rd|th)?(?:,? \\d{4})?|\\d{1,2}(?:st|nd|rd|th)? (?:of )?${MONTH}(?: \\d{4})?|` +
+  '\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}/\\d{1,2}/\\d{4}|(?:last |this )?(?:mon|tues|wednes|thurs|fri|satur|sun)day|yesterday|today)';
+
 /**
  * Entity Extractor for SnykAudit Chatbot
  * * This component extracts named entities from user messages,
@@ -7,6 +18,9 @@
  */
 class EntityExtractor {
   constructor() {
+    // Lowercased slugs and names of the orgs the chatbot can see (see setKnownOrgs)
+    this.knownOrgs = new Set();
+    
     this.entityPatterns = {
       user_id: [
         /@([\w.-]+)/,
@@ -21,10 +35,15 @@ class EntityExtractor {
         // New patterns specifically for proper names
         /what ([A-Z][a-z]+) (has|did|was)/i,  // "What Cesar has been doing"
         /show ([A-Z][a-z]+)/i,  // "Show Cesar"
-        /about ([A-Z][a-z]+)/i  // "Tell me about Cesar"
+        /about ([A-Z][a-z]+)/i,  // "Tell me about Cesar"
+        // A follow-up naming just another user ("and alice?", "bob too?")
+        /^(?:and|but|also) @?([\w.-]+)(?: too| as well| instead)?\W*$/i,
+        /^@?([\w.-]+) (?:too|as well|instead)\W*$/i
       ],
       
       time_period: [
+        /since (yesterday|last week|last month)/i,
+        /the (?:last|past) (day|week|month|year|hour)\b/i,
         /last (\d+) (days|hours|weeks|months|years)/i,
         /past (\d+) (days|hours|weeks|months|years)/i,
         /(\d+) (days|hours|weeks|months|years) ago/i,
@@ -32,11 +51,18 @@ class EntityExtractor {
         /yesterday/i,
         /today/i,
         /this (week|month|year)/i,
-        /recent(ly)?/i,
-        /since (yesterday|last week|last month)/i
+        /recent(ly)?/i
       ],
       
       time_range: [
+        new RegExp(`\\bbetween ${DAY} and ${DAY}\\b`, 'i'),
+        new RegExp(`\\bfrom ${DAY} (?:to|until|through) ${DAY}\\b`, 'i'),
+        new RegExp(`\\bsince ${DAY}\\b`, 'i'),
+        /\b(?:last|this) quarter\b/i,
+        /\bQ[1-4](?: \d{4})?\b/i,
+        new RegExp(`\\b${MONTH} \\d{4}\\b`, 'i'),
+        new RegExp(`\\b(?:in|during) ${MONTH}\\b`, 'i'),
+        new RegExp(`\\bon ${DAY}\\b`, 'i'),
         /last night/i,
         /overnight/i,
         /weekend/i,
@@ -63,6 +89,20 @@ class EntityExtractor {
         /(modified|changed|updated|created|deleted|added|removed) (integrations|policies|webhooks|users|roles|projects|service accounts|sast settings|targets|apps|collections)/i
       ],
       
+      // Organization names, for group-wide deployments ("in the payments org")
+      org: [
+        /\b(?:in|for|from) (?:the )?["']?([\w.-]+)["']? (?:org|organization)\b/i,
+        /\b(?:org|organization): ?["']?([\w.-]+)["']?/i,
+        // After a bare "org" only an org ID or a known slug counts ("security events org activity" names no org)
+        /\b(?:org|organization) ["']?([\w.-]+)["']?/i
+      ],
+      
+      // Priority filters ("only high priority")
+      severity: [
+        /\b(high|medium|low)[- ](?:priority|severity|risk)\b/i,
+        /\b(?:priority|severity)[: ]+(high|medium|low)\b/i
+      ],
+      
       count_limit: [
         /top (\d+)/i,
         /first (\d+)/i,
@@ -74,6 +114,14 @@ class EntityExtractor {
     };
   }
 
+  /**
+   * Set the orgs that may be named after a bare "org"
+   * @param {Array<Object>} orgs - Organizations ({ id, name, slug })
+   */
+  setKnownOrgs(orgs) {
+    this.knownOrgs = new Set(orgs.flatMap(org => [org.slug, org.name]).filter(Boolean).map(value => value.toLowerCase()));
+  }
+
   extractEntities(message) {
     if (!message || typeof message !== 'string') {
       return {};
@@ -104,8 +152,15 @@ class EntityExtractor {
       if (match) {
         switch (entityType) {
           case 'user_id':
+            // Skip ordinary words the looser name patterns pick up ("about last month", "show security events")
+            if (NON_USER_WORDS.test(match[match.length - 1])) {
+              continue;
+            }
             return match[match.length - 1];
             
+          case 'severity':
+            return match[1].toLowerCase();
+            
           case 'time_period':
             return this._processTimePeriod(match);
             
@@ -114,7 +169,7 @@ class EntityExtractor {
             
           case 'event_type':
             if (match[2]) {
-                return `${match[2].replace(/s$/, '')} ${match[1]}`;
+                return `${match[2].replace(/ies$/, 'y').replace(/s$/, '')} ${match[1]}`;
             }
             return match[0].toLowerCase().replace(/changes/i, '').trim();
             
@@ -122,6 +177,16 @@ class EntityExtractor {
             const num = parseInt(match[1], 10);
             return isNaN(num) ? null : num;
             
+          case 'org':
+            // Skip generic words that aren't org names ("in our org", "org id")
+            if (/^(my|our|this|the|each|every|all|any|whole|entire|id|ids|wide|level|settings?)$/i.test(match[1])) {
+              continue;
+            }
+            if (/^(?:org|organization) /i.test(match[0]) && !ORG_ID.test(match[1]) && !this.knownOrgs.has(match[1].toLowerCase())) {
+              continue;
+            }
+            return match[1];
+            
           default:
             return match[1] || match[0];
         }
@@ -132,6 +197,10 @@ class EntityExtractor {
   }
 
   _processTimePeriod(match) {
+    // "Since last week" runs from the start of last week until now
+    if (/^since /i.test(match[0])) return match[0].toLowerCase();
+    // "The last month" counts back from now, unlike the calendar month "last month"
+    if (/^the (last|past) /i.test(match[0])) return `1 ${match[1].toLowerCase()}`;
     if (match[1] && !isNaN(parseInt(match[1], 10))) {
       const count = match[1];
       const unit = match[2] || 'days';
@@ -0,0 +1,161 @@
+// src/nlp/followUpResolver.js
+
+/**
+ * Follow-up Resolver for SnykAudit Chatbot
+ *
+ * Works out when a message continues the previous question rather than
+ * asking a new one, using the conversation context a session provides
+ * (lastIntent, lastEntities, lastResponse):
+ *
+ * - "what about last month?" keeps the previous intent and entities and
+ *   replaces only the time period
+ * - "only high priority" keeps the previous question and adds a filter
+ * - "what about suspicious activity?" switches the intent but keeps the
+ *   time period and org of the previous question
+ * - "who did the second one?" refers to an item of the previous result list
+ *   and becomes a result_reference request
+ */
+
+// Phrases that mark a message as building on the previous question
+const FOLLOW_UP_CUES = [
+  /^(and |but )?(what|how) about\b/i,
+  /^(and|also|now|then|same|again)\b/i,
+  /^(only|just)\b/i,
+  /\b(instead|as well|too)\W*$/i,
+  /^(for|in|during|over|since) /i
+];
+
+// Entities a short follow-up can change on its own ("last month?", "in the web org")
+const OVERRIDING_ENTITIES = ['time_period', 'time_range', 'org', 'severity', 'event_type', 'user_id'];
+
+// Entities that still apply when a follow-up switches to another kind of question
+const SCOPE_ENTITIES = ['time_period', 'time_range', 'org'];
+
+// Entities that replace each other, so a new time period doesn't combine with an old time range
+const EXCLUSIVE_ENTITIES = [['time_period', 'time_range']];
+
+// Messages up to this many words can be follow-ups without a cue
+const SHORT_MESSAGE_WORDS = 8;
+
+// Answers that don't change what a follow-up refers to
+const PASSIVE_INTENTS = ['help_request', 'result_reference'];
+
+const ORDINAL_WORDS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+  sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10,
+  last: -1
+};
+
+class FollowUpResolver {
+  /**
+   * Resolve a message against the previous turn of the conversation
+   * @param {string} message - User message
+   * @param {Object} intentResult - Result of IntentRecognizer.recognizeIntent
+   * @param {Object} entities - Entities extracted from the message
+   * @param {Object} context - Conversation context (lastIntent, lastEntities)
+   * @returns {Object|null} - { intent, entities, confidence } for follow-ups, or null for new questions
+   */
+  resolve(message, intentResult, entities, context = {}) {
+    const lastIntent = context.lastIntent;
+
+    if (!lastIntent || PASSIVE_INTENTS.includes(lastIntent) || typeof message !== 'string') {
+      return null;
+    }
+
+    const text = message.trim();
+    const reference = this.extractReference(text);
+
+    if (reference) {
+      return {
+        intent: 'result_reference',
+        entities: { reference },
+        confidence: 0.9
+      };
+    }
+
+    const hasCue = FOLLOW_UP_CUES.some(pattern => pattern.test(text));
+    const overrides = OVERRIDING_ENTITIES.some(type => entities[type] !== undefined);
+    const isShort = text.split(/\s+/).length <= SHORT_MESSAGE_WORDS;
+
+    // A message that clearly asks something on its own starts a new question
+    if (!hasCue && (intentResult.source === 'pattern' || !isShort || !overrides)) {
+      return null;
+    }
+
+    // "What about suspicious activity?" names a new intent and keeps only the time and org;
+    // "what about last month?" keeps the old intent and everything else
+    const switchesIntent = intentResult.source === 'pattern' && intentResult.intent !== 'help_request' &&
+      intentResult.intent !== lastIntent;
+    const previous = { ...(context.lastEntities || {}) };
+
+    if (switchesIntent) {
+      Object.keys(previous).filter(type => !SCOPE_ENTITIES.includes(type)).forEach(type => delete previous[type]);
+    }
+
+    return {
+      intent: switchesIntent ? intentResult.intent : lastIntent,
+      entities: this.mergeEntities(previous, entities),
+      confidence: Math.max(intentResult.confidence || 0, 0.8)
+    };
+  }
+
+  /**
+   * Combine the previous entities with the ones from a follow-up, which win
+   * @param {Object} previous - Entities of the previous question
+   * @param {Object} current - Entities of the follow-up
+   * @returns {Object} - Merged entities
+   */
+  mergeEntities(previous, current) {
+    const merged = { ...previous };
+
+    EXCLUSIVE_ENTITIES.forEach(types => {
+      if (types.some(type => current[type] !== undefined)) {
+        types.forEach(type => delete merged[type]);
+      }
+    });
+
+    return { ...merged, ...current };
+  }
+
+  /**
+   * Find a reference to an item of the previous result ("who did the second one?")
+   * @param {string} message - User message
+   * @returns {Object|null} - { ordinal, question } (ordinal -1 means the last item), or null
+   */
+  extractReference(message) {
+    const words = Object.keys(ORDINAL_WORDS).join('|');
+    const wordMatch = message.match(new RegExp(`\\bthe (${words}) (one|event|item|activity|change|user)\\b`, 'i'));
+    // "the 2nd", "#2" or "number 2", but not dates like "the 3rd of October"
+    const numberMatch = message.match(/\bthe (\d{1,3})(?:st|nd|rd|th)\b(?! of)|#(\d{1,3})\b|\bnumber (\d{1,3})\b/i);
+
+    let ordinal = null;
+    if (wordMatch) {
+      ordinal = ORDINAL_WORDS[wordMatch[1].toLowerCase()];
+    } else if (numberMatch) {
+      ordinal = parseInt(numberMatch[1] || numberMatch[2] || numberMatch[3], 10);
+    }
+
+    if (!ordinal) {
+      return null;
+    }
+
+    return { ordinal, question: this._getReferenceQuestion(message) };
+  }
+
+  /**
+   * Work out what is asked about the referenced item
+   * @param {string} message - User message
+   * @returns {string} - who, when or details
+   * @private
+   */
+  _getReferenceQuestion(message) {
+    if (/\bwho\b/i.test(message)) return 'who';
+    if (/\bwhen\b|\bwhat time\b/i.test(message)) return 'when';
+    return 'details';
+  }
+}
+
+module.exports = {
+  FollowUpResolver,
+  PASSIVE_INTENTS
+};
@@ -2,10 +2,15 @@
 
 const IntentRecognizer = require('./intentRecognizer');
 const EntityExtractor = require('./entityExtractor');
+const { FollowUpResolver, PASSIVE_INTENTS } = require('./followUpResolver');
+const SlotFiller = require('./slotFiller');
 const ChatbotNlpIntegration = require('./chatbotNlpIntegration');
 
 module.exports = {
   IntentRecognizer,
   EntityExtractor,
+  FollowUpResolver,
+  PASSIVE_INTENTS,
+  SlotFiller,
   ChatbotNlpIntegration
 };
\ No newline at end of file
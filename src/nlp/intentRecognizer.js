@@ -8,6 +8,15 @@
 class IntentRecognizer {
   constructor() {
     this.intentPatterns = {
+      // Checked first so "who ignored..." isn't read as a generic who-changed question
+      ignore_query: [
+        /\bignores\b/i,
+        /ignored (issues|vulnerabilities|vulns|findings)/i,
+        /ignore (inventory|list|abuse|policy)/i,
+        /who (has )?ignored/i,
+        /suppressed (issues|vulnerabilities|vulns|findings)/i
+      ],
+
       event_by_user_query: [
         /who (modified|changed|updated|created|deleted|added|removed)/i,
         /show me users who/i,
@@ -99,7 +108,7 @@ class IntentRecognizer {
 
   recognizeIntent(message) {
     if (!message || typeof message !== 'string') {
-      return { intent: 'help_request', confidence: 1.0, message: 'Empty or invalid message' };
+      return { intent: 'help_request', confidence: 1.0, source: 'default', message: 'Empty or invalid message' };
     }
     
     const normalizedMessage = message.trim().toLowerCase();
@@ -107,7 +116,7 @@ class IntentRecognizer {
     for (const [intent, patterns] of Object.entries(this.intentPatterns)) {
       for (const pattern of patterns) {
         if (pattern.test(normalizedMessage)) {
-          return { intent, confidence: this._calculateConfidence(normalizedMessage, pattern, intent), message };
+          return { intent, confidence: this._calculateConfidence(normalizedMessage, pattern, intent), source: 'pattern', message };
         }
       }
     }
@@ -116,10 +125,10 @@ class IntentRecognizer {
     scoredIntents.sort((a, b) => b.score - a.score);
     
     if (scoredIntents.length > 0 && scoredIntents[0].score >= this.confidenceThresholds.low) {
-      return { intent: scoredIntents[0].intent, confidence: scoredIntents[0].score, message };
+      return { intent: scoredIntents[0].intent, confidence: scoredIntents[0].score, source: 'keywords', message };
     }
     
-    return { intent: 'help_request', confidence: 1.0, message };
+    return { intent: 'help_request', confidence: 1.0, source: 'default', message };
   }
 
   _calculateConfidence(message, pattern, intent) {
@@ -142,6 +151,7 @@ class IntentRecognizer {
     const scores = [];
     
     const intentKeywords = {
+      ignore_query: ['ignore', 'ignores', 'ignored', 'suppressed'],
       event_by_user_query: ['who', 'users', 'which user', 'list users'],
       // UPDATED: Added more keywords to improve intent detection
       security_events_query: [
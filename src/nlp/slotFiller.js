@@ -0,0 +1,133 @@
+// src/nlp/slotFiller.js
+
+/**
+ * Slot Filler for SnykAudit Chatbot
+ *
+ * When a question is missing something the chatbot needs (what kind of
+ * change to look for, or what the user wants at all), it asks for that one
+ * piece with a short list of quick replies instead of a canned fallback.
+ * The session remembers the unfinished question, and the answer completes
+ * it:
+ *
+ *   "who changed things this week?"  -> "Which kind of change should I look for: policies, integrations, ...?"
+ *   "integrations"                    -> runs "who changed integrations this week?"
+ *
+ * Quick replies are plain messages, so Slack buttons, web UI chips and API
+ * clients all answer by sending the reply's text.
+ */
+
+// What can be asked for, with the answers offered for each
+const SLOTS = {
+  event_type: {
+    question: 'Which kind of change should I look for',
+    options: [
+      { label: 'Policies', value: 'policy', aliases: ['policy', 'policies'] },
+      { label: 'Integrations', value: 'integration', aliases: ['integration', 'integrations'] },
+      { label: 'Webhooks', value: 'webhook', aliases: ['webhook', 'webhooks'] },
+      { label: 'User roles', value: 'user', aliases: ['user', 'users', 'role', 'roles', 'members'] },
+      { label: 'Service accounts', value: 'service account', aliases: ['service account', 'service accounts', 'bot', 'bots'] },
+      { label: 'SAST settings', value: 'sast settings', aliases: ['sast', 'code settings'] },
+      { label: 'Projects', value: 'project', aliases: ['project', 'projects'] }
+    ]
+  },
+  intent: {
+    question: 'What would you like to look at',
+    options: [
+      { label: 'Security events', value: 'security_events_query', aliases: ['security', 'events'] },
+      { label: 'Suspicious activity', value: 'suspicious_activity_query', aliases: ['suspicious', 'anomalies', 'unusual'] },
+      { label: 'Ignored issues', value: 'ignore_query', aliases: ['ignores', 'ignored', 'ignore'] },
+      { label: 'User activity', value: 'user_activity_query', aliases: ['user activity', 'users', 'activity'] },
+      { label: 'Who changed something', value: 'event_by_user_query', aliases: ['who', 'changes', 'changed'] },
+      { label: 'Recent summary', value: 'time_based_query', aliases: ['summary', 'what happened', 'overview'] }
+    ]
+  }
+};
+
+// Longer messages are new questions rather than answers
+const MAX_ANSWER_WORDS = 6;
+
+class SlotFiller {
+  /**
+   * Build the question for a missing slot
+   * @param {string} slot - Slot name (event_type, intent)
+   * @returns {Object} - { message, quickReplies }
+   */
+  ask(slot) {
+    const definition = this._getSlot(slot);
+    const labels = definition.options.map(option => option.label);
+    // "Policies" reads as "policies" mid-sentence, "SAST settings" stays as it is
+    const spoken = labels.map(label => label.replace(/^[A-Z](?=[a-z])/, letter => letter.toLowerCase()));
+
+    return {
+      message: `${definition.question}: ${spoken.slice(0, -1).join(', ')} or ${spoken[spoken.length - 1]}?`,
+      quickReplies: labels
+    };
+  }
+
+  /**
+   * Complete an unfinished question with the user's answer
+   * @param {string} message - User's answer
+   * @param {Object} pending - Unfinished question ({ slot, intent, entities })
+   * @param {Object} entities - Entities extracted from the answer ("policies last month")
+   * @returns {Object|null} - { intent, entities } or null if the message doesn't answer the question
+   */
+  fill(message, pending, entities = {}) {
+    if (!pending || !SLOTS[pending.slot] || typeof message !== 'string' ||
+        message.trim().split(/\s+/).length > MAX_ANSWER_WORDS) {
+      return null;
+    }
+
+    const option = this._matchOption(message, SLOTS[pending.slot].options);
+
+    if (!option) {
+      return null;
+    }
+
+    const merged = { ...(pending.entities || {}), ...entities };
+
+    if (pending.slot === 'intent') {
+      return { intent: option.value, entities: merged };
+    }
+
+    return { intent: pending.intent, entities: { ...merged, [pending.slot]: option.value } };
+  }
+
+  /**
+   * Find the option an answer picks: by number ("2"), by label, or by one of its aliases
+   * @param {string} message - User's answer
+   * @param {Array<Object>} options - Slot options
+   * @returns {Object|null} - Picked option
+   * @private
+   */
+  _matchOption(message, options) {
+    const answer = message.trim().toLowerCase().replace(/[.!?]+$/, '');
+    const number = parseInt(answer, 10);
+
+    if (String(number) === answer && options[number - 1]) {
+      return options[number - 1];
+    }
+
+    const mentions = phrase => new RegExp(`\\b${phrase.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(answer);
+
+    return options.find(option => answer === option.label.toLowerCase()) ||
+      options.find(option => mentions(option.label)) ||
+      options.find(option => option.aliases.some(mentions)) ||
+      null;
+  }
+
+  /**
+   * Get a slot definition
+   * @param {string} slot - Slot name
+   * @returns {Object} - Slot definition
+   * @private
+   */
+  _getSlot(slot) {
+    if (!SLOTS[slot]) {
+      throw new Error(`Unknown slot "${slot}". Valid slots: ${Object.keys(SLOTS).join(', ')}`);
+    }
+
+    return SLOTS[slot];
+  }
+}
+
+module.exports = SlotFiller;
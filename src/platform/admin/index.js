@@ -0,0 +1,11 @@
+// src/platform/admin/index.js
+
+/**
+ * Admin module index
+ */
+
+const TokenAdminHandler = require('./tokenAdminHandler');
+
+module.exports = {
+  TokenAdminHandler
+};
@@ -0,0 +1,116 @@
+// src/platform/admin/tokenAdminHandler.js
+
+const express = require('express');
+const { createBearerAuth, getAllowedOrgs } = require('../auth');
+const { sendError } = require('../apiErrors');
+const { ClientRateLimiter } = require('../rateLimit');
+
+/**
+ * Token Admin Handler
+ *
+ * Endpoints for managing the API tokens that teams use to call the webhook
+ * and the query API. They need a token with the "admin" scope that isn't
+ * restricted to particular orgs, and are closed until one exists.
+ *
+ *   GET    /admin/tokens          List active tokens (?includeRevoked=true for all)
+ *   POST   /admin/tokens          Issue a token ({ name, scopes, orgs, signing })
+ *   DELETE /admin/tokens/:id      Revoke a token by ID or name
+ *
+ * The same operations are available offline through `npm run tokens`.
+ */
+class TokenAdminHandler {
+  /**
+   * Create a token admin handler
+   * @param {Object} config - Configuration options
+   * @param {ApiTokenStore} config.tokenStore - Token store to manage
+   * @param {string} config.authToken - Legacy shared bearer token, which has the admin scope (optional)
+   * @param {ClientRateLimiter} config.ipRateLimiter - Per-IP limits applied before authentication, shared with the webhook (optional)
+   */
+  constructor(config = {}) {
+    if (!config.tokenStore) {
+      throw new Error('TokenAdminHandler requires a token store');
+    }
+
+    this.router = express.Router();
+    this.tokenStore = config.tokenStore;
+    this.authToken = config.authToken;
+    this.ipRateLimiter = config.ipRateLimiter || new ClientRateLimiter({ keyBy: 'ip' });
+
+    this._setupRoutes();
+  }
+
+  /**
+   * Get the Express router for this handler
+   * @returns {express.Router} - Express router
+   */
+  getRouter() {
+    return this.router;
+  }
+
+  /**
+   * Set up admin routes
+   * @private
+   */
+  _setupRoutes() {
+    // Per-IP limit first, so guessing admin tokens is throttled as well
+    this.router.use(this.ipRateLimiter.middleware());
+
+    this.router.use(createBearerAuth({
+      authToken: this.authToken,
+      tokenStore: this.tokenStore,
+      scope: 'admin',
+      allowAnonymous: false
+    }));
+
+    // Token management is deployment-wide, so org-restricted tokens can't do it
+    this.router.use((req, res, next) => {
+      if (getAllowedOrgs(req.auth)) {
+        return sendError(res, 403, 'Forbidden: Token administration needs a token that is not restricted to specific orgs');
+      }
+      next();
+    });
+
+    this.router.get('/tokens', async (req, res, next) => {
+      try {
+        const tokens = await this.tokenStore.list({ includeRevoked: req.query.includeRevoked === 'true' });
+        res.status(200).json({ data: tokens, success: true });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    this.router.post('/tokens', async (req, res, next) => {
+      try {
+        const { name, scopes, orgs, signing } = req.body;
+        const { token, signingSecret, record } = await this.tokenStore.issue({ name, scopes, orgs, signing });
+        const credentials = signing ? { signingSecret } : { token };
+
+        res.status(201).json({ ...credentials, data: record, success: true });
+      } catch (error) {
+        if (/already exists/.test(error.message)) {
+          return sendError(res, 409, `Conflict: ${error.message}`);
+        }
+        if (/required|Unknown scopes|Invalid orgs/.test(error.message)) {
+          return sendError(res, 400, `Bad request: ${error.message}`);
+        }
+        next(error);
+      }
+    });
+
+    this.router.delete('/tokens/:id', async (req, res, next) => {
+      try {
+        const record = await this.tokenStore.revoke(req.params.id);
+
+        if (!record) {
+          return sendError(res, 404, `Not found: No active token with ID or name "${req.params.id}"`);
+        }
+
+        res.status(200).json({ data: record, success: true });
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+}
+
+module.exports = TokenAdminHandler;
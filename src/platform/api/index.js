@@ -0,0 +1,11 @@
+// src/platform/api/index.js
+
+/**
+ * Query API module index
+ */
+
+const QueryApiHandler = require('./queryApiHandler');
+
+module.exports = {
+  QueryApiHandler
+};
\ No newline at end of file
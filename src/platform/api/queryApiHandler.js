@@ -0,0 +1,485 @@
+// src/platform/api/queryApiHandler.js
+
+const express = require('express');
+const { SnykAuditService } = require('../../api');
+const { SecurityEventAnalyzer, UserActivityAnalyzer, AnomalyDetector, IgnoreAnalyzer, AuditQueryParser } = require('../../core');
+const { validateObject, daysAgo } = require('../../utils');
+const { createBearerAuth, getAllowedOrgs } = require('../auth');
+const { sendError } = require('../apiErrors');
+const { ClientRateLimiter } = require('../rateLimit');
+
+// Page size limits for list endpoints
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Query parameters shared by every endpoint
+const COMMON_QUERY_PROPERTIES = {
+  days: { type: 'number', minimum: 1, maximum: 365 },
+  org: { type: 'string', minLength: 1 },
+  limit: { type: 'number', minimum: 1, maximum: MAX_LIMIT },
+  offset: { type: 'number', minimum: 0 }
+};
+
+const EVENTS_QUERY_SCHEMA = {
+  properties: {
+    ...COMMON_QUERY_PROPERTIES,
+    q: { type: 'string', minLength: 1, maxLength: 500 },
+    event: { type: 'string', pattern: '^[a-z0-9_.*,]+$' },
+    user: { type: 'string', minLength: 1 },
+    project: { type: 'string', minLength: 1 },
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' }
+  }
+};
+
+const DAYS_QUERY_SCHEMA = {
+  properties: COMMON_QUERY_PROPERTIES
+};
+
+// Query parameters that arrive as strings but are validated as numbers
+const NUMERIC_PARAMS = ['days', 'limit', 'offset'];
+
+/**
+ * Structured Query API Handler
+ *
+ * Deterministic JSON endpoints over the same audit service and analyzers the
+ * chatbot uses, for tooling that doesn't want to go through natural language.
+ * All endpoints need a token with the "query" scope, and only return data
+ * for the orgs that token is restricted to.
+ *
+ *   GET /api/events?event=org.policy.*&user=…&project=…&from=…&to=…
+ *   GET /api/events?q=event:org.policy.* since:14d severity:high
+ *   GET /api/users/:id/activity?days=…
+ *   GET /api/anomalies?days=…
+ *   GET /api/ignores?days=…
+ *   GET /api/security-summary?days=…
+ *
+ * List endpoints are paginated with `limit` and `offset`. In `q` (see
+ * AuditQueryParser), parameters given explicitly win over the same filter.
+ */
+class QueryApiHandler {
+  /**
+   * Create a query API handler
+   * @param {Object} config - Configuration options
+   * @param {string} config.authToken - Legacy shared bearer token (optional)
+   * @param {ApiTokenStore} config.tokenStore - Named, scoped API tokens (optional)
+   * @param {ClientRateLimiter} config.rateLimiter - Per-client limits, shared with the webhook (optional)
+   * @param {ClientRateLimiter} config.ipRateLimiter - Per-IP limits applied before authentication, shared with the webhook (optional)
+   * @param {SnykAuditService} config.auditService - Audit service to share with the chatbot (optional)
+   */
+  constructor(config = {}) {
+    this.router = express.Router();
+    this.authToken = config.authToken;
+    this.tokenStore = config.tokenStore || null;
+    this.rateLimiter = config.rateLimiter || new ClientRateLimiter();
+    this.ipRateLimiter = config.ipRateLimiter || new ClientRateLimiter({ keyBy: 'ip' });
+    this.auditService = config.auditService || null;
+    this.auditQueryParser = new AuditQueryParser();
+    this.initialized = false;
+
+    this._setupRoutes();
+  }
+
+  /**
+   * Initialize the handler and its analyzers
+   * @param {string} apiKey - Snyk API key (only used when no audit service was shared)
+   * @param {Object} config - Audit service configuration
+   * @returns {Promise<boolean>} - Success status
+   */
+  async init(apiKey, config = {}) {
+    try {
+      if (!this.auditService) {
+        if (!apiKey) {
+          console.error('Query API initialization failed: No API key provided');
+          return false;
+        }
+
+        this.auditService = new SnykAuditService(apiKey, config);
+      }
+
+      this.securityEventAnalyzer = new SecurityEventAnalyzer(this.auditService);
+      this.userActivityAnalyzer = new UserActivityAnalyzer(this.auditService);
+      this.anomalyDetector = new AnomalyDetector(this.auditService);
+      this.ignoreAnalyzer = new IgnoreAnalyzer(this.auditService);
+
+      if (config.businessHoursStart && config.businessHoursEnd) {
+        this.anomalyDetector.setBusinessHours(config.businessHoursStart, config.businessHoursEnd);
+      }
+
+      if (config.baselineDays !== undefined) {
+        this.anomalyDetector.setBaseline(config.baselineDays, config.anomalyThreshold);
+      }
+
+      this.initialized = true;
+      return true;
+    } catch (error) {
+      console.error('Query API initialization failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the Express router for this handler
+   * @returns {express.Router} - Express router
+   */
+  getRouter() {
+    return this.router;
+  }
+
+  /**
+   * Set up API routes
+   * @private
+   */
+  _setupRoutes() {
+    // Per-IP limit first, so requests with bad credentials are throttled as well
+    this.router.use(this.ipRateLimiter.middleware());
+    this.router.use(createBearerAuth({ authToken: this.authToken, tokenStore: this.tokenStore, scope: 'query' }));
+    this.router.use(this.rateLimiter.middleware());
+
+    this.router.use((req, res, next) => {
+      if (!this.initialized) {
+        return sendError(res, 503, 'Service unavailable: The query API is not initialized');
+      }
+      next();
+    });
+
+    this.router.get('/events', this._route(EVENTS_QUERY_SCHEMA, (query, req) => this._getEvents(query, req.auth)));
+    this.router.get('/users/:id/activity', this._route(DAYS_QUERY_SCHEMA, (query, req) => this._getUserActivity(req.params.id, query, req.auth)));
+    this.router.get('/anomalies', this._route(DAYS_QUERY_SCHEMA, (query, req) => this._getAnomalies(query, req.auth), { baseline: true }));
+    this.router.get('/ignores', this._route(DAYS_QUERY_SCHEMA, (query, req) => this._getIgnores(query, req.auth)));
+    this.router.get('/security-summary', this._route(DAYS_QUERY_SCHEMA, (query, req) => this._getSecuritySummary(query, req.auth)));
+  }
+
+  /**
+   * Wrap an endpoint with query validation and error handling
+   * @param {Object} schema - validateObject schema for the query string
+   * @param {Function} handler - Endpoint implementation (query, req) => response body
+   * @param {Object} options - Route options
+   * @param {boolean} options.baseline - The endpoint also reads the anomaly baseline before its window
+   * @returns {Function} - Express route handler
+   * @private
+   */
+  _route(schema, handler, options = {}) {
+    return async (req, res) => {
+      const query = this._parseQuery(req.query);
+      const validation = validateObject(query, schema);
+
+      if (!validation.valid) {
+        return sendError(res, 400, 'Bad request: Invalid query parameters', validation.errors);
+      }
+
+      try {
+        if (!this.rateLimiter.checkQuery(req, res, await this._describeQuery(query, req.auth, options))) {
+          return;
+        }
+
+        const body = await handler(query, req);
+        res.status(200).json({ ...body, success: true });
+      } catch (error) {
+        const status = error.statusCode || 500;
+
+        if (status >= 500) {
+          console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+        }
+
+        sendError(res, status, status >= 500 ? `Internal server error: ${error.message}` : error.message);
+      }
+    };
+  }
+
+  /**
+   * GET /events
+   * @param {Object} query - Validated query
+   * @param {Object|null} auth - Authenticated token (req.auth)
+   * @returns {Promise<Object>} - Response body
+   * @private
+   */
+  async _getEvents(query, auth) {
+    const { params, clientFilters, org } = this._compileSearch(query);
+    const orgId = await this._resolveOrg(org, auth);
+    const fromDate = new Date(params.from);
+    const filters = { from: fromDate };
+
+    if (params.to) filters.to = new Date(params.to);
+    if (params.events) filters.events = params.events;
+    if (params.project_id) filters.projectId = params.project_id;
+
+    if (params.user_id) {
+      filters.userId = await this.auditService.resolveUserId(params.user_id, orgId);
+
+      if (!filters.userId) {
+        throw this._httpError(404, `Not found: No user matches "${params.user_id}"`);
+      }
+    }
+
+    const events = this.auditQueryParser.applyClientFilters(await this.auditService.queryEvents(filters, orgId), clientFilters);
+
+    return {
+      ...this._paginate(events, { ...query, limit: query.limit || clientFilters.limit }),
+      completeness: await this.auditService.getCompleteness(fromDate, orgId)
+    };
+  }
+
+  /**
+   * Compile the search of GET /events from its `q` query and its parameters
+   * @param {Object} query - Validated query
+   * @returns {Object} - Compiled query (see AuditQueryParser.compile)
+   * @private
+   */
+  _compileSearch(query) {
+    const { filters, errors } = this.auditQueryParser.parse(query.q || '');
+
+    if (errors.length > 0) {
+      throw this._httpError(400, `Bad request: Invalid q: ${errors.join('; ')}`);
+    }
+
+    const search = this.auditQueryParser.compile(filters, { defaultDays: query.days || this.auditService.config.defaultDays });
+
+    // Parameters given explicitly win over the same filter in q
+    if (query.event) search.params.events = query.event.split(',').filter(Boolean);
+    if (query.user) search.params.user_id = query.user;
+    if (query.project) search.params.project_id = query.project;
+    if (query.from) search.params.from = new Date(query.from).toISOString();
+    if (query.to) search.params.to = new Date(query.to).toISOString();
+    if (query.org) search.org = query.org;
+
+    return search;
+  }
+
+  /**
+   * GET /users/:id/activity
+   * @param {string} user - User ID, name or email
+   * @param {Object} query - Validated query
+   * @param {Object|null} auth - Authenticated token (req.auth)
+   * @returns {Promise<Object>} - Response body
+   * @private
+   */
+  async _getUserActivity(user, query, auth) {
+    const orgId = await this._resolveOrg(query.org, auth);
+    const days = query.days || this.auditService.config.defaultDays;
+    const userId = await this.auditService.resolveUserId(user, orgId);
+
+    if (!userId) {
+      throw this._httpError(404, `Not found: No user matches "${user}"`);
+    }
+
+    // Only the events up to the requested page are kept while the window is streamed
+    const limit = query.limit || DEFAULT_LIMIT;
+    const offset = query.offset || 0;
+    const fromDate = daysAgo(days);
+    const events = this.auditService.streamUserActivity(userId, { from: fromDate }, orgId);
+    const activity = await this.userActivityAnalyzer.analyzeSpecificUserActivity(events, { keep: offset + limit });
+    const { allEvents, ...summary } = activity;
+    const page = this._paginate(allEvents, query);
+
+    return {
+      data: {
+        userId,
+        days,
+        ...summary,
+        events: page.data
+      },
+      pagination: {
+        ...page.pagination,
+        total: activity.totalActions,
+        nextOffset: offset + limit < activity.totalActions ? offset + limit : null
+      },
+      completeness: await this.auditService.getCompleteness(fromDate, orgId)
+    };
+  }
+
+  /**
+   * GET /anomalies
+   * @param {Object} query - Validated query
+   * @param {Object|null} auth - Authenticated token (req.auth)
+   * @returns {Promise<Object>} - Response body
+   * @private
+   */
+  async _getAnomalies(query, auth) {
+    const orgId = await this._resolveOrg(query.org, auth);
+    const days = query.days || this.auditService.config.defaultDays;
+
+    const fromDate = daysAgo(days);
+    const baseline = await this.anomalyDetector.learnBaseline(fromDate, orgId);
+    const events = this.auditService.streamEvents({ from: fromDate }, {}, orgId);
+    const anomalies = await this.anomalyDetector.detectAnomaliesStream(events, { baseline });
+
+    return {
+      ...this._paginate(anomalies, query),
+      completeness: await this.auditService.getCompleteness(fromDate, orgId)
+    };
+  }
+
+  /**
+   * GET /ignores
+   * @param {Object} query - Validated query
+   * @param {Object|null} auth - Authenticated token (req.auth)
+   * @returns {Promise<Object>} - Response body (the ignores are paginated)
+   * @private
+   */
+  async _getIgnores(query, auth) {
+    const orgId = await this._resolveOrg(query.org, auth);
+    const days = query.days || this.auditService.config.defaultDays;
+
+    const fromDate = daysAgo(days);
+    const events = this.auditService.streamEvents({ from: fromDate }, { events: this.ignoreAnalyzer.getEventTypes() }, orgId);
+    const inventory = await this.ignoreAnalyzer.analyzeIgnores(events);
+    const page = this._paginate(inventory.ignores, query);
+
+    return {
+      data: {
+        days,
+        totals: inventory.totals,
+        findings: inventory.findings.map(({ alert, ...finding }) => finding),
+        policyChanges: inventory.policyChanges,
+        unmatched: inventory.unmatched,
+        ignores: page.data
+      },
+      pagination: page.pagination,
+      completeness: await this.auditService.getCompleteness(fromDate, orgId)
+    };
+  }
+
+  /**
+   * GET /security-summary
+   * @param {Object} query - Validated query
+   * @param {Object|null} auth - Authenticated token (req.auth)
+   * @returns {Promise<Object>} - Response body
+   * @private
+   */
+  async _getSecuritySummary(query, auth) {
+    const orgId = await this._resolveOrg(query.org, auth);
+    const days = query.days || this.auditService.config.defaultDays;
+    const limit = query.limit || DEFAULT_LIMIT;
+
+    const fromDate = daysAgo(days);
+    const events = this.auditService.streamSecurityEvents({ from: fromDate }, orgId);
+    const categorized = await this.securityEventAnalyzer.categorizeSecurityEvents(events, { keep: limit });
+
+    return {
+      data: {
+        days,
+        counts: categorized.counts,
+        // Events per taxonomy category (policy, integration, ...)
+        byCategory: categorized.byCategory,
+        highPriority: categorized.highPriority,
+        mediumPriority: categorized.mediumPriority,
+        lowPriority: categorized.lowPriority
+      },
+      completeness: await this.auditService.getCompleteness(fromDate, orgId)
+    };
+  }
+
+  /**
+   * Work out how much audit history a query reads, for the expensive query quota
+   * @param {Object} query - Validated query
+   * @param {Object|null} auth - Authenticated token (req.auth)
+   * @param {Object} options - Route options (baseline)
+   * @returns {Promise<Object>} - { days, groupScope }
+   * @private
+   */
+  async _describeQuery(query, auth, options = {}) {
+    const allowedOrgs = getAllowedOrgs(auth);
+    let fromDate = daysAgo(query.days || this.auditService.config.defaultDays);
+    let org = query.org;
+
+    if (query.from || query.q) {
+      try {
+        const { params, org: searchOrg } = this._compileSearch(query);
+        fromDate = new Date(params.from);
+        org = searchOrg;
+      } catch (error) {
+        // An invalid q is rejected by the endpoint itself
+      }
+    }
+
+    if (options.baseline && this.anomalyDetector.baselineDays) {
+      fromDate = new Date(fromDate.getTime() - this.anomalyDetector.baselineDays * 24 * 60 * 60 * 1000);
+    }
+
+    // Names are only resolved in group mode, where every org shares the group's store
+    const orgId = org && !this.auditService.isGroupMode() ? org : null;
+
+    return {
+      days: await this.auditService.estimateQueryDays(fromDate, orgId),
+      groupScope: this.auditService.isGroupMode() && !org && !(allowedOrgs && allowedOrgs.length === 1)
+    };
+  }
+
+  /**
+   * Convert numeric query parameters, leaving unparseable values for validation to reject
+   * @param {Object} rawQuery - Express query object
+   * @returns {Object} - Query with numbers parsed
+   * @private
+   */
+  _parseQuery(rawQuery) {
+    const query = {};
+
+    Object.keys(rawQuery).forEach(key => {
+      const value = Array.isArray(rawQuery[key]) ? rawQuery[key].join(',') : rawQuery[key];
+      query[key] = NUMERIC_PARAMS.includes(key) && value !== '' ? Number(value) : value;
+    });
+
+    return query;
+  }
+
+  /**
+   * Slice a result list into a page
+   * @param {Array} items - All results
+   * @param {Object} query - Validated query (limit, offset)
+   * @returns {Object} - { data, pagination: { total, limit, offset, nextOffset } }
+   * @private
+   */
+  _paginate(items, query) {
+    const limit = query.limit || DEFAULT_LIMIT;
+    const offset = query.offset || 0;
+    const nextOffset = offset + limit < items.length ? offset + limit : null;
+
+    return {
+      data: items.slice(offset, offset + limit),
+      pagination: { total: items.length, limit, offset, nextOffset }
+    };
+  }
+
+  /**
+   * Resolve the `org` query parameter (group mode) to an org ID, within the orgs the token may see
+   * @param {string} org - Organization ID, name or slug (optional)
+   * @param {Object|null} auth - Authenticated token (req.auth)
+   * @returns {Promise<string|null>} - Organization ID, or null for the default scope
+   * @private
+   */
+  async _resolveOrg(org, auth) {
+    const allowedOrgs = getAllowedOrgs(auth);
+    let orgId = org || null;
+
+    if (org && this.auditService.isGroupMode()) {
+      const resolved = await this.auditService.resolveOrg(org);
+      orgId = resolved ? resolved.id : null;
+
+      // Restricted tokens can't probe which orgs exist in the group
+      if (!resolved && !allowedOrgs) {
+        throw this._httpError(404, `Not found: No organization in the group matches "${org}"`);
+      }
+    }
+
+    const access = org && !orgId
+      ? { allowed: false, reason: 'forbidden' }
+      : this.auditService.checkOrgAccess(orgId, allowedOrgs);
+
+    if (!access.allowed) {
+      throw access.reason === 'org_required'
+        ? this._httpError(400, 'Bad request: This token covers several organizations; pass one as `org`')
+        : this._httpError(403, 'Forbidden: This token does not have access to that organization');
+    }
+
+    return access.orgId;
+  }
+
+  _httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = QueryApiHandler;
@@ -0,0 +1,71 @@
+// src/platform/apiErrors.js
+
+/**
+ * API Error Responses
+ *
+ * Every HTTP error the server returns has the same body, documented as
+ * ErrorResponse in the OpenAPI document:
+ *
+ * {
+ *   "success": false,
+ *   "message": "Unauthorized: Missing or invalid authorization header",
+ *   "error": { "code": "unauthorized", "status": 401, "details": { ... } },
+ *   "timestamp": "2024-05-01T10:00:00.000Z"
+ * }
+ */
+
+// Machine-readable codes per HTTP status
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  500: 'internal_error',
+  503: 'service_unavailable'
+};
+
+/**
+ * Build an error response body
+ * @param {number} status - HTTP status code
+ * @param {string} message - Human-readable message
+ * @param {Object} details - Extra information, e.g. validation errors by field (optional)
+ * @returns {Object} - Error response body
+ */
+function buildErrorBody(status, message, details = null) {
+  const error = {
+    code: ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request'),
+    status
+  };
+
+  if (details) {
+    error.details = details;
+  }
+
+  return {
+    success: false,
+    message,
+    error,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Send an error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Human-readable message
+ * @param {Object} details - Extra information (optional)
+ * @returns {Object} - Express response
+ */
+function sendError(res, status, message, details = null) {
+  return res.status(status).json(buildErrorBody(status, message, details));
+}
+
+module.exports = {
+  ERROR_CODES,
+  buildErrorBody,
+  sendError
+};
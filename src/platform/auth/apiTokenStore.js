@@ -0,0 +1,312 @@
+// src/platform/auth/apiTokenStore.js
+
+/**
+ * API Token Store
+ *
+ * Named API tokens for the webhook and the structured query API, kept in a
+ * JSON file. Only a SHA-256 hash of each token is stored; the token itself
+ * is shown once, when it is issued.
+ *
+ * Each token has scopes that decide which endpoints it may call, and an
+ * optional list of org IDs it is restricted to, so several teams can share
+ * one deployment without seeing each other's orgs.
+ *
+ * Signing keys are tokens for machine-to-machine callers that sign each
+ * request with an HMAC instead of sending a bearer token (see
+ * requestSigning). Their secret has to be recoverable to check signatures,
+ * so it is stored encrypted with ENCRYPTION_KEY rather than hashed.
+ */
+
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { defaultLogger, hash, generateToken, encrypt, decrypt } = require('../../utils');
+
+// Create a logger for this module
+const logger = defaultLogger.child('ApiTokenStore');
+
+// What each scope allows
+const SCOPES = {
+  chat: 'Ask the chatbot questions (POST /webhook)',
+  query: 'Use the structured query API (/api/*)',
+  admin: 'Issue, list and revoke API tokens (/admin/*)'
+};
+
+// Prefix that makes leaked tokens easy to recognize in logs and scanners
+const TOKEN_PREFIX = 'sat_';
+
+class ApiTokenStore {
+  /**
+   * Create a new API token store
+   * @param {Object} config - Store configuration
+   * @param {string} config.path - JSON file that holds the tokens (default ./data/api-tokens.json)
+   * @param {string} config.encryptionKey - Key for signing secrets (default ENCRYPTION_KEY; without one, signing keys
+   *   can't be issued or checked)
+   */
+  constructor(config = {}) {
+    this.path = config.path || './data/api-tokens.json';
+    this.encryptionKey = config.encryptionKey || process.env.ENCRYPTION_KEY || null;
+    this.tokens = null;
+    this.loadedModified = null;
+
+    // Serialize writes so concurrent issue/revoke calls don't lose updates
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Issue a new token
+   * @param {Object} options - Token options
+   * @param {string} options.name - Unique, human-readable name (e.g. "payments-team")
+   * @param {Array<string>} options.scopes - Scopes (chat, query, admin)
+   * @param {Array<string>} options.orgs - Org IDs the token is restricted to (optional, all orgs if empty)
+   * @param {boolean} options.signing - Issue a signing key instead of a bearer token (default false)
+   * @returns {Promise<Object>} - { token, record } or, for signing keys, { signingSecret, record };
+   *   neither the token nor the secret can be shown again
+   */
+  async issue({ name, scopes = [], orgs = [], signing = false } = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Token name is required');
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error(`At least one scope is required (${Object.keys(SCOPES).join(', ')})`);
+    }
+
+    const unknownScopes = scopes.filter(scope => !SCOPES[scope]);
+    if (unknownScopes.length > 0) {
+      throw new Error(`Unknown scopes: ${unknownScopes.join(', ')}. Valid scopes: ${Object.keys(SCOPES).join(', ')}`);
+    }
+
+    // A single org ID passed as a string would otherwise be split into characters
+    if (orgs !== null && (!Array.isArray(orgs) || orgs.some(org => !org || typeof org !== 'string'))) {
+      throw new Error('Invalid orgs: expected a list of org IDs');
+    }
+
+    // A default key would be known to anyone who can read this code, and so would every secret encrypted with it
+    if (signing && !this.encryptionKey) {
+      throw new Error('Signing keys can\'t be issued until ENCRYPTION_KEY is set, since their secrets are stored encrypted with it');
+    }
+
+    return this._update(tokens => {
+      if (tokens.some(record => record.name === name && !record.revokedAt)) {
+        throw new Error(`A token named "${name}" already exists`);
+      }
+
+      const token = signing ? null : `${TOKEN_PREFIX}${generateToken(24)}`;
+      const signingSecret = signing ? generateToken(32) : null;
+      const record = {
+        id: crypto.randomUUID(),
+        name,
+        hash: token ? hash(token) : null,
+        signingSecret: signingSecret ? encrypt(signingSecret, this.encryptionKey) : null,
+        scopes: [...new Set(scopes)],
+        orgs: [...new Set(orgs || [])],
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null
+      };
+
+      tokens.push(record);
+      logger.info(`Issued API ${signing ? 'signing key' : 'token'} "${name}"`, { id: record.id, scopes: record.scopes, orgs: record.orgs });
+
+      return signing
+        ? { signingSecret, record: this._toPublic(record) }
+        : { token, record: this._toPublic(record) };
+    });
+  }
+
+  /**
+   * Revoke a token
+   * @param {string} idOrName - Token ID or name
+   * @returns {Promise<Object|null>} - Revoked token, or null if there is no active token with that ID or name
+   */
+  async revoke(idOrName) {
+    return this._update(tokens => {
+      const record = tokens.find(candidate =>
+        !candidate.revokedAt && (candidate.id === idOrName || candidate.name === idOrName));
+
+      if (!record) {
+        return null;
+      }
+
+      record.revokedAt = new Date().toISOString();
+      logger.info(`Revoked API token "${record.name}"`, { id: record.id });
+
+      return this._toPublic(record);
+    });
+  }
+
+  /**
+   * List tokens, without their hashes
+   * @param {Object} options - List options
+   * @param {boolean} options.includeRevoked - Include revoked tokens (default false)
+   * @returns {Promise<Array<Object>>} - Tokens
+   */
+  async list(options = {}) {
+    const tokens = await this._load();
+
+    return tokens
+      .filter(record => options.includeRevoked || !record.revokedAt)
+      .map(record => this._toPublic(record));
+  }
+
+  /**
+   * Check whether any token has ever been issued.
+   * Revoked tokens count, so revoking the last token doesn't switch authentication off.
+   * @returns {Promise<boolean>} - Whether tokens exist
+   */
+  async hasTokens() {
+    const tokens = await this._load();
+    return tokens.length > 0;
+  }
+
+  /**
+   * Find the active token matching a presented bearer token
+   * @param {string} token - Token from the Authorization header
+   * @returns {Promise<Object|null>} - Token ({ id, name, scopes, orgs, ... }) or null
+   */
+  async verify(token) {
+    if (!token) {
+      return null;
+    }
+
+    const tokens = await this._load();
+    const presented = Buffer.from(hash(token), 'hex');
+    let match = null;
+
+    // Compare against every token in constant time so timing doesn't reveal which hash was close
+    tokens.forEach(record => {
+      if (!record.hash) {
+        return;
+      }
+
+      const stored = Buffer.from(record.hash, 'hex');
+      if (stored.length === presented.length && crypto.timingSafeEqual(stored, presented) && !record.revokedAt) {
+        match = record;
+      }
+    });
+
+    if (!match) {
+      return null;
+    }
+
+    this._touch(match);
+    return this._toPublic(match);
+  }
+
+  /**
+   * Get the secret of an active signing key
+   * @param {string} id - Signing key ID (sent by callers as the key ID header)
+   * @returns {Promise<Object|null>} - { record, secret }, or null if there is no active signing key with that ID
+   */
+  async getSigningKey(id) {
+    const tokens = await this._load();
+    const record = tokens.find(candidate => candidate.id === id && candidate.signingSecret && !candidate.revokedAt);
+
+    if (!record) {
+      return null;
+    }
+
+    if (!this.encryptionKey) {
+      logger.error(`Rejecting a request signed with key "${record.name}": ENCRYPTION_KEY is not set, so its secret can't be read`);
+      return null;
+    }
+
+    this._touch(record);
+    return {
+      record: this._toPublic(record),
+      secret: decrypt(record.signingSecret, this.encryptionKey)
+    };
+  }
+
+  /**
+   * Record when a token was last used, at most once a minute per token
+   * @param {Object} record - Stored token
+   * @private
+   */
+  _touch(record) {
+    const now = Date.now();
+
+    if (record.lastUsedAt && now - new Date(record.lastUsedAt).getTime() < 60 * 1000) {
+      return;
+    }
+
+    this._update(tokens => {
+      const stored = tokens.find(candidate => candidate.id === record.id);
+      if (stored) {
+        stored.lastUsedAt = new Date(now).toISOString();
+      }
+    }).catch(error => logger.warn(`Failed to record token use: ${error.message}`));
+  }
+
+  /**
+   * Load the tokens from disk, re-reading the file when it changed
+   * (e.g. when the CLI issued a token while the server is running)
+   * @returns {Promise<Array<Object>>} - Stored tokens
+   * @private
+   */
+  async _load() {
+    let modified = null;
+
+    try {
+      modified = (await fsp.stat(this.path)).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read API tokens from ${this.path}: ${error.message}`);
+      }
+    }
+
+    if (this.tokens && modified === this.loadedModified) {
+      return this.tokens;
+    }
+
+    try {
+      const data = modified === null ? {} : JSON.parse(await fsp.readFile(this.path, 'utf8'));
+      this.tokens = Array.isArray(data.tokens) ? data.tokens : [];
+      this.loadedModified = modified;
+    } catch (error) {
+      throw new Error(`Failed to read API tokens from ${this.path}: ${error.message}`);
+    }
+
+    return this.tokens;
+  }
+
+  /**
+   * Apply a change to the tokens and write them back
+   * @param {Function} change - Receives the token list, may mutate it and return a result
+   * @returns {Promise<*>} - Result of the change
+   * @private
+   */
+  _update(change) {
+    const run = this.writeQueue.then(async () => {
+      const tokens = await this._load();
+      const result = change(tokens);
+
+      await fsp.mkdir(path.dirname(this.path), { recursive: true });
+      await fsp.writeFile(this.path, JSON.stringify({ tokens }, null, 2), { encoding: 'utf8', mode: 0o600 });
+      this.loadedModified = (await fsp.stat(this.path)).mtimeMs;
+
+      return result;
+    });
+
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Strip the hash from a stored token
+   * @param {Object} record - Stored token
+   * @returns {Object} - Token safe to return from the API
+   * @private
+   */
+  _toPublic(record) {
+    const { hash: _hash, signingSecret, ...rest } = record;
+    return { ...rest, signing: !!signingSecret };
+  }
+}
+
+module.exports = {
+  ApiTokenStore,
+  SCOPES,
+  TOKEN_PREFIX
+};
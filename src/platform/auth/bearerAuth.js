@@ -0,0 +1,109 @@
+// src/platform/auth/bearerAuth.js
+
+/**
+ * Bearer Token Authentication
+ *
+ * Express middleware shared by the webhook, the structured query API and the
+ * admin endpoints. A request is accepted when its bearer token is an active
+ * token from the ApiTokenStore that has the scope the route needs, or when it
+ * matches the legacy shared WEBHOOK_AUTH_TOKEN (which has every scope and
+ * sees every org).
+ *
+ * The matching token is attached to the request as `req.auth`
+ * ({ id, name, scopes, orgs }) for org checks further down. When no token of
+ * either kind is configured, requests are let through with `req.auth = null`,
+ * unless the route opts out of anonymous access.
+ */
+
+const crypto = require('crypto');
+const { hash } = require('../../utils');
+const { sendError } = require('../apiErrors');
+const { SCOPES } = require('./apiTokenStore');
+
+/**
+ * Create middleware that checks the Authorization header
+ * @param {Object} options - Authentication options
+ * @param {string} options.authToken - Legacy shared token with every scope (optional)
+ * @param {ApiTokenStore} options.tokenStore - Store of named, scoped tokens (optional)
+ * @param {string} options.scope - Scope the route requires (chat, query, admin)
+ * @param {boolean} options.allowAnonymous - Let requests through when no token is configured (default true)
+ * @returns {Function} - Express middleware
+ */
+function createBearerAuth({ authToken, tokenStore, scope, allowAnonymous = true } = {}) {
+  const legacyHash = authToken ? Buffer.from(hash(authToken), 'hex') : null;
+
+  return async (req, res, next) => {
+    try {
+      const storeInUse = !!tokenStore && await tokenStore.hasTokens();
+
+      if (!legacyHash && !storeInUse) {
+        if (!allowAnonymous) {
+          return sendError(res, 401, 'Unauthorized: No API tokens are configured; issue one with `npm run tokens`');
+        }
+        req.auth = null;
+        return next();
+      }
+
+      const authHeader = req.headers.authorization;
+
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return sendError(res, 401, 'Unauthorized: Missing or invalid authorization header');
+      }
+
+      const token = authHeader.split(' ')[1];
+      const auth = (storeInUse && await tokenStore.verify(token)) || matchLegacyToken(token, legacyHash);
+
+      if (!auth) {
+        return sendError(res, 403, 'Forbidden: Invalid authentication token');
+      }
+
+      if (scope && !auth.scopes.includes(scope)) {
+        return sendError(res, 403, `Forbidden: This token does not have the "${scope}" scope`);
+      }
+
+      req.auth = auth;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Compare a presented token with the legacy shared token in constant time
+ * @param {string} token - Presented token
+ * @param {Buffer|null} legacyHash - Hash of the legacy token
+ * @returns {Object|null} - Auth info for the legacy token, or null
+ * @private
+ */
+function matchLegacyToken(token, legacyHash) {
+  if (!legacyHash || !token) {
+    return null;
+  }
+
+  const presented = Buffer.from(hash(token), 'hex');
+  if (!crypto.timingSafeEqual(presented, legacyHash)) {
+    return null;
+  }
+
+  return {
+    id: 'legacy',
+    name: 'WEBHOOK_AUTH_TOKEN',
+    scopes: Object.keys(SCOPES),
+    orgs: []
+  };
+}
+
+/**
+ * Get the orgs an authenticated request is restricted to
+ * @param {Object|null} auth - req.auth
+ * @returns {Array<string>|null} - Allowed org IDs, or null when every org is allowed
+ */
+function getAllowedOrgs(auth) {
+  return auth && Array.isArray(auth.orgs) && auth.orgs.length > 0 ? auth.orgs : null;
+}
+
+module.exports = {
+  createBearerAuth,
+  getAllowedOrgs
+};
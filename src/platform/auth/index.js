@@ -0,0 +1,23 @@
+// src/platform/auth/index.js
+
+/**
+ * Authentication module index
+ */
+
+const { ApiTokenStore, SCOPES, TOKEN_PREFIX } = require('./apiTokenStore');
+const { createBearerAuth, getAllowedOrgs } = require('./bearerAuth');
+const { NonceCache, SIGNATURE_HEADERS, computeSignature, signRequest, isSignedRequest, createSignatureAuth } = require('./requestSigning');
+
+module.exports = {
+  ApiTokenStore,
+  SCOPES,
+  TOKEN_PREFIX,
+  createBearerAuth,
+  getAllowedOrgs,
+  NonceCache,
+  SIGNATURE_HEADERS,
+  computeSignature,
+  signRequest,
+  isSignedRequest,
+  createSignatureAuth
+};
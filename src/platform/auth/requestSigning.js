@@ -0,0 +1,208 @@
+// src/platform/auth/requestSigning.js
+
+/**
+ * Signed Webhook Requests
+ *
+ * Machine-to-machine callers (chat-ops bridges, CI jobs) can sign requests
+ * with a signing key instead of sending a bearer token, similar to Slack's
+ * request signing. The signature is an HMAC-SHA256 over the timestamp, a
+ * nonce, the method, the path and the raw body:
+ *
+ *   X-SnykAudit-Key-Id:    <signing key ID>
+ *   X-SnykAudit-Timestamp: <unix seconds>
+ *   X-SnykAudit-Nonce:     <random, 16-128 characters of [A-Za-z0-9_-]>
+ *   X-SnykAudit-Signature: v1=<hex HMAC-SHA256(secret, "v1:<timestamp>:<nonce>:<METHOD>:<path>:<raw body>")>
+ *
+ * The path is the one requested, with any query string (e.g. /webhook/stream).
+ * Requests whose timestamp is more than five minutes off are rejected as
+ * stale, and each nonce is only accepted once within that window, so a
+ * captured request can't be replayed, on its own endpoint or any other.
+ */
+
+const crypto = require('crypto');
+const { sendError } = require('../apiErrors');
+
+const SIGNATURE_VERSION = 'v1';
+
+// Header names (lower case, as Express exposes them)
+const SIGNATURE_HEADERS = {
+  keyId: 'x-snykaudit-key-id',
+  timestamp: 'x-snykaudit-timestamp',
+  nonce: 'x-snykaudit-nonce',
+  signature: 'x-snykaudit-signature'
+};
+
+// How far a request timestamp may be from the server clock
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Remembers recently used nonces until their requests would be stale anyway
+ */
+class NonceCache {
+  /**
+   * Create a new nonce cache
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Most nonces remembered at once (default 100000)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 100000;
+
+    // Nonce -> expiry time. All entries share one TTL, so insertion order is expiry order.
+    this.entries = new Map();
+  }
+
+  /**
+   * Record a nonce if it hasn't been seen
+   * @param {string} nonce - Nonce (scoped by the caller, e.g. "<key id>:<nonce>")
+   * @param {number} ttlMs - How long to remember it
+   * @returns {boolean} - True if the nonce is new, false if it was already used
+   */
+  use(nonce, ttlMs) {
+    const now = Date.now();
+    this._prune(now);
+
+    if (this.entries.has(nonce)) {
+      return false;
+    }
+
+    // Under a flood of requests, forget the oldest nonces rather than growing without bound
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.entries.set(nonce, now + ttlMs);
+    return true;
+  }
+
+  /**
+   * Drop expired nonces
+   * @param {number} now - Current time
+   * @private
+   */
+  _prune(now) {
+    for (const [nonce, expiresAt] of this.entries) {
+      if (expiresAt > now) {
+        break;
+      }
+      this.entries.delete(nonce);
+    }
+  }
+}
+
+/**
+ * Compute a request signature
+ * @param {string} secret - Signing secret
+ * @param {number|string} timestamp - Unix timestamp in seconds
+ * @param {string} nonce - Request nonce
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, with any query string
+ * @param {string|Buffer} rawBody - Raw request body
+ * @returns {string} - Signature header value ("v1=<hex>")
+ */
+function computeSignature(secret, timestamp, nonce, method, path, rawBody) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${SIGNATURE_VERSION}:${timestamp}:${nonce}:${method.toUpperCase()}:${path}:`);
+  hmac.update(rawBody || '');
+  return `${SIGNATURE_VERSION}=${hmac.digest('hex')}`;
+}
+
+/**
+ * Build the headers for a signed request (for callers and scripts)
+ * @param {Object} options - Signing options
+ * @param {string} options.keyId - Signing key ID
+ * @param {string} options.secret - Signing secret
+ * @param {string} options.method - HTTP method (default POST)
+ * @param {string} options.path - Path that will be requested, with any query string (e.g. /webhook)
+ * @param {string} options.body - Exact request body that will be sent
+ * @returns {Object} - Request headers
+ */
+function signRequest({ keyId, secret, method = 'POST', path, body }) {
+  if (!path) {
+    throw new Error('The request path is required to sign a request');
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const nonce = crypto.randomBytes(16).toString('hex');
+
+  return {
+    'X-SnykAudit-Key-Id': keyId,
+    'X-SnykAudit-Timestamp': String(timestamp),
+    'X-SnykAudit-Nonce': nonce,
+    'X-SnykAudit-Signature': computeSignature(secret, timestamp, nonce, method, path, body)
+  };
+}
+
+/**
+ * Check whether a request carries a signature (and should be verified instead of a bearer token)
+ * @param {Object} req - Express request
+ * @returns {boolean} - Whether the request is signed
+ */
+function isSignedRequest(req) {
+  return !!req.headers[SIGNATURE_HEADERS.signature];
+}
+
+/**
+ * Create middleware that verifies signed requests.
+ * The raw body must be kept as `req.rawBody` by the JSON body parser.
+ * @param {Object} options - Verification options
+ * @param {ApiTokenStore} options.tokenStore - Store holding the signing keys
+ * @param {string} options.scope - Scope the route requires (chat, query, admin)
+ * @param {number} options.toleranceSeconds - Allowed clock difference (default 300)
+ * @param {NonceCache} options.nonceCache - Cache of used nonces (default: a new cache)
+ * @returns {Function} - Express middleware
+ */
+function createSignatureAuth({ tokenStore, scope, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, nonceCache = new NonceCache() } = {}) {
+  return async (req, res, next) => {
+    try {
+      const keyId = req.headers[SIGNATURE_HEADERS.keyId];
+      const timestamp = req.headers[SIGNATURE_HEADERS.timestamp];
+      const nonce = req.headers[SIGNATURE_HEADERS.nonce];
+      const signature = req.headers[SIGNATURE_HEADERS.signature];
+
+      if (!keyId || !timestamp || !nonce || !signature) {
+        return sendError(res, 401, 'Unauthorized: Signed requests need key ID, timestamp, nonce and signature headers');
+      }
+
+      if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+        return sendError(res, 401, 'Unauthorized: Request timestamp is missing or too old');
+      }
+
+      if (!NONCE_PATTERN.test(nonce)) {
+        return sendError(res, 401, 'Unauthorized: Nonce must be 16-128 characters of letters, digits, "_" or "-"');
+      }
+
+      const key = tokenStore ? await tokenStore.getSigningKey(keyId) : null;
+      const expected = key ? Buffer.from(computeSignature(key.secret, timestamp, nonce, req.method, req.originalUrl, req.rawBody)) : null;
+      const presented = Buffer.from(signature);
+
+      if (!expected || expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+        return sendError(res, 403, 'Forbidden: Invalid request signature');
+      }
+
+      // Only remember nonces of correctly signed requests, so nobody can burn a caller's nonces
+      if (!nonceCache.use(`${keyId}:${nonce}`, toleranceSeconds * 2 * 1000)) {
+        return sendError(res, 401, 'Unauthorized: Request has already been received (replayed nonce)');
+      }
+
+      if (scope && !key.record.scopes.includes(scope)) {
+        return sendError(res, 403, `Forbidden: This signing key does not have the "${scope}" scope`);
+      }
+
+      req.auth = key.record;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  NonceCache,
+  SIGNATURE_HEADERS,
+  computeSignature,
+  signRequest,
+  isSignedRequest,
+  createSignatureAuth
+};
@@ -0,0 +1,141 @@
+// src/platform/auth/tokenCli.js
+
+/**
+ * API Token CLI
+ *
+ * Manage API tokens without going through the admin endpoints, e.g. to issue
+ * the first admin token:
+ *
+ *   npm run tokens -- issue payments-team --scopes chat,query --orgs <org-id>,<org-id>
+ *   npm run tokens -- issue ci-bridge --scopes chat --signing
+ *   npm run tokens -- list [--all]
+ *   npm run tokens -- revoke <id or name>
+ *
+ * Tokens are stored in API_TOKENS_PATH (default ./data/api-tokens.json).
+ */
+
+require('dotenv').config();
+
+const { ApiTokenStore, SCOPES } = require('./apiTokenStore');
+
+const USAGE = `Usage:
+  npm run tokens -- issue <name> --scopes <scopes> [--orgs <org ids>] [--signing]
+  npm run tokens -- list [--all]
+  npm run tokens -- revoke <id or name>
+
+Scopes:
+${Object.keys(SCOPES).map(scope => `  ${scope.padEnd(6)} ${SCOPES[scope]}`).join('\n')}
+
+--signing issues a signing key for HMAC-signed requests instead of a bearer token.`;
+
+/**
+ * Split command line arguments into positional arguments and --options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - { positional, options }
+ * @private
+ */
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const name = args[i].substring(2);
+      const hasValue = i + 1 < args.length && !args[i + 1].startsWith('--');
+      options[name] = hasValue ? args[++i] : true;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Split a comma-separated option into a list
+ * @param {string|boolean|undefined} value - Option value
+ * @returns {Array<string>} - Values
+ * @private
+ */
+function splitList(value) {
+  return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Run a CLI command
+ * @param {Array<string>} args - Arguments after the script name
+ * @param {ApiTokenStore} store - Token store (optional)
+ * @returns {Promise<number>} - Exit code
+ */
+async function runTokenCli(args, store = new ApiTokenStore({ path: process.env.API_TOKENS_PATH })) {
+  const { positional, options } = parseArgs(args);
+  const [command, target] = positional;
+
+  switch (command) {
+    case 'issue': {
+      const { token, signingSecret, record } = await store.issue({
+        name: target,
+        scopes: splitList(options.scopes),
+        orgs: splitList(options.orgs),
+        signing: !!options.signing
+      });
+
+      console.log(`Issued ${record.signing ? 'signing key' : 'token'} "${record.name}" (${record.id})`);
+      console.log(`  Scopes: ${record.scopes.join(', ')}`);
+      console.log(`  Orgs:   ${record.orgs.length > 0 ? record.orgs.join(', ') : 'all'}`);
+
+      if (record.signing) {
+        console.log(`\nKey ID: ${record.id}\nSecret: ${signingSecret}\n`);
+        console.log('Store the secret now: it can\'t be shown again.');
+      } else {
+        console.log(`\n${token}\n`);
+        console.log('Store it now: the token is only stored hashed and can\'t be shown again.');
+      }
+      return 0;
+    }
+
+    case 'list': {
+      const tokens = await store.list({ includeRevoked: !!options.all });
+
+      if (tokens.length === 0) {
+        console.log('No tokens issued yet.');
+        return 0;
+      }
+
+      tokens.forEach(record => {
+        const status = record.revokedAt ? `revoked ${record.revokedAt}` : `last used ${record.lastUsedAt || 'never'}`;
+        console.log(`${record.id}  ${record.name}${record.signing ? ' (signing key)' : ''}  [${record.scopes.join(', ')}]  orgs: ${record.orgs.length > 0 ? record.orgs.join(', ') : 'all'}  (${status})`);
+      });
+      return 0;
+    }
+
+    case 'revoke': {
+      const record = target ? await store.revoke(target) : null;
+
+      if (!record) {
+        console.error(`No active token with ID or name "${target || ''}"`);
+        return 1;
+      }
+
+      console.log(`Revoked token "${record.name}" (${record.id})`);
+      return 0;
+    }
+
+    default:
+      console.log(USAGE);
+      return command ? 1 : 0;
+  }
+}
+
+if (require.main === module) {
+  runTokenCli(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runTokenCli
+};
@@ -2,8 +2,24 @@
 
 const { WebhookHandler } = require('./webhook');
 const { SlackIntegration } = require('./slack');
+const { QueryApiHandler } = require('./api');
+const { TokenAdminHandler } = require('./admin');
+const { ApiTokenStore } = require('./auth');
+const { ClientRateLimiter } = require('./rateLimit');
+const { SessionManager, createSessionStore } = require('./sessions');
+const { buildOpenApiSpec, createOpenApiValidator } = require('./openapi');
+const { sendError } = require('./apiErrors');
 
 module.exports = {
   WebhookHandler,
-  SlackIntegration
+  SlackIntegration,
+  QueryApiHandler,
+  TokenAdminHandler,
+  ApiTokenStore,
+  ClientRateLimiter,
+  SessionManager,
+  createSessionStore,
+  buildOpenApiSpec,
+  createOpenApiValidator,
+  sendError
 };
\ No newline at end of file
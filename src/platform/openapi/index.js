@@ -0,0 +1,13 @@
+// src/platform/openapi/index.js
+
+/**
+ * OpenAPI module index
+ */
+
+const { buildOpenApiSpec } = require('./openApiSpec');
+const { createOpenApiValidator } = require('./openApiValidator');
+
+module.exports = {
+  buildOpenApiSpec,
+  createOpenApiValidator
+};
@@ -0,0 +1,790 @@
+// src/platform/openapi/openApiSpec.js
+
+/**
+ * OpenAPI Document
+ *
+ * Describes every HTTP endpoint the server exposes. It is served at
+ * /openapi.json, rendered at /docs, and used by the OpenAPI validator to
+ * check request bodies (and responses in development).
+ *
+ * Schemas only use the subset of JSON Schema that validateSchema understands.
+ */
+
+const ERROR_RESPONSE_REF = { $ref: '#/components/responses/Error' };
+const RATE_LIMITED_RESPONSE_REF = { $ref: '#/components/responses/RateLimited' };
+
+// Query parameters shared by the structured query endpoints
+const QUERY_PARAMETERS = {
+  days: {
+    name: 'days',
+    in: 'query',
+    description: 'Number of days to look back (defaults to the configured DEFAULT_DAYS)',
+    schema: { type: 'integer', minimum: 1, maximum: 365 }
+  },
+  org: {
+    name: 'org',
+    in: 'query',
+    description: 'Organization ID, name or slug (group mode only)',
+    schema: { type: 'string', minLength: 1 }
+  },
+  limit: {
+    name: 'limit',
+    in: 'query',
+    description: 'Page size (default 100)',
+    schema: { type: 'integer', minimum: 1, maximum: 500 }
+  },
+  offset: {
+    name: 'offset',
+    in: 'query',
+    description: 'Index of the first result on the page',
+    schema: { type: 'integer', minimum: 0 }
+  }
+};
+
+const COMMON_QUERY_REFS = ['days', 'org', 'limit', 'offset'].map(name => ({ $ref: `#/components/parameters/${name}` }));
+
+const SCHEMAS = {
+  WebhookRequest: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string', minLength: 1, description: 'Natural language question for the chatbot' },
+      sessionId: { type: 'string', maxLength: 128, description: 'Session from an earlier response, to ask a follow-up question' },
+      context: { type: 'object', description: 'Extra context (userId, channelId, ...)' }
+    }
+  },
+  ChatResponse: {
+    type: 'object',
+    required: ['message', 'success', 'timestamp'],
+    properties: {
+      message: { type: 'string', description: 'Markdown answer' },
+      data: { type: 'object', nullable: true, description: 'Structured data behind the answer, varies by intent' },
+      completeness: { $ref: '#/components/schemas/Completeness' },
+      window: {
+        type: 'object',
+        nullable: true,
+        description: 'Exact dates the answer covers',
+        properties: {
+          from: { type: 'string', format: 'date-time' },
+          to: { type: 'string', format: 'date-time' },
+          label: { type: 'string', description: 'The dates as shown in the answer, e.g. "Oct 3, 2026 – Oct 10, 2026"' }
+        }
+      },
+      intent: { type: 'string', description: 'How the question was understood (e.g. security_events_query)' },
+      entities: { type: 'object', description: 'Details taken from the question (time period, user, org, ...)' },
+      sessionId: { type: 'string', description: 'Session to send with follow-up questions' },
+      pendingSlot: {
+        type: 'string',
+        enum: ['event_type', 'intent'],
+        description: 'What the answer asks for; the next message in the session answers it and completes the question'
+      },
+      quickReplies: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Suggested answers to the question, sent back as the next message'
+      },
+      success: { type: 'boolean' },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  Session: {
+    type: 'object',
+    required: ['data', 'success'],
+    properties: {
+      data: {
+        type: 'object',
+        required: ['id', 'history'],
+        properties: {
+          id: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          history: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                query: { type: 'string' },
+                intent: { type: 'string', nullable: true },
+                entities: { type: 'object', nullable: true },
+                message: { type: 'string' },
+                success: { type: 'boolean' },
+                timestamp: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        }
+      },
+      success: { type: 'boolean' }
+    }
+  },
+  EndedSession: {
+    type: 'object',
+    required: ['data', 'success'],
+    properties: {
+      data: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' }
+        }
+      },
+      success: { type: 'boolean' }
+    }
+  },
+  ErrorResponse: {
+    type: 'object',
+    required: ['success', 'message', 'error', 'timestamp'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      message: { type: 'string', description: 'Human-readable error message' },
+      error: {
+        type: 'object',
+        required: ['code', 'status'],
+        properties: {
+          code: {
+            type: 'string',
+            enum: ['bad_request', 'unauthorized', 'forbidden', 'not_found', 'conflict', 'payload_too_large', 'rate_limited', 'internal_error', 'service_unavailable']
+          },
+          status: { type: 'integer' },
+          details: { type: 'object', description: 'Validation errors keyed by field, when relevant' }
+        }
+      },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  HealthResponse: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: { type: 'string', enum: ['ok'] },
+      version: { type: 'string' },
+      initialized: { type: 'boolean' },
+      usage: { $ref: '#/components/schemas/Usage' }
+    }
+  },
+  Usage: {
+    type: 'object',
+    description: 'Per-client rate limit usage (webhook health only)',
+    properties: {
+      limits: {
+        type: 'object',
+        properties: {
+          requestsPerMinute: { type: 'number' },
+          burst: { type: 'number' },
+          expensivePerHour: { type: 'number' },
+          expensiveDays: { type: 'number' }
+        }
+      },
+      clients: {
+        type: 'object',
+        properties: {
+          tracked: { type: 'integer' },
+          throttled: { type: 'integer' }
+        }
+      },
+      expensiveInLastHour: { type: 'integer' },
+      totals: {
+        type: 'object',
+        properties: {
+          requests: { type: 'integer' },
+          limited: { type: 'integer' },
+          expensive: { type: 'integer' },
+          expensiveLimited: { type: 'integer' }
+        }
+      },
+      snykApi: { type: 'object', nullable: true, description: 'Shared Snyk API request scheduler statistics' }
+    }
+  },
+  Completeness: {
+    type: 'object',
+    nullable: true,
+    description: 'Whether the underlying audit log sync covered the requested range',
+    properties: {
+      complete: { type: 'boolean' },
+      pagesFetched: { type: 'integer' },
+      itemsFetched: { type: 'integer' },
+      lastCursor: { type: 'string', nullable: true },
+      error: { type: 'string', nullable: true },
+      resumable: { type: 'boolean' },
+      coverageFrom: { type: 'string', nullable: true },
+      syncedUntil: { type: 'string', nullable: true }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    required: ['total', 'limit', 'offset'],
+    properties: {
+      total: { type: 'integer', minimum: 0 },
+      limit: { type: 'integer', minimum: 1 },
+      offset: { type: 'integer', minimum: 0 },
+      nextOffset: { type: 'integer', nullable: true }
+    }
+  },
+  Change: {
+    type: 'object',
+    required: ['field', 'type'],
+    properties: {
+      field: { type: 'string' },
+      from: { nullable: true },
+      to: { nullable: true },
+      type: { type: 'string', enum: ['added', 'removed', 'changed'] }
+    }
+  },
+  Event: {
+    type: 'object',
+    required: ['created', 'event', 'actorType'],
+    description: 'Normalized audit log event',
+    properties: {
+      created: { type: 'string' },
+      event: { type: 'string' },
+      actor: { type: 'string', nullable: true },
+      actorType: { type: 'string', enum: ['user', 'service_account', 'system'] },
+      orgId: { type: 'string', nullable: true },
+      projectId: { type: 'string', nullable: true },
+      target: {
+        type: 'object',
+        properties: {
+          type: { type: 'string' },
+          id: { type: 'string', nullable: true },
+          name: { type: 'string', nullable: true }
+        }
+      },
+      action: { type: 'string' },
+      category: { type: 'string' },
+      severity: { type: 'string', enum: ['high', 'medium', 'low', 'info'] },
+      before: { type: 'object', nullable: true },
+      after: { type: 'object', nullable: true },
+      changes: { type: 'array', items: { $ref: '#/components/schemas/Change' } },
+      raw: { type: 'object' }
+    }
+  },
+  Anomaly: {
+    type: 'object',
+    required: ['type', 'severity', 'description'],
+    properties: {
+      type: { type: 'string' },
+      user: { type: 'string', nullable: true },
+      eventType: { type: 'string' },
+      time: { type: 'string' },
+      count: { type: 'integer' },
+      severity: { type: 'string' },
+      description: { type: 'string' },
+      metric: {
+        type: 'string',
+        enum: ['event_type', 'volume', 'hours'],
+        description: 'What deviates from the account\'s baseline (baseline_deviation only)'
+      },
+      actorType: { type: 'string' },
+      day: { type: 'string', format: 'date', description: 'UTC day with the largest deviation' },
+      days: { type: 'integer', description: 'Days in the window with a deviation of this kind' },
+      hour: { type: 'integer', description: 'Most unusual UTC hour (hours metric)' },
+      score: { type: 'number', description: 'Standard deviations from the account\'s normal activity (z-score)' },
+      expected: {
+        type: 'object',
+        description: 'Normal activity learned from the baseline: mean and standard deviation per day (or active hour), and the usual daily range',
+        properties: {
+          mean: { type: 'number' },
+          stddev: { type: 'number' },
+          low: { type: 'integer' },
+          high: { type: 'integer' }
+        }
+      },
+      baselineDays: { type: 'integer', description: 'Days of history the baseline was learned from' },
+      rule: { type: 'string', description: 'Detection rule that fired (rule and sequence alerts only; same as type)' },
+      users: { type: 'array', items: { type: 'string' }, description: 'Actors whose events triggered the rule' },
+      eventTypes: { type: 'array', items: { type: 'string' }, description: 'Event types that triggered the rule' },
+      threshold: { type: 'integer', description: 'The rule fires on more than this many events' },
+      window: { type: 'string', nullable: true, description: 'Sliding window the events were counted in, e.g. "10 minutes"' },
+      windowStart: { type: 'string', format: 'date-time', nullable: true, description: 'First event in the busiest window' },
+      org: { type: 'string', nullable: true },
+      project: { type: 'string', nullable: true },
+      category: { type: 'string', nullable: true },
+      chain: {
+        type: 'array',
+        description: 'Events that completed a multi-step sequence, in order (sequence rules only)',
+        items: {
+          type: 'object',
+          properties: {
+            step: { type: 'string' },
+            event: { type: 'string' },
+            actor: { type: 'string' },
+            actorType: { type: 'string' },
+            time: { type: 'string', format: 'date-time' },
+            orgId: { type: 'string', nullable: true },
+            projectId: { type: 'string', nullable: true }
+          }
+        }
+      }
+    }
+  },
+  EventList: {
+    type: 'object',
+    required: ['data', 'pagination', 'success'],
+    properties: {
+      data: { type: 'array', items: { $ref: '#/components/schemas/Event' } },
+      pagination: { $ref: '#/components/schemas/Pagination' },
+      completeness: { $ref: '#/components/schemas/Completeness' },
+      success: { type: 'boolean' }
+    }
+  },
+  UserActivity: {
+    type: 'object',
+    required: ['data', 'pagination', 'success'],
+    properties: {
+      data: {
+        type: 'object',
+        required: ['userId', 'events'],
+        properties: {
+          userId: { type: 'string' },
+          days: { type: 'integer' },
+          events: { type: 'array', items: { $ref: '#/components/schemas/Event' } }
+        }
+      },
+      pagination: { $ref: '#/components/schemas/Pagination' },
+      completeness: { $ref: '#/components/schemas/Completeness' },
+      success: { type: 'boolean' }
+    }
+  },
+  AnomalyList: {
+    type: 'object',
+    required: ['data', 'pagination', 'success'],
+    properties: {
+      data: { type: 'array', items: { $ref: '#/components/schemas/Anomaly' } },
+      pagination: { $ref: '#/components/schemas/Pagination' },
+      completeness: { $ref: '#/components/schemas/Completeness' },
+      success: { type: 'boolean' }
+    }
+  },
+  Ignore: {
+    type: 'object',
+    required: ['issueId', 'status', 'risks'],
+    description: 'An issue ignore rebuilt from audit events; `created` is null for ignores made before the period that were changed in it',
+    properties: {
+      issueId: { type: 'string', nullable: true },
+      projectId: { type: 'string', nullable: true },
+      orgId: { type: 'string', nullable: true },
+      createdBy: { type: 'string', nullable: true },
+      created: { type: 'string', format: 'date-time', nullable: true },
+      reason: { type: 'string', nullable: true },
+      reasonType: { type: 'string', nullable: true },
+      expires: { type: 'string', nullable: true },
+      status: { type: 'string', enum: ['active', 'expired', 'removed'] },
+      edits: { type: 'integer' },
+      updated: { type: 'string', format: 'date-time', nullable: true },
+      updatedBy: { type: 'string', nullable: true },
+      removed: { type: 'string', format: 'date-time', nullable: true },
+      removedBy: { type: 'string', nullable: true },
+      risks: { type: 'array', items: { type: 'string', enum: ['no_reason', 'no_expiry', 'long_expiry', 'after_failing_test'] } }
+    }
+  },
+  IgnoreInventory: {
+    type: 'object',
+    required: ['data', 'pagination', 'success'],
+    properties: {
+      data: {
+        type: 'object',
+        required: ['totals', 'findings', 'ignores'],
+        properties: {
+          days: { type: 'integer' },
+          totals: {
+            type: 'object',
+            properties: {
+              created: { type: 'integer' },
+              edited: { type: 'integer' },
+              removed: { type: 'integer' },
+              active: { type: 'integer' },
+              risky: { type: 'integer' }
+            }
+          },
+          findings: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['type', 'severity', 'count', 'description'],
+              properties: {
+                type: { type: 'string', enum: ['mass_ignore', 'ignore_after_failing_test', 'ignore_without_reason', 'ignore_long_expiry', 'ignore_without_expiry'] },
+                severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+                count: { type: 'integer' },
+                users: { type: 'array', items: { type: 'string' } },
+                projects: { type: 'array', items: { type: 'string' } },
+                time: { type: 'string', format: 'date-time', description: 'Mass ignores: last ignore in the window' },
+                windowStart: { type: 'string', format: 'date-time', description: 'Mass ignores: first ignore in the window' },
+                window: { type: 'string', description: 'Mass ignores: window length' },
+                description: { type: 'string' }
+              }
+            }
+          },
+          policyChanges: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                actor: { type: 'string', nullable: true },
+                created: { type: 'string', format: 'date-time' },
+                orgId: { type: 'string', nullable: true },
+                changes: { type: 'array', items: { $ref: '#/components/schemas/Change' } }
+              }
+            }
+          },
+          unmatched: { type: 'integer', description: 'Ignore edits and removals that named no issue' },
+          ignores: { type: 'array', items: { $ref: '#/components/schemas/Ignore' }, description: 'Newest first; paginated' }
+        }
+      },
+      pagination: { $ref: '#/components/schemas/Pagination' },
+      completeness: { $ref: '#/components/schemas/Completeness' },
+      success: { type: 'boolean' }
+    }
+  },
+  ApiToken: {
+    type: 'object',
+    required: ['id', 'name', 'scopes', 'orgs', 'createdAt'],
+    description: 'API token metadata (the token itself is only returned when it is issued)',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      scopes: { type: 'array', items: { type: 'string', enum: ['chat', 'query', 'admin'] } },
+      orgs: { type: 'array', items: { type: 'string' }, description: 'Org IDs the token is restricted to; empty for every org' },
+      signing: { type: 'boolean', description: 'Signing key for HMAC-signed requests rather than a bearer token' },
+      createdAt: { type: 'string', format: 'date-time' },
+      lastUsedAt: { type: 'string', nullable: true },
+      revokedAt: { type: 'string', nullable: true }
+    }
+  },
+  TokenIssueRequest: {
+    type: 'object',
+    required: ['name', 'scopes'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: ['chat', 'query', 'admin'] } },
+      orgs: { type: 'array', items: { type: 'string', minLength: 1 } },
+      signing: { type: 'boolean', description: 'Issue a signing key instead of a bearer token' }
+    }
+  },
+  IssuedToken: {
+    type: 'object',
+    required: ['data', 'success'],
+    description: 'Either `token` or, for signing keys, `signingSecret` is returned, once',
+    properties: {
+      token: { type: 'string', description: 'Bearer token; store it now, it can\'t be shown again' },
+      signingSecret: { type: 'string', description: 'HMAC secret for the signing key; store it now, it can\'t be shown again' },
+      data: { $ref: '#/components/schemas/ApiToken' },
+      success: { type: 'boolean' }
+    }
+  },
+  TokenList: {
+    type: 'object',
+    required: ['data', 'success'],
+    properties: {
+      data: { type: 'array', items: { $ref: '#/components/schemas/ApiToken' } },
+      success: { type: 'boolean' }
+    }
+  },
+  RevokedToken: {
+    type: 'object',
+    required: ['data', 'success'],
+    properties: {
+      data: { $ref: '#/components/schemas/ApiToken' },
+      success: { type: 'boolean' }
+    }
+  },
+  SecuritySummary: {
+    type: 'object',
+    required: ['data', 'success'],
+    properties: {
+      data: {
+        type: 'object',
+        required: ['counts'],
+        properties: {
+          days: { type: 'integer' },
+          counts: {
+            type: 'object',
+            properties: {
+              total: { type: 'integer' },
+              high: { type: 'integer' },
+              medium: { type: 'integer' },
+              low: { type: 'integer' }
+            }
+          },
+          byCategory: { type: 'object', additionalProperties: { type: 'integer' } },
+          highPriority: { type: 'array', items: { $ref: '#/components/schemas/Event' } },
+          mediumPriority: { type: 'array', items: { $ref: '#/components/schemas/Event' } },
+          lowPriority: { type: 'array', items: { $ref: '#/components/schemas/Event' } }
+        }
+      },
+      completeness: { $ref: '#/components/schemas/Completeness' },
+      success: { type: 'boolean' }
+    }
+  }
+};
+
+/**
+ * Build a JSON response entry
+ * @param {string} description - Response description
+ * @param {string} schemaName - Component schema name
+ * @returns {Object} - OpenAPI response object
+ * @private
+ */
+function jsonResponse(description, schemaName) {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: { $ref: `#/components/schemas/${schemaName}` }
+      }
+    }
+  };
+}
+
+/**
+ * Build a structured query API operation
+ * @param {string} summary - Operation summary
+ * @param {string} schemaName - Success response schema name
+ * @param {Array<Object>} parameters - Operation-specific parameters
+ * @returns {Object} - OpenAPI operation object
+ * @private
+ */
+function queryOperation(summary, schemaName, parameters = []) {
+  return {
+    summary,
+    tags: ['Query API'],
+    security: [{ bearerAuth: [] }],
+    parameters: [...parameters, ...COMMON_QUERY_REFS],
+    responses: {
+      200: jsonResponse('Success', schemaName),
+      400: ERROR_RESPONSE_REF,
+      401: ERROR_RESPONSE_REF,
+      403: ERROR_RESPONSE_REF,
+      404: ERROR_RESPONSE_REF,
+      429: RATE_LIMITED_RESPONSE_REF,
+      500: ERROR_RESPONSE_REF,
+      503: ERROR_RESPONSE_REF
+    }
+  };
+}
+
+/**
+ * Build a chatbot webhook operation, which takes a bearer token or a signed request
+ * @param {string} summary - Operation summary
+ * @param {Object} okResponse - 200 response object
+ * @returns {Object} - OpenAPI operation object
+ * @private
+ */
+function webhookOperation(summary, okResponse) {
+  return {
+    summary,
+    tags: ['Webhook'],
+    security: [{ bearerAuth: [] }, { signedRequest: [] }],
+    parameters: [
+      { name: 'X-SnykAudit-Key-Id', in: 'header', description: 'Signing key ID (signed requests only)', schema: { type: 'string' } },
+      { name: 'X-SnykAudit-Timestamp', in: 'header', description: 'Unix time in seconds, within 5 minutes of the server clock (signed requests only)', schema: { type: 'string', pattern: '^\\d+$' } },
+      { name: 'X-SnykAudit-Nonce', in: 'header', description: 'Unique per request, 16-128 characters of [A-Za-z0-9_-] (signed requests only)', schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{16,128}$' } }
+    ],
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/WebhookRequest' }
+        }
+      }
+    },
+    responses: {
+      200: okResponse,
+      400: ERROR_RESPONSE_REF,
+      401: ERROR_RESPONSE_REF,
+      403: ERROR_RESPONSE_REF,
+      429: RATE_LIMITED_RESPONSE_REF,
+      500: ERROR_RESPONSE_REF
+    }
+  };
+}
+
+/**
+ * Build a conversation session operation, which needs the token that started the session
+ * @param {string} summary - Operation summary
+ * @param {Object} okResponse - 200 response object
+ * @returns {Object} - OpenAPI operation object
+ * @private
+ */
+function sessionOperation(summary, okResponse) {
+  return {
+    summary,
+    tags: ['Webhook'],
+    security: [{ bearerAuth: [] }, { signedRequest: [] }],
+    parameters: [
+      { name: 'id', in: 'path', required: true, description: 'Session ID', schema: { type: 'string' } }
+    ],
+    responses: {
+      200: okResponse,
+      401: ERROR_RESPONSE_REF,
+      403: ERROR_RESPONSE_REF,
+      404: ERROR_RESPONSE_REF,
+      429: RATE_LIMITED_RESPONSE_REF
+    }
+  };
+}
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} options - Document options
+ * @param {string} options.version - API version (default 0.1.0)
+ * @returns {Object} - OpenAPI 3 document
+ */
+function buildOpenApiSpec(options = {}) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'SnykAudit API',
+      version: options.version || '0.1.0',
+      description: 'Chatbot webhook and structured query API over Snyk audit logs. ' +
+        'Every error response uses the ErrorResponse shape.'
+    },
+    paths: {
+      '/health': {
+        get: {
+          summary: 'Server health check',
+          tags: ['Health'],
+          responses: {
+            200: jsonResponse('Server is running', 'HealthResponse')
+          }
+        }
+      },
+      '/webhook': {
+        post: webhookOperation('Ask the chatbot a question', jsonResponse('Chatbot answer', 'ChatResponse'))
+      },
+      '/webhook/stream': {
+        post: webhookOperation('Ask the chatbot a question and stream progress', {
+          description: 'Server-Sent Events: "progress" events ({ stage: "fetch", page, pageItems, itemsFetched } or ' +
+            '{ stage: "analyze", eventsAnalyzed }) and "partial" events ({ message, data }), then a "result" event ' +
+            'with a ChatResponse or an "error" event with an ErrorResponse',
+          content: {
+            'text/event-stream': {
+              schema: { type: 'string' }
+            }
+          }
+        })
+      },
+      '/webhook/sessions/{id}': {
+        get: sessionOperation('Get the history of a conversation session', jsonResponse('Session history', 'Session')),
+        delete: sessionOperation('End a conversation session', jsonResponse('Ended session', 'EndedSession'))
+      },
+      '/webhook/health': {
+        get: {
+          summary: 'Webhook health check',
+          tags: ['Health'],
+          responses: {
+            200: jsonResponse('Webhook handler status', 'HealthResponse')
+          }
+        }
+      },
+      '/api/events': {
+        get: queryOperation('List audit events', 'EventList', [
+          { name: 'q', in: 'query', description: 'Query in the filter syntax, e.g. "event:org.policy.* user:alice@corp.com since:14d severity:high limit:20" (filters: event, user, project, org, since, until, severity, limit). Explicit parameters win over the same filter', schema: { type: 'string', minLength: 1, maxLength: 500 } },
+          { name: 'event', in: 'query', description: 'Comma-separated event types, "*" wildcards allowed (e.g. org.policy.*)', schema: { type: 'string', pattern: '^[a-z0-9_.*,]+$' } },
+          { name: 'user', in: 'query', description: 'User ID, name or email', schema: { type: 'string', minLength: 1 } },
+          { name: 'project', in: 'query', description: 'Project ID', schema: { type: 'string', minLength: 1 } },
+          { name: 'from', in: 'query', description: 'Start date (overrides days)', schema: { type: 'string', format: 'date' } },
+          { name: 'to', in: 'query', description: 'End date', schema: { type: 'string', format: 'date' } }
+        ])
+      },
+      '/api/users/{id}/activity': {
+        get: queryOperation('Get a user\'s activity', 'UserActivity', [
+          { name: 'id', in: 'path', required: true, description: 'User ID, name or email', schema: { type: 'string' } }
+        ])
+      },
+      '/api/anomalies': {
+        get: queryOperation('Detect suspicious activity', 'AnomalyList')
+      },
+      '/api/ignores': {
+        get: queryOperation('List the ignores added and flag risky ones', 'IgnoreInventory')
+      },
+      '/api/security-summary': {
+        get: queryOperation('Summarize security events by priority and category', 'SecuritySummary')
+      },
+      '/admin/tokens': {
+        get: {
+          summary: 'List API tokens',
+          tags: ['Admin'],
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: 'includeRevoked', in: 'query', description: 'Include revoked tokens', schema: { type: 'boolean' } }
+          ],
+          responses: {
+            200: jsonResponse('Tokens', 'TokenList'),
+            401: ERROR_RESPONSE_REF,
+            403: ERROR_RESPONSE_REF
+          }
+        },
+        post: {
+          summary: 'Issue an API token',
+          tags: ['Admin'],
+          security: [{ bearerAuth: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/TokenIssueRequest' }
+              }
+            }
+          },
+          responses: {
+            201: jsonResponse('Issued token', 'IssuedToken'),
+            400: ERROR_RESPONSE_REF,
+            401: ERROR_RESPONSE_REF,
+            403: ERROR_RESPONSE_REF,
+            409: ERROR_RESPONSE_REF
+          }
+        }
+      },
+      '/admin/tokens/{id}': {
+        delete: {
+          summary: 'Revoke an API token',
+          tags: ['Admin'],
+          security: [{ bearerAuth: [] }],
+          parameters: [
+            { name: 'id', in: 'path', required: true, description: 'Token ID or name', schema: { type: 'string' } }
+          ],
+          responses: {
+            200: jsonResponse('Revoked token', 'RevokedToken'),
+            401: ERROR_RESPONSE_REF,
+            403: ERROR_RESPONSE_REF,
+            404: ERROR_RESPONSE_REF
+          }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'API token issued with `npm run tokens` or POST /admin/tokens, or the shared WEBHOOK_AUTH_TOKEN. ' +
+            'Tokens have scopes (chat, query, admin) and may be restricted to specific org IDs.'
+        },
+        signedRequest: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-SnykAudit-Signature',
+          description: '"v1=" + hex HMAC-SHA256 of "v1:<timestamp>:<nonce>:<METHOD>:<path>:<raw body>" with a signing key\'s ' +
+            'secret (the path as requested, with any query string), sent with the X-SnykAudit-Key-Id, X-SnykAudit-Timestamp and X-SnykAudit-Nonce headers. ' +
+            'Stale timestamps and reused nonces are rejected.'
+        }
+      },
+      parameters: QUERY_PARAMETERS,
+      responses: {
+        Error: jsonResponse('Error', 'ErrorResponse'),
+        RateLimited: {
+          ...jsonResponse('Rate limit or expensive query quota exceeded', 'ErrorResponse'),
+          headers: {
+            'Retry-After': { description: 'Seconds until the request may be retried', schema: { type: 'integer' } }
+          }
+        }
+      },
+      schemas: SCHEMAS
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiSpec
+};
@@ -0,0 +1,156 @@
+// src/platform/openapi/openApiValidator.js
+
+/**
+ * OpenAPI Validator
+ *
+ * Express middleware that checks requests against the OpenAPI document before
+ * they reach a handler. JSON request bodies that don't match the documented
+ * schema are rejected with a 400 listing the offending fields.
+ *
+ * With response validation on (the default when NODE_ENV is "development"),
+ * every JSON response is also checked against the documented schema for its
+ * status code, and mismatches are logged as warnings so the document and the
+ * handlers can't drift apart unnoticed.
+ */
+
+const { validateSchema, defaultLogger } = require('../../utils');
+const { sendError } = require('../apiErrors');
+
+const logger = defaultLogger.child('OpenApiValidator');
+
+/**
+ * Resolve every $ref in a document into the referenced object
+ * @param {*} node - Part of the document
+ * @param {Object} document - Whole document (for looking up refs)
+ * @param {Array<string>} seen - Refs being resolved, to stop at cycles
+ * @returns {*} - Node with refs replaced
+ * @private
+ */
+function dereference(node, document, seen = []) {
+  if (Array.isArray(node)) {
+    return node.map(item => dereference(item, document, seen));
+  }
+
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+
+  if (typeof node.$ref === 'string') {
+    if (seen.includes(node.$ref)) {
+      return {};
+    }
+
+    const target = node.$ref.replace(/^#\//, '').split('/')
+      .reduce((value, key) => (value ? value[key] : undefined), document);
+
+    if (!target) {
+      throw new Error(`Unresolvable reference in OpenAPI document: ${node.$ref}`);
+    }
+
+    return dereference(target, document, [...seen, node.$ref]);
+  }
+
+  const resolved = {};
+  Object.keys(node).forEach(key => {
+    resolved[key] = dereference(node[key], document, seen);
+  });
+
+  return resolved;
+}
+
+/**
+ * Compile the document's paths into matchers
+ * @param {Object} spec - Dereferenced OpenAPI document
+ * @returns {Array<Object>} - Routes ({ regex, operations })
+ * @private
+ */
+function compileRoutes(spec) {
+  return Object.keys(spec.paths || {}).map(path => {
+    const pattern = path
+      .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+      .replace(/\{[^}]+\}/g, '[^/]+');
+
+    return {
+      regex: new RegExp(`^${pattern}/?$`),
+      operations: spec.paths[path]
+    };
+  });
+}
+
+/**
+ * Get the JSON schema of a request body or response
+ * @param {Object} definition - OpenAPI requestBody or response object
+ * @returns {Object|null} - Schema
+ * @private
+ */
+function getJsonSchema(definition) {
+  return (definition && definition.content && definition.content['application/json'] &&
+    definition.content['application/json'].schema) || null;
+}
+
+/**
+ * Create middleware that validates requests (and optionally responses) against an OpenAPI document
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} options - Validator options
+ * @param {boolean} options.validateResponses - Check responses and log mismatches (default: NODE_ENV === 'development')
+ * @returns {Function} - Express middleware
+ */
+function createOpenApiValidator(spec, options = {}) {
+  const resolvedSpec = dereference(spec, spec);
+  const routes = compileRoutes(resolvedSpec);
+  const validateResponses = options.validateResponses !== undefined
+    ? options.validateResponses
+    : process.env.NODE_ENV === 'development';
+
+  return (req, res, next) => {
+    const route = routes.find(candidate => candidate.regex.test(req.path));
+    const operation = route && route.operations[req.method.toLowerCase()];
+
+    // Undocumented routes (static files, the docs page) are not checked
+    if (!operation) {
+      return next();
+    }
+
+    const bodySchema = getJsonSchema(operation.requestBody);
+
+    if (bodySchema) {
+      if (!req.is('application/json')) {
+        return sendError(res, 400, 'Bad request: Expected a JSON body');
+      }
+
+      const validation = validateSchema(req.body, bodySchema);
+
+      if (!validation.valid) {
+        return sendError(res, 400, 'Bad request: Invalid request body', validation.errors);
+      }
+    }
+
+    if (validateResponses) {
+      const json = res.json.bind(res);
+
+      res.json = body => {
+        const response = operation.responses[res.statusCode] || operation.responses.default;
+        const responseSchema = getJsonSchema(response);
+
+        if (!response) {
+          logger.warn(`Undocumented response status ${res.statusCode} for ${req.method} ${req.path}`);
+        } else if (responseSchema) {
+          const validation = validateSchema(body, responseSchema);
+
+          if (!validation.valid) {
+            logger.warn(`Response for ${req.method} ${req.path} does not match the OpenAPI document`, validation.errors);
+          }
+        }
+
+        return json(body);
+      };
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createOpenApiValidator,
+  dereference
+};
@@ -0,0 +1,306 @@
+// src/platform/rateLimit/clientRateLimiter.js
+
+/**
+ * Client Rate Limiter
+ *
+ * Limits how hard a single caller can drive the service, and through it our
+ * Snyk API budget. Callers are identified by their API token (or by IP for
+ * anonymous requests) and get:
+ *
+ * - a token bucket for ordinary requests (steady rate with a small burst)
+ * - an hourly quota of "expensive" queries, i.e. ones reading more than
+ *   `expensiveDays` of history or a whole group, which can mean dozens of
+ *   pages of audit logs from Snyk
+ *
+ * Requests over either limit get a 429 with a Retry-After header.
+ *
+ * A second limiter keyed by IP (`keyBy: 'ip'`) runs before authentication,
+ * so callers guessing tokens or signatures are throttled too. Its limits are
+ * looser, since several legitimate clients can share an address.
+ */
+
+const { sendError } = require('../apiErrors');
+
+// Default limits per client
+const DEFAULT_RATE_LIMIT_CONFIG = {
+  requestsPerMinute: 60,
+  burst: 10,
+  expensivePerHour: 10,
+  expensiveDays: 30,
+  maxClients: 10000,
+  keyBy: 'client'
+};
+
+// Defaults that differ for the per-IP limiter in front of authentication
+const DEFAULT_IP_RATE_LIMIT_CONFIG = {
+  requestsPerMinute: 120,
+  burst: 30
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class ClientRateLimiter {
+  /**
+   * Create a new client rate limiter
+   * @param {Object} config - Limiter configuration
+   * @param {number} config.requestsPerMinute - Sustained request rate per client
+   * @param {number} config.burst - Requests a client may make at once
+   * @param {number} config.expensivePerHour - Expensive queries per client per hour
+   * @param {number} config.expensiveDays - Queries reading more days than this are expensive
+   * @param {number} config.maxClients - Most clients tracked at once
+   * @param {string} config.keyBy - Identify callers by API token ("client") or by IP address only ("ip")
+   */
+  constructor(config = {}) {
+    const settings = config.keyBy === 'ip'
+      ? { ...DEFAULT_RATE_LIMIT_CONFIG, ...DEFAULT_IP_RATE_LIMIT_CONFIG }
+      : { ...DEFAULT_RATE_LIMIT_CONFIG };
+    Object.keys(config).forEach(key => {
+      if (config[key] !== undefined) {
+        settings[key] = config[key];
+      }
+    });
+
+    this.settings = settings;
+    this.refillPerMs = settings.requestsPerMinute / 60000;
+
+    // Client key -> { tokens, lastRefill, expensive: [timestamps] }
+    this.clients = new Map();
+
+    this.stats = {
+      requests: 0,
+      limited: 0,
+      expensive: 0,
+      expensiveLimited: 0
+    };
+  }
+
+  /**
+   * Identify the caller of a request
+   * @param {Object} req - Express request (after authentication, unless keyed by IP)
+   * @returns {string} - Client key
+   */
+  getClientKey(req) {
+    if (this.settings.keyBy === 'ip') {
+      return `ip:${req.ip}`;
+    }
+
+    return req.auth && req.auth.id ? `token:${req.auth.id}` : `ip:${req.ip}`;
+  }
+
+  /**
+   * Count a request against a client's rate limit
+   * @param {string} clientKey - Client key
+   * @returns {Object} - { allowed, limit, remaining, retryAfterSeconds }
+   */
+  consume(clientKey) {
+    const client = this._getClient(clientKey);
+    this._refill(client);
+    this.stats.requests++;
+
+    if (client.tokens < 1) {
+      this.stats.limited++;
+      return {
+        allowed: false,
+        limit: this.settings.requestsPerMinute,
+        remaining: 0,
+        retryAfterSeconds: Math.ceil((1 - client.tokens) / this.refillPerMs / 1000)
+      };
+    }
+
+    client.tokens -= 1;
+    return {
+      allowed: true,
+      limit: this.settings.requestsPerMinute,
+      remaining: Math.floor(client.tokens),
+      retryAfterSeconds: 0
+    };
+  }
+
+  /**
+   * Check whether a query is expensive
+   * @param {Object} cost - Query cost
+   * @param {number} cost.days - Days of history the query reads
+   * @param {boolean} cost.groupScope - Whether the query covers a whole group
+   * @returns {boolean} - Whether the query counts against the expensive quota
+   */
+  isExpensive({ days = 0, groupScope = false } = {}) {
+    // A window that couldn't be measured is treated as the widest there is
+    if (!Number.isFinite(days)) {
+      return true;
+    }
+
+    return days > this.settings.expensiveDays || (groupScope && days > 0);
+  }
+
+  /**
+   * Count an expensive query against a client's hourly quota
+   * @param {string} clientKey - Client key
+   * @returns {Object} - { allowed, limit, remaining, retryAfterSeconds }
+   */
+  consumeExpensive(clientKey) {
+    const client = this._getClient(clientKey);
+    const now = Date.now();
+    const limit = this.settings.expensivePerHour;
+
+    client.expensive = client.expensive.filter(time => now - time < HOUR_MS);
+    this.stats.expensive++;
+
+    if (client.expensive.length >= limit) {
+      this.stats.expensiveLimited++;
+      return {
+        allowed: false,
+        limit,
+        remaining: 0,
+        retryAfterSeconds: Math.ceil((client.expensive[0] + HOUR_MS - now) / 1000)
+      };
+    }
+
+    client.expensive.push(now);
+    return { allowed: true, limit, remaining: limit - client.expensive.length, retryAfterSeconds: 0 };
+  }
+
+  /**
+   * Create middleware that applies the request rate limit
+   * @returns {Function} - Express middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      const result = this.consume(this.getClientKey(req));
+
+      res.set('X-RateLimit-Limit', String(result.limit));
+      res.set('X-RateLimit-Remaining', String(result.remaining));
+
+      if (!result.allowed) {
+        return this._sendLimited(res, result, `Too many requests: limit is ${result.limit} per minute`);
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Apply the expensive query quota to a request, sending a 429 if it is used up
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} cost - Query cost ({ days, groupScope })
+   * @returns {boolean} - True if the query may run, false if a 429 was sent
+   */
+  checkQuery(req, res, cost) {
+    if (!this.isExpensive(cost)) {
+      return true;
+    }
+
+    const result = this.consumeExpensive(this.getClientKey(req));
+
+    if (!result.allowed) {
+      this._sendLimited(res, result,
+        `Too many expensive queries: limit is ${result.limit} per hour for queries over ${this.settings.expensiveDays} days or across a whole group. ` +
+        'Narrow the time window or name an org.');
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get current usage, without identifying clients
+   * @returns {Object} - Limits, client counts and totals
+   */
+  getUsage() {
+    const now = Date.now();
+    let throttled = 0;
+    let expensiveInLastHour = 0;
+
+    this.clients.forEach(client => {
+      this._refill(client);
+      const recent = client.expensive.filter(time => now - time < HOUR_MS).length;
+
+      expensiveInLastHour += recent;
+      if (client.tokens < 1 || recent >= this.settings.expensivePerHour) {
+        throttled++;
+      }
+    });
+
+    return {
+      limits: {
+        requestsPerMinute: this.settings.requestsPerMinute,
+        burst: this.settings.burst,
+        expensivePerHour: this.settings.expensivePerHour,
+        expensiveDays: this.settings.expensiveDays
+      },
+      clients: {
+        tracked: this.clients.size,
+        throttled
+      },
+      expensiveInLastHour,
+      totals: { ...this.stats }
+    };
+  }
+
+  /**
+   * Send a 429 response
+   * @param {Object} res - Express response
+   * @param {Object} result - Limit result
+   * @param {string} message - Error message
+   * @returns {Object} - Express response
+   * @private
+   */
+  _sendLimited(res, result, message) {
+    const retryAfter = Math.max(1, result.retryAfterSeconds);
+    res.set('Retry-After', String(retryAfter));
+    return sendError(res, 429, message, { retryAfter, limit: result.limit });
+  }
+
+  /**
+   * Get (or start tracking) a client
+   * @param {string} clientKey - Client key
+   * @returns {Object} - Client state
+   * @private
+   */
+  _getClient(clientKey) {
+    let client = this.clients.get(clientKey);
+
+    if (!client) {
+      if (this.clients.size >= this.settings.maxClients) {
+        this._prune();
+      }
+
+      client = { tokens: this.settings.burst, lastRefill: Date.now(), expensive: [] };
+      this.clients.set(clientKey, client);
+    }
+
+    return client;
+  }
+
+  /**
+   * Refill a client's bucket for the time that passed
+   * @param {Object} client - Client state
+   * @private
+   */
+  _refill(client) {
+    const now = Date.now();
+    client.tokens = Math.min(this.settings.burst, client.tokens + (now - client.lastRefill) * this.refillPerMs);
+    client.lastRefill = now;
+  }
+
+  /**
+   * Forget clients that are back at their full allowance, then the oldest ones if still over the cap
+   * @private
+   */
+  _prune() {
+    const now = Date.now();
+
+    this.clients.forEach((client, key) => {
+      this._refill(client);
+      if (client.tokens >= this.settings.burst && client.expensive.every(time => now - time >= HOUR_MS)) {
+        this.clients.delete(key);
+      }
+    });
+
+    while (this.clients.size >= this.settings.maxClients) {
+      this.clients.delete(this.clients.keys().next().value);
+    }
+  }
+}
+
+module.exports = ClientRateLimiter;
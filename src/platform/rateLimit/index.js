@@ -0,0 +1,11 @@
+// src/platform/rateLimit/index.js
+
+/**
+ * Rate limiting module index
+ */
+
+const ClientRateLimiter = require('./clientRateLimiter');
+
+module.exports = {
+  ClientRateLimiter
+};
@@ -0,0 +1,23 @@
+// src/platform/sessions/index.js
+
+/**
+ * Conversation sessions module index
+ */
+
+const SessionManager = require('./sessionManager');
+const {
+  MemorySessionStore,
+  FileSessionStore,
+  RedisSessionStore,
+  InMemoryRedisClient,
+  createSessionStore
+} = require('./sessionStores');
+
+module.exports = {
+  SessionManager,
+  MemorySessionStore,
+  FileSessionStore,
+  RedisSessionStore,
+  InMemoryRedisClient,
+  createSessionStore
+};
@@ -0,0 +1,289 @@
+// src/platform/sessions/sessionManager.js
+
+/**
+ * Session Manager
+ *
+ * Server-side conversation sessions for the webhook, the web UI and Slack.
+ * A session remembers the previous turns of a conversation, so follow-up
+ * questions ("what about last month?") can be answered from the intent,
+ * entities and results of the question before.
+ *
+ * Sessions expire after a period of inactivity (the TTL is renewed on every
+ * turn) and belong to the API token that started them, so one caller can't
+ * continue another's conversation by guessing its ID.
+ *
+ * The conversation fields of a session are passed to
+ * ChatbotNlpIntegration.processMessage as part of its context:
+ *
+ *   { sessionId, lastQuery, lastResponse, lastIntent, lastEntities, lastTimestamp, history, pendingSlot }
+ *
+ * pendingSlot is set while the chatbot waits for the answer to a question it
+ * asked ("Which kind of change should I look for?"), and holds the question
+ * it needs the answer for.
+ */
+
+const { generateToken } = require('../../utils');
+const { PASSIVE_INTENTS } = require('../../nlp');
+const { MemorySessionStore } = require('./sessionStores');
+
+// Default session settings
+const DEFAULT_SESSION_CONFIG = {
+  ttlSeconds: 30 * 60,
+  maxHistory: 20,
+  maxResultBytes: 64 * 1024,
+  maxResultItems: 50,
+  pruneIntervalMs: 5 * 60 * 1000
+};
+
+// Prefix of generated session IDs
+const SESSION_PREFIX = 'ses_';
+
+class SessionManager {
+  /**
+   * Create a new session manager
+   * @param {Object} config - Session configuration
+   * @param {Object} config.store - Session store (default: a MemorySessionStore)
+   * @param {number} config.ttlSeconds - Idle time after which a session expires
+   * @param {number} config.maxHistory - Turns kept per session
+   * @param {number} config.maxResultBytes - Largest result data kept with the last response
+   * @param {number} config.maxResultItems - Most items kept of each result list
+   * @param {number} config.pruneIntervalMs - How often expired sessions are pruned (0 to never)
+   */
+  constructor(config = {}) {
+    const settings = { ...DEFAULT_SESSION_CONFIG };
+    Object.keys(DEFAULT_SESSION_CONFIG).forEach(key => {
+      if (config[key] !== undefined) {
+        settings[key] = config[key];
+      }
+    });
+
+    this.settings = settings;
+    this.store = config.store || new MemorySessionStore();
+    this.pruneTimer = null;
+
+    // Session ID -> last queued update, so turns on one session are saved one at a time
+    this.updates = new Map();
+
+    if (settings.pruneIntervalMs > 0) {
+      this.pruneTimer = setInterval(() => {
+        this.store.prune().catch(error => console.warn('Failed to prune expired sessions:', error.message));
+      }, settings.pruneIntervalMs);
+
+      // Pruning alone shouldn't keep the process running
+      this.pruneTimer.unref();
+    }
+  }
+
+  /**
+   * Get a session, if it exists, hasn't expired and belongs to the caller
+   * @param {string} sessionId - Session ID
+   * @param {string|null} owner - Caller (API token ID, or null for anonymous callers)
+   * @returns {Promise<Object|null>} - Session or null
+   */
+  async get(sessionId, owner = null) {
+    if (!sessionId) {
+      return null;
+    }
+
+    const session = await this.store.get(sessionId);
+    return session && session.owner === owner ? session : null;
+  }
+
+  /**
+   * Continue a session, or start a new one when it is missing, expired or someone else's
+   * @param {string} sessionId - Session ID sent by the caller (optional)
+   * @param {string|null} owner - Caller (API token ID, or null for anonymous callers)
+   * @param {Object} options - Options
+   * @param {boolean} options.keepId - Start a missing session under the given ID (for IDs
+   *   the server derives itself, like Slack channels; never for IDs sent by clients)
+   * @returns {Promise<Object>} - Session
+   */
+  async resolve(sessionId, owner = null, options = {}) {
+    const session = await this.get(sessionId, owner);
+
+    if (session) {
+      return session;
+    }
+
+    const now = new Date().toISOString();
+    return {
+      id: options.keepId && sessionId ? sessionId : `${SESSION_PREFIX}${generateToken(16)}`,
+      owner,
+      createdAt: now,
+      updatedAt: now,
+      lastQuery: null,
+      lastResponse: null,
+      lastIntent: null,
+      lastEntities: null,
+      lastTimestamp: null,
+      history: [],
+      pendingSlot: null
+    };
+  }
+
+  /**
+   * Get the conversation context to pass to processMessage
+   * @param {Object} session - Session
+   * @returns {Object} - Conversation context
+   */
+  toContext(session) {
+    return {
+      sessionId: session.id,
+      lastQuery: session.lastQuery,
+      lastResponse: session.lastResponse,
+      lastIntent: session.lastIntent,
+      lastEntities: session.lastEntities,
+      lastTimestamp: session.lastTimestamp,
+      history: session.history,
+      pendingSlot: session.pendingSlot || null
+    };
+  }
+
+  /**
+   * Record a question and its answer, and save the session with a renewed TTL.
+   * The turn is added to the stored session rather than the copy read at the
+   * start of the request, and updates to one session are queued, so two
+   * questions answered at the same time both end up in its history.
+   * @param {Object} session - Session
+   * @param {string} message - User message
+   * @param {Object} response - Chatbot response
+   * @returns {Promise<Object>} - Updated session
+   */
+  async recordTurn(session, message, response) {
+    return this._queueUpdate(session.id, async () => {
+      // A session that isn't stored yet (a new one, or one that expired meanwhile) is saved as given
+      const current = (await this.get(session.id, session.owner)) || session;
+      const now = new Date().toISOString();
+      const lastResponse = this._compactResponse(response);
+
+      current.history = [
+        ...current.history,
+        {
+          query: message,
+          intent: lastResponse.intent,
+          entities: lastResponse.entities,
+          message: lastResponse.message,
+          success: lastResponse.success,
+          timestamp: now
+        }
+      ].slice(-this.settings.maxHistory);
+
+      // Fallbacks, help and answers about an earlier result don't move the conversation on,
+      // so follow-ups still refer to the last real question
+      if (lastResponse.intent && !PASSIVE_INTENTS.includes(lastResponse.intent)) {
+        current.lastQuery = message;
+        current.lastResponse = lastResponse;
+        current.lastIntent = lastResponse.intent;
+        current.lastEntities = lastResponse.entities;
+        current.lastTimestamp = now;
+      }
+
+      // A question the chatbot asked is answered by the next message only
+      current.pendingSlot = response.pendingSlot
+        ? { slot: response.pendingSlot, intent: response.intent || null, entities: response.entities || {} }
+        : null;
+      current.updatedAt = now;
+
+      await this.store.set(current.id, current, this.settings.ttlSeconds * 1000);
+      return current;
+    });
+  }
+
+  /**
+   * End a session
+   * @param {string} sessionId - Session ID
+   * @param {string|null} owner - Caller (API token ID, or null for anonymous callers)
+   * @returns {Promise<boolean>} - Whether the session existed
+   */
+  async end(sessionId, owner = null) {
+    const session = await this.get(sessionId, owner);
+
+    if (!session) {
+      return false;
+    }
+
+    await this.store.delete(sessionId);
+    return true;
+  }
+
+  /**
+   * Stop pruning expired sessions
+   */
+  stop() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+
+  /**
+   * Run an update to a session after the ones already queued for it.
+   * Queues are per process; stores shared between instances still take the last write.
+   * @param {string} sessionId - Session ID
+   * @param {Function} update - Async function that reads, changes and saves the session
+   * @returns {Promise<*>} - Result of the update
+   * @private
+   */
+  _queueUpdate(sessionId, update) {
+    const previous = this.updates.get(sessionId) || Promise.resolve();
+    const run = previous.then(update);
+    const settled = run.catch(() => {});
+
+    this.updates.set(sessionId, settled);
+    settled.then(() => {
+      if (this.updates.get(sessionId) === settled) {
+        this.updates.delete(sessionId);
+      }
+    });
+
+    return run;
+  }
+
+  /**
+   * Keep the parts of a response a follow-up needs. Result lists are cut to
+   * their first items (the ones an answer shows and a follow-up can refer
+   * to), and result data is dropped when it is still too big to store with
+   * every turn.
+   * @param {Object} response - Chatbot response
+   * @returns {Object} - Compact response
+   * @private
+   */
+  _compactResponse(response) {
+    const limit = this.settings.maxResultItems;
+    let data = response.data === undefined ? null : response.data;
+    let dataTruncated = false;
+
+    const trim = list => {
+      if (list.length > limit) {
+        dataTruncated = true;
+        return list.slice(0, limit);
+      }
+      return list;
+    };
+
+    if (Array.isArray(data)) {
+      data = trim(data);
+    } else if (data && typeof data === 'object') {
+      data = Object.keys(data).reduce((trimmed, key) => {
+        trimmed[key] = Array.isArray(data[key]) ? trim(data[key]) : data[key];
+        return trimmed;
+      }, {});
+    }
+
+    if (data !== null && Buffer.byteLength(JSON.stringify(data)) > this.settings.maxResultBytes) {
+      data = null;
+      dataTruncated = true;
+    }
+
+    return {
+      message: response.message,
+      success: response.success,
+      intent: response.intent || null,
+      entities: response.entities || null,
+      data,
+      dataTruncated
+    };
+  }
+}
+
+module.exports = SessionManager;
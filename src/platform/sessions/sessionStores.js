@@ -0,0 +1,293 @@
+// src/platform/sessions/sessionStores.js
+
+/**
+ * Session Stores
+ *
+ * Where conversation sessions live. Every store has the same small async
+ * interface, so the SessionManager doesn't care which one it is given:
+ *
+ *   get(id)                 -> session or null (expired sessions are never returned)
+ *   set(id, session, ttlMs) -> stores the session until ttlMs from now
+ *   delete(id)              -> removes the session
+ *   prune()                 -> drops expired sessions, returns how many
+ *
+ * - MemorySessionStore keeps sessions in the process (the default), up to
+ *   `maxSessions`; beyond that the least recently used session is dropped
+ * - FileSessionStore keeps one JSON file per session, so they survive restarts
+ * - RedisSessionStore works through any Redis-style client (get, set with PX
+ *   expiry, del), e.g. ioredis. Without one it uses InMemoryRedisClient, a
+ *   stand-in with the same commands, until a real client is wired in.
+ */
+
+const fsp = require('fs').promises;
+const path = require('path');
+const { defaultLogger, hash } = require('../../utils');
+
+// Create a logger for this module
+const logger = defaultLogger.child('SessionStore');
+
+// Most sessions the memory store keeps at once
+const DEFAULT_MAX_SESSIONS = 10000;
+
+class MemorySessionStore {
+  /**
+   * Create a new memory session store
+   * @param {Object} config - Store configuration
+   * @param {number} config.maxSessions - Most sessions kept at once (default 10000)
+   */
+  constructor(config = {}) {
+    this.maxSessions = config.maxSessions || DEFAULT_MAX_SESSIONS;
+
+    // Session ID -> { session, expiresAt }, least recently used first
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    const entry = this.sessions.get(id);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+
+    // Move the session to the most recently used end
+    this.sessions.delete(id);
+    this.sessions.set(id, entry);
+
+    return entry.session;
+  }
+
+  async set(id, session, ttlMs) {
+    this.sessions.delete(id);
+
+    // Anonymous callers start a session with every message, so drop expired
+    // sessions and then the least recently used ones rather than growing without bound
+    if (this.sessions.size >= this.maxSessions) {
+      await this.prune();
+    }
+
+    while (this.sessions.size >= this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+
+    this.sessions.set(id, { session, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(id) {
+    this.sessions.delete(id);
+  }
+
+  async prune() {
+    const now = Date.now();
+    let pruned = 0;
+
+    this.sessions.forEach((entry, id) => {
+      if (entry.expiresAt <= now) {
+        this.sessions.delete(id);
+        pruned++;
+      }
+    });
+
+    return pruned;
+  }
+}
+
+class FileSessionStore {
+  /**
+   * Create a new file session store
+   * @param {Object} config - Store configuration
+   * @param {string} config.path - Directory for session files (default ./data/sessions)
+   */
+  constructor(config = {}) {
+    this.path = config.path || './data/sessions';
+  }
+
+  async get(id) {
+    const file = this._fileFor(id);
+    let entry;
+
+    try {
+      entry = JSON.parse(await fsp.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read session file ${file}: ${error.message}`);
+      }
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      await this._remove(file);
+      return null;
+    }
+
+    return entry.session;
+  }
+
+  async set(id, session, ttlMs) {
+    const file = this._fileFor(id);
+    const temporary = `${file}.${process.pid}.tmp`;
+
+    // Write then rename, so a crash never leaves half a session behind
+    await fsp.mkdir(this.path, { recursive: true });
+    await fsp.writeFile(temporary, JSON.stringify({ expiresAt: Date.now() + ttlMs, session }), { encoding: 'utf8', mode: 0o600 });
+    await fsp.rename(temporary, file);
+  }
+
+  async delete(id) {
+    await this._remove(this._fileFor(id));
+  }
+
+  async prune() {
+    let files;
+
+    try {
+      files = await fsp.readdir(this.path);
+    } catch (error) {
+      return 0;
+    }
+
+    const now = Date.now();
+    let pruned = 0;
+
+    for (const name of files.filter(file => file.endsWith('.json'))) {
+      const file = path.join(this.path, name);
+
+      try {
+        const { expiresAt } = JSON.parse(await fsp.readFile(file, 'utf8'));
+        if (expiresAt > now) {
+          continue;
+        }
+      } catch (error) {
+        // Unreadable files are removed along with expired ones
+      }
+
+      await this._remove(file);
+      pruned++;
+    }
+
+    return pruned;
+  }
+
+  /**
+   * Get the file for a session. IDs are hashed so they can't reach outside the directory.
+   * @param {string} id - Session ID
+   * @returns {string} - File path
+   * @private
+   */
+  _fileFor(id) {
+    return path.join(this.path, `${hash(id)}.json`);
+  }
+
+  /**
+   * Remove a file if it exists
+   * @param {string} file - File path
+   * @private
+   */
+  async _remove(file) {
+    try {
+      await fsp.unlink(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * In-process stand-in for a Redis client, supporting the commands the
+ * RedisSessionStore uses
+ */
+class InMemoryRedisClient {
+  constructor() {
+    // Key -> { value, expiresAt }
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || (entry.expiresAt !== null && entry.expiresAt <= Date.now())) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, mode, ttlMs) {
+    const expiresAt = mode === 'PX' ? Date.now() + Number(ttlMs) : null;
+    this.entries.set(key, { value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  async del(key) {
+    return this.entries.delete(key) ? 1 : 0;
+  }
+}
+
+class RedisSessionStore {
+  /**
+   * Create a new Redis session store
+   * @param {Object} config - Store configuration
+   * @param {Object} config.client - Redis-style client (default: an InMemoryRedisClient)
+   * @param {string} config.prefix - Key prefix (default "snykaudit:session:")
+   */
+  constructor(config = {}) {
+    this.client = config.client || new InMemoryRedisClient();
+    this.prefix = config.prefix || 'snykaudit:session:';
+  }
+
+  async get(id) {
+    const value = await this.client.get(this.prefix + id);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(id, session, ttlMs) {
+    await this.client.set(this.prefix + id, JSON.stringify(session), 'PX', Math.max(1, Math.round(ttlMs)));
+  }
+
+  async delete(id) {
+    await this.client.del(this.prefix + id);
+  }
+
+  async prune() {
+    // Redis expires keys itself
+    return 0;
+  }
+}
+
+// Store types that can be picked by name (SESSION_STORE)
+const SESSION_STORE_TYPES = {
+  memory: MemorySessionStore,
+  file: FileSessionStore,
+  redis: RedisSessionStore
+};
+
+/**
+ * Create a session store by type
+ * @param {string} type - Store type (memory, file, redis)
+ * @param {Object} config - Store configuration (maxSessions for memory, path for file, client and prefix for redis)
+ * @returns {Object} - Session store
+ */
+function createSessionStore(type = 'memory', config = {}) {
+  const Store = SESSION_STORE_TYPES[type];
+
+  if (!Store) {
+    throw new Error(`Unknown session store "${type}". Valid stores: ${Object.keys(SESSION_STORE_TYPES).join(', ')}`);
+  }
+
+  return new Store(config);
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  RedisSessionStore,
+  InMemoryRedisClient,
+  createSessionStore
+};
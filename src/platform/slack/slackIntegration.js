@@ -2,6 +2,7 @@
 
 const { App } = require('@slack/bolt');
 const { ChatbotNlpIntegration } = require('../../nlp');
+const { SessionManager } = require('../sessions');
 
 /**
  * Slack Integration for SnykAudit Chatbot
@@ -14,6 +15,7 @@ class SlackIntegration {
   /**
    * Create a Slack integration
    * @param {Object} config - Configuration options
+   * @param {SessionManager} config.sessionManager - Conversation sessions, shared with the webhook (optional)
    */
   constructor(config = {}) {
     this.nlpIntegration = new ChatbotNlpIntegration(config);
@@ -22,7 +24,7 @@ class SlackIntegration {
     this.slackSigningSecret = config.slackSigningSecret;
     this.slackAppToken = config.slackAppToken;
     this.socketMode = !!this.slackAppToken;
-    this.conversationContexts = {};
+    this.sessionManager = config.sessionManager || new SessionManager();
     this.slackApp = null;
     this.initialized = false;
   }
@@ -134,108 +136,54 @@ class SlackIntegration {
       }
       
       try {
-        // Get user info for context
-        const userInfo = await client.users.info({ user: message.user });
-        
-        // Get or create conversation context
-        const context = this._getConversationContext(message.channel, message.user);
-        
-        // Add user info to context
-        context.slack = {
+        await this._answerMessage(message.text, {
           userId: message.user,
           channelId: message.channel,
-          userName: userInfo.user.name,
-          userRealName: userInfo.user.real_name,
           isDirectMessage: message.channel_type === 'im'
-        };
-        
-        // Process the message
-        const response = await this.nlpIntegration.processMessage(message.text, context);
-        
-        // Format response for Slack
-        const slackMessage = this._formatSlackMessage(response);
-        
-        // Send response
-        await say(slackMessage);
-        
-        // Update conversation context
-        this._updateConversationContext(message.channel, message.user, {
-          lastQuery: message.text,
-          lastResponse: response,
-          lastTimestamp: new Date().toISOString()
-        });
+        }, client, say);
       } catch (error) {
         console.error('Error processing Slack message:', error);
         
         // Send error message
-        await say({
-          text: `Sorry, I encountered an error: ${error.message}`,
-          blocks: [
-            {
-              type: 'section',
-              text: {
-                type: 'mrkdwn',
-                text: `:warning: Sorry, I encountered an error: ${error.message}`
-              }
-            }
-          ]
-        });
+        await say(this._formatErrorMessage(error));
       }
     });
     
     // Handle mentions in channels
     this.slackApp.event('app_mention', async ({ event, say, client }) => {
       try {
-        // Get user info for context
-        const userInfo = await client.users.info({ user: event.user });
-        
         // Extract the actual message (remove the bot mention)
         const message = event.text.replace(/<@[A-Z0-9]+>/, '').trim();
         
-        // Get or create conversation context
-        const context = this._getConversationContext(event.channel, event.user);
-        
-        // Add user info to context
-        context.slack = {
+        await this._answerMessage(message, {
           userId: event.user,
           channelId: event.channel,
-          userName: userInfo.user.name,
-          userRealName: userInfo.user.real_name,
           isDirectMessage: false,
           isMention: true
-        };
-        
-        // Process the message
-        const response = await this.nlpIntegration.processMessage(message, context);
-        
-        // Format response for Slack
-        const slackMessage = this._formatSlackMessage(response);
-        
-        // Send response
-        await say(slackMessage);
-        
-        // Update conversation context
-        this._updateConversationContext(event.channel, event.user, {
-          lastQuery: message,
-          lastResponse: response,
-          lastTimestamp: new Date().toISOString()
-        });
+        }, client, say);
       } catch (error) {
         console.error('Error processing app mention:', error);
         
         // Send error message
-        await say({
-          text: `Sorry, I encountered an error: ${error.message}`,
-          blocks: [
-            {
-              type: 'section',
-              text: {
-                type: 'mrkdwn',
-                text: `:warning: Sorry, I encountered an error: ${error.message}`
-              }
-            }
-          ]
-        });
+        await say(this._formatErrorMessage(error));
+      }
+    });
+    
+    // Handle quick reply buttons: clicking one answers the bot's question as if the user typed it
+    this.slackApp.action(/^quick_reply_/, async ({ ack, body, action, client, say }) => {
+      await ack();
+      
+      try {
+        await this._answerMessage(action.value, {
+          userId: body.user.id,
+          channelId: body.channel.id,
+          isDirectMessage: body.channel.id.startsWith('D'),
+          isQuickReply: true
+        }, client, say);
+      } catch (error) {
+        console.error('Error processing quick reply:', error);
+        
+        await say(this._formatErrorMessage(error));
       }
     });
     
@@ -446,40 +394,48 @@ class SlackIntegration {
   }
 
   /**
-   * Get conversation context for a channel and user
-   * @param {string} channelId - Slack channel ID
-   * @param {string} userId - Slack user ID
-   * @returns {Object} - Conversation context
+   * Answer a user's message and record it in their conversation session
+   * @param {string} text - Message text
+   * @param {Object} slack - Where the message came from (userId, channelId, isDirectMessage, ...)
+   * @param {Object} client - Slack Web API client
+   * @param {Function} say - Posts to the channel the message came from
+   * @returns {Promise<void>}
    * @private
    */
-  _getConversationContext(channelId, userId) {
-    const key = `${channelId}:${userId}`;
+  async _answerMessage(text, slack, client, say) {
+    // Get user info for context
+    const userInfo = await client.users.info({ user: slack.userId });
     
-    if (!this.conversationContexts[key]) {
-      this.conversationContexts[key] = {
-        lastQuery: null,
-        lastResponse: null,
-        lastTimestamp: null
-      };
-    }
+    // Get or create conversation context
+    const session = await this._getConversationSession(slack.channelId, slack.userId);
+    const context = this.sessionManager.toContext(session);
     
-    return this.conversationContexts[key];
+    // Add user info to context
+    context.slack = {
+      ...slack,
+      userName: userInfo.user.name,
+      userRealName: userInfo.user.real_name
+    };
+    
+    // Process the message
+    const response = await this.nlpIntegration.processMessage(text, context);
+    
+    // Send response
+    await say(this._formatSlackMessage(response));
+    
+    // Update conversation context
+    await this.sessionManager.recordTurn(session, text, response);
   }
 
   /**
-   * Update conversation context for a channel and user
+   * Get the conversation session for a channel and user
    * @param {string} channelId - Slack channel ID
    * @param {string} userId - Slack user ID
-   * @param {Object} updates - Updates to apply to context
+   * @returns {Promise<Object>} - Session
    * @private
    */
-  _updateConversationContext(channelId, userId, updates) {
-    const key = `${channelId}:${userId}`;
-    
-    this.conversationContexts[key] = {
-      ...this.conversationContexts[key],
-      ...updates
-    };
+  async _getConversationSession(channelId, userId) {
+    return this.sessionManager.resolve(`slack:${channelId}:${userId}`, 'slack', { keepId: true });
   }
 
   /**
@@ -542,6 +498,23 @@ class SlackIntegration {
       });
     }
     
+    // Offer the answers to a question as buttons
+    if (response.quickReplies && response.quickReplies.length > 0) {
+      blocks.push({
+        type: 'actions',
+        block_id: 'quick_replies',
+        elements: response.quickReplies.map((reply, index) => ({
+          type: 'button',
+          action_id: `quick_reply_${index}`,
+          text: {
+            type: 'plain_text',
+            text: reply
+          },
+          value: reply
+        }))
+      });
+    }
+    
     // Add clarification note if this is a low-confidence response
     if (response.clarification) {
       blocks.push({
@@ -576,6 +549,27 @@ class SlackIntegration {
       text: response.message || 'SnykAudit Insights' // Fallback text for notifications
     };
   }
+
+  /**
+   * Format an error for Slack
+   * @param {Error} error - Error
+   * @returns {Object} - Formatted Slack message
+   * @private
+   */
+  _formatErrorMessage(error) {
+    return {
+      text: `Sorry, I encountered an error: ${error.message}`,
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `:warning: Sorry, I encountered an error: ${error.message}`
+          }
+        }
+      ]
+    };
+  }
 }
 
 module.exports = SlackIntegration;
\ No newline at end of file
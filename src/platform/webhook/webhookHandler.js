@@ -2,6 +2,13 @@
 
 const express = require('express');
 const { ChatbotNlpIntegration } = require('../../nlp');
+const { createBearerAuth, createSignatureAuth, isSignedRequest, getAllowedOrgs } = require('../auth');
+const { sendError, buildErrorBody } = require('../apiErrors');
+const { ClientRateLimiter } = require('../rateLimit');
+const { SessionManager } = require('../sessions');
+
+// Comment sent on idle streams so proxies don't close them during long syncs
+const STREAM_HEARTBEAT_MS = 15000;
 
 /**
  * Webhook Handler for SnykAudit Chatbot
@@ -9,18 +16,39 @@ const { ChatbotNlpIntegration } = require('../../nlp');
  * This component provides an HTTP webhook interface to interact with the chatbot.
  * It handles incoming webhook requests, validates them, and processes messages
  * using the NLP integration.
+ *
+ * POST /webhook/stream takes the same request but answers with Server-Sent
+ * Events, so clients can show progress while audit logs are fetched:
+ *
+ *   event: progress   { stage: 'fetch', page, pageItems, itemsFetched } or { stage: 'analyze', eventsAnalyzed }
+ *   event: partial    { message, data } - what has been found so far
+ *   event: result     The same ChatResponse /webhook returns; the stream then ends
+ *   event: error      An ErrorResponse body; the stream then ends
+ *
+ * Requests may carry a `sessionId` from an earlier response to continue that
+ * conversation; every response returns the session's ID. The session's
+ * history can be read at GET /webhook/sessions/:id and ended with DELETE.
  */
 class WebhookHandler {
   /**
    * Create a webhook handler
    * @param {Object} config - Configuration options
+   * @param {string} config.authToken - Legacy shared bearer token (optional)
+   * @param {ApiTokenStore} config.tokenStore - Named, scoped API tokens (optional)
+   * @param {ClientRateLimiter} config.rateLimiter - Per-client limits, shared with the query API (optional)
+   * @param {ClientRateLimiter} config.ipRateLimiter - Per-IP limits applied before authentication, shared with the query API (optional)
+   * @param {SessionManager} config.sessionManager - Conversation sessions, shared with Slack (optional)
    */
   constructor(config = {}) {
     this.router = express.Router();
     this.nlpIntegration = new ChatbotNlpIntegration(config);
     this.apiKey = config.apiKey;
     this.authToken = config.authToken;
-    this.requireAuth = !!this.authToken;
+    this.tokenStore = config.tokenStore || null;
+    this.requireAuth = !!this.authToken || !!this.tokenStore;
+    this.rateLimiter = config.rateLimiter || new ClientRateLimiter();
+    this.ipRateLimiter = config.ipRateLimiter || new ClientRateLimiter({ keyBy: 'ip' });
+    this.sessionManager = config.sessionManager || new SessionManager();
     
     this._setupRoutes();
   }
@@ -56,72 +84,218 @@ class WebhookHandler {
     return this.router;
   }
 
+  /**
+   * Get the audit service the chatbot uses, so other handlers can share its store and caches
+   * @returns {SnykAuditService|null} - Audit service (null until initialized)
+   */
+  getAuditService() {
+    return this.nlpIntegration.chatbotWrapper.auditService;
+  }
+
   /**
    * Set up webhook routes
    * @private
    */
   _setupRoutes() {
+    // Per-IP limit first, so requests with bad credentials are throttled as well
+    this.router.use(this.ipRateLimiter.middleware());
+    
     // Main webhook endpoint
-    this.router.post('/', async (req, res) => {
+    // Callers either send a bearer token or sign the request with a signing key
+    const bearerAuth = createBearerAuth({ authToken: this.authToken, tokenStore: this.tokenStore, scope: 'chat' });
+    const signatureAuth = createSignatureAuth({ tokenStore: this.tokenStore, scope: 'chat' });
+    const auth = (req, res, next) => (isSignedRequest(req) ? signatureAuth : bearerAuth)(req, res, next);
+    
+    this.router.post('/', auth, this.rateLimiter.middleware(), async (req, res) => {
       try {
-        // Check authentication if required
-        if (this.requireAuth) {
-          const authHeader = req.headers.authorization;
-          
-          if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-              error: 'Unauthorized: Missing or invalid authorization header',
-              success: false
-            });
-          }
-          
-          const token = authHeader.split(' ')[1];
-          
-          if (token !== this.authToken) {
-            return res.status(403).json({
-              error: 'Forbidden: Invalid authentication token',
-              success: false
-            });
-          }
-        }
+        const { message, context, session } = await this._prepareRequest(req);
         
-        // Validate request body
-        const { message, context } = req.body;
-        
-        if (!message || typeof message !== 'string') {
-          return res.status(400).json({
-            error: 'Bad request: Message is required and must be a string',
-            success: false
-          });
+        // Wide time windows and group-wide questions count against the expensive query quota
+        if (!this.rateLimiter.checkQuery(req, res, await this.nlpIntegration.describeMessage(message, context))) {
+          return;
         }
         
         // Process the message
-        const response = await this.nlpIntegration.processMessage(
-          message,
-          context || {}
-        );
+        const response = await this.nlpIntegration.processMessage(message, context);
         
         // Return response
-        res.status(200).json(response);
+        res.status(200).json(await this._recordTurn(session, message, response));
       } catch (error) {
-        console.error('Error processing webhook request:', error);
+        this._sendRequestError(res, 'Error processing webhook request:', error);
+      }
+    });
+    
+    // Streaming variant: same request, answered with Server-Sent Events
+    this.router.post('/stream', auth, this.rateLimiter.middleware(), async (req, res) => {
+      let prepared;
+      
+      // Auth, rate limit and quota failures, and anything failing before the stream opens, are still plain JSON errors
+      try {
+        prepared = await this._prepareRequest(req);
         
-        res.status(500).json({
-          error: 'Internal server error: ' + error.message,
-          message: 'Sorry, I encountered an error while processing your request.',
-          success: false
+        if (!this.rateLimiter.checkQuery(req, res, await this.nlpIntegration.describeMessage(prepared.message, prepared.context))) {
+          return;
+        }
+      } catch (error) {
+        return this._sendRequestError(res, 'Error preparing streaming webhook request:', error);
+      }
+      const { message, context, session } = prepared;
+      
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      
+      // The query keeps running if the client goes away (its sync still fills the store), but nothing more is written
+      let closed = false;
+      const send = (event, data) => {
+        if (!closed) {
+          res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+      };
+      const heartbeat = setInterval(() => {
+        if (!closed) {
+          res.write(': keep-alive\n\n');
+        }
+      }, STREAM_HEARTBEAT_MS);
+      res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+      });
+      
+      try {
+        const response = await this.nlpIntegration.processMessage(message, {
+          ...context,
+          onProgress: progress => send('progress', progress),
+          onPartial: partial => send('partial', partial)
         });
+        
+        send('result', await this._recordTurn(session, message, response));
+      } catch (error) {
+        console.error('Error processing streaming webhook request:', error);
+        
+        send('error', buildErrorBody(500, `Internal server error: ${error.message}`));
+      } finally {
+        clearInterval(heartbeat);
+        res.end();
+      }
+    });
+    
+    // Conversation history of a session started by the same token
+    this.router.get('/sessions/:id', auth, this.rateLimiter.middleware(), async (req, res, next) => {
+      try {
+        const session = await this.sessionManager.get(req.params.id, this._getSessionOwner(req));
+        
+        if (!session) {
+          return sendError(res, 404, `Not found: No active session "${req.params.id}"`);
+        }
+        
+        const { id, createdAt, updatedAt, history } = session;
+        res.status(200).json({ data: { id, createdAt, updatedAt, history }, success: true });
+      } catch (error) {
+        next(error);
+      }
+    });
+    
+    this.router.delete('/sessions/:id', auth, this.rateLimiter.middleware(), async (req, res, next) => {
+      try {
+        if (!await this.sessionManager.end(req.params.id, this._getSessionOwner(req))) {
+          return sendError(res, 404, `Not found: No active session "${req.params.id}"`);
+        }
+        
+        res.status(200).json({ data: { id: req.params.id }, success: true });
+      } catch (error) {
+        next(error);
       }
     });
     
-    // Health check endpoint
+    // Health check endpoint, with current rate limit usage and the Snyk API budget
     this.router.get('/health', (req, res) => {
+      const auditService = this.getAuditService();
+      
       res.status(200).json({
         status: 'ok',
-        initialized: !!this.nlpIntegration.initialized
+        initialized: !!this.nlpIntegration.initialized,
+        usage: {
+          ...this.rateLimiter.getUsage(),
+          snykApi: auditService ? auditService.client.getSchedulerStats() : null
+        }
       });
     });
   }
+
+  /**
+   * Send an error for a failed request: errors with a 4xx statusCode (such as
+   * an unusable time window) keep their message, anything else is a 500
+   * @param {Object} res - Express response
+   * @param {string} logMessage - What failed, for the log
+   * @param {Error} error - The error
+   * @private
+   */
+  _sendRequestError(res, logMessage, error) {
+    const status = error.statusCode || 500;
+    
+    if (status >= 500) {
+      console.error(logMessage, error);
+      return sendError(res, status, `Internal server error: ${error.message}`);
+    }
+    
+    return sendError(res, status, error.message);
+  }
+
+  /**
+   * Get the message, session and context of a webhook request.
+   * The body is validated against the OpenAPI document before it gets here.
+   * @param {Object} req - Express request (after authentication)
+   * @returns {Promise<Object>} - { message, context, session }
+   * @private
+   */
+  async _prepareRequest(req) {
+    const session = await this.sessionManager.resolve(req.body.sessionId, this._getSessionOwner(req));
+    
+    return {
+      message: req.body.message,
+      session,
+      // The session's earlier turns, limited to the orgs the caller's token may see
+      context: {
+        ...(req.body.context || {}),
+        ...this.sessionManager.toContext(session),
+        allowedOrgs: getAllowedOrgs(req.auth)
+      }
+    };
+  }
+
+  /**
+   * Save a turn to its session and add the session ID to the response.
+   * The answer is still returned if the session can't be saved.
+   * @param {Object} session - Session
+   * @param {string} message - User message
+   * @param {Object} response - Chatbot response
+   * @returns {Promise<Object>} - Response with sessionId
+   * @private
+   */
+  async _recordTurn(session, message, response) {
+    try {
+      await this.sessionManager.recordTurn(session, message, response);
+    } catch (error) {
+      console.error('Failed to save conversation session:', error);
+    }
+    
+    return { ...response, sessionId: session.id };
+  }
+
+  /**
+   * Get who a request's sessions belong to
+   * @param {Object} req - Express request (after authentication)
+   * @returns {string|null} - API token ID, or null for anonymous callers
+   * @private
+   */
+  _getSessionOwner(req) {
+    return req.auth ? req.auth.id : null;
+  }
 }
 
 module.exports = WebhookHandler;
\ No newline at end of file
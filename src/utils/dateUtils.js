@@ -327,6 +327,290 @@ function parseNaturalDate(text) {
   throw new Error(`Unable to parse date: ${text}`);
 }
 
+// Month names and abbreviations, as matched in date ranges ("Oct 3", "September 2026")
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Parse a calendar date range from natural language, in local time
+ *
+ * Understands "between Oct 3 and Oct 10", "from 2026-09-01 to 2026-09-15",
+ * "since last Tuesday", "Q3" / "Q3 2025", "last quarter", "this quarter",
+ * "last month", "this week" (calendar weeks run Sunday to Saturday),
+ * "September 2026" / "in September", and single days ("Oct 3", "yesterday").
+ * Dates without a year are the most recent one that isn't in the future.
+ * End dates include their whole day, and ranges end no later than now.
+ * @param {string} text - Natural language date range
+ * @param {Date} now - Current time (default: now)
+ * @returns {Object|null} - { start, end } or null if the text isn't a calendar range
+ */
+function parseDateRange(text, now = new Date()) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+  
+  const range = parseCalendarRange(text, now);
+  
+  // Nothing has happened after now, so a range that is still running ends now
+  if (range && range.end > now) {
+    range.end = new Date(now);
+  }
+  
+  return range;
+}
+
+/**
+ * Parse a calendar date range, without cutting it off at now
+ * @param {string} text - Natural language date range
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { start, end } or null
+ * @private
+ */
+function parseCalendarRange(text, now) {
+  const lowerText = text.toLowerCase().trim()
+    .replace(/[?.!]+$/, '')
+    .replace(/^(in|during|on|for|over)\s+(the\s+)?/, '');
+  
+  // Two ends: "between A and B", "from A to B", "A through B"
+  const between = lowerText.match(/^(?:between\s+)?(?:from\s+)?(.+?)\s+(?:and|to|until|till|through|-)\s+(.+)$/);
+  if (between) {
+    const start = parseCalendarDay(between[1], now);
+    const end = start && parseCalendarDay(between[2], now, start);
+    
+    if (start && end && start <= end) {
+      return { start, end: endOfDay(end) };
+    }
+  }
+  
+  // One end: "since last Tuesday", "since last week"
+  const since = lowerText.match(/^since\s+(.+)$/);
+  if (since) {
+    const period = parseCalendarPeriod(since[1], now);
+    const start = period ? period.start : parseCalendarDay(since[1], now);
+    return start ? { start, end: new Date(now) } : null;
+  }
+  
+  // Calendar weeks and months: "this week", "last month"
+  const period = parseCalendarPeriod(lowerText, now);
+  if (period) {
+    return period;
+  }
+  
+  // Quarters: "Q3", "Q3 2025", "last quarter", "this quarter"
+  const quarter = lowerText.match(/^q([1-4])(?:\s+(\d{4}))?$/) || lowerText.match(/^(last|previous|this|current) quarter$/);
+  if (quarter) {
+    let year = now.getFullYear();
+    let index;
+    
+    if (/^\d$/.test(quarter[1])) {
+      index = parseInt(quarter[1], 10) - 1;
+      if (quarter[2]) {
+        year = parseInt(quarter[2], 10);
+      } else if (index * 3 > now.getMonth()) {
+        year -= 1;
+      }
+    } else {
+      index = Math.floor(now.getMonth() / 3);
+      if (quarter[1] === 'last' || quarter[1] === 'previous') {
+        index -= 1;
+        if (index < 0) {
+          index = 3;
+          year -= 1;
+        }
+      }
+    }
+    
+    return {
+      start: new Date(year, index * 3, 1),
+      end: endOfMonth(new Date(year, index * 3 + 2, 1))
+    };
+  }
+  
+  // Whole months: "September 2026", "September"
+  const month = lowerText.match(new RegExp(`^${MONTH_PATTERN}(?:\\s+(\\d{4}))?$`));
+  if (month) {
+    const index = MONTHS.indexOf(month[1].substring(0, 3));
+    let year = month[2] ? parseInt(month[2], 10) : now.getFullYear();
+    
+    if (!month[2] && new Date(year, index, 1) > now) {
+      year -= 1;
+    }
+    
+    return { start: new Date(year, index, 1), end: endOfMonth(new Date(year, index, 1)) };
+  }
+  
+  // A single day: "Oct 3", "yesterday"
+  const day = parseCalendarDay(lowerText, now);
+  return day ? { start: day, end: endOfDay(new Date(day)) } : null;
+}
+
+/**
+ * Parse a calendar week (Sunday to Saturday) or month, in local time
+ * @param {string} text - Period ("this week", "last month", "previous week", "current month")
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { start, end } or null
+ * @private
+ */
+function parseCalendarPeriod(text, now) {
+  const match = text.match(/^(last|previous|this|current)\s+(week|month)$/);
+  
+  if (!match) {
+    return null;
+  }
+  
+  const previous = match[1] === 'last' || match[1] === 'previous';
+  
+  if (match[2] === 'week') {
+    const start = startOfWeek(new Date(now));
+    if (previous) {
+      start.setDate(start.getDate() - 7);
+    }
+    return { start, end: endOfWeek(new Date(start)) };
+  }
+  
+  const start = startOfMonth(new Date(now));
+  if (previous) {
+    start.setMonth(start.getMonth() - 1);
+  }
+  return { start, end: endOfMonth(new Date(start)) };
+}
+
+/**
+ * Parse a single calendar day, in local time
+ * @param {string} text - Day ("oct 3", "3rd of october", "2026-10-03", "10/03/2026", "last tuesday", "yesterday")
+ * @param {Date} now - Current time
+ * @param {Date} after - For the end of a range: a day without a year is taken on or after this day (optional)
+ * @returns {Date|null} - Start of the day, or null
+ * @private
+ */
+function parseCalendarDay(text, now, after = null) {
+  const lowerText = text.toLowerCase().trim().replace(/,/g, '').replace(/^the\s+/, '');
+  let match;
+  
+  if (lowerText === 'today' || lowerText === 'now') {
+    return startOfDay(new Date(now));
+  }
+  
+  if (lowerText === 'yesterday') {
+    const yesterday = startOfDay(new Date(now));
+    yesterday.setDate(yesterday.getDate() - 1);
+    return yesterday;
+  }
+  
+  // "last tuesday" is the most recent one before today, "this tuesday" the one of this week
+  match = lowerText.match(/^(last|this|past)?\s*(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/);
+  if (match) {
+    const day = startOfDay(new Date(now));
+    const back = (day.getDay() - WEEKDAYS.indexOf(match[2]) + 7) % 7;
+    day.setDate(day.getDate() - (back === 0 && match[1] !== 'this' ? 7 : back));
+    return day;
+  }
+  
+  match = lowerText.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    return validDay(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  }
+  
+  match = lowerText.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    return validDay(parseInt(match[3], 10), parseInt(match[1], 10) - 1, parseInt(match[2], 10));
+  }
+  
+  // "oct 3", "october 3rd 2026", "3 oct", "3rd of october 2026"
+  match = lowerText.match(new RegExp(`^${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+(\\d{4}))?$`)) ||
+    lowerText.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:\\s+(\\d{4}))?$`));
+  if (match) {
+    const monthFirst = isNaN(parseInt(match[1], 10));
+    const month = MONTHS.indexOf((monthFirst ? match[1] : match[2]).substring(0, 3));
+    const date = parseInt(monthFirst ? match[2] : match[1], 10);
+    
+    if (match[3]) {
+      return validDay(parseInt(match[3], 10), month, date);
+    }
+    
+    // Without a year: the last one that isn't in the future, or for a range end the first one after its start
+    const reference = after || now;
+    let day = validDay(reference.getFullYear(), month, date);
+    if (day && after && day < after) {
+      const nextYear = validDay(reference.getFullYear() + 1, month, date);
+      day = nextYear && nextYear <= now ? nextYear : day;
+    } else if (day && !after && day > now) {
+      day = validDay(reference.getFullYear() - 1, month, date);
+    }
+    return day;
+  }
+  
+  return null;
+}
+
+/**
+ * Build a local date, rejecting impossible ones (Feb 30)
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} date - Day of the month
+ * @returns {Date|null} - Start of the day, or null
+ * @private
+ */
+function validDay(year, month, date) {
+  const day = new Date(year, month, date);
+  return day.getMonth() === month && day.getDate() === date ? day : null;
+}
+
+/**
+ * Describe a date range for people, e.g. "Oct 3, 2026 – Oct 10, 2026" or
+ * "Oct 13, 2026 – Oct 19, 2026, 3:00 PM". Ends on a day boundary are shown
+ * as dates, other ends with their time.
+ * @param {Date|string|number} start - Start of the range
+ * @param {Date|string|number} end - End of the range
+ * @returns {string} - Description
+ */
+function formatDateRange(start, end) {
+  const ends = formatRangeEnds(start, end);
+  return ends.to ? `${ends.from} – ${ends.to}` : ends.from;
+}
+
+/**
+ * Describe the period an answer covers, to finish a sentence: "in the last
+ * 7 days", "between Oct 3, 2026 and Oct 10, 2026" or "on Oct 3, 2026"
+ * @param {number|Object} period - Number of days looked back, or a date range ({ start, end })
+ * @returns {string} - Description
+ */
+function describePeriod(period) {
+  if (!period || typeof period !== 'object') {
+    return period === 1 ? 'in the last day' : `in the last ${period} days`;
+  }
+  
+  const ends = formatRangeEnds(period.start, period.end);
+  return ends.to ? `between ${ends.from} and ${ends.to}` : `on ${ends.from}`;
+}
+
+/**
+ * Format the two ends of a date range
+ * @param {Date|string|number} start - Start of the range
+ * @param {Date|string|number} end - End of the range
+ * @returns {Object} - { from, to }; to is null when the range is one whole day
+ * @private
+ */
+function formatRangeEnds(start, end) {
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  const dateOptions = { year: 'numeric', month: 'short', day: 'numeric' };
+  const dateTimeOptions = { ...dateOptions, hour: 'numeric', minute: '2-digit' };
+  const startWhole = startDate.getTime() === startOfDay(new Date(startDate)).getTime();
+  const endWhole = endDate.getTime() === endOfDay(new Date(endDate)).getTime();
+  const from = startWhole ? startDate.toLocaleDateString('en-US', dateOptions) : startDate.toLocaleString('en-US', dateTimeOptions);
+  
+  if (startWhole && endWhole && startDate.toDateString() === endDate.toDateString()) {
+    return { from, to: null };
+  }
+  
+  return {
+    from,
+    to: endWhole ? endDate.toLocaleDateString('en-US', dateOptions) : endDate.toLocaleString('en-US', dateTimeOptions)
+  };
+}
+
 /**
  * Check if a date is today
  * @param {Date|string|number} date - Date to check
@@ -423,6 +707,9 @@ module.exports = {
   timeAgo,
   parseDate,
   parseNaturalDate,
+  parseDateRange,
+  formatDateRange,
+  describePeriod,
   isToday,
   isYesterday,
   isWeekend,
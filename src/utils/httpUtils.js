@@ -113,8 +113,9 @@ async function requestWithRetry(config, retryConfig = {}) {
         );
       
       if (shouldRetry) {
-        // Calculate exponential backoff delay
-        const delay = retryDelay * Math.pow(2, attempt);
+        // Honor the server's Retry-After header, else use exponential backoff
+        const retryAfter = parseRetryAfter(error.response?.headers);
+        const delay = retryAfter !== null ? retryAfter : retryDelay * Math.pow(2, attempt);
         
         logger.warn(`Request failed, retrying in ${delay}ms (attempt ${attempt + 1}/${retries})`, {
           url: config.url,
@@ -203,6 +204,31 @@ async function del(url, config = {}) {
   });
 }
 
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {Object} headers - Response headers
+ * @returns {number|null} - Delay in milliseconds, or null if the header is missing or invalid
+ */
+function parseRetryAfter(headers) {
+  const value = headers && (headers['retry-after'] || headers['Retry-After']);
+  
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = new Date(value);
+  if (!isNaN(date.getTime())) {
+    return Math.max(0, date.getTime() - Date.now());
+  }
+  
+  return null;
+}
+
 /**
  * Parse and enhance error from HTTP request
  * @param {Error} error - Error object
@@ -260,6 +286,7 @@ module.exports = {
   put,
   del,
   parseError,
+  parseRetryAfter,
   DEFAULT_TIMEOUT,
   DEFAULT_RETRY_CONFIG
 };
\ No newline at end of file
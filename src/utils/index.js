@@ -42,6 +42,9 @@ module.exports = {
   timeAgo: dateUtils.timeAgo,
   parseDate: dateUtils.parseDate,
   parseNaturalDate: dateUtils.parseNaturalDate,
+  parseDateRange: dateUtils.parseDateRange,
+  formatDateRange: dateUtils.formatDateRange,
+  describePeriod: dateUtils.describePeriod,
   isToday: dateUtils.isToday,
   isYesterday: dateUtils.isYesterday,
   isWeekend: dateUtils.isWeekend,
@@ -55,6 +58,7 @@ module.exports = {
   httpDelete: httpUtils.del,
   requestWithRetry: httpUtils.requestWithRetry,
   parseHttpError: httpUtils.parseError,
+  parseRetryAfter: httpUtils.parseRetryAfter,
   
   // Validation Utils
   isEmpty: validationUtils.isEmpty,
@@ -63,5 +67,6 @@ module.exports = {
   isURL: validationUtils.isURL,
   isDate: validationUtils.isDate,
   isISODate: validationUtils.isISODate,
-  validateObject: validationUtils.validateObject
+  validateObject: validationUtils.validateObject,
+  validateSchema: validationUtils.validateSchema
 };
\ No newline at end of file
@@ -220,6 +220,119 @@ function validateObject(object, schema) {
   return result;
 }
 
+/**
+ * Validate a value against a nested schema (the JSON Schema subset used by the OpenAPI document)
+ * Supports type (including integer), nullable, enum, format, pattern, numeric and length
+ * limits, required, properties, additionalProperties and items.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Validation schema
+ * @returns {Object} - Validation result with errors keyed by field path (e.g. "context.userId")
+ */
+function validateSchema(value, schema) {
+  const result = {
+    valid: true,
+    errors: {}
+  };
+  
+  checkSchema(value, schema, '', result.errors);
+  result.valid = Object.keys(result.errors).length === 0;
+  
+  return result;
+}
+
+/**
+ * Check a value against a schema, recording errors by path
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value
+ * @param {Object} errors - Errors collected so far
+ * @private
+ */
+function checkSchema(value, schema, path, errors) {
+  if (!schema || value === undefined) {
+    return;
+  }
+  
+  const field = path || 'value';
+  
+  if (value === null) {
+    if (schema.type && schema.type !== 'null' && !schema.nullable) {
+      errors[field] = `${field} must not be null`;
+    }
+    return;
+  }
+  
+  if (schema.type && !validateType(value, schema.type)) {
+    errors[field] = `${field} must be a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`;
+    return;
+  }
+  
+  if (schema.format && typeof value === 'string' && !validateFormat(value, schema.format)) {
+    errors[field] = `${field} must be a valid ${schema.format}`;
+    return;
+  }
+  
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors[field] = `${field} does not match required pattern`;
+    return;
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors[field] = `${field} must be one of: ${schema.enum.join(', ')}`;
+    return;
+  }
+  
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors[field] = `${field} must be at least ${schema.minimum}`;
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      errors[field] = `${field} must be at most ${schema.maximum}`;
+    }
+    return;
+  }
+  
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors[field] = `${field} must be at least ${schema.minLength} characters`;
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors[field] = `${field} must be at most ${schema.maxLength} characters`;
+    }
+    return;
+  }
+  
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors[field] = `${field} must have at least ${schema.minItems} items`;
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors[field] = `${field} must have at most ${schema.maxItems} items`;
+    }
+    
+    value.forEach((item, index) => checkSchema(item, schema.items, `${field}[${index}]`, errors));
+    return;
+  }
+  
+  if (typeof value === 'object') {
+    const prefix = path ? `${path}.` : '';
+    const properties = schema.properties || {};
+    
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors[`${prefix}${name}`] = `${prefix}${name} is required`;
+      }
+    });
+    
+    Object.keys(value).forEach(name => {
+      if (properties[name]) {
+        checkSchema(value[name], properties[name], `${prefix}${name}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors[`${prefix}${name}`] = `${prefix}${name} is not allowed`;
+      } else if (typeof schema.additionalProperties === 'object') {
+        checkSchema(value[name], schema.additionalProperties, `${prefix}${name}`, errors);
+      }
+    });
+  }
+}
+
 /**
  * Validate a value against a type
  * @param {*} value - Value to validate
@@ -233,6 +346,8 @@ function validateType(value, type) {
       return typeof value === 'string';
     case 'number':
       return typeof value === 'number' && !isNaN(value);
+    case 'integer':
+      return Number.isInteger(value);
     case 'boolean':
       return typeof value === 'boolean';
     case 'array':
@@ -265,6 +380,8 @@ function validateFormat(value, format) {
     case 'date-time':
     case 'iso-date':
       return isISODate(value);
+    case 'date':
+      return isDate(value);
     default:
       return false;
   }
@@ -277,5 +394,6 @@ module.exports = {
   isURL,
   isDate,
   isISODate,
-  validateObject
+  validateObject,
+  validateSchema
 };
\ No newline at end of file
@@ -1,22 +1,34 @@
 // test-webhook.js
 require('dotenv').config();
 const axios = require('axios');
+const { signRequest } = require('./src/platform/auth');
 
 // Get the webhook auth token from environment variables
 const WEBHOOK_AUTH_TOKEN = process.env.WEBHOOK_AUTH_TOKEN;
 
+// Sign requests instead when a signing key is configured
+const WEBHOOK_SIGNING_KEY_ID = process.env.WEBHOOK_SIGNING_KEY_ID;
+const WEBHOOK_SIGNING_SECRET = process.env.WEBHOOK_SIGNING_SECRET;
+
 // Function to test the webhook with different queries
 async function testWebhook(message) {
   try {
     console.log(`Testing webhook with message: "${message}"`);
     
-    const response = await axios.post('http://localhost:3000/webhook', {
+    const body = JSON.stringify({
       message: message,
       sender: 'test-user',
       channel: 'test-channel'
-    }, {
+    });
+    
+    const authHeaders = WEBHOOK_SIGNING_KEY_ID
+      ? signRequest({ keyId: WEBHOOK_SIGNING_KEY_ID, secret: WEBHOOK_SIGNING_SECRET, path: '/webhook', body })
+      : { 'Authorization': `Bearer ${WEBHOOK_AUTH_TOKEN}` };
+    
+    const response = await axios.post('http://localhost:3000/webhook', body, {
       headers: {
-        'Authorization': `Bearer ${WEBHOOK_AUTH_TOKEN}`
+        'Content-Type': 'application/json',
+        ...authHeaders
       }
     });
 
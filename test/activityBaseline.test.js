@@ -0,0 +1,99 @@
+// test/activityBaseline.test.js
+
+/**
+ * Scoring recent activity against each account's own baseline.
+ */
+
+const { ActivityBaseline } = require('../src/core');
+
+const baseline = new ActivityBaseline();
+
+const HISTORY_FROM = new Date('2026-09-14T00:00:00Z');
+const NOW = new Date('2026-10-15T12:00:00Z');
+
+const event = (actor, type, created) => ({ actor, actorType: 'user', event: type, created });
+
+/**
+ * alice edits one policy a day at 10:00 UTC for 30 days
+ * @returns {Promise<Object>} - Baseline profile
+ */
+function learnHistory() {
+  const events = [];
+  for (let day = 0; day < 30; day++) {
+    events.push(event('alice', 'org.policy.edit', new Date(HISTORY_FROM.getTime() + day * 86400000 + 10 * 3600000).toISOString()));
+  }
+
+  return baseline.learn(events, HISTORY_FROM, '2026-10-14T00:00:00Z');
+}
+
+const learnRecent = events => baseline.learn(events, '2026-10-14T00:00:00Z', NOW);
+
+const times = (count, make) => Array.from({ length: count }, (_, index) => make(index));
+
+describe('ActivityBaseline', () => {
+  test('learns daily counts, event types and active hours per account', async () => {
+    const history = await learnHistory();
+
+    expect(history.days).toBe(30);
+    expect(history.total).toBe(30);
+    expect(history.actors.alice.eventTypes['org.policy.edit']['2026-09-14']).toBe(1);
+    expect(history.actors.alice.hours[10]).toBe(30);
+  });
+
+  test('flags a spike in one kind of action with its z-score', async () => {
+    const recent = await learnRecent(times(9, i => event('alice', 'org.policy.edit', `2026-10-14T10:${String(i).padStart(2, '0')}:00Z`)));
+
+    expect(baseline.compare(await learnHistory(), recent, NOW)).toEqual([{
+      type: 'baseline_deviation',
+      metric: 'event_type',
+      eventType: 'org.policy.edit',
+      user: 'alice',
+      actorType: 'user',
+      day: '2026-10-14',
+      days: 1,
+      count: 9,
+      expected: { mean: 1, stddev: 0, low: 1, high: 1 },
+      score: 8,
+      severity: 'high',
+      description: 'alice normally performs 1 org.policy.edit actions a day; 9 yesterday (score 8.0)'
+    }]);
+  });
+
+  test('normal activity and a few actions are not deviations', async () => {
+    const recent = await learnRecent([
+      event('alice', 'org.policy.edit', '2026-10-14T10:15:00Z'),
+      event('bob', 'org.project.add', '2026-10-14T11:00:00Z'),
+      event('bob', 'org.project.add', '2026-10-14T11:05:00Z')
+    ]);
+
+    expect(baseline.compare(await learnHistory(), recent, NOW)).toEqual([]);
+  });
+
+  test('a spike across many kinds of action is reported as volume', async () => {
+    const recent = await learnRecent(times(5, i => event('carol', `org.thing${i}.edit`, `2026-10-15T09:0${i}:00Z`)));
+    const [deviation] = baseline.compare(await learnHistory(), recent, NOW);
+
+    expect(deviation).toMatchObject({ metric: 'volume', user: 'carol', count: 5, score: 5, severity: 'medium' });
+    expect(deviation.description).toBe('carol normally performs 0 actions a day; 5 today (score 5.0)');
+  });
+
+  test('activity far from the usual hours is flagged', async () => {
+    const recent = await learnRecent([event('alice', 'org.policy.edit', '2026-10-15T03:10:00Z')]);
+    const [deviation] = baseline.compare(await learnHistory(), recent, NOW);
+
+    expect(deviation).toMatchObject({ metric: 'hours', hour: 3, score: 7, expected: { mean: 10.5, stddev: 0 } });
+    expect(deviation.description).toBe('alice is normally active around 10:30 UTC (±1h); active at 03:00–04:00 UTC today (score 7.0)');
+  });
+
+  test('a deviation over several days is reported once, for its worst day', async () => {
+    const recent = await learnRecent([
+      ...times(5, i => event('alice', 'org.policy.edit', `2026-10-14T10:0${i}:00Z`)),
+      ...times(7, i => event('alice', 'org.policy.edit', `2026-10-15T10:0${i}:00Z`))
+    ]);
+    const deviations = baseline.compare(await learnHistory(), recent, NOW);
+
+    expect(deviations).toHaveLength(1);
+    expect(deviations[0]).toMatchObject({ day: '2026-10-15', days: 2, count: 7, score: 6 });
+    expect(deviations[0].description).toMatch(/7 today \(score 6\.0, unusual on 2 days\)$/);
+  });
+});
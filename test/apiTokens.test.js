@@ -0,0 +1,137 @@
+// test/apiTokens.test.js
+
+/**
+ * Scoped API tokens: org restrictions on the query API and token validation
+ * in the store and the admin endpoints.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const axios = require('axios');
+const { ApiTokenStore } = require('../src/platform/auth');
+const { QueryApiHandler, TokenAdminHandler, ClientRateLimiter } = require('../src/platform');
+const { SnykAuditService } = require('../src/api');
+
+const ORG_A = '11111111-1111-4111-8111-111111111111';
+const ORG_B = '22222222-2222-4222-8222-222222222222';
+
+describe('scoped API tokens', () => {
+  let dir;
+  let tokenStore;
+  let server;
+  let baseUrl;
+  let adminToken;
+  let orgToken;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-tokens-'));
+    tokenStore = new ApiTokenStore({ path: path.join(dir, 'tokens.json'), encryptionKey: 'test-key' });
+
+    // Requests that are turned away never reach the Snyk API
+    const auditService = new SnykAuditService('test-api-key', {
+      orgId: ORG_A,
+      eventStorePath: path.join(dir, 'events'),
+      syncIntervalMs: 0
+    });
+    const queryApiHandler = new QueryApiHandler({ tokenStore, auditService });
+    await queryApiHandler.init();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', queryApiHandler.getRouter());
+    app.use('/admin', new TokenAdminHandler({ tokenStore }).getRouter());
+    app.use('/throttled-admin', new TokenAdminHandler({
+      tokenStore,
+      ipRateLimiter: new ClientRateLimiter({ keyBy: 'ip', requestsPerMinute: 1, burst: 2 })
+    }).getRouter());
+
+    ({ token: adminToken } = await tokenStore.issue({ name: 'admin', scopes: ['admin', 'query'] }));
+    ({ token: orgToken } = await tokenStore.issue({ name: 'team-a', scopes: ['query'], orgs: [ORG_A] }));
+
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    // Let last-used updates finish writing before the directory goes
+    await tokenStore.writeQueue;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const request = (method, url, token, data) => axios({
+    method,
+    url: `${baseUrl}${url}`,
+    data,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    validateStatus: () => true
+  });
+
+  test('a token restricted to one org gets a 403 for another org', async () => {
+    const response = await request('get', `/api/events?org=${ORG_B}`, orgToken);
+
+    expect(response.status).toBe(403);
+    expect(response.data.success).toBe(false);
+    expect(response.data.message).toMatch(/does not have access to that organization/);
+  });
+
+  test('a token restricted to orgs cannot administer tokens', async () => {
+    const response = await request('get', '/admin/tokens', orgToken);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('an unknown token is rejected', async () => {
+    const response = await request('get', '/api/events', 'sat_not-a-real-token');
+
+    expect(response.status).toBe(403);
+  });
+
+  test('the store rejects orgs given as a string instead of a list', async () => {
+    await expect(tokenStore.issue({ name: 'string-orgs', scopes: ['query'], orgs: ORG_A }))
+      .rejects.toThrow(/Invalid orgs/);
+    await expect(tokenStore.issue({ name: 'empty-org', scopes: ['query'], orgs: [''] }))
+      .rejects.toThrow(/Invalid orgs/);
+
+    const names = (await tokenStore.list()).map(record => record.name);
+    expect(names).not.toContain('string-orgs');
+    expect(names).not.toContain('empty-org');
+  });
+
+  test('issuing a token with a string orgs is a 400', async () => {
+    const response = await request('post', '/admin/tokens', adminToken, { name: 'string-orgs', scopes: ['query'], orgs: ORG_A });
+
+    expect(response.status).toBe(400);
+    expect(response.data.message).toMatch(/Invalid orgs/);
+  });
+
+  test('issuing a token with an unknown scope is a 400', async () => {
+    const response = await request('post', '/admin/tokens', adminToken, { name: 'bad-scope', scopes: ['everything'] });
+
+    expect(response.status).toBe(400);
+    expect(response.data.message).toMatch(/Unknown scopes/);
+  });
+
+  test('issuing a token with a list of orgs restricts it to those orgs', async () => {
+    const response = await request('post', '/admin/tokens', adminToken, { name: 'team-b', scopes: ['query'], orgs: [ORG_B] });
+
+    expect(response.status).toBe(201);
+    expect(response.data.data.orgs).toEqual([ORG_B]);
+
+    const forbidden = await request('get', `/api/events?org=${ORG_A}`, response.data.token);
+    expect(forbidden.status).toBe(403);
+  });
+
+  test('the admin endpoints limit requests per IP before checking the token', async () => {
+    const statuses = [];
+    for (let attempt = 0; attempt < 3; attempt++) {
+      statuses.push((await request('get', '/throttled-admin/tokens', 'guessed-token')).status);
+    }
+
+    expect(statuses).toEqual([403, 403, 429]);
+  });
+});
@@ -0,0 +1,99 @@
+// test/auditQueryParser.test.js
+
+/**
+ * The audit query filter syntax: telling queries from questions, parsing, validation and compiling
+ * to search params.
+ */
+
+const { AuditQueryParser } = require('../src/core');
+
+const parser = new AuditQueryParser();
+
+describe('AuditQueryParser', () => {
+  test.each([
+    'event:org.policy.* since:14d',
+    'user:"Alice Admin" severity:high',
+    'org:payments'
+  ])('"%s" is a query', text => {
+    expect(parser.isQuery(text)).toBe(true);
+  });
+
+  test.each([
+    'security events org:payments',
+    'show events for user:alice',
+    'what happened at 10:30',
+    'show security events'
+  ])('"%s" is a question', text => {
+    expect(parser.isQuery(text)).toBe(false);
+  });
+
+  test('parses filters, quoted values and repeated list filters', () => {
+    expect(parser.parse('event:org.policy.* user:"Alice Admin" severity:high severity:medium,high event:org.webhook.add limit:20'))
+      .toEqual({
+        filters: {
+          event: ['org.policy.*', 'org.webhook.add'],
+          user: 'Alice Admin',
+          severity: ['high', 'medium'],
+          limit: 20
+        },
+        errors: []
+      });
+  });
+
+  test.each([
+    ['since:yesterday', /isn't a time/],
+    ['limit:1000', /from 1 to 500/],
+    ['colour:red', /Unknown filter "colour"/],
+    ['user:alice user:bob', /can only be given once/],
+    ['since:2026-10-02 until:2026-10-01', /is after/]
+  ])('"%s" is reported as an error', (text, error) => {
+    const { errors } = parser.parse(text);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(error);
+  });
+
+  test('extracts the filters of a question and ignores its words', () => {
+    expect(parser.extractFilters('show events for user:alice')).toEqual({ filters: { user: 'alice' }, errors: [] });
+    expect(parser.extractFilters('security events org:payments severity:high')).toEqual({
+      filters: { org: 'payments', severity: ['high'] },
+      errors: []
+    });
+  });
+
+  test('reports invalid filter values in a question', () => {
+    const { filters, errors } = parser.extractFilters('security events severity:urgent');
+
+    expect(filters).toEqual({});
+    expect(errors).toHaveLength(1);
+  });
+
+  test('compiles filters into search params and client-side filters', () => {
+    const now = new Date('2026-10-15T12:00:00Z');
+    const { filters } = parser.parse('event:org.policy.* user:alice since:2d until:2026-10-14 severity:high limit:5 org:payments');
+
+    expect(parser.compile(filters, { now })).toEqual({
+      params: {
+        from: '2026-10-13T12:00:00.000Z',
+        to: '2026-10-14T23:59:59.999Z',
+        events: ['org.policy.*'],
+        user_id: 'alice'
+      },
+      clientFilters: { severity: ['high'], limit: 5 },
+      org: 'payments'
+    });
+    expect(parser.compile({}, { now, defaultDays: 1 }).params).toEqual({ from: '2026-10-14T12:00:00.000Z' });
+  });
+
+  test('filters events by severity on the client', () => {
+    const events = [{ severity: 'high' }, { severity: 'low' }];
+
+    expect(parser.applyClientFilters(events, { severity: ['high'], limit: null })).toEqual([{ severity: 'high' }]);
+    expect(parser.applyClientFilters(events, {})).toBe(events);
+  });
+
+  test('writes filters back out as query text', () => {
+    expect(parser.format({ event: ['org.policy.*'], user: 'Alice Admin', since: '14d' }))
+      .toBe('event:org.policy.* user:"Alice Admin" since:14d');
+  });
+});
@@ -0,0 +1,70 @@
+// test/changeDiff.test.js
+
+/**
+ * Field-level changes of edit events, from snapshots or reported change lists.
+ */
+
+const { ChangeDiff } = require('../src/core');
+const { normalizeEvent } = require('../src/api/eventNormalizer');
+
+const changeDiff = new ChangeDiff();
+
+const editEvent = content => normalizeEvent({ created: '2024-05-01T10:00:00Z', event: 'org.sast_settings.edit', user_id: 'alice', content });
+
+describe('ChangeDiff', () => {
+  test('diffs before and after snapshots field by field', () => {
+    const event = editEvent({
+      before: { sastEnabled: true, autofix: { enabled: false }, labels: ['a'] },
+      after: { sastEnabled: false, autofix: { enabled: false }, reviewer: 'bob' }
+    });
+
+    expect(changeDiff.diff(event)).toEqual([
+      { field: 'sastEnabled', from: true, to: false, type: 'changed' },
+      { field: 'labels', from: ['a'], to: null, type: 'removed' },
+      { field: 'reviewer', from: null, to: 'bob', type: 'added' }
+    ]);
+  });
+
+  test('prefers the reported change list, including nested settings groups', () => {
+    const event = editEvent({
+      before: { ignored: 'snapshot' },
+      after: { ignored: 'snapshot too' },
+      changes: {
+        severityThreshold: { from: 'medium', to: 'high' },
+        pullRequests: { failOnAnyIssue: { from: false, to: true } }
+      }
+    });
+
+    expect(changeDiff.diff(event)).toEqual([
+      { field: 'severityThreshold', from: 'medium', to: 'high', type: 'changed' },
+      { field: 'pullRequests.failOnAnyIssue', from: false, to: true, type: 'changed' }
+    ]);
+  });
+
+  test('reports nothing when nothing is known about the change', () => {
+    expect(changeDiff.diff(editEvent({}))).toEqual([]);
+    expect(changeDiff.formatChanges(editEvent({ before: { a: 1 }, after: { a: 1 } }))).toEqual([]);
+  });
+
+  test('renders short change lines', () => {
+    expect(changeDiff.formatChange({ field: 'severityThreshold', from: 'medium', to: 'high', type: 'changed' }))
+      .toBe('severityThreshold: medium → high');
+    expect(changeDiff.formatChange({ field: 'reviewer', from: null, to: 'bob', type: 'added' })).toBe('reviewer set to bob');
+    expect(changeDiff.formatChange({ field: 'labels', from: ['a', 'b'], to: null, type: 'removed' })).toBe('labels removed (was [a, b])');
+  });
+
+  test('caps the number of lines and the length of values', () => {
+    const short = new ChangeDiff({ maxChanges: 2, maxValueLength: 10 });
+    const event = editEvent({ before: { a: 1, b: 2, c: 3, d: 'x'.repeat(20) }, after: { a: 2, b: 3, c: 4, d: 'y'.repeat(20) } });
+
+    expect(short.formatChanges(event)).toEqual(['a: 1 → 2', 'b: 2 → 3', '…and 2 more changes']);
+    expect(short.formatChange({ field: 'd', from: 'x'.repeat(20), to: 'y', type: 'changed' })).toBe('d: xxxxxxxxx… → y');
+  });
+
+  test('annotates an event with its changes for API payloads', () => {
+    const event = editEvent({ before: { a: 1 }, after: { a: 2 } });
+
+    expect(changeDiff.annotate(event).changes).toEqual([{ field: 'a', from: 1, to: 2, type: 'changed' }]);
+    expect(event.changes).toBeUndefined();
+  });
+});
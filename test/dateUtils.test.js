@@ -0,0 +1,73 @@
+// test/dateUtils.test.js
+
+/**
+ * Calendar date ranges in parseDateRange, including calendar weeks and months.
+ */
+
+const { parseDateRange } = require('../src/utils');
+
+// Wednesday, Oct 14, 2026, 3:30 PM local time
+const now = new Date(2026, 9, 14, 15, 30);
+
+const endOfDay = (year, month, day) => new Date(year, month, day, 23, 59, 59, 999);
+
+describe('parseDateRange', () => {
+  test.each([
+    ['between Oct 3 and Oct 10', new Date(2026, 9, 3), endOfDay(2026, 9, 10)],
+    ['from 2026-09-01 to 2026-09-15', new Date(2026, 8, 1), endOfDay(2026, 8, 15)],
+    ['Oct 3', new Date(2026, 9, 3), endOfDay(2026, 9, 3)],
+    ['yesterday', new Date(2026, 9, 13), endOfDay(2026, 9, 13)]
+  ])('"%s" covers whole days', (text, start, end) => {
+    expect(parseDateRange(text, now)).toEqual({ start, end });
+  });
+
+  test('"since last Tuesday" runs until now', () => {
+    expect(parseDateRange('since last Tuesday', now)).toEqual({ start: new Date(2026, 9, 13), end: now });
+  });
+
+  test.each([
+    ['Q3', new Date(2026, 6, 1), endOfDay(2026, 8, 30)],
+    ['last quarter', new Date(2026, 6, 1), endOfDay(2026, 8, 30)],
+    ['this quarter', new Date(2026, 9, 1), now]
+  ])('"%s" is a calendar quarter', (text, start, end) => {
+    expect(parseDateRange(text, now)).toEqual({ start, end });
+  });
+
+  test('"this month" runs from the first of the month until now', () => {
+    expect(parseDateRange('this month', now)).toEqual({ start: new Date(2026, 9, 1), end: now });
+  });
+
+  test('"last month" is the whole previous calendar month', () => {
+    expect(parseDateRange('last month', now)).toEqual({ start: new Date(2026, 8, 1), end: endOfDay(2026, 8, 30) });
+  });
+
+  test('"last month" in January is December of the year before', () => {
+    expect(parseDateRange('last month', new Date(2026, 0, 10)).start).toEqual(new Date(2025, 11, 1));
+  });
+
+  test('"this week" runs from Sunday until now', () => {
+    expect(parseDateRange('this week', now)).toEqual({ start: new Date(2026, 9, 11), end: now });
+  });
+
+  test('"last week" is the previous Sunday to Saturday', () => {
+    expect(parseDateRange('last week', now)).toEqual({ start: new Date(2026, 9, 4), end: endOfDay(2026, 9, 10) });
+  });
+
+  test('"since last week" runs from the start of last week until now', () => {
+    expect(parseDateRange('since last week', now)).toEqual({ start: new Date(2026, 9, 4), end: now });
+  });
+
+  test('a month without a year is the most recent one that is not in the future', () => {
+    expect(parseDateRange('in September', now)).toEqual({ start: new Date(2026, 8, 1), end: endOfDay(2026, 8, 30) });
+    expect(parseDateRange('November', now)).toEqual({ start: new Date(2025, 10, 1), end: endOfDay(2025, 10, 30) });
+  });
+
+  test('a range that ends before it starts is not a range', () => {
+    expect(parseDateRange('Oct 10 to Oct 3', now)).toBeNull();
+  });
+
+  test('rolling periods are not calendar ranges', () => {
+    expect(parseDateRange('7 days', now)).toBeNull();
+    expect(parseDateRange('1 month', now)).toBeNull();
+  });
+});
@@ -18,7 +18,7 @@ if (!SNYK_API_KEY || !SNYK_ORG_ID) {
 
 // Create axios instance with common configuration
 const api = axios.create({
-  baseURL: 'https://api.snyk.io',
+  baseURL: process.env.SNYK_API_URL || 'https://api.snyk.io',
   timeout: 15000,
   headers: {
     'Authorization': `token ${SNYK_API_KEY}`,
@@ -0,0 +1,75 @@
+// test/eventNormalizer.test.js
+
+/**
+ * Normalizing raw audit log items into the canonical event shape.
+ */
+
+const { normalizeEvent, isNormalizedEvent, getEventActor, getEventProject } = require('../src/api/eventNormalizer');
+const { EventTaxonomy } = require('../src/config');
+
+const ORG_ID = '11111111-1111-4111-8111-111111111111';
+
+describe('normalizeEvent', () => {
+  test('maps a policy edit to the canonical shape', () => {
+    const raw = {
+      created: '2024-05-01T10:00:00Z',
+      event: 'org.policy.edit',
+      user_id: 'alice',
+      org_id: ORG_ID,
+      project_id: null,
+      content: { policy_id: 'pol-1', name: 'Default', before: { severity: 'high' }, after: { severity: 'low' } }
+    };
+
+    expect(normalizeEvent(raw)).toEqual({
+      created: '2024-05-01T10:00:00Z',
+      event: 'org.policy.edit',
+      actor: 'alice',
+      actorType: 'user',
+      orgId: ORG_ID,
+      projectId: null,
+      target: { type: 'policy', id: 'pol-1', name: 'Default' },
+      action: 'edit',
+      category: 'policy',
+      severity: 'medium',
+      before: { severity: 'high' },
+      after: { severity: 'low' },
+      raw
+    });
+  });
+
+  test('finds the actor and project inside the content', () => {
+    const event = normalizeEvent({
+      created: '2024-05-01T10:00:00Z',
+      event: 'org.project.ignore.create',
+      content: { performed_by: 'bob', projectId: 'proj-1' }
+    });
+
+    expect(event.actor).toBe('bob');
+    expect(event.projectId).toBe('proj-1');
+    expect(event.target).toEqual({ type: 'project.ignore', id: 'proj-1', name: null });
+  });
+
+  test('tells users, service accounts and the system apart', () => {
+    const actorType = (user_id, content = {}) => normalizeEvent({ event: 'org.project.test', user_id, content }).actorType;
+
+    expect(actorType('alice')).toBe('user');
+    expect(actorType('ci-bot')).toBe('service_account');
+    expect(actorType('sa-7', { service_account_id: 'sa-7' })).toBe('service_account');
+    expect(actorType(undefined)).toBe('system');
+  });
+
+  test('takes category and severity from the taxonomy it is given', () => {
+    const taxonomy = new EventTaxonomy({ 'org.webhook.add': { severity: 'medium' } });
+
+    expect(normalizeEvent({ event: 'org.webhook.add', content: {} }, taxonomy)).toMatchObject({ category: 'webhook', severity: 'medium' });
+  });
+
+  test('leaves normalized events as they are', () => {
+    const event = normalizeEvent({ event: 'org.user.add', user_id: 'alice', project_id: 'proj-1', content: {} });
+
+    expect(isNormalizedEvent(event)).toBe(true);
+    expect(normalizeEvent(event)).toBe(event);
+    expect(getEventActor(event)).toBe('alice');
+    expect(getEventProject(event)).toBe('proj-1');
+  });
+});
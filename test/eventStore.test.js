@@ -0,0 +1,77 @@
+// test/eventStore.test.js
+
+/**
+ * The local audit event store: deduplication, filters and sync state.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditEventStore } = require('../src/api');
+
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+const events = [
+  { created: hoursAgo(1), event: 'org.policy.edit', user_id: 'alice', project_id: 'p1', content: {} },
+  { created: hoursAgo(5), event: 'org.user.add', user_id: 'bob', project_id: null, content: { user_id: 'carol' } },
+  { created: hoursAgo(50), event: 'org.project.ignore.create', user_id: 'alice', project_id: 'p2', content: {} }
+];
+
+describe('AuditEventStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-store-'));
+    store = new AuditEventStore({ directory: dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('skips events it already holds, also after a restart', async () => {
+    expect(await store.append('org-a', events)).toBe(3);
+    expect(await store.append('org-a', events.slice(0, 2))).toBe(0);
+
+    const reopened = new AuditEventStore({ directory: dir });
+    expect(await reopened.append('org-a', events)).toBe(0);
+    expect(await reopened.query('org-a')).toHaveLength(3);
+  });
+
+  test('keeps scopes apart', async () => {
+    await store.append('org-a', events);
+
+    expect(await store.query('org-b')).toEqual([]);
+  });
+
+  test('returns matching events newest first', async () => {
+    await store.append('org-a', [...events].reverse());
+
+    const all = await store.query('org-a');
+    expect(all.map(event => event.event)).toEqual(['org.policy.edit', 'org.user.add', 'org.project.ignore.create']);
+
+    const recent = await store.query('org-a', { from: hoursAgo(10), to: hoursAgo(2) });
+    expect(recent.map(event => event.event)).toEqual(['org.user.add']);
+  });
+
+  test('filters by event type, user and project', async () => {
+    await store.append('org-a', events);
+
+    expect(await store.query('org-a', { events: ['org.user.add'] })).toHaveLength(1);
+    expect((await store.query('org-a', { userId: 'alice' })).map(event => event.project_id)).toEqual(['p1', 'p2']);
+    expect((await store.query('org-a', { projectId: 'p2' })).map(event => event.event)).toEqual(['org.project.ignore.create']);
+  });
+
+  test('saves the sync state and starts empty without one', async () => {
+    const state = await store.getState('org-a');
+    expect(state.coverageFrom).toBeNull();
+    expect(state.eventCount).toBe(0);
+
+    await store.saveState('org-a', { ...state, coverageFrom: events[2].created, eventCount: 3 });
+
+    const saved = await new AuditEventStore({ directory: dir }).getState('org-a');
+    expect(saved.coverageFrom).toBe(events[2].created);
+    expect(saved.eventCount).toBe(3);
+  });
+});
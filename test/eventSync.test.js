@@ -0,0 +1,168 @@
+// test/eventSync.test.js
+
+/**
+ * Incremental sync of the local event store against a fake Snyk audit log API.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { SnykAuditService } = require('../src/api');
+
+const ORG_ID = '11111111-1111-4111-8111-111111111111';
+const PAGE_SIZE = 2;
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * Serve the org audit log search endpoint from a list of events, a few per page
+ * @param {Array} events - Audit log events; may be added to while the server runs
+ * @returns {Object} - { app, searches, failingCursors } where searches records each
+ * request's query and requests for a cursor in failingCursors get a 500
+ */
+function createFakeSnykApi(events) {
+  const searches = [];
+  const failingCursors = new Set();
+  const app = express();
+
+  app.get('/rest/orgs/:orgId/audit_logs/search', (req, res) => {
+    searches.push(req.query);
+
+    if (failingCursors.has(req.query.next_page)) {
+      return res.status(500).json({ errors: [{ detail: 'Internal Server Error' }] });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date(0);
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const matching = events
+      .filter(event => new Date(event.created) >= from && new Date(event.created) <= to)
+      .sort((a, b) => new Date(b.created) - new Date(a.created));
+
+    const offset = parseInt(req.query.next_page || '0', 10);
+    const end = offset + Math.min(PAGE_SIZE, parseInt(req.query.limit || '100', 10));
+    const next = end < matching.length
+      ? `/rest/orgs/${req.params.orgId}/audit_logs/search?starting_after=${end}`
+      : undefined;
+
+    return res.json({
+      data: matching.slice(offset, end).map((event, index) => ({ id: `${offset + index}`, attributes: event })),
+      links: next ? { next } : {}
+    });
+  });
+
+  return { app, searches, failingCursors };
+}
+
+describe('event store sync', () => {
+  let dir;
+  let server;
+  let events;
+  let searches;
+  let failingCursors;
+  let baseUrl;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-sync-'));
+    events = [
+      { created: daysAgo(1), event: 'org.policy.edit', user_id: 'alice', org_id: ORG_ID, content: {} },
+      { created: daysAgo(2), event: 'org.user.add', user_id: 'bob', org_id: ORG_ID, content: {} },
+      { created: daysAgo(3), event: 'org.webhook.add', user_id: 'alice', org_id: ORG_ID, content: {} },
+      { created: daysAgo(10), event: 'org.user.remove', user_id: 'bob', org_id: ORG_ID, content: {} }
+    ];
+
+    let app;
+    ({ app, searches, failingCursors } = createFakeSnykApi(events));
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createService = (config = {}) => new SnykAuditService('test-api-key', {
+    orgId: ORG_ID,
+    baseUrl,
+    retryDelay: 1,
+    eventStorePath: dir,
+    ...config
+  });
+
+  test('the first question backfills its window up to now', async () => {
+    const service = createService();
+
+    const result = await service.getAllEvents(5);
+
+    expect(result.map(event => event.event)).toEqual(['org.policy.edit', 'org.user.add', 'org.webhook.add']);
+    expect(new Set(searches.map(search => search.from)).size).toBe(1);
+    expect(new Date(searches[0].from).getTime()).toBeCloseTo(Date.now() - 5 * 24 * 60 * 60 * 1000, -4);
+  });
+
+  test('a longer window only fetches the older history it is missing', async () => {
+    const service = createService();
+    await service.getAllEvents(5);
+    const coverageFrom = searches[0].from;
+    searches.length = 0;
+
+    const result = await service.getAllEvents(14);
+
+    expect(result).toHaveLength(4);
+    expect(searches.length).toBeGreaterThan(0);
+    expect(searches.every(search => search.to === coverageFrom)).toBe(true);
+  });
+
+  test('a later question only fetches events newer than the last stored one', async () => {
+    const service = createService({ syncIntervalMs: 0 });
+    await service.getAllEvents(5);
+    searches.length = 0;
+
+    events.push({ created: daysAgo(0.5), event: 'org.webhook.delete', user_id: 'bob', org_id: ORG_ID, content: {} });
+    const result = await service.getAllEvents(5);
+
+    expect(searches.every(search => search.from === events[0].created)).toBe(true);
+    expect(result.map(event => event.event)).toEqual(['org.webhook.delete', 'org.policy.edit', 'org.user.add', 'org.webhook.add']);
+  });
+
+  test('questions within the sync interval are answered from the store', async () => {
+    const service = createService({ syncIntervalMs: 60000 });
+    await service.getAllEvents(5);
+    searches.length = 0;
+
+    expect(await service.getAllEvents(4)).toHaveLength(3);
+    expect(searches).toHaveLength(0);
+  });
+
+  test('a walk that fails part-way is reported as incomplete and resumed from its cursor', async () => {
+    const service = createService({ syncIntervalMs: 60000 });
+    failingCursors.add('2');
+
+    const partial = await service.getAllEvents(5);
+    const completeness = await service.getCompleteness(daysAgo(5));
+
+    expect(partial.map(event => event.event)).toEqual(['org.policy.edit', 'org.user.add']);
+    expect(completeness).toMatchObject({ complete: false, resumable: true, lastCursor: '2', coverageFrom: null });
+    expect(completeness.error).toMatch(/page 2/);
+
+    failingCursors.clear();
+    searches.length = 0;
+    const resumed = await service.getAllEvents(5);
+
+    expect(searches[0]).toMatchObject({ next_page: '2' });
+    expect(resumed.map(event => event.event)).toEqual(['org.policy.edit', 'org.user.add', 'org.webhook.add']);
+    expect(await service.getCompleteness(daysAgo(5))).toMatchObject({ complete: true, resumable: false, lastCursor: null });
+  });
+
+  test('reports history older than the stored coverage as not loaded', async () => {
+    const service = createService();
+    await service.getAllEvents(5);
+
+    const completeness = await service.getCompleteness(daysAgo(14));
+
+    expect(completeness.complete).toBe(false);
+    expect(completeness.error).toMatch(/older audit history/);
+  });
+});
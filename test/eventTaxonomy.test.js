@@ -0,0 +1,97 @@
+// test/eventTaxonomy.test.js
+
+/**
+ * The shared event taxonomy: defaults, inferred entries, overrides and event type wildcards.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventTaxonomy, getEventTaxonomy } = require('../src/config');
+const { eventTypeMatcher } = require('../src/config/eventTaxonomy');
+
+describe('EventTaxonomy', () => {
+  const taxonomy = new EventTaxonomy();
+
+  test('describes known events', () => {
+    expect(taxonomy.get('org.webhook.add')).toMatchObject({
+      category: 'webhook',
+      severity: 'high',
+      security: true,
+      known: true
+    });
+    expect(taxonomy.describe('org.policy.edit')).toBe('Security policy modified');
+  });
+
+  test('infers a low-key entry for events it does not know', () => {
+    expect(taxonomy.get('org.widget.frobnicate')).toEqual({
+      event: 'org.widget.frobnicate',
+      category: 'widget',
+      severity: 'info',
+      security: false,
+      description: 'widget frobnicate',
+      known: false
+    });
+    expect(taxonomy.isSecurityCritical('org.widget.frobnicate')).toBe(false);
+  });
+
+  test('groups events into security-critical and user activity', () => {
+    expect(taxonomy.getSecurityEvents()).toEqual(expect.arrayContaining(['org.policy.delete', 'org.webhook.add']));
+    expect(taxonomy.getSecurityEvents()).not.toContain('org.user.add');
+    expect(taxonomy.getUserActivityEvents()).toEqual(expect.arrayContaining(['org.user.add', 'api.access']));
+    expect(taxonomy.isUserActivity('org.policy.edit')).toBe(false);
+  });
+
+  test('overrides change severities and add events without touching the defaults', () => {
+    const custom = new EventTaxonomy({
+      'org.project.ignore.create': { severity: 'high' },
+      'org.custom.thing.edit': { category: 'custom', severity: 'medium', security: true, description: 'Custom thing edited' }
+    });
+
+    expect(custom.getSeverity('org.project.ignore.create')).toBe('high');
+    expect(custom.get('org.custom.thing.edit')).toMatchObject({ category: 'custom', security: true, known: true });
+    expect(custom.getEventsBySeverity('high')).toContain('org.project.ignore.create');
+    expect(taxonomy.getSeverity('org.project.ignore.create')).toBe('medium');
+  });
+
+  test('rejects an unknown severity', () => {
+    expect(() => new EventTaxonomy({ 'org.policy.edit': { severity: 'urgent' } })).toThrow(/Invalid severity "urgent"/);
+  });
+});
+
+describe('getEventTaxonomy', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taxonomy-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('applies overrides from a YAML file', () => {
+    const file = path.join(dir, 'taxonomy.yaml');
+    fs.writeFileSync(file, 'events:\n  org.sast_settings.edit:\n    severity: high\n');
+
+    expect(getEventTaxonomy(file).getSeverity('org.sast_settings.edit')).toBe('high');
+  });
+
+  test('falls back to the defaults when the overrides file is broken', () => {
+    const file = path.join(dir, 'taxonomy.json');
+    fs.writeFileSync(file, '{ not json');
+
+    expect(getEventTaxonomy(file).getSeverity('org.sast_settings.edit')).toBe('low');
+  });
+});
+
+describe('eventTypeMatcher', () => {
+  test('matches exact event types and "*" wildcards', () => {
+    const matches = eventTypeMatcher(['org.webhook.add', 'org.policy.*']);
+
+    expect(matches('org.webhook.add')).toBe(true);
+    expect(matches('org.policy.edit')).toBe(true);
+    expect(matches('org.webhook.delete')).toBe(false);
+    expect(matches('org.policyXedit')).toBe(false);
+  });
+});
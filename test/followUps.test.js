@@ -0,0 +1,80 @@
+// test/followUps.test.js
+
+/**
+ * Follow-up questions resolved against the previous turn of a session.
+ */
+
+const { EntityExtractor, IntentRecognizer, FollowUpResolver } = require('../src/nlp');
+
+const entityExtractor = new EntityExtractor();
+const intentRecognizer = new IntentRecognizer();
+const followUpResolver = new FollowUpResolver();
+
+// The previous question was about bob's activity this week
+const context = {
+  lastIntent: 'user_activity_query',
+  lastEntities: { user_id: 'bob', time_period: 'this week' }
+};
+
+const resolve = message => followUpResolver.resolve(
+  message,
+  intentRecognizer.recognizeIntent(message),
+  entityExtractor.extractEntities(message),
+  context
+);
+
+describe('follow-ups', () => {
+  test.each([
+    'and alice?',
+    'what about alice?',
+    'alice too?',
+    'and @alice?'
+  ])('"%s" asks the same question about alice instead of bob', message => {
+    const followUp = resolve(message);
+
+    expect(followUp.intent).toBe('user_activity_query');
+    expect(followUp.entities).toEqual({ user_id: 'alice', time_period: 'this week' });
+  });
+
+  test('"what about last month?" only replaces the time period', () => {
+    const followUp = resolve('what about last month?');
+
+    expect(followUp.intent).toBe('user_activity_query');
+    expect(followUp.entities).toEqual({ user_id: 'bob', time_period: 'last month' });
+  });
+
+  test('"what about in the payments org?" keeps bob and adds the org', () => {
+    const followUp = resolve('what about in the payments org?');
+
+    expect(followUp.intent).toBe('user_activity_query');
+    expect(followUp.entities).toEqual({ user_id: 'bob', time_period: 'this week', org: 'payments' });
+  });
+
+  test('"what about suspicious activity?" switches the question and keeps the time period', () => {
+    const followUp = resolve('what about suspicious activity?');
+
+    expect(followUp.intent).toBe('suspicious_activity_query');
+    expect(followUp.entities).toEqual({ time_period: 'this week' });
+  });
+
+  test('"who did the second one?" refers to an item of the previous answer', () => {
+    expect(resolve('who did the second one?')).toEqual({
+      intent: 'result_reference',
+      entities: { reference: { ordinal: 2, question: 'who' } },
+      confidence: 0.9
+    });
+  });
+
+  test('a new question does not build on the previous one', () => {
+    expect(resolve('show me all security events from the past 30 days')).toBeNull();
+  });
+
+  test.each([
+    'and now?',
+    'and policies?',
+    'what about for last month?'
+  ])('"%s" does not take an ordinary word for a user', message => {
+    expect(entityExtractor.extractEntities(message).user_id).toBeUndefined();
+    expect(resolve(message).entities.user_id).toBe('bob');
+  });
+});
@@ -0,0 +1,106 @@
+// test/ignoreAnalyzer.test.js
+
+/**
+ * Rebuilding the ignore inventory from audit events and flagging risky ignores.
+ */
+
+const { IgnoreAnalyzer } = require('../src/core');
+const { normalizeEvent } = require('../src/api/eventNormalizer');
+
+const NOW = new Date('2026-10-15T12:00:00Z');
+
+const event = (type, user, created, content = {}, project = 'p-payments-api') => normalizeEvent({
+  created,
+  event: type,
+  user_id: user,
+  org_id: 'org-1',
+  project_id: project,
+  content
+});
+
+const ignore = (user, created, issueId, content = {}) => event('org.project.ignore.create', user, created, {
+  issueId,
+  reason: 'Not exploitable here',
+  expires: '2026-11-01T00:00:00Z',
+  ...content
+});
+
+describe('IgnoreAnalyzer', () => {
+  const analyzer = new IgnoreAnalyzer();
+
+  test('replays edits and removals onto the ignores they change', async () => {
+    const inventory = await analyzer.analyzeIgnores([
+      event('org.project.ignore.delete', 'bob', '2026-10-12T10:00:00Z', { issueId: 'SNYK-2' }),
+      event('org.project.ignore.edit', 'bob', '2026-10-11T10:00:00Z', { issueId: 'SNYK-1', reason: 'Fixed upstream soon' }),
+      ignore('alice', '2026-10-10T10:00:00Z', 'SNYK-1'),
+      ignore('alice', '2026-10-10T11:00:00Z', 'SNYK-2'),
+      event('org.project.ignore.edit', 'bob', '2026-10-13T10:00:00Z', { issueId: 'SNYK-OLD', expires: '2026-12-01T00:00:00Z' }),
+      event('org.project.ignore.edit', 'bob', '2026-10-13T11:00:00Z', {}),
+      event('org.project.add', 'alice', '2026-10-13T12:00:00Z')
+    ], NOW);
+
+    expect(inventory.ignores.map(entry => [entry.issueId, entry.status])).toEqual([
+      ['SNYK-OLD', 'active'],
+      ['SNYK-2', 'removed'],
+      ['SNYK-1', 'active']
+    ]);
+    expect(inventory.ignores[2]).toMatchObject({ createdBy: 'alice', reason: 'Fixed upstream soon', edits: 1, updatedBy: 'bob' });
+    expect(inventory.ignores[1]).toMatchObject({ removedBy: 'bob', removed: '2026-10-12T10:00:00Z' });
+    expect(inventory.ignores[0]).toMatchObject({ createdBy: null, expires: '2026-12-01T00:00:00Z', risks: [] });
+    expect(inventory.unmatched).toBe(1);
+    expect(inventory.totals).toEqual({ created: 2, edited: 2, removed: 1, active: 2, risky: 0 });
+  });
+
+  test('flags ignores without a reason or expiry, with a long expiry or made after a failing test', async () => {
+    const inventory = await analyzer.analyzeIgnores([
+      ignore('alice', '2026-10-10T10:00:00Z', 'SNYK-1', { reason: '  ' }),
+      ignore('alice', '2026-10-10T10:05:00Z', 'SNYK-2', { expires: null }),
+      ignore('bob', '2026-10-10T10:10:00Z', 'SNYK-3', { expires: '2027-06-01T00:00:00Z' }),
+      event('org.project.test', 'ci-bot', '2026-10-11T09:50:00Z', { success: false }, 'p-web'),
+      ignore('carol', '2026-10-11T10:00:00Z', 'SNYK-4'),
+      event('org.project.ignore.create', 'carol', '2026-10-11T10:05:00Z', { issueId: 'SNYK-5', reason: 'ok', expires: '2026-10-20T00:00:00Z' }, 'p-web')
+    ], NOW);
+
+    const risks = Object.fromEntries(inventory.ignores.map(entry => [entry.issueId, entry.risks]));
+    expect(risks).toEqual({
+      'SNYK-1': ['no_reason'],
+      'SNYK-2': ['no_expiry'],
+      'SNYK-3': ['long_expiry'],
+      'SNYK-4': [],
+      'SNYK-5': ['after_failing_test']
+    });
+    expect(inventory.findings.map(finding => [finding.type, finding.severity, finding.users])).toEqual([
+      ['ignore_after_failing_test', 'high', ['carol']],
+      ['ignore_without_reason', 'medium', ['alice']],
+      ['ignore_long_expiry', 'medium', ['bob']],
+      ['ignore_without_expiry', 'low', ['alice']]
+    ]);
+  });
+
+  test('flags many ignores by one user in a short time', async () => {
+    const burst = Array.from({ length: 6 }, (_, index) => ignore('mallory', `2026-10-14T02:4${index}:00Z`, `SNYK-${index}`));
+    const inventory = await analyzer.analyzeIgnores(burst, NOW);
+
+    expect(inventory.findings[0]).toMatchObject({ type: 'mass_ignore', severity: 'high', count: 6, users: ['mallory'] });
+    expect(inventory.findings[0].description).toBe('mallory ignored 6 issues within 60 minutes');
+    expect((await analyzer.analyzeIgnores(burst.slice(1), NOW)).findings).toEqual([]);
+  });
+
+  test('marks ignores past their expiry as expired', async () => {
+    const inventory = await analyzer.analyzeIgnores([ignore('alice', '2026-09-01T10:00:00Z', 'SNYK-1', { expires: '2026-10-01T00:00:00Z' })], NOW);
+
+    expect(inventory.ignores[0].status).toBe('expired');
+    expect(inventory.totals.active).toBe(0);
+  });
+
+  test('summarizes the inventory with display names', async () => {
+    const named = new IgnoreAnalyzer({ formatUserDisplay: async userId => `${userId[0].toUpperCase()}${userId.slice(1)}` });
+    const inventory = await named.analyzeIgnores([ignore('alice', '2026-10-10T10:00:00Z', 'SNYK-1', { reason: '' })], NOW);
+    const summary = await named.generateIgnoreSummary(inventory, 7);
+
+    expect(summary).toMatch(/^I found 1 ignore added .*\(1 still active\):/);
+    expect(summary).toMatch(/- SNYK-1 in p-payments-api by Alice on .*: no reason, expires/);
+    expect(summary).toMatch(/1 ignore has no reason \(on p-payments-api; by Alice\)/);
+    expect(await named.generateIgnoreSummary({ ignores: [], policyChanges: [] }, 7)).toMatch(/^Good news!/);
+  });
+});
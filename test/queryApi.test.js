@@ -0,0 +1,83 @@
+// test/queryApi.test.js
+
+/**
+ * Error handling and the expensive query quota in the query API.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const axios = require('axios');
+const { QueryApiHandler, ClientRateLimiter } = require('../src/platform');
+const { SnykAuditService } = require('../src/api');
+
+const ORG_ID = '11111111-1111-4111-8111-111111111111';
+
+describe('query API', () => {
+  let dir;
+  let auditService;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'query-api-'));
+    auditService = new SnykAuditService('test-api-key', {
+      orgId: ORG_ID,
+      eventStorePath: path.join(dir, 'events'),
+      syncIntervalMs: 0
+    });
+    const queryApiHandler = new QueryApiHandler({ authToken: 'test-secret', auditService });
+    await queryApiHandler.init();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', queryApiHandler.getRouter());
+
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const get = url => axios.get(`${baseUrl}${url}`, {
+    headers: { Authorization: 'Bearer test-secret' },
+    validateStatus: () => true
+  });
+
+  test('a failure while costing a query is a JSON error', async () => {
+    const estimateQueryDays = auditService.estimateQueryDays;
+    auditService.estimateQueryDays = jest.fn(async () => {
+      throw new Error('store unavailable');
+    });
+
+    try {
+      const response = await get('/api/events?days=7');
+
+      expect(response.status).toBe(500);
+      expect(response.data).toMatchObject({ success: false, message: 'Internal server error: store unavailable' });
+    } finally {
+      auditService.estimateQueryDays = estimateQueryDays;
+    }
+  });
+});
+
+describe('expensive queries', () => {
+  const rateLimiter = new ClientRateLimiter({ expensiveDays: 30 });
+
+  test('long windows and group-wide queries are expensive', () => {
+    expect(rateLimiter.isExpensive({ days: 7 })).toBe(false);
+    expect(rateLimiter.isExpensive({ days: 31 })).toBe(true);
+    expect(rateLimiter.isExpensive({ days: 1, groupScope: true })).toBe(true);
+  });
+
+  test('a window that could not be measured is expensive', () => {
+    expect(rateLimiter.isExpensive({ days: NaN })).toBe(true);
+    expect(rateLimiter.isExpensive({ days: Infinity })).toBe(true);
+  });
+});
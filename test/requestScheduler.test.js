@@ -0,0 +1,117 @@
+// test/requestScheduler.test.js
+
+/**
+ * The shared Snyk API request scheduler: token bucket, concurrency cap,
+ * bounded queue and the pause after rate-limited responses.
+ */
+
+const { RequestScheduler } = require('../src/api/requestScheduler');
+const { SnykApiClient } = require('../src/api');
+
+// A task that stays in flight until the test finishes it
+const deferredTask = () => {
+  let finish;
+  const done = new Promise(resolve => {
+    finish = resolve;
+  });
+  const task = jest.fn(() => done);
+  return { task, finish };
+};
+
+describe('RequestScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('starts a burst right away and spaces the rest by the refill rate', async () => {
+    // 600 requests per minute is one token every 100ms
+    const scheduler = new RequestScheduler({ requestsPerMinute: 600, burst: 2 });
+    const tasks = [jest.fn(), jest.fn(), jest.fn()];
+
+    tasks.forEach(task => scheduler.schedule(task));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(tasks.map(task => task.mock.calls.length)).toEqual([1, 1, 0]);
+
+    await jest.advanceTimersByTimeAsync(99);
+    expect(tasks[2]).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(tasks[2]).toHaveBeenCalled();
+  });
+
+  test('keeps no more than maxConcurrent requests in flight', async () => {
+    const scheduler = new RequestScheduler({ burst: 10, maxConcurrent: 2 });
+    const tasks = [deferredTask(), deferredTask(), deferredTask()];
+
+    const results = tasks.map(({ task }) => scheduler.schedule(task));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(scheduler.getStats()).toMatchObject({ active: 2, queued: 1 });
+    expect(tasks[2].task).not.toHaveBeenCalled();
+
+    tasks[0].finish('first');
+    await expect(results[0]).resolves.toBe('first');
+    await jest.advanceTimersByTimeAsync(0);
+    expect(tasks[2].task).toHaveBeenCalled();
+  });
+
+  test('rejects requests once the queue is full', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1, maxQueueSize: 1 });
+    const running = deferredTask();
+
+    scheduler.schedule(running.task);
+    scheduler.schedule(jest.fn());
+
+    await expect(scheduler.schedule(jest.fn())).rejects.toMatchObject({ code: 'QUEUE_FULL' });
+    expect(scheduler.getStats().rejected).toBe(1);
+  });
+
+  test('holds every request back while rate limited', async () => {
+    // One token a millisecond, but the bucket is empty after the pause
+    const scheduler = new RequestScheduler({ requestsPerMinute: 60000, burst: 5 });
+    const task = jest.fn();
+
+    scheduler.recordRateLimit(1000);
+    scheduler.schedule(task);
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(task).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(2);
+    expect(task).toHaveBeenCalled();
+    expect(scheduler.getStats().rateLimited).toBe(1);
+  });
+
+  test('pauses until the reset when the rate-limit headers say nothing is left', () => {
+    const scheduler = new RequestScheduler();
+
+    scheduler.updateFromHeaders({ 'x-ratelimit-remaining': '5', 'x-ratelimit-reset': '30' });
+    expect(scheduler.getStats().pausedForMs).toBe(0);
+
+    scheduler.updateFromHeaders({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '30' });
+    expect(scheduler.getStats().pausedForMs).toBe(30000);
+  });
+});
+
+describe('SnykApiClient rate limiting', () => {
+  test('retries a 429 after the Retry-After pause on the shared scheduler', async () => {
+    const scheduler = new RequestScheduler();
+    const client = new SnykApiClient('test-api-key', { scheduler });
+    const rateLimited = Object.assign(new Error('Too Many Requests'), {
+      response: { status: 429, headers: { 'retry-after': '0' } }
+    });
+
+    client.client = jest.fn()
+      .mockRejectedValueOnce(rateLimited)
+      .mockResolvedValueOnce({ status: 200, headers: {}, data: { data: [] } });
+
+    await expect(client._request({ url: '/rest/orgs/org-1/audit_logs/search', method: 'get' })).resolves.toEqual({ data: [] });
+    expect(client.client).toHaveBeenCalledTimes(2);
+    expect(scheduler.getStats().rateLimited).toBe(1);
+  });
+});
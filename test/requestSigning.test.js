@@ -0,0 +1,155 @@
+// test/requestSigning.test.js
+
+/**
+ * Signed requests: signature, timestamp and nonce checks.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const axios = require('axios');
+const { ApiTokenStore, createSignatureAuth, signRequest, computeSignature } = require('../src/platform/auth');
+
+describe('signed requests', () => {
+  let dir;
+  let tokenStore;
+  let server;
+  let baseUrl;
+  let keyId;
+  let secret;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'request-signing-'));
+    tokenStore = new ApiTokenStore({ path: path.join(dir, 'tokens.json'), encryptionKey: 'test-key' });
+
+    const issued = await tokenStore.issue({ name: 'chat-bridge', scopes: ['chat'], signing: true });
+    keyId = issued.record.id;
+    secret = issued.signingSecret;
+
+    // Same body parsing as the app, which keeps the raw body for the signature
+    const app = express();
+    app.use(express.json({
+      verify: (req, res, buffer) => {
+        req.rawBody = buffer;
+      }
+    }));
+    const signatureAuth = createSignatureAuth({ tokenStore, scope: 'chat' });
+    app.post(['/webhook', '/webhook/stream'], signatureAuth, (req, res) => {
+      res.status(200).json({ name: req.auth.name, success: true });
+    });
+
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    // Let last-used updates finish writing before the directory goes
+    await tokenStore.writeQueue;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const post = (body, headers, url = '/webhook') => axios.post(`${baseUrl}${url}`, body, {
+    headers: { 'Content-Type': 'application/json', ...headers },
+    // Send the body exactly as signed
+    transformRequest: [data => data],
+    validateStatus: () => true
+  });
+
+  const signedHeaders = (body, overrides = {}) => {
+    const timestamp = overrides.timestamp || Math.floor(Date.now() / 1000);
+    const nonce = overrides.nonce || `nonce-${Math.random().toString(36).slice(2)}-${Date.now()}`;
+
+    return {
+      'X-SnykAudit-Key-Id': keyId,
+      'X-SnykAudit-Timestamp': String(timestamp),
+      'X-SnykAudit-Nonce': nonce,
+      'X-SnykAudit-Signature': computeSignature(overrides.secret || secret, timestamp, nonce, 'POST', '/webhook', body)
+    };
+  };
+
+  test('a correctly signed request is accepted', async () => {
+    const body = JSON.stringify({ message: 'show security events' });
+    const response = await post(body, signRequest({ keyId, secret, path: '/webhook', body }));
+
+    expect(response.status).toBe(200);
+    expect(response.data.name).toBe('chat-bridge');
+  });
+
+  test('a request signed with the wrong secret is rejected', async () => {
+    const body = JSON.stringify({ message: 'show security events' });
+    const response = await post(body, signedHeaders(body, { secret: 'not-the-secret' }));
+
+    expect(response.status).toBe(403);
+    expect(response.data.message).toMatch(/Invalid request signature/);
+  });
+
+  test('a request whose body was changed after signing is rejected', async () => {
+    const body = JSON.stringify({ message: 'show security events' });
+    const headers = signedHeaders(body);
+    const response = await post(JSON.stringify({ message: 'list api tokens' }), headers);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('a signature made for one path is rejected on another', async () => {
+    const body = JSON.stringify({ message: 'show security events' });
+    const headers = signRequest({ keyId, secret, path: '/webhook', body });
+    const response = await post(body, headers, '/webhook/stream');
+
+    expect(response.status).toBe(403);
+    expect(response.data.message).toMatch(/Invalid request signature/);
+    expect((await post(body, signRequest({ keyId, secret, path: '/webhook/stream', body }), '/webhook/stream')).status).toBe(200);
+  });
+
+  test('a request with a stale timestamp is rejected', async () => {
+    const body = JSON.stringify({ message: 'show security events' });
+    const staleTimestamp = Math.floor(Date.now() / 1000) - 10 * 60;
+    const response = await post(body, signedHeaders(body, { timestamp: staleTimestamp }));
+
+    expect(response.status).toBe(401);
+    expect(response.data.message).toMatch(/timestamp/);
+  });
+
+  test('a replayed request is rejected', async () => {
+    const body = JSON.stringify({ message: 'show security events' });
+    const headers = signRequest({ keyId, secret, path: '/webhook', body });
+
+    const first = await post(body, headers);
+    const replay = await post(body, headers);
+
+    expect(first.status).toBe(200);
+    expect(replay.status).toBe(401);
+    expect(replay.data.message).toMatch(/replayed nonce/);
+  });
+
+  test('a revoked signing key is rejected', async () => {
+    const issued = await tokenStore.issue({ name: 'old-bridge', scopes: ['chat'], signing: true });
+    await tokenStore.revoke(issued.record.id);
+
+    const body = JSON.stringify({ message: 'show security events' });
+    const response = await post(body, signRequest({ keyId: issued.record.id, secret: issued.signingSecret, path: '/webhook', body }));
+
+    expect(response.status).toBe(403);
+  });
+
+  test('signing keys are neither issued nor checked without an encryption key', async () => {
+    const encryptionKey = process.env.ENCRYPTION_KEY;
+    delete process.env.ENCRYPTION_KEY;
+
+    try {
+      const keyless = new ApiTokenStore({ path: path.join(dir, 'tokens.json') });
+
+      await expect(keyless.issue({ name: 'keyless-bridge', scopes: ['chat'], signing: true }))
+        .rejects.toThrow(/until ENCRYPTION_KEY is set/);
+      expect(await keyless.getSigningKey(keyId)).toBeNull();
+    } finally {
+      if (encryptionKey !== undefined) {
+        process.env.ENCRYPTION_KEY = encryptionKey;
+      }
+    }
+  });
+});
@@ -0,0 +1,139 @@
+// test/ruleEngine.test.js
+
+/**
+ * Detection rules: matching, thresholds, sliding windows and messages.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RuleEngine } = require('../src/core');
+const { validateRule, getDetectionRules, DEFAULT_RULES } = require('../src/config/detectionRules');
+
+const webhookBurst = {
+  id: 'webhook_burst',
+  match: { events: ['org.webhook.*'] },
+  threshold: 2,
+  window: '10m',
+  groupBy: ['org'],
+  severity: 'high',
+  message: '{count} webhooks added within {window} by {actors}'
+};
+
+const webhook = (actor, time, orgId = 'payments') => ({ actor, event: 'org.webhook.add', orgId, created: `2026-10-14T${time}:00.000Z` });
+
+describe('RuleEngine', () => {
+  test('a windowed rule fires on its busiest window only when it goes over the threshold', () => {
+    const engine = new RuleEngine([webhookBurst]);
+    const alerts = engine.evaluate([
+      webhook('alice', '09:00'),
+      webhook('bob', '09:20'),
+      webhook('alice', '09:25'),
+      webhook('carol', '09:28'),
+      webhook('dave', '09:29'),
+      webhook('erin', '09:31', 'platform')
+    ]);
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      rule: 'webhook_burst',
+      users: ['bob', 'alice', 'carol', 'dave'],
+      count: 4,
+      threshold: 2,
+      window: '10 minutes',
+      windowStart: '2026-10-14T09:20:00.000Z',
+      time: '2026-10-14T09:29:00.000Z',
+      org: 'payments',
+      severity: 'high',
+      description: '4 webhooks added within 10 minutes by bob, alice, carol and dave'
+    });
+  });
+
+  test('events a full window apart are not counted together', () => {
+    const engine = new RuleEngine([webhookBurst]);
+
+    expect(engine._busiestWindow([{ time: 0 }, { time: 600000 }, { time: 1200000 }], 600000)).toEqual([{ time: 0 }]);
+    expect(engine.evaluate([webhook('alice', '09:00'), webhook('alice', '09:10'), webhook('alice', '09:20')])).toEqual([]);
+  });
+
+  test('a rule without a window counts the whole period per group', () => {
+    const engine = new RuleEngine([{
+      id: 'many_policy_edits',
+      match: { events: ['org.policy.edit'] },
+      actor: { excludeIds: ['bot'] },
+      threshold: 2,
+      groupBy: ['actor'],
+      severity: 'medium',
+      message: '{actor} edited policies {count} times'
+    }]);
+    const edit = (actor, day) => ({ actor, event: 'org.policy.edit', created: `2026-10-${day}T10:00:00.000Z` });
+
+    const alerts = engine.evaluate([
+      edit('alice', 10), edit('alice', 12), edit('alice', 14),
+      edit('bob', 10), edit('bob', 11),
+      edit('bot', 10), edit('bot', 11), edit('bot', 12)
+    ]);
+
+    expect(alerts.map(alert => alert.description)).toEqual(['alice edited policies 3 times']);
+    expect(alerts[0]).toMatchObject({ windowStart: null, window: null, time: '2026-10-14T10:00:00.000Z' });
+  });
+
+  test('occurrence rules fire for every matching event', () => {
+    const engine = new RuleEngine(DEFAULT_RULES.filter(rule => rule.id === 'after_hours_activity'));
+    const alerts = engine.evaluate([webhook('alice', '03:00'), webhook('bob', '12:00'), webhook('carol', '22:00')]);
+
+    expect(alerts.map(alert => alert.user)).toEqual(['alice', 'carol']);
+    expect(alerts[0].description).toBe('After-hours security-critical activity: org.webhook.add by alice at 2026-10-14T03:00:00.000Z');
+  });
+
+  test('rules only meant for accounts without a baseline are skipped when one is used', () => {
+    const engine = new RuleEngine(DEFAULT_RULES);
+    const state = engine.createState({ hasBaseline: true });
+
+    expect(state.rules.map(entry => entry.compiled.rule.id)).not.toContain('high_volume_sensitive_actions');
+  });
+
+  test('renders messages with display names and leaves unknown placeholders', () => {
+    const engine = new RuleEngine([{ ...webhookBurst, message: '{actor} in {org}: {unknown}' }]);
+    const [alert] = engine.evaluate([webhook('u1', '09:00'), webhook('u1', '09:01'), webhook('u1', '09:02')]);
+
+    expect(engine.render(alert, ['Alice Admin'])).toBe('Alice Admin in payments: {unknown}');
+  });
+});
+
+describe('detection rules', () => {
+  test('rejects unknown fields and bad windows', () => {
+    expect(validateRule(webhookBurst)).toEqual([]);
+    expect(validateRule({ ...webhookBurst, treshold: 3 })).not.toEqual([]);
+    expect(validateRule({ ...webhookBurst, window: '10s' })).not.toEqual([]);
+  });
+
+  test('custom rules replace, disable and extend the defaults; invalid ones are skipped', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'detection-rules-'));
+    const file = path.join(dir, 'rules.yaml');
+    fs.writeFileSync(file, [
+      'rules:',
+      '  - id: after_hours_activity',
+      '    enabled: false',
+      '  - id: webhook_burst',
+      '    match: { events: [org.webhook.add] }',
+      '    severity: high',
+      '    message: "{count} webhooks"',
+      '  - id: broken',
+      '    severity: extreme',
+      '    message: nope'
+    ].join('\n'));
+
+    try {
+      expect(getDetectionRules(file).map(rule => rule.id)).toEqual([
+        'high_volume_sensitive_actions',
+        'service_account_unusual_activity',
+        'service_account_then_webhook',
+        'integration_sast_ignores',
+        'webhook_burst'
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
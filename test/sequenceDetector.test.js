@@ -0,0 +1,98 @@
+// test/sequenceDetector.test.js
+
+/**
+ * Multi-step event sequences: ordered steps per group within a window.
+ */
+
+const { SequenceDetector } = require('../src/core');
+const { DEFAULT_RULES, validateRule } = require('../src/config/detectionRules');
+
+const detector = new SequenceDetector(DEFAULT_RULES.filter(rule => rule.steps));
+
+const event = (actor, type, time, extra = {}) => ({
+  actor,
+  actorType: actor.endsWith('-bot') ? 'service_account' : 'user',
+  event: type,
+  orgId: 'payments',
+  projectId: null,
+  created: `2026-10-14T${time}:00.000Z`,
+  ...extra
+});
+
+const sastChange = (from, to) => ({ before: { sastSettings: { sastEnabled: from } }, after: { sastSettings: { sastEnabled: to } } });
+
+describe('SequenceDetector', () => {
+  test('reports a service account created and a webhook added soon after in the same org', () => {
+    const findings = detector.evaluate([
+      event('mallory', 'org.service_account.create', '03:00'),
+      event('alice', 'org.project.add', '03:05'),
+      event('deploy-bot', 'org.webhook.add', '03:12')
+    ]);
+
+    expect(findings).toHaveLength(1);
+    expect(findings[0]).toMatchObject({
+      rule: 'service_account_then_webhook',
+      users: ['mallory', 'deploy-bot'],
+      count: 2,
+      windowStart: '2026-10-14T03:00:00.000Z',
+      time: '2026-10-14T03:12:00.000Z',
+      window: '30 minutes',
+      org: 'payments',
+      severity: 'high',
+      description: 'A service account was created and a webhook added 12 minutes later (mallory and deploy-bot)'
+    });
+    expect(findings[0].chain.map(link => link.step)).toEqual(['service account created', 'webhook added']);
+  });
+
+  test('steps out of order, outside the window or in another org are not a chain', () => {
+    expect(detector.evaluate([
+      event('deploy-bot', 'org.webhook.add', '03:00'),
+      event('mallory', 'org.service_account.create', '03:10')
+    ])).toEqual([]);
+    expect(detector.evaluate([
+      event('mallory', 'org.service_account.create', '03:00'),
+      event('deploy-bot', 'org.webhook.add', '03:31')
+    ])).toEqual([]);
+    expect(detector.evaluate([
+      event('mallory', 'org.service_account.create', '03:00'),
+      event('deploy-bot', 'org.webhook.add', '03:10', { orgId: 'platform' })
+    ])).toEqual([]);
+  });
+
+  test('a completed chain is reported once', () => {
+    expect(detector.evaluate([
+      event('mallory', 'org.service_account.create', '03:00'),
+      event('deploy-bot', 'org.webhook.add', '03:10'),
+      event('deploy-bot', 'org.webhook.add', '03:11')
+    ])).toHaveLength(1);
+  });
+
+  test('steps can need a field change and several events', () => {
+    const chain = [
+      event('deploy-bot', 'org.integration.edit', '03:14'),
+      event('deploy-bot', 'org.sast_settings.edit', '03:15', sastChange(true, false)),
+      event('deploy-bot', 'org.project.ignore.create', '03:20'),
+      event('deploy-bot', 'org.project.ignore.create', '03:21'),
+      event('deploy-bot', 'org.project.ignore.create', '03:22')
+    ];
+
+    const [finding] = detector.evaluate(chain);
+    expect(finding.rule).toBe('integration_sast_ignores');
+    expect(finding.count).toBe(5);
+    expect(finding.description).toBe('deploy-bot edited an integration, disabled SAST and started ignoring issues within 8 minutes');
+    expect(detector.render(finding, ['Deploy Bot'])).toMatch(/^Deploy Bot edited/);
+
+    expect(detector.evaluate(chain.slice(0, 4))).toEqual([]);
+    expect(detector.evaluate([chain[0], event('deploy-bot', 'org.sast_settings.edit', '03:15', sastChange(false, true)), ...chain.slice(2)]))
+      .toEqual([]);
+  });
+
+  test('sequence rules need steps in order and a window', () => {
+    const rule = DEFAULT_RULES.find(candidate => candidate.id === 'service_account_then_webhook');
+
+    expect(validateRule(rule)).toEqual([]);
+    expect(validateRule({ ...rule, window: undefined })).not.toEqual([]);
+    expect(validateRule({ ...rule, steps: rule.steps.slice(0, 1) })).not.toEqual([]);
+    expect(validateRule({ ...rule, groupBy: ['event'] })).not.toEqual([]);
+  });
+});
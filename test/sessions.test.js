@@ -0,0 +1,164 @@
+// test/sessions.test.js
+
+/**
+ * Conversation sessions: the session stores, recording turns and concurrent turns.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionManager, MemorySessionStore, FileSessionStore, createSessionStore } = require('../src/platform/sessions');
+
+const answer = (message, intent = 'security_events_query') => ({ message, success: true, intent, entities: {} });
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('session stores', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test.each(['memory', 'file', 'redis'])('the %s store keeps sessions until they expire', async type => {
+    const store = createSessionStore(type, { path: dir });
+
+    await store.set('live', { id: 'live' }, 60000);
+    await store.set('short', { id: 'short' }, 1);
+    await sleep(10);
+
+    expect(await store.get('live')).toEqual({ id: 'live' });
+    expect(await store.get('short')).toBeNull();
+
+    await store.delete('live');
+    expect(await store.get('live')).toBeNull();
+  });
+
+  test('the file store prunes expired sessions from disk', async () => {
+    const store = createSessionStore('file', { path: dir });
+
+    await store.set('short', { id: 'short' }, 1);
+    await store.set('live', { id: 'live' }, 60000);
+    await sleep(10);
+
+    expect(await store.prune()).toBe(1);
+    expect(fs.readdirSync(dir)).toHaveLength(1);
+  });
+
+  test('rejects an unknown store type', () => {
+    expect(() => createSessionStore('mongo')).toThrow(/Unknown session store "mongo"/);
+  });
+});
+
+describe('MemorySessionStore', () => {
+  test('drops the least recently used session when full', async () => {
+    const store = new MemorySessionStore({ maxSessions: 2 });
+
+    await store.set('a', { id: 'a' }, 60000);
+    await store.set('b', { id: 'b' }, 60000);
+    await store.get('a');
+    await store.set('c', { id: 'c' }, 60000);
+
+    expect(await store.get('a')).toEqual({ id: 'a' });
+    expect(await store.get('b')).toBeNull();
+    expect(await store.get('c')).toEqual({ id: 'c' });
+    expect(store.sessions.size).toBe(2);
+  });
+
+  test('drops expired sessions before live ones when full', async () => {
+    const store = new MemorySessionStore({ maxSessions: 2 });
+
+    await store.set('expired', { id: 'expired' }, -1);
+    await store.set('live', { id: 'live' }, 60000);
+    await store.set('new', { id: 'new' }, 60000);
+
+    expect(await store.get('live')).toEqual({ id: 'live' });
+    expect(await store.get('new')).toEqual({ id: 'new' });
+  });
+});
+
+describe('SessionManager', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('remembers the last question of a session and its history', async () => {
+    const manager = new SessionManager({ store: createSessionStore('file', { path: dir }), pruneIntervalMs: 0 });
+    const started = await manager.resolve(null, 'token-1');
+    await manager.recordTurn(started, 'show security events', answer('3 security events'));
+    await manager.recordTurn(await manager.resolve(started.id, 'token-1'), 'thanks', answer('You are welcome', null));
+
+    const context = manager.toContext(await manager.resolve(started.id, 'token-1'));
+
+    expect(context.sessionId).toBe(started.id);
+    expect(context.lastQuery).toBe('show security events');
+    expect(context.lastIntent).toBe('security_events_query');
+    expect(context.history.map(turn => turn.query)).toEqual(['show security events', 'thanks']);
+  });
+
+  test('starts a new session for another caller or an unknown ID', async () => {
+    const manager = new SessionManager({ pruneIntervalMs: 0 });
+    const started = await manager.resolve(null, 'token-1');
+    await manager.recordTurn(started, 'show security events', answer('3 security events'));
+
+    expect((await manager.resolve(started.id, 'token-2')).id).not.toBe(started.id);
+    expect((await manager.resolve('ses_unknown', 'token-1')).id).not.toBe('ses_unknown');
+    expect((await manager.resolve('slack-C123', null, { keepId: true })).id).toBe('slack-C123');
+    expect(await manager.end(started.id, 'token-2')).toBe(false);
+    expect(await manager.end(started.id, 'token-1')).toBe(true);
+  });
+
+  test('keeps a bounded history and drops result data that is too big', async () => {
+    const manager = new SessionManager({ maxHistory: 2, maxResultBytes: 100, pruneIntervalMs: 0 });
+    const session = await manager.resolve(null, null);
+
+    for (const question of ['one', 'two', 'three']) {
+      await manager.recordTurn(session, question, { ...answer(question), data: { events: 'x'.repeat(200) } });
+    }
+
+    expect(session.history.map(turn => turn.query)).toEqual(['two', 'three']);
+    expect(session.lastResponse).toMatchObject({ data: null, dataTruncated: true });
+  });
+
+  test('keeps both turns when two questions on a session finish at the same time', async () => {
+    const manager = new SessionManager({ store: new FileSessionStore({ path: dir }), pruneIntervalMs: 0 });
+    const started = await manager.resolve(null, 'token-1');
+    await manager.recordTurn(started, 'first question', answer('first answer'));
+
+    // Both requests read the session before either answer is saved
+    const [one, two] = await Promise.all([manager.resolve(started.id, 'token-1'), manager.resolve(started.id, 'token-1')]);
+    await Promise.all([
+      manager.recordTurn(one, 'second question', answer('second answer')),
+      manager.recordTurn(two, 'third question', answer('third answer'))
+    ]);
+
+    const saved = await manager.get(started.id, 'token-1');
+    expect(saved.history.map(turn => turn.query)).toEqual(['first question', 'second question', 'third question']);
+    expect(saved.lastQuery).toBe('third question');
+    expect(manager.updates.size).toBe(0);
+  });
+
+  test('a failed save does not block later turns', async () => {
+    const store = new MemorySessionStore();
+    const manager = new SessionManager({ store, pruneIntervalMs: 0 });
+    const session = await manager.resolve(null, null);
+    const set = store.set.bind(store);
+
+    store.set = jest.fn().mockRejectedValueOnce(new Error('disk full')).mockImplementation(set);
+
+    await expect(manager.recordTurn(session, 'lost question', answer('lost answer'))).rejects.toThrow('disk full');
+    await manager.recordTurn(session, 'next question', answer('next answer'));
+
+    expect((await manager.get(session.id, null)).lastQuery).toBe('next question');
+  });
+});
@@ -0,0 +1,84 @@
+// test/slotFiller.test.js
+
+/**
+ * Asking for a missing detail with quick replies and completing the
+ * original question with the answer.
+ */
+
+const { SlotFiller, ChatbotNlpIntegration } = require('../src/nlp');
+const { SessionManager } = require('../src/platform/sessions');
+
+const slotFiller = new SlotFiller();
+
+// "who changed things this week?" was missing the kind of change
+const pending = { slot: 'event_type', intent: 'event_by_user_query', entities: { time_period: 'this week' } };
+
+describe('SlotFiller', () => {
+  test('asks for a slot with quick replies', () => {
+    const question = slotFiller.ask('event_type');
+
+    expect(question.message).toMatch(/^Which kind of change should I look for: policies, integrations, .* or projects\?$/);
+    expect(question.quickReplies).toContain('SAST settings');
+    expect(() => slotFiller.ask('colour')).toThrow(/Unknown slot "colour"/);
+  });
+
+  test.each([
+    ['Integrations', 'integration'],
+    ['2', 'integration'],
+    ['the service accounts please', 'service account'],
+    ['roles', 'user']
+  ])('"%s" answers with %s', (answer, value) => {
+    expect(slotFiller.fill(answer, pending)).toEqual({
+      intent: 'event_by_user_query',
+      entities: { time_period: 'this week', event_type: value }
+    });
+  });
+
+  test('an answer can change the rest of the question as well', () => {
+    expect(slotFiller.fill('policies last month', pending, { time_period: 'last month' }).entities)
+      .toEqual({ time_period: 'last month', event_type: 'policy' });
+  });
+
+  test('picks the intent when the question was what to look at', () => {
+    expect(slotFiller.fill('suspicious', { slot: 'intent', intent: null, entities: { time_period: '7 days' } }))
+      .toEqual({ intent: 'suspicious_activity_query', entities: { time_period: '7 days' } });
+  });
+
+  test('a new question is not taken for an answer', () => {
+    expect(slotFiller.fill('show me all security events from the past 30 days', pending)).toBeNull();
+    expect(slotFiller.fill('bananas', pending)).toBeNull();
+    expect(slotFiller.fill('policies', null)).toBeNull();
+  });
+});
+
+describe('missing details in a conversation', () => {
+  test('the answer to a question completes the question it was asked for', async () => {
+    const nlp = new ChatbotNlpIntegration();
+    const sessions = new SessionManager({ pruneIntervalMs: 0 });
+    nlp.initialized = true;
+    nlp.chatbotWrapper.handleRequest = jest.fn(async (intent, entities) => (
+      entities.event_type
+        ? { message: `Users who changed ${entities.event_type} settings`, success: true }
+        : { message: 'I need to know what kind of action to look for.', success: true, missingSlot: 'event_type' }
+    ));
+
+    const session = await sessions.resolve(null, null);
+    const question = await nlp.processMessage('who changed things this week?', sessions.toContext(session));
+    await sessions.recordTurn(session, 'who changed things this week?', question);
+
+    expect(question.pendingSlot).toBe('event_type');
+    expect(question.quickReplies).toContain('Integrations');
+    expect(question.message).toMatch(/^I need to know what kind of action to look for\. Which kind of change/);
+
+    const answer = await nlp.processMessage('Integrations', sessions.toContext(session));
+    await sessions.recordTurn(session, 'Integrations', answer);
+
+    expect(nlp.chatbotWrapper.handleRequest).toHaveBeenLastCalledWith(
+      'event_by_user_query',
+      expect.objectContaining({ event_type: 'integration', time_period: 'this week' }),
+      expect.anything()
+    );
+    expect(answer.pendingSlot).toBeUndefined();
+    expect(session.pendingSlot).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+// test/testCassette.js
+// Records Snyk audit logs to a cassette, or replays a cassette through the analyzers.
+//
+// Record (live API, or SNYK_API_URL pointing at the mock server):
+//   SNYK_CASSETTE_MODE=record SNYK_CASSETTE_PATH=./data/cassettes/report.json node test/testCassette.js
+// Replay (no token or network needed):
+//   SNYK_CASSETTE_MODE=replay SNYK_CASSETTE_PATH=./data/cassettes/report.json node test/testCassette.js
+require('dotenv').config();
+const { SnykApiClient, normalizeEvent } = require('../src/api');
+const { SecurityEventAnalyzer, AnomalyDetector, UserActivityAnalyzer } = require('../src/core');
+
+async function testCassette() {
+  const mode = process.env.SNYK_CASSETTE_MODE || 'replay';
+  const apiKey = process.env.SNYK_API_KEY || 'replay-token';
+  const orgId = process.env.SNYK_ORG_ID;
+  const days = parseInt(process.env.DAYS, 10) || 7;
+
+  if (!orgId) {
+    console.error('Error: SNYK_ORG_ID must be set (use the org the cassette was recorded for)');
+    process.exit(1);
+  }
+
+  const client = new SnykApiClient(apiKey, { orgId, cassetteMode: mode });
+
+  const toDate = new Date();
+  const fromDate = new Date(toDate);
+  fromDate.setDate(fromDate.getDate() - days);
+
+  // In replay mode the time window is ignored when matching, so the recorded events come back as-is
+  console.log(`${mode === 'replay' ? 'Replaying' : 'Recording'} ${days} days of audit logs for org ${orgId}...`);
+  const events = (await client.getAllOrgAuditLogs(orgId, fromDate, toDate)).map(event => normalizeEvent(event));
+  await client.cassette.flush();
+  console.log(`Got ${events.length} events`);
+
+  // Run the analyzers without a service, so user lookups don't need extra recordings
+  const securityAnalyzer = new SecurityEventAnalyzer();
+  const anomalyDetector = new AnomalyDetector();
+  const userActivityAnalyzer = new UserActivityAnalyzer();
+
+  const categorized = await securityAnalyzer.categorizeSecurityEvents(events);
+  const anomalies = anomalyDetector.detectAnomalies(events);
+  const userActivity = await userActivityAnalyzer.analyzeUserActivity(events);
+
+  console.log('\n--- SecurityEventAnalyzer ---');
+  console.log(categorized.counts);
+
+  console.log('\n--- AnomalyDetector ---');
+  anomalies.forEach(activity => console.log(`${activity.severity}: ${activity.description}`));
+
+  console.log('\n--- UserActivityAnalyzer ---');
+  console.log(JSON.stringify(userActivity, null, 2).substring(0, 2000));
+}
+
+testCassette().catch(error => {
+  console.error('❌ Cassette test failed:', error.message);
+  process.exit(1);
+});
@@ -57,8 +57,8 @@ async function testEnhancedAudit() {
   
   // Test SAST settings changes display
   console.log('\n--- Testing enhanced SAST settings changes display ---');
-  const sastEvents = [sampleSastEvent];
-  const securitySummary = await securityEventAnalyzer.generateSecuritySummary({ all: sastEvents, highPriority: [], mediumPriority: [], lowPriority: sastEvents }, 7);
+  const sastEvents = [auditService.normalizeEvent(sampleSastEvent)];
+  const securitySummary = await securityEventAnalyzer.generateSecuritySummary(await securityEventAnalyzer.categorizeSecurityEvents(sastEvents), 7);
   console.log('Security Events Summary:');
   console.log(securitySummary);
   
@@ -75,12 +75,13 @@ async function testEnhancedAudit() {
       
       // Output the user ID fields specifically
       console.log('\nUser ID fields:');
-      console.log('event.user_id:', realEvents[0].user_id);
-      console.log('event.content.user_id:', realEvents[0].content?.user_id);
-      console.log('event.content.performed_by:', realEvents[0].content?.performed_by);
+      console.log('event.actor:', realEvents[0].actor, `(${realEvents[0].actorType})`);
+      console.log('event.raw.user_id:', realEvents[0].raw.user_id);
+      console.log('event.raw.content.user_id:', realEvents[0].raw.content?.user_id);
+      console.log('event.raw.content.performed_by:', realEvents[0].raw.content?.performed_by);
       
       // Test user info retrieval for this event
-      const userId = realEvents[0].content?.user_id || realEvents[0].content?.performed_by || realEvents[0].user_id;
+      const userId = realEvents[0].actor;
       if (userId) {
         console.log('\nTesting user info retrieval for user ID:', userId);
         const userInfo = await auditService.getUserInfo(userId);
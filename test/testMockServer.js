@@ -0,0 +1,70 @@
+// test/testMockServer.js
+// Exercises the whole chatbot against the bundled mock Snyk API, no token or network needed.
+// Usage: node test/testMockServer.js [scenario]
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockSnykServer, listScenarios } = require('../src/mock');
+const { ChatbotNlpIntegration } = require('../src/nlp');
+
+async function testMockServer() {
+  const scenarioName = process.argv[2] || 'default';
+  console.log(`Available scenarios: ${listScenarios().join(', ')}`);
+
+  const server = new MockSnykServer({ scenario: scenarioName, port: 0 });
+  const baseUrl = await server.start();
+  console.log(`Mock Snyk API running at ${baseUrl} with scenario "${scenarioName}"`);
+
+  // Keep the event store out of ./data so runs don't mix with real data
+  const eventStorePath = fs.mkdtempSync(path.join(os.tmpdir(), 'snykaudit-mock-'));
+  const { scenario } = server;
+  const isGroup = scenarioName === 'group';
+
+  const chatbot = new ChatbotNlpIntegration();
+  const initialized = await chatbot.init('mock-token', {
+    baseUrl,
+    orgId: isGroup ? undefined : scenario.orgs[0].id,
+    groupId: isGroup ? scenario.groupId : undefined,
+    eventStorePath,
+    retryDelay: 100
+  });
+
+  if (!initialized) {
+    console.error('❌ Failed to initialize chatbot against the mock server');
+    await server.stop();
+    process.exit(1);
+  }
+
+  const questions = [
+    'Show me recent security events',
+    'Any suspicious activity in the last 2 days?',
+    'Who modified integrations this week?',
+    'Show me user activity'
+  ];
+
+  if (isGroup) {
+    questions.push('Were there any policy changes in the payments org this week?');
+  }
+
+  try {
+    for (const question of questions) {
+      console.log(`\n--- ${question} ---`);
+      const response = await chatbot.processMessage(question);
+      console.log(response.message);
+
+      if (response.completeness && !response.completeness.complete) {
+        console.log('⚠️ Completeness:', JSON.stringify(response.completeness));
+      }
+    }
+
+    console.log(`\n✅ Done. The mock served ${server.requestLog.length} requests.`);
+  } catch (error) {
+    console.error('❌ Error while querying the mock server:', error);
+    process.exitCode = 1;
+  } finally {
+    await server.stop();
+    fs.rmSync(eventStorePath, { recursive: true, force: true });
+  }
+}
+
+testMockServer();
@@ -22,7 +22,7 @@ async function testUserAPI() {
     
     // Initialize API client
     const apiClient = new SnykApiClient(process.env.SNYK_API_KEY, {
-      baseUrl: 'https://api.snyk.io',
+      baseUrl: process.env.SNYK_API_URL || 'https://api.snyk.io',
       apiVersion: '2024-10-15'
     });
     
@@ -47,7 +47,7 @@ async function testUserAPIDirectly() {
     console.log('\n=== Testing User API Directly ===');
     console.log(`User ID: ${userId}`);
     
-    const endpoint = `https://api.snyk.io/rest/orgs/${orgId}/users/${userId}`;
+    const endpoint = `${process.env.SNYK_API_URL || 'https://api.snyk.io'}/rest/orgs/${orgId}/users/${userId}`;
     console.log(`Endpoint: ${endpoint}`);
     
     const response = await axios.get(endpoint, {
@@ -120,7 +120,7 @@ async function testWithApiClient() {
     
     // Initialize API client
     const apiClient = new SnykApiClient(apiKey, {
-      baseUrl: 'https://api.snyk.io',
+      baseUrl: process.env.SNYK_API_URL || 'https://api.snyk.io',
       apiVersion: '2024-10-15'
     });
     
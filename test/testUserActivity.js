@@ -38,7 +38,7 @@ async function testUserActivity() {
         performed_by: '302ba9f1-b8a4-4a9a-9be4-a31b36ac5c86'
       }
     }
-  ];
+  ].map(event => auditService.normalizeEvent(event));
   
   console.log('\n--- Testing user activity analysis with user info ---');
   const userActivity = await userActivityAnalyzer.analyzeUserActivity(sampleEvents);
@@ -0,0 +1,127 @@
+// test/webhookStream.test.js
+
+/**
+ * Server-Sent Events framing of POST /webhook/stream.
+ */
+
+const express = require('express');
+const axios = require('axios');
+const { WebhookHandler } = require('../src/platform');
+
+/**
+ * Split an event stream into its events, ignoring comments
+ * @param {string} body - Response body
+ * @returns {Array<Object>} - { event, data } per event
+ */
+function parseEventStream(body) {
+  return body
+    .split('\n\n')
+    .filter(block => block && !block.startsWith(':'))
+    .map(block => {
+      const fields = {};
+      block.split('\n').forEach(line => {
+        const separator = line.indexOf(': ');
+        fields[line.slice(0, separator)] = line.slice(separator + 2);
+      });
+      return { event: fields.event, data: JSON.parse(fields.data) };
+    });
+}
+
+describe('POST /webhook/stream', () => {
+  let handler;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    handler = new WebhookHandler({ authToken: 'test-secret' });
+    handler.nlpIntegration.describeMessage = jest.fn(() => ({ days: 1, groupScope: false }));
+
+    const app = express();
+    app.use(express.json());
+    app.use('/webhook', handler.getRouter());
+
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const stream = (message, token = 'test-secret') => axios.post(`${baseUrl}/webhook/stream`, { message }, {
+    headers: { Authorization: `Bearer ${token}` },
+    responseType: 'text',
+    validateStatus: () => true
+  });
+
+  test('sends progress, partial results and the answer as events', async () => {
+    handler.nlpIntegration.processMessage = jest.fn(async (message, context) => {
+      context.onProgress({ stage: 'fetch', page: 1, pageItems: 2, itemsFetched: 2 });
+      context.onPartial({ message: 'Found 2 security events. Summarizing...', data: { total: 2 } });
+      return { success: true, message: 'Here is the summary', intent: 'security_events_query' };
+    });
+
+    const response = await stream('show security events');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(parseEventStream(response.data)).toEqual([
+      { event: 'progress', data: { stage: 'fetch', page: 1, pageItems: 2, itemsFetched: 2 } },
+      { event: 'partial', data: { message: 'Found 2 security events. Summarizing...', data: { total: 2 } } },
+      { event: 'result', data: { success: true, message: 'Here is the summary', intent: 'security_events_query', sessionId: expect.any(String) } }
+    ]);
+  });
+
+  test('ends the stream with an error event when the question fails', async () => {
+    handler.nlpIntegration.processMessage = jest.fn(async () => {
+      throw new Error('store unavailable');
+    });
+
+    const events = parseEventStream((await stream('show security events')).data);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].event).toBe('error');
+    expect(events[0].data).toMatchObject({ success: false, message: 'Internal server error: store unavailable' });
+  });
+
+  test('answers a failure before the stream opens with a plain JSON error', async () => {
+    const describeMessage = handler.nlpIntegration.describeMessage;
+    handler.nlpIntegration.describeMessage = jest.fn(async () => {
+      throw new Error('taxonomy unavailable');
+    });
+
+    try {
+      const response = await stream('show security events');
+
+      expect(response.status).toBe(500);
+      expect(response.headers['content-type']).toMatch(/^application\/json/);
+      expect(JSON.parse(response.data)).toMatchObject({ success: false, message: 'Internal server error: taxonomy unavailable' });
+    } finally {
+      handler.nlpIntegration.describeMessage = describeMessage;
+    }
+  });
+
+  test('answers a time window too long to search with a 400 before the stream opens', async () => {
+    const describeMessage = handler.nlpIntegration.describeMessage;
+    delete handler.nlpIntegration.describeMessage;
+
+    try {
+      const response = await stream('show security events from the last 99999999999 days');
+
+      expect(response.status).toBe(400);
+      expect(JSON.parse(response.data).message).toMatch(/^Bad request: That time window is too long to search/);
+    } finally {
+      handler.nlpIntegration.describeMessage = describeMessage;
+    }
+  });
+
+  test('answers a bad token with a plain JSON error before the stream opens', async () => {
+    const response = await stream('show security events', 'wrong-secret');
+
+    expect(response.status).toBe(403);
+    expect(response.headers['content-type']).toMatch(/^application\/json/);
+    expect(JSON.parse(response.data).success).toBe(false);
+  });
+});